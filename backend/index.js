@@ -4,12 +4,14 @@ const dotenv = require('dotenv');
 const path = require('path');
 const { runMigrations } = require('./migrations');
 const terminalService = require('./src/services/terminalService');
+const { corsOptions } = require('./src/config/cors');
+const { requireAuth } = require('./src/middleware/auth');
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 
 // Initialize database and run migrations
@@ -21,6 +23,14 @@ const chatRoutes = require('./src/routes/chatRoutes');
 const terminalRoutes = require('./src/routes/terminalRoutes');
 const uploadRoutes = require('./src/routes/uploadRoutes');
 const aiRoutes = require('./src/routes/aiRoutes');
+const auditRoutes = require('./src/routes/auditRoutes');
+const authRoutes = require('./src/routes/authRoutes');
+const userRoutes = require('./src/routes/userRoutes');
+const backupRoutes = require('./src/routes/backupRoutes');
+
+// Login is the only API reachable without a session
+app.use('/api/auth', authRoutes);
+app.use('/api', requireAuth);
 
 // Mount routes
 app.use('/api/servers', serverRoutes);
@@ -28,9 +38,12 @@ app.use('/api', chatRoutes);
 app.use('/api/terminal', terminalRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/backup', backupRoutes);
 
 // Serve uploaded images statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', requireAuth, express.static(path.join(__dirname, 'uploads')));
 
 // Start server and setup WebSocket
 const server = app.listen(process.env.PORT || 4000, () => {
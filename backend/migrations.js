@@ -1,10 +1,56 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const credentialVault = require('./src/services/credentialVault');
 
-function runMigrations() {
-  console.log('[MIGRATIONS] Starting database migrations...');
-  const db = new Database(path.join(__dirname, 'sshfix.db'));
+// CREATE TABLE IF NOT EXISTS does not touch existing tables, so new columns are added here
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`[MIGRATIONS] Added column ${table}.${column}`);
+  }
+}
+
+// Encrypt any server passwords/private keys/passphrases that are still stored as plaintext
+function encryptStoredCredentials(db) {
+  if (!credentialVault.isConfigured()) {
+    console.warn('[MIGRATIONS] CREDENTIAL_MASTER_KEY is not set; skipping credential encryption.');
+    return;
+  }
+
+  const rows = db.prepare('SELECT id, password, privateKey, passphrase FROM servers').all();
+  const update = db.prepare('UPDATE servers SET password = ?, privateKey = ?, passphrase = ? WHERE id = ?');
+  let encryptedCount = 0;
+
+  db.transaction(() => {
+    for (const row of rows) {
+      const needsEncryption = [row.password, row.privateKey, row.passphrase]
+        .some(value => value && !credentialVault.isEncrypted(value));
+      if (!needsEncryption) continue;
+
+      update.run(
+        credentialVault.encrypt(row.password),
+        credentialVault.encrypt(row.privateKey),
+        credentialVault.encrypt(row.passphrase),
+        row.id
+      );
+      encryptedCount++;
+    }
+  })();
 
+  if (encryptedCount > 0) {
+    console.log(`[MIGRATIONS] Encrypted stored credentials for ${encryptedCount} server(s).`);
+  }
+}
+
+// Bump whenever the migrations below change the schema. Stored in PRAGMA user_version and
+// recorded in backups, so restoring one made by a newer version can be refused.
+const SCHEMA_VERSION = 4;
+
+// Brings a database to the current schema. Besides the app database this runs on the
+// scratch copy a backup is restored through (src/repositories/backupRepository.js), whose
+// credentials are not vault-encrypted yet.
+function migrateDatabase(db, { encryptCredentials = true } = {}) {
   try {
     // Create servers table
     db.exec(`
@@ -16,9 +62,20 @@ function runMigrations() {
         username TEXT NOT NULL,
         password TEXT,
         privateKey TEXT,
+        passphrase TEXT,
+        host_key_fingerprint TEXT,
+        host_key_type TEXT,
+        jump_server_id INTEGER REFERENCES servers(id) ON DELETE SET NULL,
+        command_timeout_ms INTEGER,
         chat_session_id INTEGER
       );
     `);
+    addColumnIfMissing(db, 'servers', 'passphrase', 'TEXT');
+    addColumnIfMissing(db, 'servers', 'host_key_fingerprint', 'TEXT');
+    addColumnIfMissing(db, 'servers', 'host_key_type', 'TEXT');
+    addColumnIfMissing(db, 'servers', 'jump_server_id', 'INTEGER REFERENCES servers(id) ON DELETE SET NULL');
+    addColumnIfMissing(db, 'servers', 'command_timeout_ms', 'INTEGER');
+    addColumnIfMissing(db, 'servers', 'tags', "TEXT NOT NULL DEFAULT '[]'");
 
     // Create history table
     db.exec(`
@@ -27,11 +84,27 @@ function runMigrations() {
         server_id INTEGER NOT NULL,
         command TEXT NOT NULL,
         output TEXT,
+        stdout TEXT,
+        stderr TEXT,
+        exit_code INTEGER,
+        signal TEXT,
+        cwd TEXT,
+        duration_ms INTEGER,
+        output_truncated INTEGER DEFAULT 0,
+        timed_out INTEGER DEFAULT 0,
         chat_session_id INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
       );
     `);
+    addColumnIfMissing(db, 'history', 'stdout', 'TEXT');
+    addColumnIfMissing(db, 'history', 'stderr', 'TEXT');
+    addColumnIfMissing(db, 'history', 'exit_code', 'INTEGER');
+    addColumnIfMissing(db, 'history', 'signal', 'TEXT');
+    addColumnIfMissing(db, 'history', 'cwd', 'TEXT');
+    addColumnIfMissing(db, 'history', 'duration_ms', 'INTEGER');
+    addColumnIfMissing(db, 'history', 'output_truncated', 'INTEGER DEFAULT 0');
+    addColumnIfMissing(db, 'history', 'timed_out', 'INTEGER DEFAULT 0');
 
     // Create context table
     db.exec(`
@@ -57,21 +130,224 @@ function runMigrations() {
         FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
       );
     `);
+    // Token breakdown of the request that produced an AI message (src/services/contextService.js)
+    addColumnIfMissing(db, 'chat_history', 'context_usage', 'TEXT');
+
+    // Rolling summary of a chat session's older messages, which no longer fit the context
+    // window; it covers the messages up to through_message_id
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_summaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        chat_session_id INTEGER,
+        summary TEXT NOT NULL,
+        through_message_id INTEGER NOT NULL,
+        message_count INTEGER NOT NULL,
+        model TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (server_id, chat_session_id),
+        FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Per-server command policy; pattern lists and maintenance windows are JSON arrays
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS server_policies (
+        server_id INTEGER PRIMARY KEY,
+        read_only INTEGER DEFAULT 0,
+        forbid_sudo INTEGER DEFAULT 0,
+        allow_patterns TEXT,
+        deny_patterns TEXT,
+        maintenance_windows TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Commands refused by a server policy
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_violations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        command TEXT NOT NULL,
+        source TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Append-only, hash-chained record of every command sent to a server. No foreign key:
+    // entries outlive the server, which is why they carry a snapshot of it.
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        source TEXT NOT NULL,
+        user TEXT,
+        server_id INTEGER,
+        server_snapshot TEXT,
+        command TEXT NOT NULL,
+        result TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL UNIQUE
+      );
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP
+      )
+    `);
+
+    // Only a hash of each session token is stored
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Account role: admin (every server, user management), operator (may add servers) or viewer
+    addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'viewer'");
+    // Accounts created before roles existed: the first one administers the rest
+    db.exec(`
+      UPDATE users SET role = 'admin'
+      WHERE id = (SELECT MIN(id) FROM users)
+        AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+    `);
+
+    // What a user may do on a server they do not administer through their account role
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS server_grants (
+        server_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (server_id, user_id),
+        FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // AI agent runs (src/services/aiService.js runAgent) and the commands each one asked for.
+    // status: running, awaiting_approval, completed, step_limit, stopped or failed.
+    // Each step keeps the model reply that asked for the command and what came of it.
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS agent_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        server_id INTEGER NOT NULL,
+        chat_session_id INTEGER,
+        user_message_id INTEGER,
+        model TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        with_terminal_context INTEGER DEFAULT 0,
+        status TEXT NOT NULL,
+        max_steps INTEGER NOT NULL,
+        step_timeout_ms INTEGER NOT NULL,
+        step_count INTEGER NOT NULL DEFAULT 0,
+        final_response TEXT,
+        error TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+      );
+    `);
+
+    // status: pending (waiting for approval), running, completed, blocked, rejected or failed
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS agent_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        step INTEGER NOT NULL,
+        response TEXT NOT NULL,
+        command TEXT NOT NULL,
+        reason TEXT,
+        change_reason TEXT,
+        risk_level TEXT,
+        status TEXT NOT NULL,
+        decided_by TEXT,
+        exit_code INTEGER,
+        signal TEXT,
+        output TEXT,
+        output_truncated INTEGER DEFAULT 0,
+        timed_out INTEGER DEFAULT 0,
+        duration_ms INTEGER,
+        history_id INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME,
+        FOREIGN KEY (run_id) REFERENCES agent_runs(id) ON DELETE CASCADE
+      );
+    `);
+
+    // AI responses that did not match the schema they were asked for (src/services/aiOutputService.js).
+    // source: chat, agent or terminal-suggestion. errors is a JSON array; repaired is set
+    // when a later attempt at the same request did match.
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_output_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        server_id INTEGER,
+        chat_session_id INTEGER,
+        model TEXT,
+        schema_name TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        response TEXT,
+        errors TEXT NOT NULL,
+        repaired INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
 
     // Add indexes
     db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_server_grants_user_id ON server_grants(user_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_server_id ON audit_log(server_id);
+      CREATE INDEX IF NOT EXISTS idx_policy_violations_server_id ON policy_violations(server_id);
       CREATE INDEX IF NOT EXISTS idx_history_server_id ON history(server_id);
       CREATE INDEX IF NOT EXISTS idx_history_chat_session ON history(chat_session_id);
       CREATE INDEX IF NOT EXISTS idx_chat_history_server_id ON chat_history(server_id);
       CREATE INDEX IF NOT EXISTS idx_chat_history_chat_session ON chat_history(chat_session_id);
       CREATE INDEX IF NOT EXISTS idx_chat_history_created_at ON chat_history(created_at);
+      CREATE INDEX IF NOT EXISTS idx_agent_runs_session ON agent_runs(server_id, chat_session_id);
+      CREATE INDEX IF NOT EXISTS idx_agent_steps_run_id ON agent_steps(run_id);
+      CREATE INDEX IF NOT EXISTS idx_ai_output_failures_server_id ON ai_output_failures(server_id);
     `);
 
-    console.log('[MIGRATIONS] Database migrations completed successfully.');
+    if (encryptCredentials) encryptStoredCredentials(db);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
   } catch (error) {
     console.error('[MIGRATIONS] Error running migrations:', error);
     throw error;
   }
 }
 
-module.exports = { runMigrations }; 
\ No newline at end of file
+function runMigrations() {
+  console.log('[MIGRATIONS] Starting database migrations...');
+  const db = new Database(path.join(__dirname, 'sshfix.db'));
+  migrateDatabase(db);
+  console.log('[MIGRATIONS] Database migrations completed successfully.');
+}
+
+module.exports = { SCHEMA_VERSION, migrateDatabase, runMigrations }; 
\ No newline at end of file
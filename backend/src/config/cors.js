@@ -0,0 +1,32 @@
+// Browser origins allowed to call the API and open terminals, from CORS_ORIGINS
+// (comma-separated). Defaults to the Vite dev server.
+const DEFAULT_ORIGINS = ['http://localhost:5173'];
+
+function getAllowedOrigins() {
+  const configured = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_ORIGINS;
+}
+
+// host: the request's Host header; pages served by the backend itself are same-origin
+function isAllowedOrigin(origin, host = null) {
+  if (!origin) return true;
+  if (getAllowedOrigins().includes(origin)) return true;
+  try {
+    return host !== null && new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// Credentials are allowed so the session cookie is sent from the frontend's origin.
+// Content-Disposition carries the file name of backup downloads.
+const corsOptions = {
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+  credentials: true,
+  exposedHeaders: ['Content-Disposition']
+};
+
+module.exports = { getAllowedOrigins, isAllowedOrigin, corsOptions };
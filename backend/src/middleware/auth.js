@@ -0,0 +1,40 @@
+const authService = require('../services/authService');
+const accessService = require('../services/accessService');
+
+// Rejects requests without a valid session with 401; sets req.user otherwise
+function requireAuth(req, res, next) {
+  const user = authService.authenticateRequest(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = user;
+  next();
+}
+
+// Rejects with 403 unless the user has at least `role` on the server named by
+// getServerId(req) (the :id route parameter by default). Runs after requireAuth.
+function requireServerRole(role, getServerId = req => req.params.id) {
+  return (req, res, next) => {
+    const serverId = getServerId(req);
+    if (serverId === undefined || serverId === null || serverId === '') {
+      return res.status(400).json({ error: 'serverId is required' });
+    }
+    try {
+      accessService.assertServerRole(req.user, serverId, role);
+    } catch (error) {
+      if (error.code !== accessService.ACCESS_DENIED) return next(error);
+      return res.status(403).json({ error: error.message });
+    }
+    next();
+  };
+}
+
+// Rejects with 403 unless the account itself is an admin
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this' });
+  }
+  next();
+}
+
+module.exports = { requireAuth, requireServerRole, requireAdmin };
@@ -0,0 +1,83 @@
+const db = require('../config/database');
+
+// Columns updateRun/updateStep may set
+const RUN_FIELDS = ['status', 'step_count', 'final_response', 'error'];
+const STEP_FIELDS = ['status', 'decided_by', 'exit_code', 'signal', 'output', 'output_truncated', 'timed_out', 'duration_ms', 'history_id', 'error'];
+
+// `SET` clause and its parameters for the allowed columns in fields
+function assignments(fields, allowed) {
+  const columns = Object.keys(fields).filter(column => allowed.includes(column));
+  return {
+    sql: columns.map(column => `${column} = @${column}`).join(', '),
+    params: Object.fromEntries(columns.map(column => [column, fields[column]]))
+  };
+}
+
+class AgentRepository {
+  createRun({ serverId, chatSessionId, userMessageId, model, prompt, withTerminalContext, maxSteps, stepTimeoutMs, createdBy }) {
+    const info = db.prepare(`
+      INSERT INTO agent_runs (server_id, chat_session_id, user_message_id, model, prompt, with_terminal_context, status, max_steps, step_timeout_ms, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, 'running', ?, ?, ?)
+    `).run(serverId, chatSessionId, userMessageId, model, prompt, withTerminalContext ? 1 : 0, maxSteps, stepTimeoutMs, createdBy);
+    return this.getRun(info.lastInsertRowid);
+  }
+
+  getRun(runId) {
+    return db.prepare('SELECT * FROM agent_runs WHERE id = ?').get(runId);
+  }
+
+  // Returns the updated run
+  updateRun(runId, fields) {
+    const { sql, params } = assignments(fields, RUN_FIELDS);
+    db.prepare(`UPDATE agent_runs SET ${sql}, updated_at = CURRENT_TIMESTAMP WHERE id = @id`).run({ ...params, id: runId });
+    return this.getRun(runId);
+  }
+
+  // Oldest first, each with its steps
+  listRuns(serverId, chatSessionId) {
+    return db.prepare('SELECT * FROM agent_runs WHERE server_id = ? AND chat_session_id = ? ORDER BY id ASC')
+      .all(serverId, chatSessionId)
+      .map(run => ({ ...run, steps: this.getSteps(run.id) }));
+  }
+
+  getSteps(runId) {
+    return db.prepare('SELECT * FROM agent_steps WHERE run_id = ? ORDER BY step ASC').all(runId);
+  }
+
+  getStep(stepId) {
+    return db.prepare('SELECT * FROM agent_steps WHERE id = ?').get(stepId);
+  }
+
+  addStep(runId, { step, response, command, reason, changeReason, riskLevel, status }) {
+    const info = db.prepare(`
+      INSERT INTO agent_steps (run_id, step, response, command, reason, change_reason, risk_level, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(runId, step, response, command, reason, changeReason, riskLevel, status);
+    return this.getStep(info.lastInsertRowid);
+  }
+
+  // Returns the updated step. finished stamps finished_at.
+  updateStep(stepId, fields, { finished = false } = {}) {
+    const { sql, params } = assignments(fields, STEP_FIELDS);
+    const sets = [sql, finished ? 'finished_at = CURRENT_TIMESTAMP' : ''].filter(Boolean).join(', ');
+    if (sets) db.prepare(`UPDATE agent_steps SET ${sets} WHERE id = @id`).run({ ...params, id: stepId });
+    return this.getStep(stepId);
+  }
+
+  // Runs that were still going when the backend stopped cannot continue; marks them stopped
+  stopInterruptedRuns() {
+    return db.transaction(() => {
+      db.prepare(`UPDATE agent_steps SET status = 'failed', error = 'Interrupted by a backend restart', finished_at = CURRENT_TIMESTAMP WHERE status = 'running'`).run();
+      return db.prepare(`UPDATE agent_runs SET status = 'stopped', error = 'Interrupted by a backend restart', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'`).run().changes;
+    })();
+  }
+
+  // Moves a step out of 'pending'; false if it is not pending (anymore), so two decisions
+  // on the same step cannot both go through
+  decidePendingStep(runId, stepId, status, decidedBy) {
+    return db.prepare(`UPDATE agent_steps SET status = ?, decided_by = ? WHERE id = ? AND run_id = ? AND status = 'pending'`)
+      .run(status, decidedBy, stepId, runId).changes === 1;
+  }
+}
+
+module.exports = new AgentRepository();
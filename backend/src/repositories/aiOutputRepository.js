@@ -0,0 +1,44 @@
+const db = require('../config/database');
+
+// errors is stored as JSON; rows leave the repository with an array
+function withErrors(row) {
+  return row && { ...row, errors: JSON.parse(row.errors) };
+}
+
+class AIOutputRepository {
+  // Returns the new row's id
+  recordFailure({ source, serverId, chatSessionId, model, schemaName, attempt, response, errors }) {
+    const info = db.prepare(`
+      INSERT INTO ai_output_failures (source, server_id, chat_session_id, model, schema_name, attempt, response, errors)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(source, serverId ?? null, chatSessionId ?? null, model ?? null, schemaName, attempt, response ?? null, JSON.stringify(errors));
+    return info.lastInsertRowid;
+  }
+
+  markRepaired(ids) {
+    const mark = db.prepare('UPDATE ai_output_failures SET repaired = 1 WHERE id = ?');
+    db.transaction(() => ids.forEach(id => mark.run(id)))();
+  }
+
+  // filters: { serverId, source, beforeId, limit }; newest first
+  listFailures({ serverId = null, source = null, beforeId = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (serverId !== null) {
+      conditions.push('server_id = ?');
+      params.push(serverId);
+    }
+    if (source !== null) {
+      conditions.push('source = ?');
+      params.push(source);
+    }
+    if (beforeId !== null) {
+      conditions.push('id < ?');
+      params.push(beforeId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM ai_output_failures ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit).map(withErrors);
+  }
+}
+
+module.exports = new AIOutputRepository();
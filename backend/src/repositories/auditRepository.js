@@ -0,0 +1,45 @@
+const db = require('../config/database');
+
+const COLUMNS = 'id, created_at, source, user, server_id, server_snapshot, command, result, prev_hash, hash';
+
+class AuditRepository {
+  // Runs fn(lastEntry) and inserts the entry it returns in one transaction, so two
+  // writers cannot chain onto the same previous entry
+  appendEntry(buildEntry) {
+    return db.transaction(() => {
+      const last = db.prepare('SELECT id, hash FROM audit_log ORDER BY id DESC LIMIT 1').get() || null;
+      const entry = buildEntry(last);
+      db.prepare(`
+        INSERT INTO audit_log (${COLUMNS})
+        VALUES (@id, @created_at, @source, @user, @server_id, @server_snapshot, @command, @result, @prev_hash, @hash)
+      `).run(entry);
+      return entry;
+    }).immediate();
+  }
+
+  // filters: { serverId, beforeId, limit }; newest first
+  listEntries({ serverId = null, beforeId = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (serverId !== null) {
+      conditions.push('server_id = ?');
+      params.push(serverId);
+    }
+    if (beforeId !== null) {
+      conditions.push('id < ?');
+      params.push(beforeId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT ${COLUMNS} FROM audit_log ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+  }
+
+  // Oldest first, without loading the whole table
+  iterateEntries(serverId = null) {
+    if (serverId !== null) {
+      return db.prepare(`SELECT ${COLUMNS} FROM audit_log WHERE server_id = ? ORDER BY id ASC`).iterate(serverId);
+    }
+    return db.prepare(`SELECT ${COLUMNS} FROM audit_log ORDER BY id ASC`).iterate();
+  }
+}
+
+module.exports = new AuditRepository();
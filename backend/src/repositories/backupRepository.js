@@ -0,0 +1,194 @@
+const Database = require('better-sqlite3');
+const db = require('../config/database');
+const { SCHEMA_VERSION, migrateDatabase } = require('../../migrations');
+
+// Tables a backup contains, parents first. Accounts, sessions, grants, policy violations and
+// the audit log stay out: they belong to this installation.
+const BACKUP_TABLES = ['servers', 'server_policies', 'context', 'history', 'chat_history'];
+const SECRET_COLUMNS = ['password', 'privateKey', 'passphrase'];
+// Tables whose rows belong to a server through server_id
+const SERVER_TABLES = ['server_policies', 'context', 'history', 'chat_history'];
+
+const INVALID_BACKUP = 'INVALID_BACKUP';
+
+function invalidBackup(message) {
+  const error = new Error(message);
+  error.code = INVALID_BACKUP;
+  return error;
+}
+
+const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+
+function tableColumns(database, table) {
+  return database.prepare(`PRAGMA table_info(${quote(table)})`).all().map(column => column.name);
+}
+
+function insertRow(database, table, row, columns) {
+  const names = columns.filter(column => column in row);
+  const info = database
+    .prepare(`INSERT INTO ${quote(table)} (${names.map(quote).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`)
+    .run(...names.map(column => row[column]));
+  return Number(info.lastInsertRowid);
+}
+
+class BackupRepository {
+  // Rows of every backed-up table, plus the CREATE TABLE statements they were read with.
+  // Server credentials are returned as stored (vault-encrypted).
+  exportTables() {
+    const schema = {};
+    for (const { name, sql } of db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name IN (${BACKUP_TABLES.map(() => '?').join(', ')})`).all(...BACKUP_TABLES)) {
+      schema[name] = sql;
+    }
+    const tables = Object.fromEntries(BACKUP_TABLES.map(table => [table, db.prepare(`SELECT * FROM ${quote(table)} ORDER BY rowid`).all()]));
+    return { schemaVersion: db.pragma('user_version', { simple: true }), schema, tables };
+  }
+
+  // Loads tables exported with an older (or the same) schema into an in-memory database
+  // created from their own CREATE TABLE statements, runs the migrations on it and returns
+  // the rows in the current schema. Throws with code INVALID_BACKUP on malformed input.
+  upgradeTables(schema, tables) {
+    const scratch = new Database(':memory:');
+    try {
+      for (const table of BACKUP_TABLES) {
+        const sql = schema[table];
+        // Tables the backup predates are created by the migrations
+        if (!sql) continue;
+        if (typeof sql !== 'string' || !/^CREATE TABLE/i.test(sql.trim())) {
+          throw invalidBackup(`Invalid schema for table ${table}`);
+        }
+        try {
+          // prepare() refuses anything but a single statement
+          scratch.prepare(sql).run();
+          const columns = tableColumns(scratch, table);
+          for (const row of tables[table] || []) insertRow(scratch, table, row, columns);
+        } catch (error) {
+          throw invalidBackup(`Invalid data for table ${table}: ${error.message}`);
+        }
+      }
+      migrateDatabase(scratch, { encryptCredentials: false });
+      return Object.fromEntries(BACKUP_TABLES.map(table => [table, scratch.prepare(`SELECT * FROM ${quote(table)} ORDER BY rowid`).all()]));
+    } finally {
+      scratch.close();
+    }
+  }
+
+  // Writes upgraded tables into the app database in one transaction.
+  //   replace  deletes every server (with its history, chat, context, policy, violations and
+  //            grants) first, then restores the servers under new ids, so audit log entries
+  //            of the deleted servers never point at a restored one. Grants on a server that
+  //            comes back (same host and username) are kept; the others are reported as dropped
+  //   merge    keeps what exists: a server with the same host and username is not changed,
+  //            but receives the context keys, history and chat messages it does not have yet;
+  //            other servers are added under new ids
+  // secretsFor(backupServerId) returns the vault-encrypted { password, privateKey, passphrase }.
+  // Returns { serverIds (Map backup id -> id), removedServerIds, counts, warnings }.
+  restoreTables(tables, { mode, secretsFor }) {
+    const counts = { serversAdded: 0, serversMerged: 0, policies: 0, context: 0, history: 0, chatMessages: 0 };
+    const warnings = [];
+    const serverIds = new Map();
+    const merged = new Set();
+    let removedServerIds = [];
+    let grants = [];
+
+    db.transaction(() => {
+      if (mode === 'replace') {
+        removedServerIds = db.prepare('SELECT id FROM servers').all().map(row => row.id);
+        grants = db.prepare(`
+          SELECT g.user_id, g.role, g.created_at, s.name, s.host, s.username
+          FROM server_grants g
+          JOIN servers s ON s.id = g.server_id
+          ORDER BY g.rowid
+        `).all();
+        for (const table of [...SERVER_TABLES, 'policy_violations', 'server_grants', 'chat_summaries', 'ai_output_failures', 'agent_steps', 'agent_runs', 'servers']) {
+          db.prepare(`DELETE FROM ${quote(table)}`).run();
+        }
+      }
+
+      const serverColumns = tableColumns(db, 'servers');
+      const findServer = db.prepare('SELECT id FROM servers WHERE host = ? AND username = ?');
+      for (const server of tables.servers) {
+        const existing = mode === 'merge' ? findServer.get(server.host, server.username) : null;
+        if (existing) {
+          serverIds.set(server.id, existing.id);
+          merged.add(existing.id);
+          counts.serversMerged++;
+          continue;
+        }
+        const row = { ...server, ...secretsFor(server.id), jump_server_id: null };
+        delete row.id;
+        serverIds.set(server.id, insertRow(db, 'servers', row, serverColumns));
+        counts.serversAdded++;
+      }
+
+      // Jump hosts once every server has its id
+      const setJump = db.prepare('UPDATE servers SET jump_server_id = ? WHERE id = ?');
+      for (const server of tables.servers) {
+        const id = serverIds.get(server.id);
+        if (!server.jump_server_id || merged.has(id)) continue;
+        if (serverIds.has(server.jump_server_id)) {
+          setJump.run(serverIds.get(server.jump_server_id), id);
+        } else {
+          warnings.push(`${server.name}: its jump host is not in the backup and was removed`);
+        }
+      }
+
+      const existsQueries = {
+        server_policies: db.prepare('SELECT 1 FROM server_policies WHERE server_id = ?'),
+        context: db.prepare('SELECT 1 FROM context WHERE server_id = ? AND key = ?'),
+        history: db.prepare('SELECT 1 FROM history WHERE server_id = ? AND command = ? AND created_at IS ?'),
+        chat_history: db.prepare('SELECT 1 FROM chat_history WHERE server_id = ? AND chat_session_id IS ? AND role = ? AND message = ? AND created_at IS ?')
+      };
+      const existsArgs = {
+        server_policies: row => [row.server_id],
+        context: row => [row.server_id, row.key],
+        history: row => [row.server_id, row.command, row.created_at],
+        chat_history: row => [row.server_id, row.chat_session_id, row.role, row.message, row.created_at]
+      };
+      const countKeys = { server_policies: 'policies', context: 'context', history: 'history', chat_history: 'chatMessages' };
+      for (const table of SERVER_TABLES) {
+        const columns = tableColumns(db, table);
+        let orphans = 0;
+        for (const source of tables[table]) {
+          if (!serverIds.has(source.server_id)) {
+            orphans++;
+            continue;
+          }
+          const row = { ...source, server_id: serverIds.get(source.server_id) };
+          delete row.id;
+          if (merged.has(row.server_id) && existsQueries[table].get(...existsArgs[table](row))) continue;
+          insertRow(db, table, row, columns);
+          counts[countKeys[table]]++;
+        }
+        if (orphans > 0) warnings.push(`Skipped ${orphans} ${table} rows of servers missing from the backup`);
+      }
+
+      // Grants follow their server to its new id
+      const restoredIds = new Map();
+      for (const server of tables.servers) {
+        const key = `${server.host}\0${server.username}`;
+        if (!restoredIds.has(key)) restoredIds.set(key, serverIds.get(server.id));
+      }
+      const addGrant = db.prepare('INSERT INTO server_grants (server_id, user_id, role, created_at) VALUES (?, ?, ?, ?)');
+      const dropped = new Map();
+      for (const grant of grants) {
+        const serverId = restoredIds.get(`${grant.host}\0${grant.username}`);
+        if (serverId) {
+          addGrant.run(serverId, grant.user_id, grant.role, grant.created_at);
+        } else {
+          dropped.set(grant.name, (dropped.get(grant.name) || 0) + 1);
+        }
+      }
+      for (const [name, count] of dropped) {
+        warnings.push(`${name}: not in the backup, ${count} user grant${count === 1 ? ' was' : 's were'} removed`);
+      }
+    }).immediate();
+
+    return { serverIds, removedServerIds, counts, warnings };
+  }
+}
+
+module.exports = new BackupRepository();
+module.exports.INVALID_BACKUP = INVALID_BACKUP;
+module.exports.BACKUP_TABLES = BACKUP_TABLES;
+module.exports.SECRET_COLUMNS = SECRET_COLUMNS;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -2,7 +2,7 @@ const db = require('../config/database');
 
 class ChatRepository {
   getChatHistory(serverId, sessionId, date = null) {
-    let query = `SELECT id, role, message, created_at, ai_request_context FROM chat_history WHERE server_id = ? AND chat_session_id = ?`;
+    let query = `SELECT id, role, message, created_at, ai_request_context, context_usage FROM chat_history WHERE server_id = ? AND chat_session_id = ?`;
     const params = [serverId, sessionId];
 
     if (date) {
@@ -20,9 +20,10 @@ class ChatRepository {
     return { id: info.lastInsertRowid };
   }
 
-  addAIMessage(serverId, message, chatSessionId, aiRequestContext) {
-    const stmt = db.prepare('INSERT INTO chat_history (server_id, role, message, chat_session_id, ai_request_context) VALUES (?, ?, ?, ?, ?)');
-    const info = stmt.run(serverId, 'ai', message, chatSessionId, aiRequestContext);
+  // contextUsage is the token breakdown of the request (contextService.build), as JSON
+  addAIMessage(serverId, message, chatSessionId, aiRequestContext, contextUsage = null) {
+    const stmt = db.prepare('INSERT INTO chat_history (server_id, role, message, chat_session_id, ai_request_context, context_usage) VALUES (?, ?, ?, ?, ?, ?)');
+    const info = stmt.run(serverId, 'ai', message, chatSessionId, aiRequestContext, contextUsage);
     return { id: info.lastInsertRowid };
   }
 
@@ -31,9 +32,9 @@ class ChatRepository {
       .run(message, messageId, 'user', serverId, chatSessionId);
   }
 
-  updateAIMessage(messageId, serverId, message, chatSessionId, aiRequestContext) {
-    return db.prepare('UPDATE chat_history SET message = ?, ai_request_context = ? WHERE id = ? AND role = ? AND server_id = ? AND chat_session_id = ?')
-      .run(message, aiRequestContext, messageId, 'ai', serverId, chatSessionId);
+  updateAIMessage(messageId, serverId, message, chatSessionId, aiRequestContext, contextUsage = null) {
+    return db.prepare('UPDATE chat_history SET message = ?, ai_request_context = ?, context_usage = ? WHERE id = ? AND role = ? AND server_id = ? AND chat_session_id = ?')
+      .run(message, aiRequestContext, contextUsage, messageId, 'ai', serverId, chatSessionId);
   }
 
   getNextAIMessage(messageId, serverId, chatSessionId) {
@@ -42,6 +43,25 @@ class ChatRepository {
     ).get(serverId, chatSessionId, 'ai', messageId);
   }
 
+  // The rolling summary of a session's older messages, or undefined
+  getSummary(serverId, chatSessionId) {
+    return db.prepare('SELECT * FROM chat_summaries WHERE server_id = ? AND chat_session_id = ?').get(serverId, chatSessionId);
+  }
+
+  saveSummary(serverId, chatSessionId, { summary, throughMessageId, messageCount, model }) {
+    db.prepare(`
+      INSERT INTO chat_summaries (server_id, chat_session_id, summary, through_message_id, message_count, model)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(server_id, chat_session_id) DO UPDATE SET
+        summary = excluded.summary,
+        through_message_id = excluded.through_message_id,
+        message_count = excluded.message_count,
+        model = excluded.model,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(serverId, chatSessionId, summary, throughMessageId, messageCount, model);
+    return this.getSummary(serverId, chatSessionId);
+  }
+
   getChatSessions(serverId) {
     return db.prepare(`
       SELECT DISTINCT 
@@ -1,5 +1,12 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const credentialVault = require('../services/credentialVault');
+const { parseTags } = require('../utils/serverTags');
+
+// servers.tags is stored as JSON; rows leave the repository with an array
+function withTags(server) {
+  return server && { ...server, tags: parseTags(server.tags) };
+}
 
 class ServerRepository {
   constructor() {
@@ -47,16 +54,22 @@ class ServerRepository {
 
   getServer(serverId) {
     try {
-      return this.db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+      return withTags(this.db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId));
     } catch (error) {
       console.error('[ServerRepository] Error getting server:', error);
       throw error;
     }
   }
 
-  checkServerExists(host, username) {
+  // Only for code that actually opens SSH connections; API responses must use getServer + redaction
+  getServerWithCredentials(serverId) {
+    return credentialVault.decryptServer(this.getServer(serverId));
+  }
+
+  // excludeId skips the server being edited
+  checkServerExists(host, username, excludeId = null) {
     try {
-      const server = this.db.prepare('SELECT * FROM servers WHERE host = ? AND username = ?').get(host, username);
+      const server = this.db.prepare('SELECT * FROM servers WHERE host = ? AND username = ? AND id IS NOT ?').get(host, username, excludeId === null ? null : Number(excludeId));
       return !!server;
     } catch (error) {
       console.error('[ServerRepository] Error checking server existence:', error);
@@ -64,7 +77,7 @@ class ServerRepository {
     }
   }
 
-  addServer(name, host, port, username, password, privateKey) {
+  addServer(name, host, port, username, password, privateKey, passphrase = null, jumpServerId = null, commandTimeoutMs = null, tags = []) {
     try {
       // Check if server with same host and username already exists
       const exists = this.checkServerExists(host, username);
@@ -72,8 +85,9 @@ class ServerRepository {
         throw new Error('Server with this host and username already exists');
       }
 
-      const stmt = this.db.prepare('INSERT INTO servers (name, host, port, username, password, privateKey) VALUES (?, ?, ?, ?, ?, ?)');
-      const info = stmt.run(name, host, port || 22, username, password, privateKey);
+      const secrets = credentialVault.encryptSecrets({ password, privateKey, passphrase });
+      const stmt = this.db.prepare('INSERT INTO servers (name, host, port, username, password, privateKey, passphrase, jump_server_id, command_timeout_ms, tags) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+      const info = stmt.run(name, host, port || 22, username, secrets.password, secrets.privateKey, secrets.passphrase, jumpServerId, commandTimeoutMs, JSON.stringify(tags));
       return info.lastInsertRowid;
     } catch (error) {
       console.error('[ServerRepository] Error adding server:', error);
@@ -81,6 +95,60 @@ class ServerRepository {
     }
   }
 
+  // Only the fields present in `changes` are written. Secrets left undefined keep their stored
+  // value; null or '' removes them. changes: { name, host, port, username, password, privateKey,
+  // passphrase, jumpServerId, commandTimeoutMs, tags }
+  updateServer(serverId, changes) {
+    try {
+      const columns = {
+        name: 'name',
+        host: 'host',
+        port: 'port',
+        username: 'username',
+        password: 'password',
+        privateKey: 'privateKey',
+        passphrase: 'passphrase',
+        jumpServerId: 'jump_server_id',
+        commandTimeoutMs: 'command_timeout_ms',
+        tags: 'tags'
+      };
+      const secrets = credentialVault.encryptSecrets(
+        Object.fromEntries(['password', 'privateKey', 'passphrase'].filter(field => changes[field] !== undefined).map(field => [field, changes[field]]))
+      );
+      const values = { ...changes, ...secrets, tags: changes.tags && JSON.stringify(changes.tags) };
+      const fields = Object.keys(columns).filter(field => values[field] !== undefined);
+      if (fields.length === 0) return false;
+
+      this.db.prepare(`UPDATE servers SET ${fields.map(field => `${columns[field]} = ?`).join(', ')} WHERE id = ?`)
+        .run(...fields.map(field => values[field]), serverId);
+      return true;
+    } catch (error) {
+      console.error('[ServerRepository] Error updating server:', error);
+      throw error;
+    }
+  }
+
+  setHostKey(serverId, fingerprint, type = null) {
+    try {
+      this.db.prepare('UPDATE servers SET host_key_fingerprint = ?, host_key_type = ? WHERE id = ?')
+        .run(fingerprint, type, serverId);
+      return true;
+    } catch (error) {
+      console.error('[ServerRepository] Error setting host key:', error);
+      throw error;
+    }
+  }
+
+  // Servers that connect through this one as their jump host
+  getServersUsingJumpHost(serverId) {
+    try {
+      return this.db.prepare('SELECT id, name FROM servers WHERE jump_server_id = ?').all(serverId);
+    } catch (error) {
+      console.error('[ServerRepository] Error getting servers using jump host:', error);
+      throw error;
+    }
+  }
+
   deleteServer(serverId) {
     try {
       this.db.prepare('DELETE FROM servers WHERE id = ?').run(serverId);
@@ -93,14 +161,16 @@ class ServerRepository {
 
   listServers() {
     try {
-      return this.db.prepare('SELECT * FROM servers').all();
+      return this.db.prepare('SELECT * FROM servers').all().map(withTags);
     } catch (error) {
       console.error('[ServerRepository] Error listing servers:', error);
       throw error;
     }
   }
 
-  addHistory(serverId, command, output, chatSessionId = null) {
+  // details: { stdout, stderr, exitCode, signal, cwd, durationMs, truncated, timedOut }, whichever are known.
+  // `output` stays the combined text; stdout/stderr are only separate for non-PTY execution.
+  addHistory(serverId, command, output, chatSessionId = null, details = {}) {
     try {
       // If no chat session ID is provided, try to get the current session
       let sessionId = chatSessionId;
@@ -111,8 +181,24 @@ class ServerRepository {
       }
       
       // Insert the history entry with the session ID
-      const stmt = this.db.prepare('INSERT INTO history (server_id, command, output, chat_session_id) VALUES (?, ?, ?, ?)');
-      const info = stmt.run(serverId, command, output, sessionId);
+      const stmt = this.db.prepare(`
+        INSERT INTO history (server_id, command, output, chat_session_id, stdout, stderr, exit_code, signal, cwd, duration_ms, output_truncated, timed_out)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const info = stmt.run(
+        serverId,
+        command,
+        output,
+        sessionId,
+        details.stdout ?? null,
+        details.stderr ?? null,
+        details.exitCode ?? null,
+        details.signal ?? null,
+        details.cwd ?? null,
+        details.durationMs ?? null,
+        details.truncated ? 1 : 0,
+        details.timedOut ? 1 : 0
+      );
       
       console.log('[ServerRepository] Added history with ID:', info.lastInsertRowid, 'and session ID:', sessionId);
       return info.lastInsertRowid;
@@ -124,7 +210,7 @@ class ServerRepository {
 
   getHistory(serverId) {
     try {
-      return this.db.prepare('SELECT id, server_id, command, output, created_at, chat_session_id FROM history WHERE server_id = ? ORDER BY created_at DESC').all(serverId);
+      return this.db.prepare('SELECT id, server_id, command, output, stdout, stderr, exit_code, signal, cwd, duration_ms, output_truncated, timed_out, created_at, chat_session_id FROM history WHERE server_id = ? ORDER BY created_at DESC').all(serverId);
     } catch (error) {
       console.error('[ServerRepository] Error getting history:', error);
       throw error;
@@ -133,7 +219,7 @@ class ServerRepository {
 
   getServerHistory(serverId) {
     try {
-      return this.db.prepare('SELECT id, server_id, command, output, created_at, chat_session_id FROM history WHERE server_id = ? ORDER BY created_at DESC').all(serverId);
+      return this.db.prepare('SELECT id, server_id, command, output, stdout, stderr, exit_code, signal, cwd, duration_ms, output_truncated, timed_out, created_at, chat_session_id FROM history WHERE server_id = ? ORDER BY created_at DESC').all(serverId);
     } catch (error) {
       console.error('[ServerRepository] Error getting server history:', error);
       throw error;
@@ -160,6 +246,64 @@ class ServerRepository {
     }
   }
 
+  getServerPolicy(serverId) {
+    try {
+      return this.db.prepare('SELECT * FROM server_policies WHERE server_id = ?').get(serverId);
+    } catch (error) {
+      console.error('[ServerRepository] Error getting server policy:', error);
+      throw error;
+    }
+  }
+
+  // policy: { readOnly, forbidSudo, allowPatterns, denyPatterns, maintenanceWindows }, already validated
+  saveServerPolicy(serverId, policy) {
+    try {
+      this.db.prepare(`
+        INSERT INTO server_policies (server_id, read_only, forbid_sudo, allow_patterns, deny_patterns, maintenance_windows, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(server_id) DO UPDATE SET
+          read_only = excluded.read_only,
+          forbid_sudo = excluded.forbid_sudo,
+          allow_patterns = excluded.allow_patterns,
+          deny_patterns = excluded.deny_patterns,
+          maintenance_windows = excluded.maintenance_windows,
+          updated_at = excluded.updated_at
+      `).run(
+        serverId,
+        policy.readOnly ? 1 : 0,
+        policy.forbidSudo ? 1 : 0,
+        JSON.stringify(policy.allowPatterns),
+        JSON.stringify(policy.denyPatterns),
+        JSON.stringify(policy.maintenanceWindows)
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('[ServerRepository] Error saving server policy:', error);
+      throw error;
+    }
+  }
+
+  addPolicyViolation(serverId, command, source, rule, reason) {
+    try {
+      const info = this.db.prepare('INSERT INTO policy_violations (server_id, command, source, rule, reason) VALUES (?, ?, ?, ?, ?)')
+        .run(serverId, command, source, rule, reason);
+      return info.lastInsertRowid;
+    } catch (error) {
+      console.error('[ServerRepository] Error adding policy violation:', error);
+      throw error;
+    }
+  }
+
+  getPolicyViolations(serverId, limit = 100) {
+    try {
+      return this.db.prepare('SELECT id, server_id, command, source, rule, reason, created_at FROM policy_violations WHERE server_id = ? ORDER BY id DESC LIMIT ?')
+        .all(serverId, limit);
+    } catch (error) {
+      console.error('[ServerRepository] Error getting policy violations:', error);
+      throw error;
+    }
+  }
+
   getCurrentSession(serverId) {
     try {
       const result = this.db.prepare('SELECT chat_session_id FROM servers WHERE id = ?').get(serverId);
@@ -0,0 +1,104 @@
+const db = require('../config/database');
+
+class UserRepository {
+  countUsers() {
+    return db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+  }
+
+  // Includes password_hash; only for checking a login
+  getUserByUsername(username) {
+    return db.prepare('SELECT id, username, role, password_hash FROM users WHERE username = ?').get(username);
+  }
+
+  getUser(id) {
+    return db.prepare('SELECT id, username, role, created_at, last_login_at FROM users WHERE id = ?').get(id);
+  }
+
+  listUsers() {
+    return db.prepare('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username COLLATE NOCASE').all();
+  }
+
+  countAdmins() {
+    return db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'").get().count;
+  }
+
+  addUser(username, passwordHash, role) {
+    const info = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(username, passwordHash, role);
+    return info.lastInsertRowid;
+  }
+
+  updateUserRole(id, role) {
+    return db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id).changes > 0;
+  }
+
+  // Foreign keys are not enforced on this connection, so dependent rows go explicitly
+  deleteUser(id) {
+    return db.transaction(() => {
+      db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+      db.prepare('DELETE FROM server_grants WHERE user_id = ?').run(id);
+      return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    })();
+  }
+
+  updateLastLogin(id) {
+    db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+  }
+
+  addSession(userId, tokenHash, expiresAt) {
+    db.prepare('INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)').run(tokenHash, userId, expiresAt);
+  }
+
+  // The session's user, or undefined if the token is unknown or expired
+  getSessionUser(tokenHash, now) {
+    return db.prepare(`
+      SELECT u.id, u.username, u.role
+      FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `).get(tokenHash, now);
+  }
+
+  deleteSession(tokenHash) {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+  }
+
+  deleteExpiredSessions(now) {
+    db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+  }
+
+  getServerGrant(serverId, userId) {
+    return db.prepare('SELECT role FROM server_grants WHERE server_id = ? AND user_id = ?').get(serverId, userId);
+  }
+
+  listServerGrants(serverId) {
+    return db.prepare(`
+      SELECT g.user_id, u.username, u.role AS account_role, g.role, g.created_at
+      FROM server_grants g
+      JOIN users u ON u.id = g.user_id
+      WHERE g.server_id = ?
+      ORDER BY u.username COLLATE NOCASE
+    `).all(serverId);
+  }
+
+  // [{ server_id, role }] for every server shared with the user
+  listUserGrants(userId) {
+    return db.prepare('SELECT server_id, role FROM server_grants WHERE user_id = ?').all(userId);
+  }
+
+  setServerGrant(serverId, userId, role) {
+    db.prepare(`
+      INSERT INTO server_grants (server_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT(server_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(serverId, userId, role);
+  }
+
+  deleteServerGrant(serverId, userId) {
+    return db.prepare('DELETE FROM server_grants WHERE server_id = ? AND user_id = ?').run(serverId, userId).changes > 0;
+  }
+
+  deleteServerGrants(serverId) {
+    db.prepare('DELETE FROM server_grants WHERE server_id = ?').run(serverId);
+  }
+}
+
+module.exports = new UserRepository();
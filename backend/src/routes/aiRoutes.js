@@ -1,11 +1,106 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/aiService');
-const chatRepository = require('../repositories/chatRepository');
+const aiProviders = require('../services/aiProviders');
+const aiOutputService = require('../services/aiOutputService');
+const accessService = require('../services/accessService');
 const upload = require('../config/multer');
 const { v4: uuidv4 } = require('uuid');
+const { requireServerRole } = require('../middleware/auth');
+const { analyzeCommand } = require('../utils/commandRisk');
 
-// Get available AI models
+// The fields POST / and POST /stream require; returns the problem, if any
+function validateAIRequest({ prompt, model, serverId } = {}) {
+  if (!prompt) return 'prompt is required';
+  if (!model) return 'model is required';
+  if (!serverId) return 'serverId is required';
+  return null;
+}
+
+const MAX_FAILURE_LIST_LIMIT = 500;
+
+function parseId(value) {
+  if (value === undefined || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+const isModelError = error => error.code === aiProviders.UNKNOWN_MODEL || error.code === aiProviders.MODEL_UNAVAILABLE;
+
+// Starts a Server-Sent Events response: { send(event, data), signal, end() }. signal is
+// aborted when the client goes away before end().
+function openEventStream(res) {
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Models can think for a while before the first token; keep proxies from timing out
+  const keepAlive = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, 15000);
+  const abort = new AbortController();
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (!res.writableFinished) abort.abort();
+  });
+
+  const end = () => {
+    clearInterval(keepAlive);
+    res.end();
+  };
+  return { send, signal: abort.signal, end };
+}
+
+const errorDetails = error => error?.response?.data?.error?.message || error?.response?.data?.error || error.message;
+
+// Checked before a stream starts so the status can still say what is wrong; false once
+// the error response has been sent
+async function checkModel(model, res) {
+  try {
+    await aiProviders.resolve(model);
+    return true;
+  } catch (error) {
+    if (isModelError(error)) {
+      res.status(400).json({ error: error.message });
+    } else {
+      console.error('Error resolving AI model:', error);
+      res.status(500).json({ error: 'Failed to process AI request', details: error.message });
+    }
+    return false;
+  }
+}
+
+// Streams an agent run; start({ onEvent, signal }) is aiService.runAgent or decideAgentStep
+async function streamAgentRun(res, start) {
+  const { send, signal, end } = openEventStream(res);
+  try {
+    const result = await start({ onEvent: send, signal });
+    send('done', result);
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('AI agent error:', error);
+      send('error', { error: 'The agent run failed', details: errorDetails(error) });
+    }
+  }
+  end();
+}
+
+// Loads :runId into req.agentRun
+function loadAgentRun(req, res, next) {
+  const run = aiService.getAgentRun(req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Agent run not found' });
+  req.agentRun = run;
+  next();
+}
+
+// Get available AI models: { providers: [{ id, label, configured, error }],
+// models: [{ id, label, provider, providerLabel, available, capabilities }] }
 router.get('/available', async (req, res) => {
   try {
     const models = await aiService.getAvailableModels();
@@ -17,7 +112,7 @@ router.get('/available', async (req, res) => {
 });
 
 // Process AI request
-router.post('/', async (req, res) => {
+router.post('/', requireServerRole('operator', req => req.body?.serverId), async (req, res) => {
   try {
     const { 
       prompt, 
@@ -31,11 +126,9 @@ router.post('/', async (req, res) => {
       messageId
     } = req.body;
 
-    // Validate required fields
-    if (!prompt) return res.status(400).json({ error: 'prompt is required' });
-    if (!model) return res.status(400).json({ error: 'model is required' });
-    if (!serverId) return res.status(400).json({ error: 'serverId is required' });
-    
+    const invalid = validateAIRequest(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+
     // Process the AI request
     const result = await aiService.processAIRequest({
       prompt,
@@ -52,6 +145,7 @@ router.post('/', async (req, res) => {
     
     res.json(result);
   } catch (error) {
+    if (isModelError(error)) return res.status(400).json({ error: error.message });
     console.error('AI processing error:', error);
     res.status(500).json({ 
       error: 'Failed to process AI request',
@@ -60,4 +154,165 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Same as POST /, streamed as Server-Sent Events:
+//   event: answer  data: { text }                          the next piece of the answer
+//   event: done    data: { response, json, context, chatSessionId }
+//                                                          the complete response, saved;
+//                                                          context is the token breakdown
+//   event: error   data: { error, details }
+// Closing the connection cancels the provider request; nothing is saved then.
+router.post('/stream', requireServerRole('operator', req => req.body?.serverId), async (req, res) => {
+  const invalid = validateAIRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { prompt, model, serverId, chatSessionId, withTerminalContext, imageUrls, edit, messageId } = req.body;
+  if (!(await checkModel(model, res))) return;
+
+  const { send, signal, end } = openEventStream(res);
+  const sessionId = chatSessionId || uuidv4();
+  try {
+    const result = await aiService.processAIRequest({
+      prompt,
+      model,
+      serverId,
+      chatSessionId: sessionId,
+      withTerminalContext,
+      systemPrompt: null,
+      imageUrls,
+      messageId,
+      edit,
+      req,
+      onAnswer: text => send('answer', { text }),
+      signal
+    });
+    send('done', { ...result, chatSessionId: sessionId });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('[AI] Streaming request cancelled by the client');
+    } else {
+      console.error('AI streaming error:', error);
+      send('error', { error: 'Failed to process AI request', details: errorDetails(error) });
+    }
+  }
+  end();
+});
+
+// Agent mode (see aiService.runAgent): the model runs read-only commands itself and asks
+// before anything else. Body: POST / fields without images or edits, plus maxSteps and
+// stepTimeoutMs. Streamed as Server-Sent Events:
+//   event: run    data: run                       the run, whenever it changes
+//   event: step   data: step                      a step, whenever it changes
+//   event: done   data: { run, response, json, context }
+//                                                 completed, stopped, or waiting for approval
+//   event: error  data: { error, details }
+// Closing the connection stops the run.
+router.post('/agent', requireServerRole('operator', req => req.body?.serverId), async (req, res) => {
+  const invalid = validateAIRequest(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { prompt, model, serverId, chatSessionId, withTerminalContext, maxSteps, stepTimeoutMs } = req.body;
+  try {
+    aiService.validateAgentOptions({ maxSteps, stepTimeoutMs });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!(await checkModel(model, res))) return;
+
+  await streamAgentRun(res, ({ onEvent, signal }) => aiService.runAgent({
+    prompt,
+    model,
+    serverId,
+    chatSessionId: chatSessionId || uuidv4(),
+    withTerminalContext,
+    maxSteps,
+    stepTimeoutMs,
+    req,
+    user: req.user.username,
+    onEvent,
+    signal
+  }));
+});
+
+// Agent runs of a chat session with their steps, oldest first
+router.get('/agent/runs', requireServerRole('viewer', req => req.query.serverId), (req, res) => {
+  if (!req.query.chatSessionId) return res.status(400).json({ error: 'chatSessionId is required' });
+  try {
+    res.json(aiService.getAgentRuns(req.query.serverId, req.query.chatSessionId));
+  } catch (error) {
+    console.error('Error listing agent runs:', error);
+    res.status(500).json({ error: 'Failed to list agent runs' });
+  }
+});
+
+router.get('/agent/:runId', loadAgentRun, requireServerRole('viewer', req => req.agentRun.server_id), (req, res) => {
+  res.json(req.agentRun);
+});
+
+// Approve (run) or decline the step a run is waiting on, then continue the run. Body:
+// { approve, confirmed }. A high-risk step is only approved with confirmed set, as with
+// POST /api/servers/:id/ssh; otherwise responds with 428 and the risk analysis. Streamed
+// like POST /agent.
+router.post('/agent/:runId/steps/:stepId/decision', loadAgentRun, requireServerRole('operator', req => req.agentRun.server_id), async (req, res) => {
+  const { approve, confirmed } = req.body || {};
+  if (typeof approve !== 'boolean') return res.status(400).json({ error: 'approve must be true or false' });
+  const run = req.agentRun;
+  const step = run.steps.find(s => s.id === Number(req.params.stepId));
+  if (!step) return res.status(404).json({ error: 'Agent step not found' });
+  if (run.status !== 'awaiting_approval' || step.status !== 'pending') {
+    return res.status(409).json({ error: 'This step is not waiting for approval' });
+  }
+  if (approve) {
+    const risk = analyzeCommand(step.command);
+    if (risk.requiresConfirmation && confirmed !== true) {
+      return res.status(428).json({ error: 'This command is high risk and needs confirmation', requiresConfirmation: true, risk });
+    }
+    if (risk.requiresConfirmation) console.warn(`[aiRoutes] Running confirmed high-risk agent command: ${step.command}`);
+  }
+  if (!(await checkModel(run.model, res))) return;
+
+  await streamAgentRun(res, ({ onEvent, signal }) => aiService.decideAgentStep(run.id, step.id, approve, {
+    req,
+    user: req.user.username,
+    onEvent,
+    signal
+  }));
+});
+
+// End a run that is waiting for approval
+router.post('/agent/:runId/stop', loadAgentRun, requireServerRole('operator', req => req.agentRun.server_id), (req, res) => {
+  try {
+    res.json(aiService.stopAgentRun(req.agentRun.id, req.user.username));
+  } catch (error) {
+    if (error.code === aiService.AGENT_RUN_NOT_WAITING) return res.status(409).json({ error: error.message });
+    console.error('Error stopping agent run:', error);
+    res.status(500).json({ error: 'Failed to stop agent run' });
+  }
+});
+
+// AI responses that did not match their schema, newest first:
+// ?serverId=&source=&beforeId=&limit=. One server's are open to anyone who can view it,
+// all of them only to admins. repaired says whether a later attempt fixed the response.
+router.get('/output-failures', (req, res) => {
+  try {
+    const serverId = parseId(req.query.serverId);
+    const beforeId = parseId(req.query.beforeId);
+    const source = req.query.source || null;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (Number.isNaN(serverId) || Number.isNaN(beforeId)) {
+      return res.status(400).json({ error: 'serverId and beforeId must be positive integers' });
+    }
+    if (source !== null && !aiOutputService.SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of ${aiOutputService.SOURCES.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FAILURE_LIST_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_FAILURE_LIST_LIMIT}` });
+    }
+    if (serverId === null ? req.user.role !== 'admin' : !accessService.canAccess(req.user, serverId, 'viewer')) {
+      return res.status(403).json({ error: serverId === null ? 'Only admins can list the output failures of every server' : 'This server has not been shared with you' });
+    }
+    res.json(aiOutputService.listFailures({ serverId, source, beforeId, limit }));
+  } catch (error) {
+    console.error('Error listing AI output failures:', error);
+    res.status(500).json({ error: 'Failed to list AI output failures' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+const accessService = require('../services/accessService');
+const { requireAdmin } = require('../middleware/auth');
+
+const MAX_LIST_LIMIT = 1000;
+const EXPORT_FORMATS = {
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+function parseId(value) {
+  if (value === undefined || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+// One server's entries are open to anyone who can view it; the whole log only to admins.
+// Responds with 403 otherwise; returns true if it did.
+function rejectWithoutAccess(req, res, serverId) {
+  if (serverId === null ? req.user.role === 'admin' : accessService.canAccess(req.user, serverId, 'viewer')) {
+    return false;
+  }
+  res.status(403).json({ error: serverId === null ? 'Only admins can read the whole audit log' : 'This server has not been shared with you' });
+  return true;
+}
+
+// List audit entries, newest first: ?serverId=&beforeId=&limit=
+router.get('/', (req, res) => {
+  try {
+    const serverId = parseId(req.query.serverId);
+    const beforeId = parseId(req.query.beforeId);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (Number.isNaN(serverId) || Number.isNaN(beforeId)) {
+      return res.status(400).json({ error: 'serverId and beforeId must be positive integers' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIST_LIMIT}` });
+    }
+    if (rejectWithoutAccess(req, res, serverId)) return;
+    res.json(auditService.list({ serverId, beforeId, limit }));
+  } catch (error) {
+    console.error('Error listing audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute the hash chain and report any entry that was changed, removed or reordered
+router.get('/verify', requireAdmin, (req, res) => {
+  try {
+    res.json(auditService.verify());
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the log, oldest first: ?format=jsonl|csv&serverId=
+router.get('/export', (req, res) => {
+  const format = req.query.format || 'jsonl';
+  const serverId = parseId(req.query.serverId);
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be jsonl or csv' });
+  }
+  if (Number.isNaN(serverId)) {
+    return res.status(400).json({ error: 'serverId must be a positive integer' });
+  }
+  if (rejectWithoutAccess(req, res, serverId)) return;
+
+  try {
+    const suffix = serverId ? `-server-${serverId}` : '';
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="audit-log${suffix}.${format}"`
+    });
+    auditService.export(res, format, serverId);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+
+// The signed-in user, if any, and whether the first account still has to be created
+router.get('/session', (req, res) => {
+  try {
+    res.json({
+      user: authService.authenticateRequest(req),
+      setupRequired: authService.isSetupRequired()
+    });
+  } catch (error) {
+    console.error('Error reading session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function sendSession(res, user, session) {
+  res.set('Set-Cookie', authService.sessionCookie(session.token, session.expiresAt));
+  res.json({ user: { id: user.id, username: user.username, role: user.role }, expiresAt: session.expiresAt });
+}
+
+// Create the first account and sign in with it; refused once any account exists
+router.post('/setup', async (req, res) => {
+  const { username, password } = req.body || {};
+  let user;
+  try {
+    user = await authService.setupFirstUser(username, password);
+  } catch (error) {
+    if (error.code === authService.SETUP_DONE) {
+      return res.status(409).json({ error: error.message });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    sendSession(res, user, authService.createSession(user.id));
+  } catch (error) {
+    console.error('Error signing in after setup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  try {
+    const session = await authService.login(username, password, req.ip || req.socket.remoteAddress);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    sendSession(res, session.user, session);
+  } catch (error) {
+    if (error.code === authService.TOO_MANY_ATTEMPTS) {
+      return res.status(429).json({ error: error.message });
+    }
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/logout', (req, res) => {
+  try {
+    authService.logout(authService.getRequestToken(req));
+    res.set('Set-Cookie', authService.sessionCookie(null));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
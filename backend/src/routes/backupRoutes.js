@@ -0,0 +1,83 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const backupService = require('../services/backupService');
+const terminalService = require('../services/terminalService');
+const { requireAdmin } = require('../middleware/auth');
+
+// Backups cover every server, so the whole API is for admins
+router.use(requireAdmin);
+
+// Archives are kept in memory; they are parsed in one piece anyway
+const upload = multer({ storage: multer.memoryStorage(), limits: { files: 1, fileSize: backupService.MAX_ARCHIVE_BYTES } });
+
+// Accepts the archive as the multipart field "archive"; upload errors become 400
+function receiveArchive(req, res, next) {
+  upload.single('archive')(req, res, error => {
+    if (error) return res.status(400).json({ error: 'Upload failed: ' + error.message });
+    if (!req.file) return res.status(400).json({ error: 'Choose a backup file' });
+    next();
+  });
+}
+
+function sendRestoreError(res, error, action) {
+  if (error.code === backupService.INVALID_BACKUP || error.code === backupService.WRONG_PASSPHRASE) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action} backup:`, error);
+  res.status(500).json({ error: `Failed ${action} backup: ` + error.message });
+}
+
+// Download a backup of all servers with their credentials (sealed with `passphrase`),
+// context, history, chat sessions and the images referenced in chats. Body: { passphrase }
+router.post('/export', (req, res) => {
+  const { passphrase } = req.body || {};
+  try {
+    backupService.validatePassphrase(passphrase);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const archive = backupService.createBackup(passphrase, req.user);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="sshfix-backup-${date}.json.gz"`
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup: ' + error.message });
+  }
+});
+
+// Summarize an uploaded backup before restoring it (no passphrase needed)
+router.post('/inspect', receiveArchive, (req, res) => {
+  try {
+    res.json(backupService.inspect(req.file.buffer));
+  } catch (error) {
+    sendRestoreError(res, error, 'reading');
+  }
+});
+
+// Restore an uploaded backup. Multipart fields: archive, passphrase, mode (merge|replace).
+// replace deletes every current server first; merge only adds what is missing.
+router.post('/restore', receiveArchive, (req, res) => {
+  const { passphrase, mode } = req.body;
+  if (!passphrase) {
+    return res.status(400).json({ error: 'Enter the passphrase the backup was made with' });
+  }
+  if (!backupService.MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${backupService.MODES.join(', ')}` });
+  }
+  try {
+    const result = backupService.restoreBackup(req.file.buffer, passphrase, mode);
+    // Replacing drops the grants on servers missing from the backup
+    terminalService.recheckAccess();
+    res.json(result);
+  } catch (error) {
+    sendRestoreError(res, error, 'restoring');
+  }
+});
+
+module.exports = router;
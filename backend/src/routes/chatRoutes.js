@@ -3,9 +3,10 @@ const router = express.Router();
 const chatRepository = require('../repositories/chatRepository');
 const aiService = require('../services/aiService');
 const { cleanAIResponse } = require('../utils/ai');
+const { requireServerRole } = require('../middleware/auth');
 
 // Get chat history for a server
-router.get('/servers/:id/chat', (req, res) => {
+router.get('/servers/:id/chat', requireServerRole('viewer'), (req, res) => {
   const { date, sessionId } = req.query;
   const serverId = req.params.id;
 
@@ -34,7 +35,7 @@ router.get('/servers/:id/chat', (req, res) => {
 });
 
 // Add chat message
-router.post('/servers/:id/chat', (req, res) => {
+router.post('/servers/:id/chat', requireServerRole('operator'), (req, res) => {
   const { role, message, chatSessionId } = req.body;
   const serverId = req.params.id;
 
@@ -56,7 +57,7 @@ router.post('/servers/:id/chat', (req, res) => {
 });
 
 // List chat sessions for a server
-router.get('/servers/:id/chat-sessions', (req, res) => {
+router.get('/servers/:id/chat-sessions', requireServerRole('viewer'), (req, res) => {
   try {
     const sessions = chatRepository.getChatSessions(req.params.id);
     
@@ -2,29 +2,84 @@ const express = require('express');
 const router = express.Router();
 const serverRepository = require('../repositories/serverRepository');
 const sshService = require('../services/sshService');
+const credentialVault = require('../services/credentialVault');
+const connectionManager = require('../services/connectionManager');
+const policyService = require('../services/policyService');
+const accessService = require('../services/accessService');
+const fanoutService = require('../services/fanoutService');
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const terminalService = require('../services/terminalService');
+const { requireServerRole } = require('../middleware/auth');
+const { analyzeCommand } = require('../utils/commandRisk');
+const { validateTags } = require('../utils/serverTags');
+const { PARSE_ERROR, MAX_IMPORT_SERVERS } = require('../utils/serverImport');
 
-// List servers
+const viewer = requireServerRole('viewer');
+const operator = requireServerRole('operator');
+const admin = requireServerRole('admin');
+
+// List the servers shared with the user
 router.get('/', (req, res) => {
   try {
-    const servers = serverRepository.listServers();
-    res.json(servers);
+    const servers = accessService.filterServers(req.user, serverRepository.listServers());
+    res.json(servers.map(server => credentialVault.redactServer(server)));
   } catch (error) {
     console.error('Error listing servers:', error);
     res.status(500).json({ error: 'Failed to list servers: ' + error.message });
   }
 });
 
-// Add server
-router.post('/', (req, res) => {
+// Add server. hostKeyFingerprint is the key the user reviewed after testing; it is only
+// pinned if the host still presents it.
+router.post('/', async (req, res) => {
   try {
-    const { name, host, port, username, password, privateKey } = req.body;
+    const { name, host, port, username, password, privateKey, passphrase, hostKeyFingerprint, jumpServerId, commandTimeoutMs, tags = [] } = req.body;
     
+    if (!accessService.canAddServers(req.user)) {
+      return res.status(403).json({ error: 'Viewers cannot add servers' });
+    }
     // Validate required fields
     if (!name || !host || !username) {
       return res.status(400).json({ error: 'Name, host, and username are required' });
     }
+    if (commandTimeoutMs !== undefined && commandTimeoutMs !== null) {
+      try {
+        sshService.validateCommandTimeout(commandTimeoutMs);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid command timeout: ' + error.message });
+      }
+    }
+    let serverTags;
+    try {
+      serverTags = validateTags(tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (jumpServerId) {
+      try {
+        connectionManager.resolveJumpChain(jumpServerId);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid jump host: ' + error.message });
+      }
+      // Connecting through a bastion uses its credentials
+      if (!accessService.canAccess(req.user, jumpServerId, 'operator')) {
+        return res.status(403).json({ error: 'You need the operator role on the jump host to connect through it' });
+      }
+    }
 
-    const serverId = serverRepository.addServer(name, host, port, username, password, privateKey);
+    let hostKey = null;
+    if (hostKeyFingerprint) {
+      const check = await verifyReviewedHostKey(res, { host, port, username, jump_server_id: jumpServerId || null }, hostKeyFingerprint);
+      if (!check) return;
+      hostKey = check.hostKey;
+    }
+
+    const serverId = serverRepository.addServer(name, host, port, username, password, privateKey, passphrase, jumpServerId || null, commandTimeoutMs ?? null, serverTags);
+    if (hostKey) {
+      serverRepository.setHostKey(serverId, hostKey.fingerprint, hostKey.type || null);
+    }
+    accessService.grantCreator(serverId, req.user);
     res.json({ id: serverId });
   } catch (error) {
     console.error('Error adding server:', error);
@@ -32,22 +87,227 @@ router.post('/', (req, res) => {
   }
 });
 
+// SSH connection pool status (all servers, or one with ?serverId=)
+router.get('/connections/status', (req, res) => {
+  try {
+    const status = connectionManager.getStatus(req.query.serverId ?? null);
+    res.json(status.filter(entry => accessService.canAccess(req.user, entry.serverId, 'viewer')));
+  } catch (error) {
+    console.error('Error getting connection status:', error);
+    res.status(500).json({ error: 'Failed to get connection status: ' + error.message });
+  }
+});
+
+// Run one command on several servers. Body: { serverIds, command, concurrency, timeoutMs,
+// stopOnFailure, confirmed }. Responds with NDJSON, one event per line:
+//   { type: 'start', servers: [{ serverId, name }] }
+//   { type: 'started', serverId }
+//   { type: 'result', serverId, name, status, exitCode, signal, durationMs, timedOut, truncated, output, error }
+//   { type: 'summary', groups: [{ status, exitCode, output, error, serverIds }], counts, stopped }
+//   { type: 'error', error }
+// Servers not started yet are skipped if the client disconnects.
+router.post('/fanout', async (req, res) => {
+  const { command, confirmed, ...rest } = req.body;
+  if (!command) {
+    return res.status(400).json({ error: 'Command is required' });
+  }
+  let options;
+  try {
+    options = fanoutService.validateOptions(rest);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const servers = options.serverIds.map(id => serverRepository.getServer(id));
+  if (servers.some(server => !server)) {
+    return res.status(404).json({ error: 'Server not found' });
+  }
+  const denied = servers.filter(server => !accessService.canAccess(req.user, server.id, 'operator'));
+  if (denied.length > 0) {
+    return res.status(403).json({ error: `You need the operator role on every server; you lack it on ${denied.map(server => server.name).join(', ')}` });
+  }
+  if (rejectUnconfirmedRisk(res, command, confirmed)) return;
+
+  const send = (event) => {
+    if (!res.writableEnded) res.write(JSON.stringify(event) + '\n');
+  };
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableFinished) clientGone = true;
+  });
+
+  send({ type: 'start', servers: servers.map(server => ({ serverId: server.id, name: server.name })) });
+  try {
+    const { results, ...summary } = await fanoutService.run(options.serverIds, command, {
+      concurrency: options.concurrency,
+      timeoutMs: options.timeoutMs,
+      stopOnFailure: options.stopOnFailure,
+      user: req.user.username,
+      onEvent: send,
+      isCancelled: () => clientGone
+    });
+    send({ type: 'summary', ...summary });
+  } catch (error) {
+    console.error('Error running fan-out command:', error);
+    send({ type: 'error', error: error.message });
+  }
+  res.end();
+});
+
+// Read servers from an OpenSSH config, CSV file or Ansible inventory (see
+// utils/serverImport.js) without saving them. Body: { content, format, filename }; format
+// defaults to 'auto'. Responds with { format, servers, warnings }, each server flagged with
+// conflict, duplicate, jumpTarget and errors (see importService.preview).
+router.post('/import/preview', (req, res) => {
+  if (!accessService.canAddServers(req.user)) {
+    return res.status(403).json({ error: 'Viewers cannot add servers' });
+  }
+  const { content, format = 'auto', filename = '' } = req.body;
+  try {
+    res.json(importService.preview(content, { format, filename, user: req.user }));
+  } catch (error) {
+    if (error.code === PARSE_ERROR) return res.status(400).json({ error: error.message });
+    console.error('Error previewing import:', error);
+    res.status(500).json({ error: 'Failed to read the import: ' + error.message });
+  }
+});
+
+// Save the servers picked from an import preview. Body: { servers, defaults, test } where
+// defaults ({ username, password, privateKey, passphrase }) fill in what a server lacks and
+// test saves only the servers that connect. Responds with { results, counts }.
+router.post('/import', async (req, res) => {
+  if (!accessService.canAddServers(req.user)) {
+    return res.status(403).json({ error: 'Viewers cannot add servers' });
+  }
+  const { servers, defaults = {}, test = false } = req.body;
+  if (!Array.isArray(servers) || servers.length === 0) {
+    return res.status(400).json({ error: 'Choose at least one server to import' });
+  }
+  if (servers.length > MAX_IMPORT_SERVERS) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT_SERVERS} servers can be imported at once` });
+  }
+  try {
+    res.json(await importService.importServers(servers, { defaults, test: test === true, user: req.user }));
+  } catch (error) {
+    console.error('Error importing servers:', error);
+    res.status(500).json({ error: 'Failed to import servers: ' + error.message });
+  }
+});
+
 // Get server by id
-router.get('/:id', (req, res) => {
+router.get('/:id', viewer, (req, res) => {
   try {
     const server = serverRepository.getServer(req.params.id);
     if (!server) return res.status(404).json({ error: 'Server not found' });
-    res.json(server);
+    res.json({ ...credentialVault.redactServer(server), access: accessService.getServerRole(req.user, req.params.id) });
   } catch (error) {
     console.error('Error getting server:', error);
     res.status(500).json({ error: 'Failed to get server: ' + error.message });
   }
 });
 
+// Update server settings. Fields left out keep their value; so do password, privateKey and
+// passphrase unless sent (null removes them). Moving the server to another host or port
+// replaces its pinned host key with hostKeyFingerprint (checked against the new host), or
+// clears it so the new key has to be reviewed and accepted.
+router.put('/:id', admin, async (req, res) => {
+  try {
+    const server = serverRepository.getServer(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+
+    const { name, host, port, username, password, privateKey, passphrase, hostKeyFingerprint, jumpServerId, commandTimeoutMs, tags } = req.body;
+    for (const [field, value] of Object.entries({ name, host, username })) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        return res.status(400).json({ error: `${field[0].toUpperCase()}${field.slice(1)} cannot be empty` });
+      }
+    }
+    if (port !== undefined && (!Number.isInteger(Number(port)) || Number(port) < 1 || Number(port) > 65535)) {
+      return res.status(400).json({ error: 'Port must be between 1 and 65535' });
+    }
+    if (commandTimeoutMs !== undefined && commandTimeoutMs !== null) {
+      try {
+        sshService.validateCommandTimeout(commandTimeoutMs);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid command timeout: ' + error.message });
+      }
+    }
+    let serverTags;
+    try {
+      serverTags = tags === undefined ? undefined : validateTags(tags);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (jumpServerId) {
+      try {
+        connectionManager.resolveJumpChain(jumpServerId, server.id);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid jump host: ' + error.message });
+      }
+      if (Number(jumpServerId) !== server.jump_server_id && !accessService.canAccess(req.user, jumpServerId, 'operator')) {
+        return res.status(403).json({ error: 'You need the operator role on the jump host to connect through it' });
+      }
+    }
+
+    const next = {
+      host: host === undefined ? server.host : host.trim(),
+      port: port === undefined ? (server.port || 22) : Number(port),
+      username: username === undefined ? server.username : username.trim()
+    };
+    if (serverRepository.checkServerExists(next.host, next.username, server.id)) {
+      return res.status(409).json({ error: `A server with host ${next.host} and username ${next.username} already exists` });
+    }
+    const moved = next.host !== server.host || next.port !== (server.port || 22);
+    let hostKey = null;
+    if (moved && hostKeyFingerprint) {
+      const jump = jumpServerId === undefined ? server.jump_server_id : (jumpServerId || null);
+      const check = await verifyReviewedHostKey(res, { ...next, jump_server_id: jump }, hostKeyFingerprint);
+      if (!check) return;
+      hostKey = check.hostKey;
+    }
+
+    serverRepository.updateServer(server.id, {
+      name: name === undefined ? undefined : name.trim(),
+      ...next,
+      password,
+      privateKey,
+      passphrase,
+      jumpServerId: jumpServerId === undefined ? undefined : (jumpServerId || null),
+      commandTimeoutMs,
+      tags: serverTags
+    });
+    if (moved) {
+      serverRepository.setHostKey(server.id, hostKey?.fingerprint || null, hostKey?.type || null);
+    }
+    // The pooled connection still uses the old settings
+    connectionManager.disconnect(server.id);
+
+    const updated = serverRepository.getServer(server.id);
+    res.json({ ...credentialVault.redactServer(updated), access: accessService.getServerRole(req.user, server.id) });
+  } catch (error) {
+    console.error('Error updating server:', error);
+    res.status(500).json({ error: 'Failed to update server: ' + error.message });
+  }
+});
+
 // Delete server
-router.delete('/:id', (req, res) => {
+router.delete('/:id', admin, (req, res) => {
   try {
+    // Deleting a bastion would silently turn its dependants into direct connections
+    const dependants = serverRepository.getServersUsingJumpHost(req.params.id);
+    if (dependants.length > 0) {
+      return res.status(409).json({
+        error: `This server is the jump host for: ${dependants.map(server => server.name).join(', ')}. Change their "connect via" setting first.`
+      });
+    }
     const result = serverRepository.deleteServer(req.params.id);
+    accessService.removeServer(req.params.id);
+    connectionManager.disconnect(req.params.id);
     res.json({ success: result });
   } catch (error) {
     console.error('Error deleting server:', error);
@@ -56,7 +316,7 @@ router.delete('/:id', (req, res) => {
 });
 
 // List history for a server
-router.get('/:id/history', (req, res) => {
+router.get('/:id/history', viewer, (req, res) => {
   try {
     const history = serverRepository.getServerHistory(req.params.id);
     res.json(history);
@@ -67,7 +327,7 @@ router.get('/:id/history', (req, res) => {
 });
 
 // Add terminal history
-router.post('/:id/history', (req, res) => {
+router.post('/:id/history', operator, (req, res) => {
   const serverId = parseInt(req.params.id);
   const { command, output } = req.body;
   
@@ -82,6 +342,8 @@ router.post('/:id/history', (req, res) => {
     console.log('[HISTORY] Added command', JSON.stringify(command), 'to server', serverId, 'session', sessionId);
 
     serverRepository.addHistory(serverId, command, output, sessionId);
+    // Not run through the app, but whoever adds a command to the history is on record
+    auditService.record({ source: 'api', user: req.user.username, serverId, command, result: { reported: true } });
 
     const history = serverRepository.getServerHistory(serverId);
     res.json(history);
@@ -92,7 +354,7 @@ router.post('/:id/history', (req, res) => {
 });
 
 // Get context for a server
-router.get('/:id/context', (req, res) => {
+router.get('/:id/context', viewer, (req, res) => {
   try {
     const context = serverRepository.getServerContext(req.params.id);
     res.json(context);
@@ -103,7 +365,7 @@ router.get('/:id/context', (req, res) => {
 });
 
 // Set context key/value
-router.post('/:id/context', (req, res) => {
+router.post('/:id/context', operator, (req, res) => {
   try {
     const { key, value } = req.body;
     if (!key) {
@@ -117,23 +379,260 @@ router.post('/:id/context', (req, res) => {
   }
 });
 
+// Checked before the risk gate so a refused command is never offered for confirmation.
+// Responds with 403 if the server policy refuses the command; returns true if it did.
+function rejectPolicyViolation(req, res, command) {
+  try {
+    policyService.enforce(req.params.id, command, 'api', req.user.username);
+    return false;
+  } catch (error) {
+    if (error.code !== policyService.POLICY_VIOLATION) throw error;
+    res.status(403).json({ error: error.message, policyViolation: { rule: error.rule, reason: error.reason } });
+    return true;
+  }
+}
+
+// High-risk commands only run when the request says the user confirmed them.
+// Responds with 428 and the risk analysis otherwise; returns true if it did.
+function rejectUnconfirmedRisk(res, command, confirmed) {
+  const risk = analyzeCommand(command);
+  if (!risk.requiresConfirmation) return false;
+  if (confirmed === true) {
+    console.warn(`[serverRoutes] Running confirmed high-risk command: ${command}`);
+    return false;
+  }
+  res.status(428).json({
+    error: 'This command is high risk and needs confirmation',
+    requiresConfirmation: true,
+    risk
+  });
+  return true;
+}
+
+// Reads the host key server presents and compares it with the fingerprint the user
+// reviewed. Responds with 409 if they differ, or 502 if the key cannot be read, and returns
+// null; otherwise returns { hostKey }.
+async function verifyReviewedHostKey(res, server, fingerprint) {
+  let check;
+  try {
+    check = await sshService.verifyHostKey(server, fingerprint);
+  } catch (error) {
+    res.status(502).json({ error: 'Could not read the host key to verify it: ' + error.message });
+    return null;
+  }
+  if (!check.success) {
+    res.status(409).json(check);
+    return null;
+  }
+  return check;
+}
+
+// Risk analysis of a command without running it
+router.post('/:id/ssh/analyze', viewer, (req, res) => {
+  const { command } = req.body;
+  if (!command) {
+    return res.status(400).json({ error: 'Command is required' });
+  }
+  res.json(analyzeCommand(command));
+});
+
 // SSH Command Execution
-router.post('/:id/ssh', async (req, res) => {
+router.post('/:id/ssh', operator, async (req, res) => {
   try {
-    const { command } = req.body;
+    const { command, timeoutMs, confirmed } = req.body;
     if (!command) {
       return res.status(400).json({ error: 'Command is required' });
     }
-    const result = await sshService.executeCommand(req.params.id, command);
+    if (timeoutMs !== undefined && timeoutMs !== null) {
+      try {
+        sshService.validateCommandTimeout(timeoutMs);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    if (rejectPolicyViolation(req, res, command)) return;
+    if (rejectUnconfirmedRisk(res, command, confirmed)) return;
+    const result = await sshService.executeCommand(req.params.id, command, { timeoutMs, user: req.user.username });
     res.json(result);
   } catch (error) {
     console.error('Error executing SSH command:', error);
+    // The policy can change between the check above and the command starting
+    if (error.code === policyService.POLICY_VIOLATION) {
+      return res.status(403).json({ error: error.message, policyViolation: { rule: error.rule, reason: error.reason } });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Streaming SSH command execution. Responds with NDJSON, one event per line:
+//   { type: 'start', runId }
+//   { type: 'stdout' | 'stderr', data }
+//   { type: 'exit', exitCode, signal, durationMs, truncated, timedOut, historyId, cancelled }
+//   { type: 'error', error }
+// The command is interrupted if the client disconnects before it exits.
+router.post('/:id/ssh/stream', operator, async (req, res) => {
+  const { command, timeoutMs, confirmed } = req.body;
+  if (!command) {
+    return res.status(400).json({ error: 'Command is required' });
+  }
+  if (timeoutMs !== undefined && timeoutMs !== null) {
+    try {
+      sshService.validateCommandTimeout(timeoutMs);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  if (!serverRepository.getServer(req.params.id)) {
+    return res.status(404).json({ error: 'Server not found' });
+  }
+  if (rejectPolicyViolation(req, res, command)) return;
+  if (rejectUnconfirmedRisk(res, command, confirmed)) return;
+
+  const send = (event) => {
+    if (!res.writableEnded) res.write(JSON.stringify(event) + '\n');
+  };
+
+  // Headers go out first: output can arrive as soon as the channel opens
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let run;
+  let clientGone = false;
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    clientGone = true;
+    if (run) sshService.cancelCommand(req.params.id, run.runId);
+  });
+
+  try {
+    run = await sshService.startCommand(req.params.id, command, {
+      timeoutMs,
+      user: req.user.username,
+      onStdout: data => send({ type: 'stdout', data }),
+      onStderr: data => send({ type: 'stderr', data })
+    });
+  } catch (error) {
+    console.error('Error starting streaming SSH command:', error);
+    send({ type: 'error', error: error.message });
+    return res.end();
+  }
+  // The client disconnected while the channel was opening
+  if (clientGone) sshService.cancelCommand(req.params.id, run.runId);
+  send({ type: 'start', runId: run.runId });
+
+  try {
+    const { stdout, stderr, output, ...result } = await run.done;
+    send({ type: 'exit', ...result });
+  } catch (error) {
+    send({ type: 'error', error: error.message });
+  }
+  res.end();
+});
+
+// Cancel a command started through /ssh/stream
+router.post('/:id/ssh/:runId/cancel', operator, (req, res) => {
+  try {
+    const signal = req.body?.signal || 'INT';
+    if (!sshService.CANCEL_SIGNALS.includes(signal)) {
+      return res.status(400).json({ error: `Signal must be one of ${sshService.CANCEL_SIGNALS.join(', ')}` });
+    }
+    if (!sshService.cancelCommand(req.params.id, req.params.runId, signal)) {
+      return res.status(404).json({ error: 'Command is not running' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling SSH command:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Command policy
+router.get('/:id/policy', viewer, (req, res) => {
+  try {
+    if (!serverRepository.getServer(req.params.id)) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+    res.json(policyService.getPolicy(req.params.id));
+  } catch (error) {
+    console.error('Error getting server policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:id/policy', admin, (req, res) => {
+  try {
+    if (!serverRepository.getServer(req.params.id)) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+    let policy;
+    try {
+      policy = policyService.setPolicy(req.params.id, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid policy: ' + error.message });
+    }
+    res.json(policy);
+  } catch (error) {
+    console.error('Error saving server policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id/policy/violations', viewer, (req, res) => {
+  try {
+    res.json(policyService.getViolations(req.params.id));
+  } catch (error) {
+    console.error('Error getting policy violations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sharing: who besides account admins can reach the server, and with which role
+router.get('/:id/grants', admin, (req, res) => {
+  try {
+    res.json(accessService.listGrants(req.params.id));
+  } catch (error) {
+    console.error('Error listing server grants:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:id/grants/:userId', admin, (req, res) => {
+  try {
+    if (!serverRepository.getServer(req.params.id)) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+    try {
+      accessService.setGrant(req.params.id, req.params.userId, req.body?.role);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    terminalService.recheckAccess();
+    res.json(accessService.listGrants(req.params.id));
+  } catch (error) {
+    console.error('Error sharing server:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id/grants/:userId', admin, (req, res) => {
+  try {
+    if (!accessService.removeGrant(req.params.id, req.params.userId)) {
+      return res.status(404).json({ error: 'The server is not shared with this user' });
+    }
+    terminalService.recheckAccess();
+    res.json(accessService.listGrants(req.params.id));
+  } catch (error) {
+    console.error('Error unsharing server:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Test SSH Connection
-router.post('/:id/test', async (req, res) => {
+router.post('/:id/test', operator, async (req, res) => {
   try {
     const result = await sshService.testConnection(req.params.id);
     res.json(result);
@@ -143,17 +642,48 @@ router.post('/:id/test', async (req, res) => {
   }
 });
 
+// Replace the pinned host key after a mismatch. The client sends the fingerprint the user
+// reviewed; it is only stored if the server still presents that exact key.
+router.post('/:id/host-key/accept', admin, async (req, res) => {
+  try {
+    const { fingerprint } = req.body;
+    if (!fingerprint) {
+      return res.status(400).json({ error: 'Fingerprint is required' });
+    }
+    const result = await sshService.acceptHostKey(req.params.id, fingerprint);
+    if (!result.success) return res.status(409).json(result);
+    res.json(result);
+  } catch (error) {
+    console.error('Error accepting host key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Test New Server Connection
 router.post('/test-connection', async (req, res) => {
   try {
-    const { host, port, username, password, privateKey } = req.body;
+    const { serverId, name, host, port, username, password, privateKey, passphrase, jumpServerId } = req.body;
     
+    // Re-testing a saved server falls back to its stored credentials
+    if (serverId) {
+      if (!accessService.canAccess(req.user, serverId, 'admin')) {
+        return res.status(403).json({ error: 'You need the admin role on this server to change its settings' });
+      }
+      if (!serverRepository.getServer(serverId)) {
+        return res.status(404).json({ error: 'Server not found' });
+      }
+    } else if (!accessService.canAddServers(req.user)) {
+      return res.status(403).json({ error: 'Viewers cannot add servers' });
+    }
     // Validate required fields
     if (!host || !username) {
       return res.status(400).json({ error: 'Host and username are required' });
     }
+    if (jumpServerId && !accessService.canAccess(req.user, jumpServerId, 'operator')) {
+      return res.status(403).json({ error: 'You need the operator role on the jump host to connect through it' });
+    }
     
-    const result = await sshService.testNewConnection({ host, port, username, password, privateKey });
+    const result = await sshService.testNewConnection({ serverId: serverId ? Number(serverId) : null, name, host, port, username, password, privateKey, passphrase, jumpServerId });
     res.json(result);
   } catch (error) {
     console.error('Error testing new connection:', error);
@@ -162,7 +692,7 @@ router.post('/test-connection', async (req, res) => {
 });
 
 // List chat sessions for a server
-router.get('/:id/chat-sessions', (req, res) => {
+router.get('/:id/chat-sessions', viewer, (req, res) => {
   const serverId = parseInt(req.params.id);
   try {
     const sessions = serverRepository.db.prepare(`
@@ -198,7 +728,7 @@ router.get('/:id/chat-sessions', (req, res) => {
 });
 
 // Update chat session tracking
-router.post('/:id/set-chat-session', (req, res) => {
+router.post('/:id/set-chat-session', operator, (req, res) => {
   const serverId = parseInt(req.params.id);
   const { sessionId } = req.body;
   
@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const terminalSuggestionService = require('../services/terminalSuggestionService');
 const serverRepository = require('../repositories/serverRepository');
+const auditService = require('../services/auditService');
+const { requireServerRole } = require('../middleware/auth');
+
+// Both routes below record history or ask the AI for the server in the body
+const bodyServerOperator = requireServerRole('operator', req => req.body?.serverId);
 
 // Add a test endpoint to check if this route is accessible
 router.get('/test', (req, res) => {
@@ -9,7 +14,7 @@ router.get('/test', (req, res) => {
 });
 
 // Get command suggestions based on terminal history
-router.post('/suggest', async (req, res) => {
+router.post('/suggest', bodyServerOperator, async (req, res) => {
   console.log('[terminalRoutes] POST /suggest request received:', {
     bodyKeys: Object.keys(req.body),
     hasEntries: Array.isArray(req.body.entries),
@@ -44,26 +49,33 @@ router.post('/suggest', async (req, res) => {
 });
 
 // Add history entry and get suggestion in one call
-router.post('/history-with-suggestion', async (req, res) => {
+router.post('/history-with-suggestion', bodyServerOperator, async (req, res) => {
   try {
-    const { serverId, command, output, sessionId } = req.body;
+    const { serverId, command, output, sessionId, historyId } = req.body;
     
     if (!serverId || !command) {
       return res.status(400).json({ error: 'serverId and command are required' });
     }
     
-    console.log('[terminalRoutes] Adding history entry:', { serverId, command, sessionId });
-    
-    // Save the history entry using the saveHistory method
-    if (serverRepository.saveHistory) {
-      await serverRepository.saveHistory(serverId, {
-        command,
-        output: output || '',
-        chat_session_id: sessionId
-      });
+    // Commands seen through terminal shell integration are already recorded by the backend
+    if (historyId) {
+      console.log('[terminalRoutes] Using recorded history entry:', { serverId, historyId, sessionId });
     } else {
-      // Fallback to addHistory if saveHistory doesn't exist
-      await serverRepository.addHistory(serverId, command, output || '', sessionId);
+      console.log('[terminalRoutes] Adding history entry:', { serverId, command, sessionId });
+      
+      // Save the history entry using the saveHistory method
+      if (serverRepository.saveHistory) {
+        await serverRepository.saveHistory(serverId, {
+          command,
+          output: output || '',
+          chat_session_id: sessionId
+        });
+      } else {
+        // Fallback to addHistory if saveHistory doesn't exist
+        await serverRepository.addHistory(serverId, command, output || '', sessionId);
+      }
+      // The terminal audits what it records itself; an entry added here is only reported
+      auditService.record({ source: 'api', user: req.user.username, serverId, command, result: { reported: true } });
     }
     
     // Get the updated history
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/authService');
+const terminalService = require('../services/terminalService');
+const { requireAdmin } = require('../middleware/auth');
+
+// Everyone signed in can list accounts, to pick whom to share a server with
+router.get('/', (req, res) => {
+  try {
+    res.json(authService.listUsers());
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The rest is account management, for admins only
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    res.json(await authService.createUser(username, password, role || 'viewer'));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put('/:id', requireAdmin, (req, res) => {
+  try {
+    const user = authService.updateUserRole(Number(req.params.id), req.body?.role);
+    terminalService.recheckAccess();
+    res.json(user);
+  } catch (error) {
+    if (error.code === authService.LAST_ADMIN) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', requireAdmin, (req, res) => {
+  try {
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (!authService.deleteUser(Number(req.params.id))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    terminalService.recheckAccess();
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code === authService.LAST_ADMIN) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const userRepository = require('../repositories/userRepository');
+
+// Lowest first; each role can do everything the ones before it can.
+//   viewer:   read the server, its history, chats and policy
+//   operator: run commands, open the terminal, chat with the AI
+//   admin:    change credentials, policy and sharing, delete the server
+// Account admins have the admin role on every server; other accounts only reach the
+// servers shared with them. Operator accounts may also add servers.
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Set as `code` on errors thrown by assertServerRole
+const ACCESS_DENIED = 'ACCESS_DENIED';
+
+class AccessService {
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  hasRole(role, required) {
+    return this.isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  // The user's role on the server, or null if it is not shared with them
+  getServerRole(user, serverId) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'admin';
+    const grant = userRepository.getServerGrant(Number(serverId), user.id);
+    return grant ? grant.role : null;
+  }
+
+  canAccess(user, serverId, required) {
+    return this.hasRole(this.getServerRole(user, serverId), required);
+  }
+
+  // Throws an ACCESS_DENIED error unless the user has at least `required` on the server
+  assertServerRole(user, serverId, required) {
+    const role = this.getServerRole(user, serverId);
+    if (this.hasRole(role, required)) return;
+    const error = new Error(role
+      ? `This needs the ${required} role on this server; you are a ${role}`
+      : 'This server has not been shared with you');
+    error.code = ACCESS_DENIED;
+    throw error;
+  }
+
+  canAddServers(user) {
+    return !!user && this.hasRole(user.role, 'operator');
+  }
+
+  // The servers the user can see, each with `access`: their role on it
+  filterServers(user, servers) {
+    if (user.role === 'admin') {
+      return servers.map(server => ({ ...server, access: 'admin' }));
+    }
+    const roles = new Map(userRepository.listUserGrants(user.id).map(grant => [grant.server_id, grant.role]));
+    return servers
+      .filter(server => roles.has(server.id))
+      .map(server => ({ ...server, access: roles.get(server.id) }));
+  }
+
+  listGrants(serverId) {
+    return userRepository.listServerGrants(Number(serverId));
+  }
+
+  setGrant(serverId, userId, role) {
+    if (!this.isValidRole(role)) {
+      throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+    if (!userRepository.getUser(userId)) {
+      throw new Error('User not found');
+    }
+    userRepository.setServerGrant(Number(serverId), Number(userId), role);
+  }
+
+  removeGrant(serverId, userId) {
+    return userRepository.deleteServerGrant(Number(serverId), Number(userId));
+  }
+
+  // The user who adds a server administers it
+  grantCreator(serverId, user) {
+    userRepository.setServerGrant(Number(serverId), user.id, 'admin');
+  }
+
+  removeServer(serverId) {
+    userRepository.deleteServerGrants(Number(serverId));
+  }
+}
+
+module.exports = new AccessService();
+module.exports.ROLES = ROLES;
+module.exports.ACCESS_DENIED = ACCESS_DENIED;
@@ -0,0 +1,70 @@
+const aiOutputRepository = require('../repositories/aiOutputRepository');
+const { cleanAIResponse } = require('../utils/ai');
+const { validateOutput } = require('../utils/aiSchemas');
+
+// What asked for the output: a chat answer, an agent run's reply, or a terminal suggestion
+const SOURCES = ['chat', 'agent', 'terminal-suggestion'];
+// How often a response that does not match its schema is sent back to be fixed;
+// AI_REPAIR_ATTEMPTS overrides it (0 turns repairs off)
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
+// How many errors the model is shown in a repair request
+const REPAIR_ERROR_LIMIT = 10;
+
+function repairAttempts() {
+  const value = process.env.AI_REPAIR_ATTEMPTS;
+  if (value === undefined || value === '') return DEFAULT_REPAIR_ATTEMPTS;
+  const attempts = Number(value);
+  return Number.isInteger(attempts) && attempts >= 0 ? Math.min(attempts, MAX_REPAIR_ATTEMPTS) : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+function repairPrompt(errors) {
+  const listed = errors.slice(0, REPAIR_ERROR_LIMIT).map(error => `- ${error}`).join('\n');
+  const more = errors.length > REPAIR_ERROR_LIMIT ? `\n- and ${errors.length - REPAIR_ERROR_LIMIT} more` : '';
+  return `Your previous reply could not be used:\n${listed}${more}\n\nReply again with only the corrected JSON object, in exactly the format you were asked for. Do not add any text around it.`;
+}
+
+class AIOutputService {
+  // { json, errors }: json is the parsed response when it matches output (utils/aiSchemas.js)
+  parse(output, response) {
+    let json;
+    try {
+      json = JSON.parse(cleanAIResponse(response));
+    } catch (error) {
+      return { json: null, errors: [`response: not valid JSON (${error.message})`] };
+    }
+    const errors = validateOutput(output, json);
+    return errors.length > 0 ? { json: null, errors } : { json, errors };
+  }
+
+  // Calls complete(messages, attempt) until its response matches output, at most
+  // repairAttempts() more times. Each retry sends the original messages, the rejected reply
+  // and what is wrong with it. Every rejected reply is recorded with
+  // record ({ source, serverId, chatSessionId, model }) and marked repaired once a later one
+  // matches. Resolves with { response, json, attempts }; json is null when none matched.
+  async completeValid(output, messages, complete, record) {
+    const maxRepairs = repairAttempts();
+    const failures = [];
+    let conversation = messages;
+    for (let attempt = 0; ; attempt++) {
+      const response = await complete(conversation, attempt);
+      const { json, errors } = this.parse(output, response);
+      if (json) {
+        if (failures.length > 0) aiOutputRepository.markRepaired(failures);
+        return { response, json, attempts: attempt + 1 };
+      }
+
+      console.warn(`[AIOutputService] ${record.source} response from ${record.model} does not match ${output.name} (attempt ${attempt + 1}):`, errors.join('; '));
+      failures.push(aiOutputRepository.recordFailure({ ...record, schemaName: output.name, attempt: attempt + 1, response, errors }));
+      if (attempt >= maxRepairs) return { response, json: null, attempts: attempt + 1 };
+      conversation = [...messages, { role: 'ai', content: response }, { role: 'user', content: repairPrompt(errors) }];
+    }
+  }
+
+  listFailures(filters) {
+    return aiOutputRepository.listFailures(filters);
+  }
+}
+
+module.exports = new AIOutputService();
+module.exports.SOURCES = SOURCES;
@@ -0,0 +1,497 @@
+const axios = require('axios');
+const { extractImageUrlsFromMarkdown, fetchImagesAsBase64, readSSE, readNDJSON, readStreamBody } = require('../utils/ai');
+const { toGeminiSchema } = require('../utils/aiSchemas');
+
+// A provider adapter is an object with
+//   id, label
+//   isConfigured()   whether its settings (API key, base URL) are present
+//   listModels()     resolves with [{ id, label, model, capabilities }]; id is what clients send
+//                    as `model`, model is the provider's own name for it
+//   discovered       true when listModels asks a server; such models are named
+//                    "<provider id>:<model>" and only listed once the provider is configured
+//   complete(messages, { model, imageUrls, req, stream, schema })
+//                    resolves with the response text. messages are { role: 'system' | 'user'
+//                    | 'ai', content } with images as ![image](url) markdown in user messages.
+//                    With stream ({ onToken, signal }) the text is also passed to onToken piece
+//                    by piece; only called with stream when the model can stream. With schema
+//                    ({ name, schema }, see utils/aiSchemas.js) the response must match that
+//                    JSON schema; only passed when the model has structuredOutput.
+// capabilities are { vision, jsonMode, structuredOutput, streaming, contextWindow (tokens) }.
+const UNKNOWN_MODEL = 'UNKNOWN_MODEL';
+const MODEL_UNAVAILABLE = 'MODEL_UNAVAILABLE';
+
+// Local backends are asked for their models at most this often
+const MODEL_LIST_TTL_MS = 30 * 1000;
+const DISCOVERY_TIMEOUT_MS = 3000;
+
+function modelError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : /^(1|true|yes)$/i.test(value);
+};
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+const trimSlash = url => String(url || '').replace(/\/+$/, '');
+const systemPrompt = messages => messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+const stripImages = text => String(text).replace(/!\[image\]\(([^)]+)\)/g, '').trim();
+
+// Posts a streaming request and relays each piece of text pickText finds in the events to
+// stream.onToken. read parses the body (Server-Sent Events unless given). Resolves with the text.
+async function postStream(url, payload, config, stream, pickText, read = readSSE) {
+  let response;
+  try {
+    response = await axios.post(url, payload, { ...config, responseType: 'stream', signal: stream.signal });
+  } catch (error) {
+    // The error body is a stream too; read it so the caller can report it
+    if (error.response?.data && typeof error.response.data.pipe === 'function') {
+      error.response.data = await readStreamBody(error.response.data).catch(() => null);
+    }
+    throw error;
+  }
+
+  let text = '';
+  await read(response.data, ({ event, data }) => {
+    if (data === '[DONE]') return;
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (event === 'error' || parsed.error) {
+      throw new Error(parsed.error?.message || parsed.error || 'The AI provider reported an error');
+    }
+    const piece = pickText(parsed);
+    if (piece) {
+      text += piece;
+      stream.onToken(piece);
+    }
+  });
+  return text;
+}
+
+// Messages in the OpenAI chat format, shared by OpenAI and OpenAI-compatible servers.
+// Without vision, image markdown is removed instead of sent.
+async function toOpenAIMessages(messages, imageUrls, req, vision) {
+  const openaiMessages = messages.map(m => ({ role: m.role === 'ai' ? 'assistant' : m.role, content: m.content }));
+
+  // Process existing images in messages
+  for (let i = 0; i < openaiMessages.length; i++) {
+    if (openaiMessages[i].role === 'user') {
+      const msg = openaiMessages[i];
+      const urls = extractImageUrlsFromMarkdown(msg.content);
+      if (urls.length > 0) {
+        if (!vision) {
+          openaiMessages[i] = { role: 'user', content: stripImages(msg.content) };
+          continue;
+        }
+        const images = await fetchImagesAsBase64(urls);
+        const contentArr = [{ type: 'text', text: stripImages(msg.content) }];
+        for (const img of images) {
+          contentArr.push({ type: 'image_url', image_url: { url: `data:${img.contentType};base64,${img.base64}` } });
+        }
+        openaiMessages[i] = { role: 'user', content: contentArr };
+      }
+    }
+  }
+
+  // Process new images
+  if (vision && imageUrls && imageUrls.length > 0) {
+    const images = await fetchImagesAsBase64(imageUrls);
+    const contentArr = [{ type: 'text', text: openaiMessages[openaiMessages.length - 1].content }];
+    for (const img of images) {
+      contentArr.push({ type: 'image_url', image_url: { url: `data:${img.contentType};base64,${img.base64}` } });
+    }
+    openaiMessages[openaiMessages.length - 1] = { role: 'user', content: contentArr };
+  }
+  return openaiMessages;
+}
+
+// POST {baseUrl}/chat/completions
+async function openAIChat({ baseUrl, apiKey, model, capabilities }, messages, { imageUrls, req, stream, schema }) {
+  let responseFormat = null;
+  if (schema) {
+    responseFormat = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+  } else if (capabilities.jsonMode) {
+    responseFormat = { type: 'json_object' };
+  }
+  const payload = {
+    model: model.model,
+    messages: await toOpenAIMessages(messages, imageUrls, req, capabilities.vision),
+    ...(responseFormat ? { response_format: responseFormat } : {})
+  };
+  const config = {
+    headers: {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json',
+    },
+  };
+  if (stream) {
+    return postStream(`${baseUrl}/chat/completions`, { ...payload, stream: true }, config, stream,
+      data => data.choices?.[0]?.delta?.content);
+  }
+  const response = await axios.post(`${baseUrl}/chat/completions`, payload, config);
+  return response.data.choices[0].message.content;
+}
+
+const openAIProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+  listModels: async () => [
+    { id: 'openai', label: 'OpenAI GPT-4o', model: 'gpt-4o', capabilities: { vision: true, jsonMode: true, structuredOutput: true, streaming: true, contextWindow: 128000 } }
+  ],
+  complete: (messages, { model, ...options }) =>
+    openAIChat({ baseUrl: 'https://api.openai.com/v1', apiKey: process.env.OPENAI_API_KEY, model, capabilities: model.capabilities }, messages, options)
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  isConfigured: () => !!process.env.GEMINI_API_KEY,
+  listModels: async () => [
+    { id: 'gemini', label: 'Gemini Flash 2.5', model: 'gemini-2.5-flash-preview-04-17', capabilities: { vision: true, jsonMode: true, structuredOutput: true, streaming: true, contextWindow: 1048576 } },
+    { id: 'gemini-pro', label: 'Gemini 2.5 Pro', model: 'gemini-2.5-pro-preview-05-06', capabilities: { vision: true, jsonMode: true, structuredOutput: true, streaming: true, contextWindow: 1048576 } }
+  ],
+  async complete(messages, { model, imageUrls, req, stream, schema }) {
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+
+    let geminiMessages = messages
+      .filter(m => m.role === 'user' || m.role === 'ai')
+      .map(m => ({
+        role: m.role === 'ai' ? 'model' : 'user',
+        parts: [{ text: m.content }]
+      }));
+
+    // Process existing images
+    for (let i = 0; i < geminiMessages.length; i++) {
+      if (geminiMessages[i].role === 'user') {
+        const msg = geminiMessages[i];
+        const urls = extractImageUrlsFromMarkdown(msg.parts[0].text);
+        if (urls.length > 0) {
+          const images = await fetchImagesAsBase64(urls);
+          geminiMessages[i].parts = [
+            { text: stripImages(msg.parts[0].text) },
+            ...images.map(img => ({ inline_data: { mime_type: img.contentType, data: img.base64 } }))
+          ];
+        }
+      }
+    }
+
+    // Process new images
+    if (imageUrls && imageUrls.length > 0) {
+      const images = await fetchImagesAsBase64(imageUrls);
+      geminiMessages[geminiMessages.length - 1].parts = [
+        { text: geminiMessages[geminiMessages.length - 1].parts[0].text },
+        ...images.map(img => ({ inline_data: { mime_type: img.contentType, data: img.base64 } }))
+      ];
+    }
+
+    const geminiPayload = {
+      system_instruction: { parts: [{ text: systemPrompt(messages) }] },
+      contents: geminiMessages,
+      generationConfig: {
+        temperature: 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 8192,
+        stopSequences: [],
+        responseMimeType: 'application/json',
+        ...(schema ? { responseSchema: toGeminiSchema(schema.schema) } : {})
+      }
+    };
+
+    const base = `https://generativelanguage.googleapis.com/v1beta/models/${model.model}`;
+    if (stream) {
+      return postStream(`${base}:streamGenerateContent?alt=sse&key=` + geminiApiKey, geminiPayload, {}, stream,
+        data => (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''));
+    }
+    const response = await axios.post(`${base}:generateContent?key=` + geminiApiKey, geminiPayload);
+    return response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+  }
+};
+
+const claudeProvider = {
+  id: 'claude',
+  label: 'Anthropic Claude',
+  isConfigured: () => !!process.env.CLAUDE_API_KEY,
+  listModels: async () => [
+    // No JSON mode; the response is started with '{' instead
+    { id: 'claude', label: 'Claude Sonnet 4', model: 'claude-sonnet-4-20250514', capabilities: { vision: true, jsonMode: false, structuredOutput: false, streaming: true, contextWindow: 200000 } }
+  ],
+  async complete(messages, { model, imageUrls, req, stream }) {
+    const claudeApiKey = process.env.CLAUDE_API_KEY;
+    let claudeMessages = messages
+      .filter(m => m.role === 'user' || m.role === 'ai')
+      .map(m => {
+        if (m.role === 'ai') {
+          return { role: 'assistant', content: m.content.replace(/!\[.*?\]\(.*?\)/g, '') };
+        } else {
+          const urls = extractImageUrlsFromMarkdown(m.content);
+          if (urls.length > 0) {
+            const text = m.content.replace(/!\[.*?\]\(.*?\)/g, '').trim();
+            return { role: 'user', content: [{ type: 'text', text }, ...urls.map(() => ({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: '' } }))] };
+          } else {
+            return { role: 'user', content: m.content };
+          }
+        }
+      });
+
+    // Process images in messages
+    let userMsgIdx = 0;
+    for (let i = 0; i < claudeMessages.length; i++) {
+      const msg = claudeMessages[i];
+      if (msg.role === 'user' && Array.isArray(msg.content)) {
+        const origUserMessages = messages.filter(m => m.role === 'user');
+        const origMsg = origUserMessages[userMsgIdx];
+        userMsgIdx++;
+        if (!origMsg) continue;
+
+        let imageIdx = 0;
+        for (let j = 0; j < msg.content.length; j++) {
+          if (msg.content[j].type === 'image') {
+            const urls = extractImageUrlsFromMarkdown(origMsg.content);
+            if (urls[imageIdx]) {
+              try {
+                const images = await fetchImagesAsBase64([urls[imageIdx]]);
+                if (images[0]) {
+                  msg.content[j].source.media_type = images[0].contentType;
+                  msg.content[j].source.data = images[0].base64;
+                }
+              } catch (e) {
+                msg.content.splice(j, 1);
+                j--;
+              }
+            }
+            imageIdx++;
+          }
+        }
+      }
+    }
+
+    // Process new images
+    if (imageUrls && imageUrls.length > 0) {
+      const images = await fetchImagesAsBase64(imageUrls);
+      const lastUserIdx = claudeMessages.map(m => m.role).lastIndexOf('user');
+      if (lastUserIdx !== -1) {
+        if (!Array.isArray(claudeMessages[lastUserIdx].content)) {
+          claudeMessages[lastUserIdx].content = [{ type: 'text', text: claudeMessages[lastUserIdx].content }];
+        }
+        for (const img of images) {
+          claudeMessages[lastUserIdx].content.push({
+            type: 'image',
+            source: { type: 'base64', media_type: img.contentType, data: img.base64 }
+          });
+        }
+      }
+    }
+
+    // Force JSON output
+    claudeMessages.push({ role: 'assistant', content: '{' });
+
+    const payload = {
+      model: model.model,
+      max_tokens: 1024,
+      messages: claudeMessages,
+      system: systemPrompt(messages),
+    };
+    const config = {
+      headers: {
+        'x-api-key': claudeApiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json',
+        'X-Cache-Write': 'true',
+      },
+    };
+
+    let text = '';
+    if (stream) {
+      // The prefilled '{' is part of the response
+      stream.onToken('{');
+      text = await postStream('https://api.anthropic.com/v1/messages', { ...payload, stream: true }, config, stream,
+        data => (data.type === 'content_block_delta' ? data.delta?.text : null));
+    } else {
+      const response = await axios.post('https://api.anthropic.com/v1/messages', payload, config);
+      if (response.data.content && Array.isArray(response.data.content)) {
+        text = response.data.content.map(c => c.text).join('');
+      } else if (response.data.content && response.data.content.text) {
+        text = response.data.content.text;
+      }
+    }
+    return '{' + text;
+  }
+};
+
+// Caches what listModels found on a local backend for MODEL_LIST_TTL_MS
+function cachedModels(discover) {
+  let cache = null;
+  return async () => {
+    if (cache && cache.expires > Date.now()) return cache.models;
+    const models = await discover();
+    cache = { models, expires: Date.now() + MODEL_LIST_TTL_MS };
+    return models;
+  };
+}
+
+// Any server speaking the OpenAI chat completions API (vLLM, LM Studio, llama.cpp, LocalAI,
+// OpenRouter...). OPENAI_COMPATIBLE_BASE_URL is the URL ending in /v1. Models are
+// OPENAI_COMPATIBLE_MODELS (comma-separated) or whatever GET /models lists. What the server
+// supports cannot be asked, so capabilities come from OPENAI_COMPATIBLE_VISION,
+// OPENAI_COMPATIBLE_JSON_MODE, OPENAI_COMPATIBLE_STRUCTURED_OUTPUT (json_schema response
+// formats), OPENAI_COMPATIBLE_STREAMING and OPENAI_COMPATIBLE_CONTEXT_WINDOW.
+const openAICompatibleProvider = {
+  id: 'openai-compatible',
+  get label() {
+    return process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI-compatible';
+  },
+  isConfigured: () => !!process.env.OPENAI_COMPATIBLE_BASE_URL,
+  discovered: true,
+  listModels: cachedModels(async () => {
+    const capabilities = {
+      vision: envFlag('OPENAI_COMPATIBLE_VISION', false),
+      jsonMode: envFlag('OPENAI_COMPATIBLE_JSON_MODE', false),
+      structuredOutput: envFlag('OPENAI_COMPATIBLE_STRUCTURED_OUTPUT', false),
+      streaming: envFlag('OPENAI_COMPATIBLE_STREAMING', true),
+      contextWindow: envNumber('OPENAI_COMPATIBLE_CONTEXT_WINDOW', 8192)
+    };
+    let names = String(process.env.OPENAI_COMPATIBLE_MODELS || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+      const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+      const response = await axios.get(`${trimSlash(process.env.OPENAI_COMPATIBLE_BASE_URL)}/models`, {
+        timeout: DISCOVERY_TIMEOUT_MS,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+      });
+      names = (response.data?.data || []).map(entry => entry.id).filter(Boolean);
+    }
+    return names.map(name => ({ id: `openai-compatible:${name}`, label: name, model: name, capabilities }));
+  }),
+  complete: (messages, { model, ...options }) =>
+    openAIChat({
+      baseUrl: trimSlash(process.env.OPENAI_COMPATIBLE_BASE_URL),
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+      model,
+      capabilities: model.capabilities
+    }, messages, options)
+};
+
+// A local Ollama server at OLLAMA_BASE_URL (e.g. http://localhost:11434), through its native
+// /api/chat so JSON mode (or a response schema) and the context size can be set. Every
+// pulled model is offered; /api/show tells which can see images. Ollama's default context
+// is small, so each request asks for OLLAMA_CONTEXT_WINDOW tokens (default 8192).
+const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama',
+  isConfigured: () => !!process.env.OLLAMA_BASE_URL,
+  discovered: true,
+  listModels: cachedModels(async () => {
+    const baseUrl = trimSlash(process.env.OLLAMA_BASE_URL);
+    const contextWindow = envNumber('OLLAMA_CONTEXT_WINDOW', 8192);
+    const response = await axios.get(`${baseUrl}/api/tags`, { timeout: DISCOVERY_TIMEOUT_MS });
+    const names = (response.data?.models || []).map(entry => entry.name).filter(Boolean);
+    return Promise.all(names.map(async name => {
+      let vision = false;
+      try {
+        const show = await axios.post(`${baseUrl}/api/show`, { model: name }, { timeout: DISCOVERY_TIMEOUT_MS });
+        vision = (show.data?.capabilities || []).includes('vision');
+      } catch (error) {
+        console.error(`[AIProviders] Could not read Ollama model ${name}:`, error.message);
+      }
+      return { id: `ollama:${name}`, label: name, model: name, capabilities: { vision, jsonMode: true, structuredOutput: true, streaming: true, contextWindow } };
+    }));
+  }),
+  async complete(messages, { model, imageUrls, req, stream, schema }) {
+    const ollamaMessages = [];
+    for (const m of messages) {
+      const message = { role: m.role === 'ai' ? 'assistant' : m.role, content: m.role === 'user' ? stripImages(m.content) : m.content };
+      const urls = m.role === 'user' ? extractImageUrlsFromMarkdown(m.content) : [];
+      if (model.capabilities.vision && urls.length > 0) {
+        message.images = (await fetchImagesAsBase64(urls)).map(img => img.base64);
+      }
+      ollamaMessages.push(message);
+    }
+    if (model.capabilities.vision && imageUrls && imageUrls.length > 0) {
+      const last = ollamaMessages[ollamaMessages.length - 1];
+      last.images = [...(last.images || []), ...(await fetchImagesAsBase64(imageUrls)).map(img => img.base64)];
+    }
+
+    const payload = {
+      model: model.model,
+      messages: ollamaMessages,
+      format: schema ? schema.schema : 'json',
+      options: { num_ctx: model.capabilities.contextWindow }
+    };
+    const url = `${trimSlash(process.env.OLLAMA_BASE_URL)}/api/chat`;
+    if (stream) {
+      return postStream(url, { ...payload, stream: true }, {}, stream, data => data.message?.content, readNDJSON);
+    }
+    const response = await axios.post(url, { ...payload, stream: false });
+    return response.data?.message?.content || '';
+  }
+};
+
+// Providers in the order their models are offered
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.id)) throw new Error(`AI provider ${provider.id} is already registered`);
+    this.providers.set(provider.id, provider);
+  }
+
+  // Every provider with its models. The models of built-in providers are listed even when
+  // they are not configured (as unavailable); a local backend that cannot be reached is
+  // reported with its error.
+  async listModels() {
+    const providers = [];
+    const models = [];
+    for (const provider of this.providers.values()) {
+      const configured = provider.isConfigured();
+      let error = null;
+      let found = [];
+      if (configured || !provider.discovered) {
+        try {
+          found = await provider.listModels();
+        } catch (listError) {
+          error = listError.message;
+          console.error(`[AIProviders] Could not list ${provider.label} models:`, listError.message);
+        }
+      }
+      providers.push({ id: provider.id, label: provider.label, configured, error });
+      for (const model of found) {
+        models.push({ id: model.id, label: model.label, provider: provider.id, providerLabel: provider.label, available: configured, capabilities: model.capabilities });
+      }
+    }
+    return { providers, models };
+  }
+
+  // The provider and model for a model id sent by a client. Throws with code UNKNOWN_MODEL,
+  // or MODEL_UNAVAILABLE when the model's provider is not configured.
+  async resolve(modelId) {
+    for (const provider of this.providers.values()) {
+      if (provider.discovered && !String(modelId).startsWith(`${provider.id}:`)) continue;
+      if (!provider.isConfigured()) {
+        if (provider.discovered || (await provider.listModels()).some(model => model.id === modelId)) {
+          throw modelError(MODEL_UNAVAILABLE, `${provider.label} is not configured`);
+        }
+        continue;
+      }
+      const model = (await provider.listModels()).find(candidate => candidate.id === modelId);
+      if (model) return { provider, model };
+    }
+    throw modelError(UNKNOWN_MODEL, `Unknown model: ${modelId}`);
+  }
+}
+
+const registry = new AIProviderRegistry();
+[openAIProvider, geminiProvider, claudeProvider, openAICompatibleProvider, ollamaProvider].forEach(provider => registry.register(provider));
+
+module.exports = registry;
+module.exports.AIProviderRegistry = AIProviderRegistry;
+module.exports.UNKNOWN_MODEL = UNKNOWN_MODEL;
+module.exports.MODEL_UNAVAILABLE = MODEL_UNAVAILABLE;
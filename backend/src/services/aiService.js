@@ -1,16 +1,79 @@
-const axios = require('axios');
 const chatRepository = require('../repositories/chatRepository');
-const { cleanAIResponse, extractImageUrlsFromMarkdown, fetchImagesAsBase64 } = require('../utils/ai');
+const agentRepository = require('../repositories/agentRepository');
+const policyService = require('./policyService');
+const sshService = require('./sshService');
+const aiProviders = require('./aiProviders');
+const contextService = require('./contextService');
+const aiOutputService = require('./aiOutputService');
+const { partialAnswer } = require('../utils/ai');
+const { CHAT_ANSWER, AGENT_REPLY } = require('../utils/aiSchemas');
+const { describeCommandChange, describeApprovalNeed } = require('../utils/commandPolicy');
+const { analyzeCommand, LEVELS } = require('../utils/commandRisk');
+
+const DEFAULT_SYSTEM_PROMPT =
+  'You are an expert server assistant operating in a terminal environment. You can suggest shell commands for the user to run, and you will see the output of those commands. Your job is to help the user diagnose, fix, and automate server issues using the terminal. Always be safe, never suggest anything that could cause harm, data loss, or security issues. Explain your reasoning, ask for confirmation before any risky action, and help the user get things done efficiently.';
+
+const RESPONSE_FIELDS = `1. "answer": A string containing your explanation, analysis, and advice
+2. "commands": An array of shell command strings that the user can run (provide practical, relevant commands even if not explicitly requested)
+3. "explanations": An array of strings, where each string explains the corresponding command in the commands array. Each explanation should describe:
+   1. What the command does
+   2. Why it's relevant to the user's request or current context
+   3. What output to expect
+   4. Any potential errors to watch out for and how to handle them
+4. "risks": An array of strings with the risk of each command in the commands array: "low" (only reads state), "medium" (changes something that is easy to undo) or "high" (can lose data, cause downtime or lock the user out)`;
+
+const JSON_INSTRUCTION = `IMPORTANT: You MUST always respond in valid JSON format with exactly these fields:
+${RESPONSE_FIELDS}`;
+
+// Agent runs: the model investigates by asking for commands, one per reply, until it
+// answers. Limits apply per run; a step is one command the model asked for.
+const AGENT_DEFAULT_MAX_STEPS = 8;
+const AGENT_MAX_STEPS = 25;
+const AGENT_DEFAULT_STEP_TIMEOUT = 60 * 1000;
+const AGENT_MIN_STEP_TIMEOUT = 1000;
+const AGENT_MAX_STEP_TIMEOUT = 10 * 60 * 1000;
+// How much of a command's output the model is shown
+const AGENT_OUTPUT_LIMIT = 4000;
+// Set as `code` when a decision or stop arrives for a run that is not waiting for one
+const AGENT_RUN_NOT_WAITING = 'AGENT_RUN_NOT_WAITING';
+
+function agentInstruction(run) {
+  return `You are running as an agent: you can run commands on the server yourself to investigate before you answer. You MUST always respond in valid JSON, with exactly one of:
+A. A tool call, to run one shell command and see its result:
+{"tool": "run_command", "command": "<one shell command>", "reason": "<what you want to find out>"}
+B. Once you know enough, your final diagnosis, with exactly these fields:
+${RESPONSE_FIELDS}
+
+Simple commands that only read state and end by themselves (cat, tail -n, grep, ps, df, free, systemctl status, journalctl -n ... --no-pager) run immediately. Anything else, including awk, sed, curl, wget, shells, loops and commands that follow output, waits until the user approves or declines it, so investigate with read-only commands and put fixes in the "commands" of your final diagnosis unless running them yourself is necessary.
+Commands run without a terminal and cannot be answered: never use pagers, editors or anything that waits for input, and keep output short (tail, head, grep, --no-pager).
+Each command is stopped after ${Math.round(run.step_timeout_ms / 1000)} seconds. You can run at most ${run.max_steps} commands.`;
+}
+
+function agentRunNotWaiting(message) {
+  const error = new Error(message);
+  error.code = AGENT_RUN_NOT_WAITING;
+  return error;
+}
 
 class AIService {
+  constructor() {
+    const interrupted = agentRepository.stopInterruptedRuns();
+    if (interrupted > 0) console.log(`[AIService] Marked ${interrupted} interrupted agent run(s) as stopped`);
+  }
+
+  // { providers, models } from the provider registry (see aiProviders.js)
   async getAvailableModels() {
-    return {
-      openai: !!process.env.OPENAI_API_KEY,
-      gemini: !!process.env.GEMINI_API_KEY,
-      claude: !!process.env.CLAUDE_API_KEY,
-    };
+    return aiProviders.listModels();
   }
 
+  // model is a model id from getAvailableModels; an unknown or unconfigured one throws with
+  // code UNKNOWN_MODEL or MODEL_UNAVAILABLE before anything is sent.
+  // With onAnswer, the provider's response is streamed and onAnswer(text) is called with
+  // each new piece of the answer as it arrives. The exchange is saved once the response is
+  // complete; aborting signal stops the request and saves nothing.
+  // The request is fitted to the model's context window by contextService.build; its token
+  // breakdown is returned as context and saved with the answer. An edited message is
+  // answered from the messages before it.
   async processAIRequest({
     prompt,
     model,
@@ -21,127 +84,67 @@ class AIService {
     imageUrls,
     messageId,
     edit,
-    req
+    req,
+    onAnswer,
+    signal
   }) {
     let aiResponse = '';
     let aiJson = null;
 
-    // Compose messages for AI API
-    const messages = [];
-    const defaultSystemPrompt =
-      'You are an expert server assistant operating in a terminal environment. You can suggest shell commands for the user to run, and you will see the output of those commands. Your job is to help the user diagnose, fix, and automate server issues using the terminal. Always be safe, never suggest anything that could cause harm, data loss, or security issues. Explain your reasoning, ask for confirmation before any risky action, and help the user get things done efficiently.';
-
-    const jsonInstruction = `IMPORTANT: You MUST always respond in valid JSON format with exactly these fields:
-1. "answer": A string containing your explanation, analysis, and advice
-2. "commands": An array of shell command strings that the user can run (provide practical, relevant commands even if not explicitly requested)
-3. "explanations": An array of strings, where each string explains the corresponding command in the commands array. Each explanation should describe:
-   1. What the command does
-   2. Why it's relevant to the user's request or current context
-   3. What output to expect
-   4. Any potential errors to watch out for and how to handle them`;
-
-    messages.push({ role: 'system', content: (systemPrompt || defaultSystemPrompt) + '\n\n' + jsonInstruction });
+    const { provider, model: selectedModel } = await aiProviders.resolve(model);
 
     // Get chat history
     let chatHistory = await chatRepository.getChatHistory(serverId, chatSessionId);
+    const editIndex = edit && messageId ? chatHistory.findIndex(m => m.id === messageId && m.role === 'user') : -1;
 
-    // Add terminal context if requested
-    if (withTerminalContext && serverId && chatSessionId) {
-      try {
-        console.log('[AIService] Including terminal context for session', chatSessionId);
-        const serverRepository = require('../repositories/serverRepository');
-        
-        // Get terminal history for this session
-        const terminalHistory = await serverRepository.getSessionHistory(serverId, chatSessionId);
-        
-        if (terminalHistory && terminalHistory.length > 0) {
-          console.log('[AIService] Found', terminalHistory.length, 'terminal history entries');
-          
-          // Add a system message with the terminal context
-          let terminalContextMsg = 'Recent terminal commands and their outputs:\n\n';
-          
-          // Add the terminal history in chronological order (oldest to newest)
-          [...terminalHistory].reverse().forEach((entry, i) => {
-            if (entry.command && entry.command.trim()) {
-              terminalContextMsg += `Command ${i+1}: ${entry.command.trim()}\n`;
-              if (entry.output && entry.output.trim()) {
-                // Truncate very long outputs
-                const truncatedOutput = entry.output.length > 1000 
-                  ? entry.output.slice(0, 1000) + '... [output truncated]' 
-                  : entry.output;
-                terminalContextMsg += `Output ${i+1}:\n${truncatedOutput}\n\n`;
-              } else {
-                terminalContextMsg += `Output ${i+1}: [No output available]\n\n`;
-              }
-            }
-          });
-          
-          // Add this context as a system message
-          messages.push({ 
-            role: 'system', 
-            content: terminalContextMsg + '\nPlease consider these terminal commands and their outputs when responding to the user.'
-          });
-          
-          console.log('[AIService] Added terminal context to AI prompt');
-        } else {
-          console.log('[AIService] No terminal history found for session', chatSessionId);
-        }
-      } catch (error) {
-        console.error('[AIService] Error adding terminal context:', error);
-      }
-    }
-
-    // Process images
-    let allPrevImageUrls = [];
-    chatHistory.forEach(m => {
-      if (m.role === 'user') {
-        allPrevImageUrls.push(...extractImageUrlsFromMarkdown(m.message));
-      }
-    });
-    allPrevImageUrls = [...new Set(allPrevImageUrls)];
-
-    let chatHistoryForAI = chatHistory.map(m => ({ role: m.role, content: m.message }));
     let userMsg = prompt;
-    if (imageUrls && Array.isArray(imageUrls) && imageUrls.length > 0) {
-      userMsg += '\n[The user attached images for analysis.]';
+    const hasImages = Array.isArray(imageUrls) && imageUrls.length > 0;
+    if (hasImages) {
+      userMsg += selectedModel.capabilities.vision
+        ? '\n[The user attached images for analysis.]'
+        : '\n[The user attached images, but this model cannot see images.]';
     }
 
-    if (edit && messageId) {
-      const idx = chatHistory.findIndex(m => m.id === messageId && m.role === 'user');
-      if (idx !== -1) {
-        chatHistoryForAI[idx] = { role: 'user', content: userMsg };
-      }
-    }
+    // Compose messages for AI API
+    const { messages, usage } = await contextService.build({
+      provider,
+      model: selectedModel,
+      req,
+      serverId,
+      chatSessionId,
+      system: this._systemMessage(serverId, systemPrompt, JSON_INSTRUCTION),
+      history: editIndex === -1 ? chatHistory : chatHistory.slice(0, editIndex),
+      until: editIndex === -1 ? null : messageId,
+      terminal: withTerminalContext && serverId && chatSessionId ? await this._terminalEntries(serverId, chatSessionId) : null,
+      tail: [{ role: 'user', content: userMsg }],
+      imageCount: hasImages ? imageUrls.length : 0
+    });
 
-    messages.push(...chatHistoryForAI);
-    if (!edit) {
-      messages.push({ role: 'user', content: userMsg });
+    // Raw text from the provider; the answer field is relayed as it becomes readable
+    let stream = null;
+    if (onAnswer) {
+      let received = '';
+      let answered = '';
+      stream = {
+        signal,
+        onToken: token => {
+          received += token;
+          const answer = partialAnswer(received);
+          if (answer && answer.length > answered.length) {
+            onAnswer(answer.slice(answered.length));
+            answered = answer;
+          }
+        }
+      };
     }
 
     try {
-      switch (model) {
-        case 'openai':
-          const result = await this.callOpenAI(messages, imageUrls, req);
-          aiResponse = result.response;
-          aiJson = result.json;
-          break;
-
-        case 'gemini':
-        case 'gemini-pro':
-          const geminiResult = await this.callGemini(messages, imageUrls, model, req);
-          aiResponse = geminiResult.response;
-          aiJson = geminiResult.json;
-          break;
-
-        case 'claude':
-          const claudeResult = await this.callClaude(messages, imageUrls, req);
-          aiResponse = claudeResult.response;
-          aiJson = claudeResult.json;
-          break;
-
-        default:
-          throw new Error('Invalid model');
-      }
+      ({ response: aiResponse, json: aiJson } = await this._completeValid(provider, selectedModel, messages, CHAT_ANSWER, {
+        imageUrls,
+        req,
+        stream,
+        record: { source: 'chat', serverId, chatSessionId }
+      }));
 
       // Store or update messages in chat history
       if (serverId) {
@@ -154,23 +157,24 @@ class AIService {
         }
 
         const aiRequestContextString = JSON.stringify(messages);
+        const usageString = JSON.stringify(usage);
 
         if (edit && messageId) {
           await chatRepository.updateUserMessage(messageId, serverId, fullUserMsg, chatSessionId);
           const aiMsgToUpdate = await chatRepository.getNextAIMessage(messageId, serverId, chatSessionId);
 
           if (aiMsgToUpdate) {
-            await chatRepository.updateAIMessage(aiMsgToUpdate.id, serverId, aiResponse, chatSessionId, aiRequestContextString);
+            await chatRepository.updateAIMessage(aiMsgToUpdate.id, serverId, aiResponse, chatSessionId, aiRequestContextString, usageString);
           } else {
-            await chatRepository.addAIMessage(serverId, aiResponse, chatSessionId, aiRequestContextString);
+            await chatRepository.addAIMessage(serverId, aiResponse, chatSessionId, aiRequestContextString, usageString);
           }
         } else {
           await chatRepository.addUserMessage(serverId, fullUserMsg, chatSessionId);
-          await chatRepository.addAIMessage(serverId, aiResponse, chatSessionId, aiRequestContextString);
+          await chatRepository.addAIMessage(serverId, aiResponse, chatSessionId, aiRequestContextString, usageString);
         }
       }
 
-      return { response: aiResponse, json: aiJson };
+      return { response: aiResponse, json: aiJson, context: usage };
 
     } catch (error) {
       console.error('AI processing error:', error);
@@ -178,235 +182,411 @@ class AIService {
     }
   }
 
-  async callOpenAI(messages, imageUrls, req) {
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    let openaiMessages = messages.map(m => ({ role: m.role === 'ai' ? 'assistant' : m.role, content: m.content }));
-
-    // Process existing images in messages
-    for (let i = 0; i < openaiMessages.length; i++) {
-      if (openaiMessages[i].role === 'user') {
-        const msg = openaiMessages[i];
-        const urls = extractImageUrlsFromMarkdown(msg.content);
-        if (urls.length > 0) {
-          const images = await fetchImagesAsBase64(urls, req);
-          const contentArr = [{ type: 'text', text: msg.content.replace(/!\[image\]\(([^)]+)\)/g, '').trim() }];
-          for (const img of images) {
-            contentArr.push({ type: 'image_url', image_url: { url: `data:${img.contentType};base64,${img.base64}` } });
-          }
-          openaiMessages[i] = { role: 'user', content: contentArr };
-        }
-      }
+  // Throws on invalid agent settings; returns them with defaults filled in
+  validateAgentOptions({ maxSteps, stepTimeoutMs } = {}) {
+    maxSteps = maxSteps ?? AGENT_DEFAULT_MAX_STEPS;
+    stepTimeoutMs = stepTimeoutMs ?? AGENT_DEFAULT_STEP_TIMEOUT;
+    if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > AGENT_MAX_STEPS) {
+      throw new Error(`maxSteps must be between 1 and ${AGENT_MAX_STEPS}`);
     }
-
-    // Process new images
-    if (imageUrls && imageUrls.length > 0) {
-      const images = await fetchImagesAsBase64(imageUrls, req);
-      const contentArr = [{ type: 'text', text: openaiMessages[openaiMessages.length - 1].content }];
-      for (const img of images) {
-        contentArr.push({ type: 'image_url', image_url: { url: `data:${img.contentType};base64,${img.base64}` } });
-      }
-      openaiMessages[openaiMessages.length - 1] = { role: 'user', content: contentArr };
+    if (!Number.isInteger(stepTimeoutMs) || stepTimeoutMs < AGENT_MIN_STEP_TIMEOUT || stepTimeoutMs > AGENT_MAX_STEP_TIMEOUT) {
+      throw new Error(`stepTimeoutMs must be between ${AGENT_MIN_STEP_TIMEOUT} and ${AGENT_MAX_STEP_TIMEOUT} ms`);
     }
+    return { maxSteps, stepTimeoutMs };
+  }
 
-    const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model: 'gpt-4o',
-      messages: openaiMessages,
-      response_format: { type: 'json_object' },
-    }, {
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json',
-      },
+  // Agent mode: before answering, the model may ask to run commands with a run_command
+  // tool call (see agentInstruction), one per reply, and sees each result. Read-only,
+  // low-risk commands run at once through sshService, so the server policy, audit log and
+  // history apply, each stopped after stepTimeoutMs. Anything else pauses the run in
+  // 'awaiting_approval' until decideAgentStep. The prompt is saved to the chat when the run
+  // starts and the diagnosis when it completes; the run and its steps stay in agent_runs
+  // and agent_steps. onEvent(type, data) receives ('run', run) and ('step', step) whenever
+  // they change. Aborting signal stops the run and cancels a command in progress.
+  // Resolves with { run }, plus { response, json } once the run has completed.
+  async runAgent({
+    prompt,
+    model,
+    serverId,
+    chatSessionId,
+    withTerminalContext,
+    maxSteps,
+    stepTimeoutMs,
+    req,
+    user = null,
+    onEvent = () => {},
+    signal
+  }) {
+    const options = this.validateAgentOptions({ maxSteps, stepTimeoutMs });
+    const { provider, model: selectedModel } = await aiProviders.resolve(model);
+
+    const { id: userMessageId } = chatRepository.addUserMessage(serverId, prompt, chatSessionId);
+    const run = agentRepository.createRun({
+      serverId,
+      chatSessionId,
+      userMessageId,
+      model,
+      prompt,
+      withTerminalContext,
+      ...options,
+      createdBy: user
     });
+    onEvent('run', run);
+    return this._driveAgent(run, { provider, model: selectedModel, req, user, onEvent, signal });
+  }
 
-    const aiResponse = response.data.choices[0].message.content;
-    let aiJson = null;
-    try {
-      aiJson = JSON.parse(cleanAIResponse(aiResponse));
-    } catch (e) {
-      aiJson = null;
+  // Runs (approve) or declines the pending step of a run waiting for approval, then
+  // continues the run as runAgent does. Throws AGENT_RUN_NOT_WAITING if there is nothing
+  // to decide, e.g. because someone else already did.
+  async decideAgentStep(runId, stepId, approve, { req, user = null, onEvent = () => {}, signal } = {}) {
+    let run = agentRepository.getRun(runId);
+    if (!run || run.status !== 'awaiting_approval') {
+      throw agentRunNotWaiting('This agent run is not waiting for approval');
+    }
+    const { provider, model } = await aiProviders.resolve(run.model);
+    if (!agentRepository.decidePendingStep(run.id, stepId, approve ? 'running' : 'rejected', user)) {
+      throw agentRunNotWaiting('This step is not waiting for approval');
+    }
+    run = agentRepository.updateRun(run.id, { status: 'running' });
+    onEvent('run', run);
+
+    let step = agentRepository.getStep(stepId);
+    onEvent('step', step);
+    step = approve
+      ? await this._runAgentCommand(run, step, { user, signal })
+      : agentRepository.updateStep(step.id, {}, { finished: true });
+    onEvent('step', step);
+    return this._driveAgent(run, { provider, model, req, user, onEvent, signal });
+  }
+
+  // Ends a run that is waiting for approval; its pending step is declined
+  stopAgentRun(runId, user = null) {
+    const run = agentRepository.getRun(runId);
+    if (!run || run.status !== 'awaiting_approval') {
+      throw agentRunNotWaiting('Only an agent run waiting for approval can be stopped');
     }
+    const pending = agentRepository.getSteps(run.id).find(step => step.status === 'pending');
+    if (pending && agentRepository.decidePendingStep(run.id, pending.id, 'rejected', user)) {
+      agentRepository.updateStep(pending.id, {}, { finished: true });
+    }
+    return agentRepository.updateRun(run.id, { status: 'stopped' });
+  }
 
-    return { response: aiResponse, json: aiJson };
+  // A run with its steps, or undefined
+  getAgentRun(runId) {
+    const run = agentRepository.getRun(runId);
+    return run && { ...run, steps: agentRepository.getSteps(run.id) };
   }
 
-  async callGemini(messages, imageUrls, model, req) {
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    const geminiModel = (model === 'gemini-pro' || model.toLowerCase().includes('pro'))
-      ? 'gemini-2.5-pro-preview-05-06'
-      : 'gemini-2.5-flash-preview-04-17';
-
-    let geminiMessages = messages
-      .filter(m => m.role === 'user' || m.role === 'ai')
-      .map(m => ({
-        role: m.role === 'ai' ? 'model' : 'user',
-        parts: [{ text: m.content }]
-      }));
+  // The runs of a chat session, oldest first, with their steps
+  getAgentRuns(serverId, chatSessionId) {
+    return agentRepository.listRuns(serverId, chatSessionId);
+  }
 
-    // Process existing images
-    for (let i = 0; i < geminiMessages.length; i++) {
-      if (geminiMessages[i].role === 'user') {
-        const msg = geminiMessages[i];
-        const urls = extractImageUrlsFromMarkdown(msg.parts[0].text);
-        if (urls.length > 0) {
-          const images = await fetchImagesAsBase64(urls, req);
-          geminiMessages[i].parts = [
-            { text: msg.parts[0].text.replace(/!\[image\]\(([^)]+)\)/g, '').trim() },
-            ...images.map(img => ({ inline_data: { mime_type: img.contentType, data: img.base64 } }))
-          ];
+  // Asks the model for its next move until it answers, a step needs approval, the step
+  // limit is reached or signal is aborted. A provider error fails the run and is rethrown.
+  async _driveAgent(run, { provider, model, req, user, onEvent, signal }) {
+    try {
+      while (!signal?.aborted) {
+        const { messages, usage } = await this._agentMessages(run, agentRepository.getSteps(run.id), { provider, model, req });
+        // A stream without a listener, so aborting cancels the provider request
+        const { response, json } = await this._completeValid(provider, model, messages, AGENT_REPLY, {
+          imageUrls: [],
+          req,
+          stream: signal ? { signal, onToken: () => {} } : null,
+          record: { source: 'agent', serverId: run.server_id, chatSessionId: run.chat_session_id }
+        });
+        const call = this._agentToolCall(json);
+
+        if (!call) {
+          await chatRepository.addAIMessage(run.server_id, response, run.chat_session_id, JSON.stringify(messages), JSON.stringify(usage));
+          run = agentRepository.updateRun(run.id, { status: 'completed', final_response: response });
+          onEvent('run', run);
+          return { run, response, json, context: usage };
+        }
+        if (run.step_count >= run.max_steps) {
+          run = agentRepository.updateRun(run.id, {
+            status: 'step_limit',
+            error: `The model asked for more than ${run.max_steps} commands without reaching a diagnosis`
+          });
+          onEvent('run', run);
+          return { run };
         }
-      }
-    }
 
-    // Process new images
-    if (imageUrls && imageUrls.length > 0) {
-      const images = await fetchImagesAsBase64(imageUrls, req);
-      geminiMessages[geminiMessages.length - 1].parts = [
-        { text: geminiMessages[geminiMessages.length - 1].parts[0].text },
-        ...images.map(img => ({ inline_data: { mime_type: img.contentType, data: img.base64 } }))
-      ];
+        let step = this._addAgentStep(run, call, response, user);
+        const waiting = step.status === 'pending';
+        run = agentRepository.updateRun(run.id, {
+          step_count: run.step_count + 1,
+          ...(waiting ? { status: 'awaiting_approval' } : {})
+        });
+        onEvent('step', step);
+        if (waiting) {
+          onEvent('run', run);
+          return { run };
+        }
+        if (step.status === 'running') {
+          step = await this._runAgentCommand(run, step, { user, signal });
+          onEvent('step', step);
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error(`[AIService] Agent run ${run.id} failed:`, error);
+        run = agentRepository.updateRun(run.id, { status: 'failed', error: error.message });
+        onEvent('run', run);
+        throw error;
+      }
     }
 
-    const geminiPayload = {
-      contents: geminiMessages,
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-        stopSequences: []
-      }
-    };
+    console.log(`[AIService] Agent run ${run.id} stopped`);
+    run = agentRepository.updateRun(run.id, { status: 'stopped' });
+    onEvent('run', run);
+    return { run };
+  }
 
-    try {
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=` + geminiApiKey,
-        geminiPayload
-      );
+  // { command, reason } when a validated agent reply is a run_command tool call, else null.
+  // A reply that never matched AGENT_REPLY counts as the final answer.
+  _agentToolCall(json) {
+    if (json?.tool !== 'run_command') return null;
+    return { command: json.command.trim(), reason: json.reason.trim() || null };
+  }
 
-      const aiResponse = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      let aiJson = null;
-      try {
-        aiJson = JSON.parse(cleanAIResponse(aiResponse));
-      } catch (e) {
-        aiJson = null;
-      }
+  // Records the command the model asked for with what happens to it: 'blocked' by the
+  // server policy, 'running' if it is low risk and only uses commands the agent may run
+  // unattended (describeApprovalNeed), otherwise 'pending' approval
+  _addAgentStep(run, { command, reason }, response, user) {
+    const changeReason = describeCommandChange(command);
+    const approvalNeed = describeApprovalNeed(command);
+    const riskLevel = analyzeCommand(command).level;
+    const verdict = policyService.check(run.server_id, command);
+    if (!verdict.allowed) policyService.recordViolation(run.server_id, command, 'agent', verdict, user);
+
+    const step = agentRepository.addStep(run.id, {
+      step: run.step_count + 1,
+      response,
+      command,
+      reason,
+      changeReason,
+      riskLevel,
+      status: !verdict.allowed ? 'blocked' : approvalNeed || riskLevel !== 'low' ? 'pending' : 'running'
+    });
+    if (verdict.allowed) return step;
+    return agentRepository.updateStep(step.id, { error: `Blocked by server policy: ${verdict.reason}` }, { finished: true });
+  }
 
-      return { response: aiResponse, json: aiJson };
+  // Runs a step through sshService with the run's step timeout; aborting signal cancels it
+  async _runAgentCommand(run, step, { user, signal }) {
+    if (signal?.aborted) {
+      return agentRepository.updateStep(step.id, { status: 'failed', error: 'The run was stopped before the command started' }, { finished: true });
+    }
+    let started;
+    try {
+      started = await sshService.startCommand(run.server_id, step.command, { timeoutMs: run.step_timeout_ms, source: 'agent', user });
     } catch (error) {
-      console.error('Gemini API error:', error);
-      throw error;
+      const status = error.code === policyService.POLICY_VIOLATION ? 'blocked' : 'failed';
+      return agentRepository.updateStep(step.id, { status, error: error.message }, { finished: true });
     }
+
+    const cancel = () => sshService.cancelCommand(run.server_id, started.runId, 'INT');
+    signal?.addEventListener('abort', cancel, { once: true });
+    if (signal?.aborted) cancel();
+    const result = await started.done;
+    signal?.removeEventListener('abort', cancel);
+
+    return agentRepository.updateStep(step.id, {
+      status: 'completed',
+      exit_code: result.exitCode,
+      signal: result.signal,
+      output: result.output,
+      output_truncated: result.truncated ? 1 : 0,
+      timed_out: result.timedOut ? 1 : 0,
+      duration_ms: result.durationMs,
+      history_id: result.historyId
+    }, { finished: true });
   }
 
-  async callClaude(messages, imageUrls, req) {
-    const claudeApiKey = process.env.CLAUDE_API_KEY;
-    let claudeMessages = messages
-      .filter(m => m.role === 'user' || m.role === 'ai')
-      .map(m => {
-        if (m.role === 'ai') {
-          return { role: 'assistant', content: m.content.replace(/!\[.*?\]\(.*?\)/g, '') };
-        } else {
-          const urls = extractImageUrlsFromMarkdown(m.content);
-          if (urls.length > 0) {
-            const text = m.content.replace(/!\[.*?\]\(.*?\)/g, '').trim();
-            return { role: 'user', content: [{ type: 'text', text }, ...urls.map(url => ({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: '' } }))] };
-          } else {
-            return { role: 'user', content: m.content };
-          }
-        }
-      });
+  // What the model sees: the system prompt with the agent instructions, the terminal
+  // context if asked for, the chat before the run, the prompt, then each tool call
+  // followed by its result. Fitted to the model like processAIRequest; { messages, usage }.
+  async _agentMessages(run, steps, { provider, model, req }) {
+    const tail = [{ role: 'user', content: run.prompt }];
+    for (const step of steps) {
+      tail.push({ role: 'ai', content: step.response });
+      tail.push({ role: 'user', content: this._describeAgentStep(step) });
+    }
+    if (steps.length > 0 && run.step_count >= run.max_steps) {
+      tail[tail.length - 1].content += `\n\nYou have used all ${run.max_steps} commands of this run. Give your final diagnosis now.`;
+    }
 
-    // Process images in messages
-    let userMsgIdx = 0;
-    for (let i = 0; i < claudeMessages.length; i++) {
-      const msg = claudeMessages[i];
-      if (msg.role === 'user' && Array.isArray(msg.content)) {
-        const origUserMessages = messages.filter(m => m.role === 'user');
-        const origMsg = origUserMessages[userMsgIdx];
-        userMsgIdx++;
-        if (!origMsg) continue;
-
-        let imageIdx = 0;
-        for (let j = 0; j < msg.content.length; j++) {
-          if (msg.content[j].type === 'image') {
-            const urls = extractImageUrlsFromMarkdown(origMsg.content);
-            if (urls[imageIdx]) {
-              try {
-                const images = await fetchImagesAsBase64([urls[imageIdx]], req);
-                if (images[0]) {
-                  msg.content[j].source.media_type = images[0].contentType;
-                  msg.content[j].source.data = images[0].base64;
-                }
-              } catch (e) {
-                msg.content.splice(j, 1);
-                j--;
-              }
-            }
-            imageIdx++;
-          }
-        }
+    const chatHistory = await chatRepository.getChatHistory(run.server_id, run.chat_session_id);
+    return contextService.build({
+      provider,
+      model,
+      req,
+      serverId: run.server_id,
+      chatSessionId: run.chat_session_id,
+      system: this._systemMessage(run.server_id, null, agentInstruction(run)),
+      history: chatHistory.filter(m => m.id < run.user_message_id),
+      until: run.user_message_id,
+      terminal: run.with_terminal_context && run.chat_session_id ? await this._terminalEntries(run.server_id, run.chat_session_id) : null,
+      tail
+    });
+  }
+
+  // A step's outcome, as the model is told it
+  _describeAgentStep(step) {
+    const heading = `Result of command ${step.step} (${step.command}):`;
+    switch (step.status) {
+      case 'blocked':
+        return `${heading} not run. ${step.error}. Do not try to get around the policy.`;
+      case 'rejected':
+        return `${heading} not run: the user declined it. Do not ask for it again.`;
+      case 'failed':
+        return `${heading} could not be run: ${step.error}`;
+      default: {
+        const status = this._describeCommandStatus(step);
+        const output = step.output && step.output.trim()
+          ? this._truncateOutput(step.output, AGENT_OUTPUT_LIMIT)
+          : '[No output]';
+        return `${heading}\nStatus: ${status.text || 'finished'}\n` +
+          (step.output_truncated ? '(The middle of the output was cut when it was recorded.)\n' : '') +
+          `Output:\n${output}`;
       }
     }
+  }
 
-    // Process new images
-    if (imageUrls && imageUrls.length > 0) {
-      const images = await fetchImagesAsBase64(imageUrls, req);
-      const lastUserIdx = claudeMessages.map(m => m.role).lastIndexOf('user');
-      if (lastUserIdx !== -1) {
-        if (!Array.isArray(claudeMessages[lastUserIdx].content)) {
-          claudeMessages[lastUserIdx].content = [{ type: 'text', text: claudeMessages[lastUserIdx].content }];
-        }
-        for (const img of images) {
-          claudeMessages[lastUserIdx].content.push({
-            type: 'image',
-            source: { type: 'base64', media_type: img.contentType, data: img.base64 }
-          });
-        }
+  // The main system message: the system prompt, the server's command policy and the
+  // response format. The policy goes here so every provider sees it.
+  _systemMessage(serverId, systemPrompt, instruction) {
+    let policyInstruction = '';
+    if (serverId) {
+      try {
+        policyInstruction = policyService.describeForPrompt(serverId);
+      } catch (error) {
+        console.error('[AIService] Error loading command policy:', error);
       }
     }
 
-    // Force JSON output
-    claudeMessages.push({ role: 'assistant', content: '{' });
-
-    const payload = {
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: claudeMessages,
-      system: messages[0].content,
+    return {
+      role: 'system',
+      content: (systemPrompt || DEFAULT_SYSTEM_PROMPT) + (policyInstruction ? '\n\n' + policyInstruction : '') + '\n\n' + instruction
     };
+  }
 
+  // The session's terminal commands with their output, oldest first, as contextService.build
+  // takes them: { label, text, failed }
+  async _terminalEntries(serverId, chatSessionId) {
     try {
-      const response = await axios.post('https://api.anthropic.com/v1/messages', payload, {
-        headers: {
-          'x-api-key': claudeApiKey,
-          'anthropic-version': '2023-06-01',
-          'Content-Type': 'application/json',
-          'X-Cache-Write': 'true',
-        },
-      });
-
-      let text = '';
-      if (response.data.content && Array.isArray(response.data.content)) {
-        text = response.data.content.map(c => c.text).join('');
-      } else if (response.data.content && response.data.content.text) {
-        text = response.data.content.text;
+      console.log('[AIService] Including terminal context for session', chatSessionId);
+      const serverRepository = require('../repositories/serverRepository');
+      
+      // Get terminal history for this session
+      const terminalHistory = await serverRepository.getSessionHistory(serverId, chatSessionId);
+      
+      if (!terminalHistory || terminalHistory.length === 0) {
+        console.log('[AIService] No terminal history found for session', chatSessionId);
+        return [];
       }
+      console.log('[AIService] Found', terminalHistory.length, 'terminal history entries');
 
-      const aiResponse = '{' + text;
-      let aiJson = null;
-      try {
-        aiJson = JSON.parse(cleanAIResponse(aiResponse));
-      } catch (e) {
-        aiJson = null;
-      }
+      // getSessionHistory returns the terminal history in chronological order (oldest to newest)
+      const entries = [];
+      terminalHistory.forEach((entry, i) => {
+        if (entry.command && entry.command.trim()) {
+          const status = this._describeCommandStatus(entry);
 
-      return { response: aiResponse, json: aiJson };
+          let text = `Command ${i+1}: ${entry.command.trim()}\n`;
+          if (status.text) {
+            text += `Status ${i+1}: ${status.text}\n`;
+          }
+          // Show stderr on its own when it was captured separately
+          const stdout = entry.stderr ? entry.stdout : entry.output;
+          if (stdout && stdout.trim()) {
+            text += `Output ${i+1}:\n${this._truncateOutput(stdout)}\n`;
+          } else {
+            text += `Output ${i+1}: [No output available]\n`;
+          }
+          if (entry.stderr && entry.stderr.trim()) {
+            text += `Stderr ${i+1}:\n${this._truncateOutput(entry.stderr)}\n`;
+          }
+          if (entry.output_truncated) {
+            text += `(The middle of output ${i+1} was cut when it was recorded.)\n`;
+          }
+          entries.push({ label: `${i+1} (${entry.command.trim()})`, text: text + '\n', failed: status.failed });
+        }
+      });
+      return entries;
     } catch (error) {
-      console.error('Claude API error:', error);
-      throw error;
+      console.error('[AIService] Error adding terminal context:', error);
+      return [];
+    }
+  }
+
+  // Exit status of a history entry for the AI context. Entries without an exit code
+  // (older rows, shells without integration) get no status line.
+  _describeCommandStatus(entry) {
+    if (entry.timed_out) {
+      return { failed: true, text: 'FAILED (timed out and was terminated)' };
+    }
+    if (entry.signal) {
+      return { failed: true, text: `FAILED (killed by signal ${entry.signal})` };
+    }
+    if (entry.exit_code === null || entry.exit_code === undefined) {
+      return { failed: false, text: null };
+    }
+    if (entry.exit_code !== 0) {
+      return { failed: true, text: `FAILED (exit code ${entry.exit_code})` };
+    }
+    return { failed: false, text: 'succeeded (exit code 0)' };
+  }
+
+  // Truncate very long outputs
+  _truncateOutput(output, limit = 1000) {
+    return output.length > limit
+      ? output.slice(0, limit) + '... [output truncated]'
+      : output;
+  }
+
+  // Asks the provider for a response. A model that cannot stream answers in one piece,
+  // relayed to the stream once complete; images are only sent to models that can see them.
+  // schema is only passed to models with native structured output.
+  async _complete(provider, model, messages, { imageUrls, req, stream, schema = null }) {
+    const canStream = !!stream && model.capabilities.streaming;
+    const text = await provider.complete(messages, {
+      model,
+      imageUrls: model.capabilities.vision ? imageUrls : [],
+      req,
+      stream: canStream ? stream : null,
+      ...(schema && model.capabilities.structuredOutput ? { schema } : {})
+    });
+    if (stream && !canStream) stream.onToken(text);
+    return text;
+  }
+
+  // Asks for a response matching output (utils/aiSchemas.js), sending it back to be fixed
+  // when it does not (aiOutputService.completeValid; failures are recorded with record).
+  // Only the first attempt is streamed; repairs keep the signal but not the listener, and
+  // are sent without images. A valid response comes back re-serialised from its JSON, with
+  // each command's risk raised to at least what commandRisk finds. Resolves with
+  // { response, json }; json is null if no attempt matched.
+  async _completeValid(provider, model, messages, output, { imageUrls, req, stream, record }) {
+    const { response, json } = await aiOutputService.completeValid(output, messages, (conversation, attempt) => this._complete(provider, model, conversation, {
+      imageUrls: attempt === 0 ? imageUrls : [],
+      req,
+      stream: attempt === 0 || !stream ? stream : { signal: stream.signal, onToken: () => {} },
+      schema: output.schema ? { name: output.name, schema: output.schema } : null
+    }), { ...record, model: model.id });
+    if (!json) return { response, json: null };
+
+    if (Array.isArray(json.risks)) {
+      json.risks = json.commands.map((command, i) => {
+        const found = analyzeCommand(command).level;
+        return LEVELS.indexOf(found) > LEVELS.indexOf(json.risks[i]) ? found : json.risks[i];
+      });
     }
+    return { response: JSON.stringify(json), json };
   }
 }
 
-module.exports = new AIService(); 
\ No newline at end of file
+module.exports = new AIService();
+module.exports.AGENT_RUN_NOT_WAITING = AGENT_RUN_NOT_WAITING;
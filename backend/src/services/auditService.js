@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const auditRepository = require('../repositories/auditRepository');
+const serverRepository = require('../repositories/serverRepository');
+
+// Where a command came from: the REST endpoints, typed in the terminal, an AI quick
+// action, a click on an AI suggestion, a run across several servers, or the AI agent
+const SOURCES = ['api', 'terminal', 'quick-action', 'suggestion', 'fanout', 'agent'];
+// prev_hash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+// Recorded when a command has no signed-in user behind it
+const DEFAULT_USER = 'anonymous';
+const CSV_COLUMNS = ['id', 'created_at', 'source', 'user', 'server_id', 'server_name', 'server_host', 'server_username', 'command', 'result', 'prev_hash', 'hash'];
+
+// Each entry's hash covers its own fields and the previous entry's hash, so editing,
+// deleting or reordering rows breaks the chain from that point on
+function computeHash(entry) {
+  const payload = JSON.stringify([
+    entry.id,
+    entry.prev_hash,
+    entry.created_at,
+    entry.source,
+    entry.user,
+    entry.server_id,
+    entry.server_snapshot,
+    entry.command,
+    entry.result
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+function snapshotServer(serverId) {
+  try {
+    const server = serverRepository.getServer(serverId);
+    if (!server) return null;
+    return {
+      id: server.id,
+      name: server.name,
+      host: server.host,
+      port: server.port,
+      username: server.username,
+      jump_server_id: server.jump_server_id ?? null
+    };
+  } catch {
+    return null;
+  }
+}
+
+function parseJson(value) {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return value;
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditService {
+  // Appends an entry. Never throws: a failing audit write must not break command execution.
+  // result: whatever is known about the outcome ({ exitCode, durationMs, ... } or { blocked, rule, reason })
+  record({ source, user = null, serverId, command, result = null }) {
+    try {
+      const snapshot = snapshotServer(serverId);
+      return auditRepository.appendEntry((last) => {
+        const entry = {
+          id: last ? last.id + 1 : 1,
+          created_at: new Date().toISOString(),
+          source: SOURCES.includes(source) ? source : 'api',
+          user: user || DEFAULT_USER,
+          server_id: serverId === null || serverId === undefined ? null : Number(serverId),
+          server_snapshot: snapshot ? JSON.stringify(snapshot) : null,
+          command,
+          result: result ? JSON.stringify(result) : null,
+          prev_hash: last ? last.hash : GENESIS_HASH
+        };
+        entry.hash = computeHash(entry);
+        return entry;
+      });
+    } catch (error) {
+      console.error('[AuditService] Failed to record audit entry:', error);
+      return null;
+    }
+  }
+
+  list(filters) {
+    return auditRepository.listEntries(filters).map(entry => this.toJSON(entry));
+  }
+
+  // Walks the whole chain. Returns { valid, entries, headHash, problems }; problems lists
+  // the first entries whose hash, link or sequence number does not check out.
+  verify() {
+    const problems = [];
+    let previous = null;
+    let entries = 0;
+
+    for (const entry of auditRepository.iterateEntries()) {
+      entries++;
+      const expectedId = previous ? previous.id + 1 : 1;
+      const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+
+      if (entry.id !== expectedId) {
+        problems.push({ id: entry.id, problem: `Expected entry ${expectedId}; entries are missing` });
+      }
+      if (entry.prev_hash !== expectedPrevHash) {
+        problems.push({ id: entry.id, problem: 'Does not link to the previous entry' });
+      }
+      if (computeHash(entry) !== entry.hash) {
+        problems.push({ id: entry.id, problem: 'Contents do not match the stored hash' });
+      }
+      previous = entry;
+      if (problems.length >= 100) break;
+    }
+
+    return {
+      valid: problems.length === 0,
+      entries,
+      headHash: previous ? previous.hash : GENESIS_HASH,
+      problems
+    };
+  }
+
+  // Writes the log, oldest first, to a stream-like `out` (an Express response)
+  export(out, format, serverId = null) {
+    if (format === 'csv') {
+      out.write(CSV_COLUMNS.join(',') + '\r\n');
+    }
+    for (const entry of auditRepository.iterateEntries(serverId)) {
+      if (format === 'csv') {
+        const snapshot = parseJson(entry.server_snapshot) || {};
+        const row = { ...entry, server_name: snapshot.name, server_host: snapshot.host, server_username: snapshot.username };
+        out.write(CSV_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n');
+      } else {
+        // Raw column values so the hashes can be checked from the export alone
+        out.write(JSON.stringify(entry) + '\n');
+      }
+    }
+  }
+
+  toJSON(entry) {
+    return {
+      ...entry,
+      server_snapshot: parseJson(entry.server_snapshot),
+      result: parseJson(entry.result)
+    };
+  }
+}
+
+module.exports = new AuditService();
+module.exports.SOURCES = SOURCES;
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const userRepository = require('../repositories/userRepository');
+const accessService = require('./accessService');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'sshfix_session';
+const DEFAULT_SESSION_TTL_HOURS = 24 * 7;
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+// Failed logins per username and client address before further attempts from that address
+// are refused for LOGIN_LOCKOUT_MS. Counting per address as well keeps someone who only
+// knows a username from locking its owner out.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+// Oldest username and address pairs are forgotten first past this many
+const MAX_TRACKED_LOGINS = 1000;
+
+// Set as `code` on errors thrown by setupFirstUser, login and the user management methods
+const SETUP_DONE = 'SETUP_DONE';
+const TOO_MANY_ATTEMPTS = 'TOO_MANY_ATTEMPTS';
+const LAST_ADMIN = 'LAST_ADMIN';
+
+// Stored as scrypt$<salt>$<hash>, both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length);
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Malformed values are ignored
+    }
+  }
+  return cookies;
+}
+
+function sessionTtlMs() {
+  const hours = Number(process.env.SESSION_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_SESSION_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+class AuthService {
+  constructor() {
+    this.failedLogins = new Map(); // lowercased username + client address -> { count, lockedUntil }
+    // Compared against when the username is unknown, so both cases take as long
+    this.dummyHash = null;
+  }
+
+  isSetupRequired() {
+    return userRepository.countUsers() === 0;
+  }
+
+  // Throws on invalid input
+  validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Username must be 3-64 letters, digits, dots, dashes or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async createUser(username, password, role = 'viewer') {
+    this.validateCredentials(username, password);
+    this._validateRole(role);
+    return this._insertUser(username, await hashPassword(password), role);
+  }
+
+  // Creates the first account, an admin. Throws a SETUP_DONE error once any user exists.
+  async setupFirstUser(username, password) {
+    this._assertSetupRequired();
+    this.validateCredentials(username, password);
+    const passwordHash = await hashPassword(password);
+    // Checked again: another setup request may have finished while hashing
+    this._assertSetupRequired();
+    return this._insertUser(username, passwordHash, 'admin');
+  }
+
+  listUsers() {
+    return userRepository.listUsers();
+  }
+
+  updateUserRole(id, role) {
+    this._validateRole(role);
+    const user = userRepository.getUser(id);
+    if (!user) throw new Error('User not found');
+    if (user.role === 'admin' && role !== 'admin') this._assertNotLastAdmin();
+    userRepository.updateUserRole(id, role);
+    return userRepository.getUser(id);
+  }
+
+  // Also ends the user's sessions and removes their server grants
+  deleteUser(id) {
+    const user = userRepository.getUser(id);
+    if (!user) return false;
+    if (user.role === 'admin') this._assertNotLastAdmin();
+    return userRepository.deleteUser(id);
+  }
+
+  _validateRole(role) {
+    if (!accessService.isValidRole(role)) {
+      throw new Error(`Role must be one of ${accessService.ROLES.join(', ')}`);
+    }
+  }
+
+  _assertNotLastAdmin() {
+    if (userRepository.countAdmins() > 1) return;
+    const error = new Error('At least one admin account must remain');
+    error.code = LAST_ADMIN;
+    throw error;
+  }
+
+  _assertSetupRequired() {
+    if (this.isSetupRequired()) return;
+    const error = new Error('An account already exists; log in instead');
+    error.code = SETUP_DONE;
+    throw error;
+  }
+
+  _insertUser(username, passwordHash, role) {
+    if (userRepository.getUserByUsername(username)) {
+      throw new Error('A user with this name already exists');
+    }
+    return userRepository.getUser(userRepository.addUser(username, passwordHash, role));
+  }
+
+  // Returns { token, user, expiresAt }, or null for a wrong username or password.
+  // Throws a TOO_MANY_ATTEMPTS error while the username is locked out for this address.
+  async login(username, password, address = null) {
+    const key = `${String(username || '').toLowerCase()} ${address || 'unknown'}`;
+    const failures = this.failedLogins.get(key);
+    if (failures && failures.lockedUntil > Date.now()) {
+      const error = new Error('Too many failed logins; try again later');
+      error.code = TOO_MANY_ATTEMPTS;
+      throw error;
+    }
+
+    const row = typeof username === 'string' ? userRepository.getUserByUsername(username) : null;
+    if (!this.dummyHash) this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    const valid = await verifyPassword(String(password ?? ''), row ? row.password_hash : this.dummyHash);
+    if (!row || !valid) {
+      // A lockout that has run out starts the count again
+      const count = (failures && !failures.lockedUntil ? failures.count : 0) + 1;
+      this.failedLogins.delete(key);
+      if (this.failedLogins.size >= MAX_TRACKED_LOGINS) {
+        this.failedLogins.delete(this.failedLogins.keys().next().value);
+      }
+      this.failedLogins.set(key, { count, lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOGIN_LOCKOUT_MS : 0 });
+      return null;
+    }
+
+    this.failedLogins.delete(key);
+    userRepository.updateLastLogin(row.id);
+    userRepository.deleteExpiredSessions(new Date().toISOString());
+    return { ...this.createSession(row.id), user: { id: row.id, username: row.username, role: row.role } };
+  }
+
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + sessionTtlMs()).toISOString();
+    userRepository.addSession(userId, hashToken(token), expiresAt);
+    return { token, expiresAt };
+  }
+
+  logout(token) {
+    if (token) userRepository.deleteSession(hashToken(token));
+  }
+
+  // The session token from the cookie or an `Authorization: Bearer` header
+  getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  // The signed-in { id, username, role } for an HTTP or WebSocket upgrade request, or null
+  authenticateRequest(req) {
+    const token = this.getRequestToken(req);
+    if (!token) return null;
+    return userRepository.getSessionUser(hashToken(token), new Date().toISOString()) || null;
+  }
+
+  // Set-Cookie value for a new session, or one that clears it when token is null
+  sessionCookie(token, expiresAt) {
+    const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict'];
+    if (process.env.SESSION_COOKIE_SECURE === 'true') attributes.push('Secure');
+    if (token) {
+      attributes.push(`Expires=${new Date(expiresAt).toUTCString()}`);
+      return `${SESSION_COOKIE}=${encodeURIComponent(token)}; ${attributes.join('; ')}`;
+    }
+    return `${SESSION_COOKIE}=; ${attributes.join('; ')}; Max-Age=0`;
+  }
+}
+
+module.exports = new AuthService();
+module.exports.SETUP_DONE = SETUP_DONE;
+module.exports.TOO_MANY_ATTEMPTS = TOO_MANY_ATTEMPTS;
+module.exports.LAST_ADMIN = LAST_ADMIN;
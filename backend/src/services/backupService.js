@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const backupRepository = require('../repositories/backupRepository');
+const credentialVault = require('./credentialVault');
+const connectionManager = require('./connectionManager');
+const { uploadDir } = require('../config/multer');
+
+// A backup is one gzipped JSON document:
+//   { format: 'sshfix-backup', version, schemaVersion, createdAt, createdBy,
+//     encryption: { cipher, kdf, salt, N, r, p, check },
+//     schema: { table: CREATE TABLE statement }, tables: { table: rows },
+//     credentials: { serverId: sealed secrets }, uploads: [{ name, data }], missingUploads }
+// Server rows carry no secrets; each server's password, private key and passphrase are sealed
+// together with AES-256-GCM under a key derived (scrypt) from the passphrase given at export.
+// uploads holds the images referenced from chat messages, base64-encoded.
+const FORMAT = 'sshfix-backup';
+const FORMAT_VERSION = 1;
+const MODES = ['merge', 'replace'];
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+const MAX_UNCOMPRESSED_BYTES = 1024 * 1024 * 1024;
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// Sealed with the derived key so a wrong passphrase is caught before anything is restored
+const CHECK_PLAINTEXT = FORMAT;
+const WRONG_PASSPHRASE = 'WRONG_PASSPHRASE';
+const UPLOAD_NAME = /^[\w.-]+\.(png|jpe?g|gif|webp)$/i;
+const UPLOAD_REFERENCE = /\/uploads\/([\w.-]+)/g;
+const SECRET_FIELDS = ['password', 'privateKey', 'passphrase'];
+
+function invalidBackup(message) {
+  const error = new Error(message);
+  error.code = backupRepository.INVALID_BACKUP;
+  return error;
+}
+
+function deriveKey(passphrase, { salt, N, r, p }) {
+  // Bounded so an archive cannot ask for an unreasonable amount of work
+  if (![N, r, p].every(Number.isInteger) || N > 2 ** 17 || r > 8 || p > 4) {
+    throw invalidBackup('Unsupported key derivation parameters');
+  }
+  return crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function wrongPassphrase() {
+  const error = new Error('Wrong passphrase, or the backup is damaged');
+  error.code = WRONG_PASSPHRASE;
+  return error;
+}
+
+// Throws with code WRONG_PASSPHRASE when the key does not match
+function open(key, sealed) {
+  try {
+    const [iv, authTag, ciphertext] = String(sealed).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch {
+    throw wrongPassphrase();
+  }
+}
+
+function referencedUploads(chatRows) {
+  const names = new Set();
+  for (const row of chatRows) {
+    for (const match of String(row.message || '').matchAll(UPLOAD_REFERENCE)) {
+      if (UPLOAD_NAME.test(match[1])) names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+// Exports and restores servers with their context, history, chat sessions and chat images
+class BackupService {
+  validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`The backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+  }
+
+  // Returns the gzipped archive. Stored credentials are decrypted with the vault and sealed
+  // again with the passphrase, so the backup does not depend on CREDENTIAL_MASTER_KEY.
+  createBackup(passphrase, user) {
+    this.validatePassphrase(passphrase);
+    const { schemaVersion, schema, tables } = backupRepository.exportTables();
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = deriveKey(passphrase, { salt, ...KDF_PARAMS });
+
+    const credentials = {};
+    tables.servers = tables.servers.map(server => {
+      const decrypted = credentialVault.decryptServer(server);
+      const secrets = Object.fromEntries(SECRET_FIELDS.filter(field => decrypted[field]).map(field => [field, decrypted[field]]));
+      if (Object.keys(secrets).length > 0) credentials[server.id] = seal(key, JSON.stringify(secrets));
+      return { ...server, password: null, privateKey: null, passphrase: null };
+    });
+
+    const uploads = [];
+    const missingUploads = [];
+    for (const name of referencedUploads(tables.chat_history)) {
+      const file = path.join(uploadDir, name);
+      if (fs.existsSync(file)) uploads.push({ name, data: fs.readFileSync(file).toString('base64') });
+      else missingUploads.push(name);
+    }
+
+    const archive = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      schemaVersion,
+      createdAt: new Date().toISOString(),
+      createdBy: user?.username || null,
+      encryption: { cipher: 'aes-256-gcm', kdf: 'scrypt', salt, ...KDF_PARAMS, check: seal(key, CHECK_PLAINTEXT) },
+      schema,
+      tables,
+      credentials,
+      uploads,
+      missingUploads
+    };
+    console.log(`[BackupService] Created backup of ${tables.servers.length} server(s) and ${uploads.length} image(s)`);
+    return zlib.gzipSync(Buffer.from(JSON.stringify(archive)));
+  }
+
+  // Unpacks and checks an archive; throws with code INVALID_BACKUP
+  readArchive(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw invalidBackup('No backup file received');
+    let archive;
+    try {
+      archive = JSON.parse(zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNCOMPRESSED_BYTES }).toString('utf8'));
+    } catch {
+      throw invalidBackup('Not an SSHFix backup (expected a gzipped JSON file)');
+    }
+    if (archive?.format !== FORMAT) throw invalidBackup('Not an SSHFix backup');
+    if (archive.version > FORMAT_VERSION || archive.schemaVersion > backupRepository.SCHEMA_VERSION) {
+      throw invalidBackup('This backup was made by a newer version of SSHFix; upgrade before restoring it');
+    }
+    if (!archive.encryption?.salt || !archive.encryption?.check || !archive.tables || typeof archive.tables !== 'object') {
+      throw invalidBackup('The backup is incomplete');
+    }
+    for (const table of backupRepository.BACKUP_TABLES) {
+      const rows = archive.tables[table] ?? [];
+      if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw invalidBackup(`The backup's ${table} table is malformed`);
+      }
+      archive.tables[table] = rows;
+    }
+    archive.schema = archive.schema || {};
+    archive.credentials = archive.credentials || {};
+    archive.uploads = Array.isArray(archive.uploads) ? archive.uploads : [];
+    return archive;
+  }
+
+  // What an archive contains, without the passphrase
+  inspect(buffer) {
+    const archive = this.readArchive(buffer);
+    const { tables } = archive;
+    return {
+      createdAt: archive.createdAt || null,
+      createdBy: archive.createdBy || null,
+      schemaVersion: archive.schemaVersion ?? 0,
+      currentSchemaVersion: backupRepository.SCHEMA_VERSION,
+      servers: tables.servers.map(server => ({ name: server.name, host: server.host, username: server.username })),
+      counts: {
+        servers: tables.servers.length,
+        policies: tables.server_policies.length,
+        context: tables.context.length,
+        history: tables.history.length,
+        chatMessages: tables.chat_history.length,
+        chatSessions: new Set(tables.chat_history.map(row => `${row.server_id}:${row.chat_session_id}`)).size,
+        uploads: archive.uploads.length
+      }
+    };
+  }
+
+  // Restores an archive in 'merge' or 'replace' mode (see backupRepository.restoreTables).
+  // The archive's tables are first upgraded to the current schema by running the
+  // migrations on them. Returns { mode, counts, warnings }.
+  restoreBackup(buffer, passphrase, mode) {
+    const archive = this.readArchive(buffer);
+    const key = deriveKey(passphrase, archive.encryption);
+    if (open(key, archive.encryption.check) !== CHECK_PLAINTEXT) throw wrongPassphrase();
+
+    // Everything is decrypted and checked before the database is touched
+    const secrets = new Map();
+    for (const [serverId, sealed] of Object.entries(archive.credentials)) {
+      let plain;
+      try {
+        plain = JSON.parse(open(key, sealed));
+      } catch (error) {
+        if (error.code === WRONG_PASSPHRASE) throw error;
+        plain = null;
+      }
+      if (!plain || typeof plain !== 'object') throw invalidBackup(`Damaged credentials for server ${serverId}`);
+      secrets.set(Number(serverId), credentialVault.encryptSecrets(Object.fromEntries(SECRET_FIELDS.map(field => [field, plain[field] ?? null]))));
+    }
+    const tables = backupRepository.upgradeTables(archive.schema, archive.tables);
+    const { files, renamed, warnings } = this._planUploads(archive.uploads);
+    for (const row of tables.chat_history) {
+      for (const [from, to] of renamed) row.message = String(row.message).split(`/uploads/${from}`).join(`/uploads/${to}`);
+    }
+
+    const result = backupRepository.restoreTables(tables, {
+      mode,
+      secretsFor: serverId => secrets.get(serverId) || { password: null, privateKey: null, passphrase: null }
+    });
+    for (const file of files) fs.writeFileSync(path.join(uploadDir, file.name), file.content);
+    // Pooled connections may belong to servers that were replaced
+    for (const serverId of result.removedServerIds) connectionManager.disconnect(serverId);
+
+    console.log(`[BackupService] Restored backup (${mode}): ${result.counts.serversAdded} server(s) added, ${result.counts.serversMerged} merged`);
+    return {
+      mode,
+      counts: { ...result.counts, uploads: files.length },
+      warnings: [...result.warnings, ...warnings]
+    };
+  }
+
+  // Images already present with the same content are skipped; a different file with the
+  // same name is kept and the restored one saved under a new name
+  _planUploads(uploads) {
+    const files = [];
+    const renamed = new Map();
+    const warnings = [];
+    for (const upload of uploads) {
+      if (!UPLOAD_NAME.test(upload?.name || '') || typeof upload.data !== 'string') {
+        warnings.push(`Skipped an invalid image entry${upload?.name ? ` (${String(upload.name).slice(0, 80)})` : ''}`);
+        continue;
+      }
+      const content = Buffer.from(upload.data, 'base64');
+      let name = upload.name;
+      const existing = path.join(uploadDir, name);
+      if (fs.existsSync(existing)) {
+        if (fs.readFileSync(existing).equals(content)) continue;
+        const extension = path.extname(name);
+        name = `${path.basename(name, extension)}-restored-${Date.now()}${extension}`;
+        renamed.set(upload.name, name);
+      }
+      files.push({ name, content });
+    }
+    return { files, renamed, warnings };
+  }
+}
+
+module.exports = new BackupService();
+module.exports.MODES = MODES;
+module.exports.MAX_ARCHIVE_BYTES = MAX_ARCHIVE_BYTES;
+module.exports.INVALID_BACKUP = backupRepository.INVALID_BACKUP;
+module.exports.WRONG_PASSPHRASE = WRONG_PASSPHRASE;
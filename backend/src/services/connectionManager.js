@@ -0,0 +1,604 @@
+const crypto = require('crypto');
+const { Client: SSHClient, utils: sshUtils } = require('ssh2');
+const serverRepository = require('../repositories/serverRepository');
+
+const READY_TIMEOUT = 10000;
+// A person has to answer keyboard-interactive prompts relayed to the browser
+const INTERACTIVE_READY_TIMEOUT = 2 * 60 * 1000;
+const KEEPALIVE_INTERVAL = 15000;
+const KEEPALIVE_COUNT_MAX = 3;
+const IDLE_TIMEOUT = Number(process.env.SSH_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_CONNECT_ATTEMPTS = 3;
+const BACKOFF_BASE = 1000;
+const BACKOFF_MAX = 15000;
+// OpenSSH allows 10 sessions per connection by default (MaxSessions); stay below it
+const MAX_CHANNELS_PER_CONNECTION = 8;
+const MAX_JUMP_HOPS = 5;
+
+// Only network-level failures are worth retrying; bad credentials will not fix themselves
+function isRetryable(error) {
+  return error && (error.level === 'client-socket' || error.level === 'client-timeout');
+}
+
+const HOST_KEY_MISMATCH = 'HOST_KEY_MISMATCH';
+const HOST_KEY_UNKNOWN = 'HOST_KEY_UNKNOWN';
+
+// Same format OpenSSH prints: SHA256:<unpadded base64 of the key blob digest>
+function fingerprintHostKey(key) {
+  return 'SHA256:' + crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+}
+
+function describeHostKey(key) {
+  const parsed = sshUtils.parseKey(key);
+  return {
+    fingerprint: fingerprintHostKey(key),
+    type: parsed instanceof Error ? null : parsed.type
+  };
+}
+
+function hostKeyMismatchError(config, expected, presented) {
+  const error = new Error(
+    `Host key verification failed for ${config.host}:${config.port}. ` +
+    `The server presented ${presented.type || 'a'} key ${presented.fingerprint}, but ${expected} was expected. ` +
+    'Someone may be intercepting the connection, or the server was reinstalled. ' +
+    'The connection was refused; review and accept the new key from the server page only if you trust it.'
+  );
+  error.code = HOST_KEY_MISMATCH;
+  error.hostKey = { expected, presented };
+  return error;
+}
+
+// Same shape as a mismatch, with nothing expected, so both go through the accept flow
+function hostKeyUnknownError(config, presented) {
+  const error = new Error(
+    `No host key is trusted for ${config.host}:${config.port} yet. ` +
+    `The server presented ${presented.type || 'a'} key ${presented.fingerprint}. ` +
+    'Test the connection from the server page and accept the key there if you trust it.'
+  );
+  error.code = HOST_KEY_UNKNOWN;
+  error.hostKey = { expected: null, presented };
+  return error;
+}
+
+// Identifies the server a connection attempt was trying to reach, so callers can tell
+// which hop of a jump host chain failed. Errors from an inner hop keep their original tag.
+function tagHop(error, config) {
+  if (!error.hop) {
+    error.hop = {
+      serverId: config.serverId ?? null,
+      name: config.name || null,
+      host: config.host,
+      port: config.port
+    };
+  }
+  return error;
+}
+
+// Prompts we can safely answer with the stored password (PAM usually asks "Password: ")
+function isPasswordPrompt(prompt) {
+  return /password|passphrase/i.test(prompt.prompt || '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ConnectionManager {
+  constructor() {
+    this.connections = new Map(); // serverId -> pooled connection entry
+    this.clientInfo = new WeakMap(); // client -> { authMethod, hostKey } captured while connecting
+  }
+
+  _getEntry(serverId) {
+    const id = Number(serverId);
+    let entry = this.connections.get(id);
+    if (!entry) {
+      entry = {
+        serverId: id,
+        client: null,
+        state: 'idle',
+        readyPromise: null,
+        activeChannels: 0,
+        channelWaiters: [],
+        idleTimer: null,
+        connectedAt: null,
+        lastUsedAt: null,
+        lastError: null,
+        connectAttempts: 0,
+        authMethod: null,
+        jumpServerId: null
+      };
+      this.connections.set(id, entry);
+    }
+    return entry;
+  }
+
+  // onKeyboardInteractive({ name, instructions, prompts }) => Promise<string[]> lets a caller
+  // (the web terminal) relay prompts we cannot answer from stored credentials to a person.
+  _buildConnectConfig(server, { onKeyboardInteractive } = {}) {
+    return {
+      serverId: server.id ?? null,
+      name: server.name || null,
+      jumpServerId: server.jump_server_id || undefined,
+      host: server.host,
+      port: server.port || 22,
+      username: server.username,
+      password: server.password || undefined,
+      privateKey: server.privateKey || undefined,
+      passphrase: server.passphrase || undefined,
+      hostKeyFingerprint: server.host_key_fingerprint || undefined,
+      onKeyboardInteractive
+    };
+  }
+
+  // Fallback chain: private key, then password, then keyboard-interactive. Methods the
+  // server does not offer are skipped. The last method attempted when the client becomes
+  // ready is the one that succeeded.
+  _buildAuthHandler(config, onAttempt) {
+    const { username, password, privateKey, passphrase, onKeyboardInteractive } = config;
+    const methods = [];
+    let keyError = null;
+
+    if (privateKey) {
+      const parsed = sshUtils.parseKey(privateKey, passphrase);
+      if (parsed instanceof Error) {
+        const hint = !passphrase && /encrypted|passphrase/i.test(parsed.message) ? ' (the key is encrypted; provide its passphrase)' : '';
+        keyError = `Private key could not be used: ${parsed.message}${hint}`;
+      } else {
+        methods.push({ type: 'publickey', username, key: privateKey, passphrase });
+      }
+    }
+
+    if (password) {
+      methods.push({ type: 'password', username, password });
+    }
+
+    if (password || onKeyboardInteractive) {
+      let answeredWithPassword = false;
+      methods.push({
+        type: 'keyboard-interactive',
+        username,
+        prompt: (name, instructions, lang, prompts, finish) => {
+          // Answer a plain password challenge once from storage; anything else (OTP, a
+          // second password round after a failure) needs a person.
+          if (password && !answeredWithPassword && prompts.every(isPasswordPrompt)) {
+            answeredWithPassword = true;
+            finish(prompts.map(() => password));
+            return;
+          }
+          if (!onKeyboardInteractive) {
+            finish([]);
+            return;
+          }
+          Promise.resolve(onKeyboardInteractive({
+            name,
+            instructions,
+            prompts: prompts.map(p => ({ prompt: p.prompt, echo: !!p.echo }))
+          }))
+            .then(responses => finish(Array.isArray(responses) ? responses.map(String) : []))
+            .catch(() => finish([]));
+        }
+      });
+    }
+
+    const authHandler = (methodsLeft, partialSuccess, callback) => {
+      while (methods.length) {
+        const method = methods.shift();
+        if (Array.isArray(methodsLeft) && !methodsLeft.includes(method.type)) continue;
+        onAttempt(method.type);
+        return method;
+      }
+      return false;
+    };
+
+    return { authHandler, keyError };
+  }
+
+  // Open a single authenticated connection. Everything that talks SSH ends up here.
+  // With config.hostKeyFingerprint set, any other host key is refused before authenticating;
+  // without it (testing a server that is not saved yet) the presented key is accepted and
+  // reported through getHostKey(). Pooled connections always have one (see _connectWithRetry).
+  _connectOnce(config) {
+    return new Promise((resolve, reject) => {
+      const client = new SSHClient();
+      // Credentials only reach ssh2 through the auth handler, so an unusable key falls
+      // through to the next method instead of failing connect() outright
+      const {
+        serverId, name, jumpServerId, onKeyboardInteractive,
+        password, privateKey, passphrase, hostKeyFingerprint,
+        ...connectConfig
+      } = config;
+      let attemptedMethod = null;
+      let presentedHostKey = null;
+      const { authHandler, keyError } = this._buildAuthHandler(config, (method) => {
+        attemptedMethod = method;
+      });
+
+      const hostVerifier = (key) => {
+        presentedHostKey = describeHostKey(key);
+        return !hostKeyFingerprint || presentedHostKey.fingerprint === hostKeyFingerprint;
+      };
+
+      const onError = (err) => {
+        client.removeListener('ready', onReady);
+        if (hostKeyFingerprint && presentedHostKey && presentedHostKey.fingerprint !== hostKeyFingerprint) {
+          reject(hostKeyMismatchError(config, hostKeyFingerprint, presentedHostKey));
+          return;
+        }
+        if (keyError && err.level === 'client-authentication') {
+          err.message = `${err.message}. ${keyError}`;
+        }
+        reject(err);
+      };
+      const onReady = () => {
+        client.removeListener('error', onError);
+        this.clientInfo.set(client, { authMethod: attemptedMethod, hostKey: presentedHostKey });
+        resolve(client);
+      };
+
+      client.once('ready', onReady).once('error', onError);
+
+      try {
+        client.connect({
+          readyTimeout: onKeyboardInteractive ? INTERACTIVE_READY_TIMEOUT : READY_TIMEOUT,
+          keepaliveInterval: KEEPALIVE_INTERVAL,
+          keepaliveCountMax: KEEPALIVE_COUNT_MAX,
+          ...connectConfig,
+          authHandler,
+          hostVerifier
+        });
+      } catch (error) {
+        client.removeListener('ready', onReady);
+        reject(error);
+      }
+    });
+  }
+
+  getAuthMethod(client) {
+    return (client && this.clientInfo.get(client)?.authMethod) || null;
+  }
+
+  getHostKey(client) {
+    return (client && this.clientInfo.get(client)?.hostKey) || null;
+  }
+
+  // Saved jump hosts from the one closest to the target outwards. Throws on loops and
+  // overly long chains, which would otherwise deadlock on each other's pending connects.
+  resolveJumpChain(jumpServerId, targetServerId = null) {
+    const chain = [];
+    const seen = new Set(targetServerId !== null ? [Number(targetServerId)] : []);
+    let nextId = jumpServerId;
+
+    while (nextId) {
+      const id = Number(nextId);
+      if (seen.has(id)) {
+        throw new Error(`Jump host chain loops back to server ${id}`);
+      }
+      if (chain.length >= MAX_JUMP_HOPS) {
+        throw new Error(`Jump host chain is longer than ${MAX_JUMP_HOPS} hops`);
+      }
+      const jump = serverRepository.getServer(id);
+      if (!jump) {
+        throw new Error(`Jump host (server ${id}) no longer exists`);
+      }
+      seen.add(id);
+      chain.push(jump);
+      nextId = jump.jump_server_id;
+    }
+
+    return chain;
+  }
+
+  // Hops in connection order (outermost jump host first, target last)
+  describeRoute(server) {
+    const hops = [...this.resolveJumpChain(server.jump_server_id, server.id ?? null)].reverse();
+    return [...hops, server].map(hop => ({
+      serverId: hop.id ?? null,
+      name: hop.name || null,
+      host: hop.host,
+      port: hop.port || 22
+    }));
+  }
+
+  // Connect directly, or through a forwarded channel on the (pooled) jump host connection
+  async _dial(config) {
+    let sock;
+    if (config.jumpServerId) {
+      try {
+        this.resolveJumpChain(config.jumpServerId, config.serverId);
+      } catch (error) {
+        throw tagHop(error, config);
+      }
+      sock = await this._openTunnel(config);
+    }
+
+    try {
+      return await this._connectOnce(sock ? { ...config, sock } : config);
+    } catch (error) {
+      sock?.end();
+      throw tagHop(error, config);
+    }
+  }
+
+  async _openTunnel(config) {
+    const jump = serverRepository.getServer(config.jumpServerId);
+    try {
+      return await this._openChannel(config.jumpServerId, (client, callback) =>
+        client.forwardOut('127.0.0.1', 0, config.host, config.port, callback)
+      );
+    } catch (error) {
+      // Failures connecting to the jump host itself are already tagged with that hop
+      if (error.hop) throw error;
+      const tunnelError = new Error(
+        `Jump host ${jump.name} could not open a tunnel to ${config.host}:${config.port}: ${error.message}`
+      );
+      throw tagHop(tunnelError, config);
+    }
+  }
+
+  // Read the host key a server presents without authenticating
+  async scanHostKey(server) {
+    const config = this._buildConnectConfig(server);
+    const sock = config.jumpServerId ? await this._openTunnel(config) : undefined;
+
+    return new Promise((resolve, reject) => {
+      const client = new SSHClient();
+      let hostKey = null;
+
+      client.once('error', (err) => {
+        if (hostKey) resolve(hostKey);
+        else reject(err);
+      });
+
+      try {
+        client.connect({
+          host: config.host,
+          port: config.port,
+          username: config.username,
+          sock,
+          readyTimeout: READY_TIMEOUT,
+          // Capture the key, then refuse it so the handshake stops here
+          hostVerifier: (key) => {
+            hostKey = describeHostKey(key);
+            return false;
+          }
+        });
+      } catch (error) {
+        reject(error);
+      }
+    }).finally(() => sock?.end());
+  }
+
+  async _connectWithRetry(entry, connectOptions) {
+    const server = serverRepository.getServerWithCredentials(entry.serverId);
+    if (!server) throw new Error('Server not found');
+
+    const config = this._buildConnectConfig(server, connectOptions);
+    entry.jumpServerId = config.jumpServerId || null;
+    let lastError = null;
+
+    // Servers saved without a key (before keys were tracked, or imported without a test) are
+    // not sent credentials until someone reviews and accepts the key they present
+    if (!config.hostKeyFingerprint) {
+      entry.state = 'connecting';
+      try {
+        lastError = tagHop(hostKeyUnknownError(config, await this.scanHostKey(server)), config);
+      } catch (error) {
+        lastError = error;
+      }
+      entry.state = 'error';
+      entry.lastError = lastError.message;
+      console.warn(`[ConnectionManager] Server ${entry.serverId} has no trusted host key:`, lastError.message);
+      throw lastError;
+    }
+
+    for (let attempt = 0; attempt < MAX_CONNECT_ATTEMPTS; attempt++) {
+      entry.connectAttempts = attempt + 1;
+      entry.state = attempt === 0 ? 'connecting' : 'reconnecting';
+
+      try {
+        const client = await this._dial(config);
+        this._attachClient(entry, client);
+        return client;
+      } catch (error) {
+        lastError = error;
+        entry.lastError = error.message;
+        console.warn(`[ConnectionManager] Connect attempt ${attempt + 1} for server ${entry.serverId} failed:`, error.message);
+
+        // A failing jump host has already been retried by its own pool entry
+        const failedUpstream = error.hop && error.hop.serverId !== entry.serverId;
+        if (failedUpstream || !isRetryable(error) || attempt === MAX_CONNECT_ATTEMPTS - 1) break;
+
+        const delay = Math.min(BACKOFF_BASE * 2 ** attempt, BACKOFF_MAX) + Math.floor(Math.random() * 250);
+        await sleep(delay);
+      }
+    }
+
+    entry.state = 'error';
+    throw lastError;
+  }
+
+  _attachClient(entry, client) {
+    entry.client = client;
+    entry.state = 'ready';
+    entry.connectedAt = new Date().toISOString();
+    entry.lastUsedAt = entry.connectedAt;
+    entry.lastError = null;
+    entry.connectAttempts = 0;
+    entry.authMethod = this.getAuthMethod(client);
+
+    client.on('error', (err) => {
+      console.error(`[ConnectionManager] Connection error for server ${entry.serverId}:`, err.message);
+      entry.lastError = err.message;
+    });
+
+    client.on('close', () => {
+      // A newer client may already have replaced this one
+      if (entry.client !== client) return;
+      console.log(`[ConnectionManager] Connection for server ${entry.serverId} closed`);
+      entry.client = null;
+      entry.readyPromise = null;
+      entry.state = 'closed';
+      this._clearIdleTimer(entry);
+    });
+
+    this._scheduleIdleTimeout(entry);
+  }
+
+  _clearIdleTimer(entry) {
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+  }
+
+  _scheduleIdleTimeout(entry) {
+    this._clearIdleTimer(entry);
+    if (entry.activeChannels > 0) return;
+
+    entry.idleTimer = setTimeout(() => {
+      console.log(`[ConnectionManager] Closing idle connection for server ${entry.serverId}`);
+      this.disconnect(entry.serverId);
+    }, IDLE_TIMEOUT);
+    // Idle connections must not keep the process alive on shutdown
+    entry.idleTimer.unref?.();
+  }
+
+  // connectOptions only matter when this call has to open a new connection
+  async getConnection(serverId, connectOptions = {}) {
+    const entry = this._getEntry(serverId);
+
+    if (entry.state === 'ready' && entry.client) {
+      return entry.client;
+    }
+
+    if (!entry.readyPromise) {
+      entry.readyPromise = this._connectWithRetry(entry, connectOptions).catch((error) => {
+        entry.readyPromise = null;
+        throw error;
+      });
+    }
+
+    return entry.readyPromise;
+  }
+
+  async _acquireChannelSlot(entry) {
+    while (entry.activeChannels >= MAX_CHANNELS_PER_CONNECTION) {
+      await new Promise(resolve => entry.channelWaiters.push(resolve));
+    }
+    entry.activeChannels++;
+    entry.lastUsedAt = new Date().toISOString();
+    this._clearIdleTimer(entry);
+  }
+
+  _releaseChannelSlot(entry) {
+    entry.activeChannels = Math.max(0, entry.activeChannels - 1);
+    entry.lastUsedAt = new Date().toISOString();
+
+    const next = entry.channelWaiters.shift();
+    if (next) {
+      next();
+    } else if (entry.client) {
+      this._scheduleIdleTimeout(entry);
+    }
+  }
+
+  async _openChannel(serverId, open, connectOptions) {
+    const entry = this._getEntry(serverId);
+    await this._acquireChannelSlot(entry);
+
+    const tryOpen = async () => {
+      const client = await this.getConnection(serverId, connectOptions);
+      return new Promise((resolve, reject) => {
+        open(client, (err, stream) => (err ? reject(err) : resolve(stream)));
+      });
+    };
+
+    let stream;
+    try {
+      try {
+        stream = await tryOpen();
+      } catch (error) {
+        // The pooled connection may have died without us noticing; retry once on a fresh one
+        if (!/not connected|no response/i.test(error.message)) throw error;
+        console.warn(`[ConnectionManager] Channel open failed for server ${entry.serverId}, reconnecting:`, error.message);
+        this._dropClient(entry);
+        stream = await tryOpen();
+      }
+    } catch (error) {
+      this._releaseChannelSlot(entry);
+      throw error;
+    }
+
+    stream.once('close', () => this._releaseChannelSlot(entry));
+    return stream;
+  }
+
+  exec(serverId, command, options = {}) {
+    return this._openChannel(serverId, (client, callback) => client.exec(command, options, callback));
+  }
+
+  shell(serverId, window = {}, options = {}, connectOptions = {}) {
+    return this._openChannel(serverId, (client, callback) => client.shell(window, options, callback), connectOptions);
+  }
+
+  // Unpooled connection for servers that are not saved yet (e.g. testing a new server).
+  // The caller owns the client and must end() it.
+  openTransient(config) {
+    return this._dial(this._buildConnectConfig(config));
+  }
+
+  execOnClient(client, command, options = {}) {
+    return new Promise((resolve, reject) => {
+      client.exec(command, options, (err, stream) => (err ? reject(err) : resolve(stream)));
+    });
+  }
+
+  _dropClient(entry) {
+    const client = entry.client;
+    this._clearIdleTimer(entry);
+    entry.client = null;
+    entry.readyPromise = null;
+    entry.state = 'closed';
+
+    if (client) {
+      try {
+        client.end();
+      } catch (error) {
+        console.error(`[ConnectionManager] Error closing connection for server ${entry.serverId}:`, error);
+      }
+    }
+  }
+
+  disconnect(serverId) {
+    const id = Number(serverId);
+    const entry = this.connections.get(id);
+    if (!entry) return;
+
+    this.connections.delete(id);
+    this._dropClient(entry);
+  }
+
+  getStatus(serverId = null) {
+    const entries = serverId !== null && serverId !== undefined
+      ? [this.connections.get(Number(serverId))].filter(Boolean)
+      : [...this.connections.values()];
+
+    return entries.map(entry => ({
+      serverId: entry.serverId,
+      state: entry.state,
+      activeChannels: entry.activeChannels,
+      queuedChannels: entry.channelWaiters.length,
+      connectedAt: entry.connectedAt,
+      lastUsedAt: entry.lastUsedAt,
+      lastError: entry.lastError,
+      connectAttempts: entry.connectAttempts,
+      authMethod: entry.authMethod,
+      jumpServerId: entry.jumpServerId
+    }));
+  }
+}
+
+module.exports = new ConnectionManager();
+module.exports.HOST_KEY_MISMATCH = HOST_KEY_MISMATCH;
+module.exports.HOST_KEY_UNKNOWN = HOST_KEY_UNKNOWN;
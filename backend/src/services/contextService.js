@@ -0,0 +1,231 @@
+const chatRepository = require('../repositories/chatRepository');
+const { cleanAIResponse } = require('../utils/ai');
+const { estimateTokens, estimateMessageTokens, truncateToTokens, IMAGE_TOKENS } = require('../utils/tokens');
+
+// Room left for the model's reply: a quarter of the context window, at most this much
+const RESPONSE_RESERVE_TOKENS = 4096;
+// Used when a model does not say how large its context window is
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// The newest chat messages, kept ahead of the terminal context
+const RECENT_MESSAGES = 4;
+// Share of the room left after the recent messages that the terminal context may take
+const TERMINAL_SHARE = 0.5;
+// Room kept for the rolling summary, and the length the model is asked to keep it under
+const SUMMARY_TOKENS = 500;
+const SUMMARY_WORDS = 300;
+
+const SUMMARY_INSTRUCTION = `You summarise a conversation between a user and an AI assistant that helps them run a server, so it can continue without the full transcript. Keep the problem being worked on, facts learned about the server (hosts, services, versions, paths, error messages), commands that were suggested or run and what came of them, decisions made and open questions. Leave out pleasantries and anything the user no longer needs. Use at most ${SUMMARY_WORDS} words.
+Respond in JSON: {"summary": "<the summary>"}`;
+
+const TERMINAL_HEADING = 'Recent terminal commands and their outputs:\n\n';
+const TERMINAL_FOOTER = '\nPlease consider these terminal commands and their outputs when responding to the user.';
+
+const transcriptLine = m => `${m.role === 'ai' ? 'Assistant' : 'User'}: ${String(m.message).replace(/!\[image\]\([^)]+\)/g, '[image]')}\n\n`;
+
+class ContextService {
+  // { contextWindow, budget }: what a request to model may use, leaving room for the reply.
+  // AI_CONTEXT_MAX_TOKENS caps it for models with very large windows.
+  budgetFor(model) {
+    const contextWindow = model.capabilities?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    let budget = contextWindow - Math.min(RESPONSE_RESERVE_TOKENS, Math.floor(contextWindow / 4));
+    const cap = Number(process.env.AI_CONTEXT_MAX_TOKENS);
+    if (cap > 0) budget = Math.min(budget, cap);
+    return { contextWindow, budget };
+  }
+
+  // Builds the messages for a request so they fit the model's budget. In order of priority:
+  //   system   the system message, always sent
+  //   tail     the messages that end the request (the prompt, an agent run's steps), always sent
+  //   the newest RECENT_MESSAGES of history
+  //   terminal entries ({ label, text, failed }, oldest first), failed commands before the
+  //            others and newer before older, up to TERMINAL_SHARE of the room left
+  //   the rest of history ({ id, role, message }, oldest first), newest first
+  // Older messages that do not fit are folded into the session's rolling summary (see
+  // _summarize), which is sent in their place. The stored summary covers every message up
+  // to its through_message_id, so it is only used while that is before until, the first
+  // message left out of history (an edited message, or the prompt of an agent run).
+  // imageCount counts images sent with the prompt. Resolves with { messages, usage }.
+  async build({ provider, model, req, serverId, chatSessionId, system, history = [], until = null, terminal = null, tail, imageCount = 0 }) {
+    const { contextWindow, budget } = this.budgetFor(model);
+    const cost = message => estimateMessageTokens(message, { vision: model.capabilities?.vision });
+
+    const promptTokens = tail.reduce((sum, message) => sum + cost(message), 0) +
+      (model.capabilities?.vision ? imageCount * IMAGE_TOKENS : 0);
+    const usage = {
+      model: model.id,
+      contextWindow,
+      budget,
+      total: 0,
+      system: cost(system),
+      summary: 0,
+      terminal: 0,
+      history: 0,
+      prompt: promptTokens,
+      messages: { sent: 0, summarized: 0, omitted: 0 },
+      commands: { sent: 0, failed: 0, omitted: 0 }
+    };
+
+    const stored = serverId && chatSessionId ? chatRepository.getSummary(serverId, chatSessionId) : null;
+    let summary = stored && (until === null || stored.through_message_id < until) ? stored : null;
+    // A summary that covers messages after until can neither be sent nor extended
+    const canSummarize = !!(serverId && chatSessionId) && (!stored || !!summary);
+    const candidates = summary ? history.filter(m => m.id > summary.through_message_id) : history;
+    const turns = candidates.map(m => ({ id: m.id, message: m, tokens: cost({ role: m.role, content: m.message }) }));
+
+    let room = budget - usage.system - usage.prompt - (summary ? cost(this._summaryMessage(summary)) : 0);
+
+    // Newest messages first; a message that does not fit ends the run so what is sent stays contiguous
+    let first = turns.length;
+    const take = limit => {
+      while (first > 0 && turns.length - first < limit && turns[first - 1].tokens <= room) {
+        first--;
+        room -= turns[first].tokens;
+      }
+    };
+    take(RECENT_MESSAGES);
+
+    let terminalMessage = null;
+    if (terminal && terminal.length > 0) {
+      terminalMessage = this._selectTerminal(terminal, Math.floor(room * TERMINAL_SHARE), usage);
+      if (terminalMessage) room -= usage.terminal;
+    }
+
+    take(Infinity);
+    let sent = turns.slice(first);
+    let overflow = turns.slice(0, first);
+
+    if (overflow.length > 0 && canSummarize) {
+      // Make room for the summary the overflow is folded into
+      room += summary ? cost(this._summaryMessage(summary)) : 0;
+      while (room < SUMMARY_TOKENS && sent.length > 0) {
+        room += sent[0].tokens;
+        overflow = [...overflow, sent[0]];
+        sent = sent.slice(1);
+      }
+      try {
+        summary = await this._summarize({ provider, model, req, budget }, summary, overflow.map(turn => turn.message));
+        summary = chatRepository.saveSummary(serverId, chatSessionId, {
+          summary: summary.summary,
+          throughMessageId: overflow[overflow.length - 1].id,
+          messageCount: summary.message_count,
+          model: model.id
+        });
+        overflow = [];
+      } catch (error) {
+        console.error('[ContextService] Could not summarise older messages:', error.message);
+      }
+    }
+
+    const messages = [system];
+    if (summary || overflow.length > 0) {
+      const message = this._summaryMessage(summary, overflow.length);
+      usage.summary = cost(message);
+      usage.messages.summarized = summary ? summary.message_count : 0;
+      messages.push(message);
+    }
+    if (terminalMessage) messages.push(terminalMessage);
+    for (const turn of sent) {
+      messages.push({ role: turn.message.role, content: turn.message.message });
+      usage.history += turn.tokens;
+    }
+    messages.push(...tail);
+
+    usage.messages.sent = sent.length;
+    usage.messages.omitted = overflow.length;
+    usage.total = usage.system + usage.summary + usage.terminal + usage.history + usage.prompt;
+    if (usage.total > budget) {
+      console.warn(`[ContextService] Request for ${model.id} needs about ${usage.total} tokens, more than its budget of ${budget}`);
+    }
+    return { messages, usage };
+  }
+
+  // The terminal context message with as many entries as fit in maxTokens, or null
+  _selectTerminal(entries, maxTokens, usage) {
+    const costs = entries.map(entry => estimateTokens(entry.text));
+    const order = entries.map((entry, i) => i).reverse();
+    const byPriority = [...order.filter(i => entries[i].failed), ...order.filter(i => !entries[i].failed)];
+
+    // Less the heading, footer and the notes about omitted and failed commands
+    let room = maxTokens - estimateMessageTokens({ content: TERMINAL_HEADING + TERMINAL_FOOTER }) - 60;
+    const chosen = new Set();
+    for (const i of byPriority) {
+      if (costs[i] > room) continue;
+      chosen.add(i);
+      room -= costs[i];
+    }
+    usage.commands.omitted = entries.length - chosen.size;
+    if (chosen.size === 0) return null;
+
+    const picked = entries.filter((entry, i) => chosen.has(i));
+    const failed = picked.filter(entry => entry.failed).map(entry => entry.label);
+    let content = TERMINAL_HEADING;
+    if (usage.commands.omitted > 0) {
+      content += `(${usage.commands.omitted} other commands of this session are left out to fit the context window.)\n\n`;
+    }
+    content += picked.map(entry => entry.text).join('');
+    if (failed.length > 0) {
+      content += `FAILED commands: ${failed.join(', ')}. Take these failures into account and do not assume those commands succeeded.\n`;
+    }
+    const message = { role: 'system', content: content + TERMINAL_FOOTER };
+    usage.commands.sent = picked.length;
+    usage.commands.failed = failed.length;
+    usage.terminal = estimateMessageTokens(message);
+    return message;
+  }
+
+  // Sent in place of the messages the summary covers; omitted counts older messages that
+  // were left out without being summarised
+  _summaryMessage(summary, omitted = 0) {
+    const parts = [];
+    if (summary) parts.push(`Summary of the earlier conversation (${summary.message_count} messages):\n${summary.summary}`);
+    if (omitted > 0) parts.push(`(${omitted} earlier messages of this conversation are left out to fit the context window.)`);
+    return { role: 'system', content: parts.join('\n\n') };
+  }
+
+  // Asks the model to fold messages into the summary, in as many requests as the budget
+  // needs. Resolves with { summary, message_count }; throws if the model fails.
+  async _summarize({ provider, model, req, budget }, previous, messages) {
+    let summary = previous ? previous.summary : '';
+    let count = previous ? previous.message_count : 0;
+    let rest = messages;
+    while (rest.length > 0) {
+      const room = budget - SUMMARY_TOKENS - estimateTokens(SUMMARY_INSTRUCTION) - estimateTokens(summary) - 50;
+      if (room < 200) throw new Error('The context window is too small to summarise the conversation');
+
+      let transcript = '';
+      let used = 0;
+      let taken = 0;
+      for (const message of rest) {
+        let line = transcriptLine(message);
+        const tokens = estimateTokens(line);
+        if (used + tokens > room) {
+          if (taken > 0) break;
+          // A single message larger than the window
+          line = truncateToTokens(line, room) + '\n\n';
+        }
+        transcript += line;
+        used += tokens;
+        taken++;
+      }
+
+      const response = await provider.complete([
+        { role: 'system', content: SUMMARY_INSTRUCTION },
+        { role: 'user', content: (summary ? `Summary so far:\n${summary}\n\n` : '') + `Messages to add to it:\n\n${transcript}` }
+      ], { model, imageUrls: [], req, stream: null });
+
+      let json = null;
+      try {
+        json = JSON.parse(cleanAIResponse(response));
+      } catch {
+        json = null;
+      }
+      summary = (typeof json?.summary === 'string' ? json.summary : String(response || '')).trim();
+      if (!summary) throw new Error('The model returned an empty summary');
+      count += taken;
+      rest = rest.slice(taken);
+    }
+    return { summary, message_count: count };
+  }
+}
+
+module.exports = new ContextService();
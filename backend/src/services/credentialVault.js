@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Encrypted values are stored as enc:v1:<iv>:<authTag>:<ciphertext> (base64 parts)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const SECRET_FIELDS = ['password', 'privateKey', 'passphrase'];
+const KEY_SALT = 'sshfix-credential-vault';
+
+class CredentialVault {
+  constructor() {
+    this.cachedKey = null;
+    this.cachedMasterKey = null;
+  }
+
+  isConfigured() {
+    return !!process.env.CREDENTIAL_MASTER_KEY;
+  }
+
+  _getKey() {
+    const masterKey = process.env.CREDENTIAL_MASTER_KEY;
+    if (!masterKey) {
+      throw new Error('CREDENTIAL_MASTER_KEY is not set. Server credentials cannot be encrypted or decrypted.');
+    }
+
+    // Derive a fixed-length AES key from whatever the operator put in the environment
+    if (this.cachedMasterKey !== masterKey) {
+      this.cachedKey = crypto.scryptSync(masterKey, KEY_SALT, 32);
+      this.cachedMasterKey = masterKey;
+    }
+    return this.cachedKey;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') return null;
+    if (this.isEncrypted(plaintext)) return plaintext;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return ENCRYPTED_PREFIX + [iv, authTag, ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  decrypt(value) {
+    if (value === null || value === undefined || value === '') return null;
+    // Rows written before the vault existed stay readable until the migration re-encrypts them
+    if (!this.isEncrypted(value)) return value;
+
+    const [iv, authTag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this._getKey(), iv);
+      decipher.setAuthTag(authTag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+      console.error('[CredentialVault] Failed to decrypt credential:', error.message);
+      throw new Error('Failed to decrypt stored credential. Check that CREDENTIAL_MASTER_KEY matches the key used to store it.');
+    }
+  }
+
+  encryptSecrets(secrets) {
+    const result = { ...secrets };
+    for (const field of SECRET_FIELDS) {
+      if (field in result) {
+        result[field] = this.encrypt(result[field]);
+      }
+    }
+    return result;
+  }
+
+  decryptServer(server) {
+    if (!server) return server;
+    const result = { ...server };
+    for (const field of SECRET_FIELDS) {
+      result[field] = this.decrypt(result[field]);
+    }
+    return result;
+  }
+
+  // Strip secrets from a server row before it leaves the backend
+  redactServer(server) {
+    if (!server) return server;
+    const result = { ...server };
+    for (const field of SECRET_FIELDS) {
+      delete result[field];
+    }
+    result.hasPassword = !!server.password;
+    result.hasPrivateKey = !!server.privateKey;
+    result.hasPassphrase = !!server.passphrase;
+    return result;
+  }
+}
+
+module.exports = new CredentialVault();
@@ -0,0 +1,136 @@
+const serverRepository = require('../repositories/serverRepository');
+const sshService = require('./sshService');
+const policyService = require('./policyService');
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 20;
+const MAX_TARGETS = 100;
+
+// How each server's run ended:
+//   ok       exit code 0
+//   failed   non-zero exit code, killed by a signal or timed out
+//   blocked  refused by the server's command policy
+//   error    the command could not be started (e.g. connection failure)
+//   skipped  not started because the run was stopped
+const FAILED_STATUSES = ['failed', 'blocked', 'error'];
+
+function describeResult(server, result) {
+  const ok = result.exitCode === 0 && !result.timedOut && !result.signal;
+  return {
+    serverId: server.id,
+    name: server.name,
+    status: ok ? 'ok' : 'failed',
+    exitCode: result.exitCode,
+    signal: result.signal,
+    durationMs: result.durationMs,
+    timedOut: result.timedOut,
+    truncated: result.truncated,
+    historyId: result.historyId,
+    output: result.output,
+    error: null
+  };
+}
+
+function describeError(server, error) {
+  return {
+    serverId: server.id,
+    name: server.name,
+    status: error.code === policyService.POLICY_VIOLATION ? 'blocked' : 'error',
+    exitCode: null,
+    signal: null,
+    durationMs: null,
+    timedOut: false,
+    truncated: false,
+    historyId: null,
+    output: '',
+    error: error.message
+  };
+}
+
+// Runs one command on many servers through sshService.executeCommand
+class FanoutService {
+  // Throws on invalid options; returns them with defaults filled in
+  validateOptions({ serverIds, concurrency = DEFAULT_CONCURRENCY, timeoutMs = null, stopOnFailure = false }) {
+    if (!Array.isArray(serverIds) || serverIds.length === 0) {
+      throw new Error('serverIds must be a non-empty array');
+    }
+    const ids = [...new Set(serverIds.map(Number))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new Error('serverIds must contain server ids');
+    }
+    if (ids.length > MAX_TARGETS) {
+      throw new Error(`A command can run on at most ${MAX_TARGETS} servers at once`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+    }
+    if (timeoutMs !== null) sshService.validateCommandTimeout(timeoutMs);
+    return { serverIds: ids, concurrency, timeoutMs, stopOnFailure: stopOnFailure === true };
+  }
+
+  // Runs the command on every server, at most `concurrency` at a time. timeoutMs overrides
+  // each server's command timeout. With stopOnFailure, servers not started yet are skipped
+  // once one fails; so are all remaining servers when isCancelled() returns true.
+  // onEvent receives { type: 'started', serverId } and { type: 'result', ...result } as the
+  // run progresses. Resolves with { results, groups, counts, stopped }.
+  async run(serverIds, command, { concurrency = DEFAULT_CONCURRENCY, timeoutMs = null, stopOnFailure = false, user = null, onEvent = () => {}, isCancelled = () => false } = {}) {
+    const servers = serverIds.map(id => serverRepository.getServer(id));
+    if (servers.some(server => !server)) throw new Error('Server not found');
+
+    const results = new Map();
+    const queue = [...servers];
+    let stopped = false;
+
+    const runNext = async () => {
+      for (let server = queue.shift(); server; server = queue.shift()) {
+        if (stopped || isCancelled()) {
+          stopped = true;
+          break;
+        }
+        onEvent({ type: 'started', serverId: server.id });
+        let result;
+        try {
+          result = describeResult(server, await sshService.executeCommand(server.id, command, { timeoutMs, source: 'fanout', user }));
+        } catch (error) {
+          result = describeError(server, error);
+        }
+        results.set(server.id, result);
+        onEvent({ type: 'result', ...result });
+        if (stopOnFailure && FAILED_STATUSES.includes(result.status)) stopped = true;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, servers.length) }, runNext));
+
+    const ordered = servers.map(server => results.get(server.id) || {
+      ...describeError(server, new Error('Not run: the run was stopped')),
+      status: 'skipped'
+    });
+    for (const result of ordered) {
+      if (result.status === 'skipped') onEvent({ type: 'result', ...result });
+    }
+
+    return {
+      results: ordered,
+      groups: this.groupResults(ordered),
+      counts: Object.fromEntries(['ok', 'failed', 'blocked', 'error', 'skipped'].map(status => [status, ordered.filter(result => result.status === status).length])),
+      stopped
+    };
+  }
+
+  // Servers with the same outcome and identical output end up in one group, largest first
+  groupResults(results) {
+    const groups = new Map();
+    for (const result of results) {
+      const key = JSON.stringify([result.status, result.exitCode, result.output, result.error]);
+      if (!groups.has(key)) {
+        groups.set(key, { status: result.status, exitCode: result.exitCode, output: result.output, error: result.error, serverIds: [] });
+      }
+      groups.get(key).serverIds.push(result.serverId);
+    }
+    return [...groups.values()].sort((a, b) => b.serverIds.length - a.serverIds.length);
+  }
+}
+
+module.exports = new FanoutService();
+module.exports.MAX_CONCURRENCY = MAX_CONCURRENCY;
+module.exports.MAX_TARGETS = MAX_TARGETS;
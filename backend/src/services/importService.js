@@ -0,0 +1,202 @@
+const serverRepository = require('../repositories/serverRepository');
+const sshService = require('./sshService');
+const accessService = require('./accessService');
+const connectionManager = require('./connectionManager');
+const { parseServers, MAX_IMPORT_SERVERS } = require('../utils/serverImport');
+const { validateTags } = require('../utils/serverTags');
+
+// How many connection tests run at the same time
+const TEST_CONCURRENCY = 4;
+
+// How each server's import ended:
+//   added     saved (and, if requested, connected successfully first)
+//   conflict  a server with the same host and username already exists
+//   invalid   missing or invalid fields, or a jump host that cannot be used
+//   failed    the connection test failed, so the server was not saved
+//   skipped   its jump host was not imported
+//   error     saving failed
+const STATUSES = ['added', 'conflict', 'invalid', 'failed', 'skipped', 'error'];
+
+// [user@]host[:port], as used by ProxyJump
+function parseJumpReference(reference) {
+  const match = String(reference).match(/^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+  if (!match) return { username: null, host: String(reference), port: null };
+  return { username: match[1] || null, host: match[2].replace(/^\[|\]$/g, ''), port: match[3] ? Number(match[3]) : null };
+}
+
+// Calls worker for every item, at most `concurrency` at a time
+async function runPool(items, concurrency, worker) {
+  const queue = [...items];
+  const next = async () => {
+    for (let item = queue.shift(); item !== undefined; item = queue.shift()) await worker(item);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, next));
+}
+
+// Imports servers parsed by utils/serverImport.js: a preview that flags conflicts, then
+// saving the servers the user picked, optionally after testing each connection
+class ImportService {
+  // Parses content and checks the servers found against the saved ones. Each server gets
+  //   conflict    a server with the same host and username is already saved
+  //   duplicate   an earlier entry of this import has the same host and username
+  //   jumpTarget  { serverId, name } of a saved server or { importName } of another entry
+  //               the jump reference resolves to, or null
+  //   errors      problems that keep it from being imported
+  preview(content, { format = 'auto', filename = '', user }) {
+    const parsed = parseServers(content, format, filename);
+    return { ...parsed, servers: this.checkServers(parsed.servers, user) };
+  }
+
+  // defaultUsername fills in servers without one; with requireUsername, servers left
+  // without a username get an error
+  checkServers(servers, user, { defaultUsername = null, requireUsername = false } = {}) {
+    const visible = accessService.filterServers(user, serverRepository.listServers());
+    return servers.map((server, index) => {
+      const errors = [];
+      const username = server.username || defaultUsername;
+      if (!server.name || !server.host) errors.push('Name and host are required');
+      if (!username && requireUsername) errors.push('No username; set a default username');
+
+      let tags = [];
+      try {
+        tags = validateTags(server.tags || []);
+      } catch (error) {
+        errors.push(error.message);
+      }
+
+      const conflict = !!username && serverRepository.checkServerExists(server.host, username);
+      if (conflict) errors.push(`A server with host ${server.host} and username ${username} already exists`);
+      const duplicate = !!username && servers.slice(0, index).some(other =>
+        other.host === server.host && (other.username || defaultUsername) === username
+      );
+      if (duplicate) errors.push('Listed more than once in this import');
+
+      let jumpTarget = null;
+      if (server.jump) {
+        jumpTarget = this._resolveJump(server.jump, index, servers, visible);
+        if (!jumpTarget) {
+          errors.push(`Jump host ${server.jump} is not a saved server or part of this import`);
+        } else if (jumpTarget.serverId && !accessService.canAccess(user, jumpTarget.serverId, 'operator')) {
+          errors.push(`You need the operator role on the jump host ${jumpTarget.name} to connect through it`);
+        }
+      }
+      return { ...server, username, tags, conflict, duplicate, jumpTarget, errors };
+    });
+  }
+
+  // Entries of this import are matched by name (the ssh alias) first, then saved servers by
+  // name, then both by host, username and port
+  _resolveJump(reference, index, servers, visible) {
+    const { username, host, port } = parseJumpReference(reference);
+    const matches = (server, user, serverPort) =>
+      server.host === host && (!username || user === username) && (!port || (serverPort || 22) === port);
+
+    const byName = servers.findIndex((server, i) => i !== index && server.name === host);
+    if (byName !== -1) return { importName: servers[byName].name };
+    const saved = visible.find(server => server.name === host) || visible.find(server => matches(server, server.username, server.port));
+    if (saved) return { serverId: saved.id, name: saved.name };
+    const byHost = servers.findIndex((server, i) => i !== index && matches(server, server.username, server.port));
+    return byHost === -1 ? null : { importName: servers[byHost].name };
+  }
+
+  // Saves the servers. defaults: { username, password, privateKey, passphrase } fill in what
+  // an entry lacks. With test, each server is only saved once a connection to it succeeds,
+  // and the host key it presented is pinned. Servers whose jump host is part of the import
+  // are saved after it. Resolves with { results, counts }; results are in entry order.
+  async importServers(entries, { defaults = {}, test = false, user }) {
+    if (!Array.isArray(entries) || entries.length === 0) throw new Error('servers must be a non-empty array');
+    if (entries.length > MAX_IMPORT_SERVERS) throw new Error(`At most ${MAX_IMPORT_SERVERS} servers can be imported at once`);
+
+    const servers = this.checkServers(entries.map(entry => ({
+      name: String(entry.name || entry.host || '').trim(),
+      host: String(entry.host || '').trim(),
+      port: Number(entry.port) || 22,
+      username: entry.username ? String(entry.username).trim() : null,
+      password: entry.password || null,
+      jump: entry.jump || null,
+      tags: Array.isArray(entry.tags) ? entry.tags : []
+    })), user, { defaultUsername: defaults.username || null, requireUsername: true });
+
+    const results = new Array(servers.length);
+    const settle = (index, outcome) => {
+      const server = servers[index];
+      results[index] = { name: server.name, host: server.host, serverId: null, error: null, tips: [], hostKey: null, ...outcome };
+    };
+    const pending = new Set();
+    servers.forEach((server, index) => {
+      if (server.port < 1 || server.port > 65535) server.errors.push('Port must be between 1 and 65535');
+      if (server.conflict || server.duplicate) settle(index, { status: 'conflict', error: server.errors.join('; ') });
+      else if (server.errors.length > 0) settle(index, { status: 'invalid', error: server.errors.join('; ') });
+      else pending.add(index);
+    });
+
+    const jumpIndex = server => (server.jumpTarget?.importName ? servers.findIndex(other => other.name === server.jumpTarget.importName) : -1);
+    while (pending.size > 0) {
+      const ready = [...pending].filter(index => {
+        const jump = jumpIndex(servers[index]);
+        return jump === -1 || results[jump] !== undefined;
+      });
+      if (ready.length === 0) {
+        for (const index of pending) settle(index, { status: 'skipped', error: 'Its jump hosts connect through each other' });
+        break;
+      }
+      for (const index of ready) pending.delete(index);
+
+      await runPool(ready, test ? TEST_CONCURRENCY : 1, async index => {
+        const server = servers[index];
+        let jumpServerId = server.jumpTarget?.serverId || null;
+        const jump = jumpIndex(server);
+        if (jump !== -1) {
+          if (results[jump].status !== 'added') {
+            return settle(index, { status: 'skipped', error: `Its jump host ${servers[jump].name} was not imported` });
+          }
+          jumpServerId = results[jump].serverId;
+        }
+        try {
+          settle(index, await this._importOne(server, jumpServerId, { defaults, test, user }));
+        } catch (error) {
+          console.error('[ImportService] Error importing server:', error);
+          settle(index, { status: 'error', error: error.message });
+        }
+      });
+    }
+
+    return {
+      results,
+      counts: Object.fromEntries(STATUSES.map(status => [status, results.filter(result => result.status === status).length]))
+    };
+  }
+
+  async _importOne(server, jumpServerId, { defaults, test, user }) {
+    const credentials = {
+      password: server.password || defaults.password || null,
+      privateKey: defaults.privateKey || null,
+      passphrase: defaults.passphrase || null
+    };
+    if (!credentials.password && !credentials.privateKey) {
+      return { status: 'invalid', error: 'No password or private key' };
+    }
+    if (jumpServerId) {
+      try {
+        connectionManager.resolveJumpChain(jumpServerId);
+      } catch (error) {
+        return { status: 'invalid', error: 'Invalid jump host: ' + error.message };
+      }
+    }
+
+    let hostKey = null;
+    if (test) {
+      const result = await sshService.testNewConnection({ name: server.name, host: server.host, port: server.port, username: server.username, ...credentials, jumpServerId });
+      if (!result.success) return { status: 'failed', error: result.error, tips: result.tips };
+      hostKey = result.hostKey;
+    }
+
+    const serverId = serverRepository.addServer(server.name, server.host, server.port, server.username, credentials.password, credentials.privateKey, credentials.passphrase, jumpServerId, null, server.tags);
+    if (hostKey) serverRepository.setHostKey(serverId, hostKey.fingerprint, hostKey.type || null);
+    accessService.grantCreator(serverId, user);
+    return { status: 'added', serverId: Number(serverId), hostKey };
+  }
+}
+
+module.exports = new ImportService();
+module.exports.STATUSES = STATUSES;
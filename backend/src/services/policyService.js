@@ -0,0 +1,87 @@
+const serverRepository = require('../repositories/serverRepository');
+const commandPolicy = require('../utils/commandPolicy');
+const auditService = require('./auditService');
+
+// Set as `code` on errors thrown for commands a server policy refuses
+const POLICY_VIOLATION = 'POLICY_VIOLATION';
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+class PolicyService {
+  getPolicy(serverId) {
+    const row = serverRepository.getServerPolicy(serverId);
+    if (!row) return { ...commandPolicy.DEFAULT_POLICY };
+    return {
+      readOnly: !!row.read_only,
+      forbidSudo: !!row.forbid_sudo,
+      allowPatterns: parseList(row.allow_patterns),
+      denyPatterns: parseList(row.deny_patterns),
+      maintenanceWindows: parseList(row.maintenance_windows)
+    };
+  }
+
+  // Throws on invalid input; returns the policy as stored
+  setPolicy(serverId, input) {
+    const policy = commandPolicy.validatePolicy(input);
+    serverRepository.saveServerPolicy(serverId, policy);
+    return policy;
+  }
+
+  // verified: false for terminal lines edited in ways we could not follow (history, tab
+  // completion), which cannot be checked if the server has any restriction.
+  // terminal: the command runs in the web terminal (see commandPolicy.evaluatePolicy).
+  check(serverId, command, { verified = true, terminal = false } = {}) {
+    const policy = this.getPolicy(serverId);
+    if (!verified && commandPolicy.hasRestrictions(policy)) {
+      return {
+        allowed: false,
+        rule: 'unverified',
+        reason: 'the command line was edited with history or tab completion and cannot be checked against the server policy; type it out in full'
+      };
+    }
+    return commandPolicy.evaluatePolicy(policy, command, new Date(), { terminal });
+  }
+
+  // Throws a POLICY_VIOLATION error, after recording it, if the server policy refuses the
+  // command. source says where the command came from (see auditService.SOURCES).
+  enforce(serverId, command, source, user = null) {
+    const result = this.check(serverId, command);
+    if (result.allowed) return;
+
+    this.recordViolation(serverId, command, source, result, user);
+    const error = new Error(`Blocked by server policy: ${result.reason}`);
+    error.code = POLICY_VIOLATION;
+    error.rule = result.rule;
+    error.reason = result.reason;
+    throw error;
+  }
+
+  recordViolation(serverId, command, source, { rule, reason }, user = null) {
+    console.warn(`[PolicyService] Blocked ${source} command on server ${serverId} (${rule}): ${command}`);
+    try {
+      serverRepository.addPolicyViolation(serverId, command, source, rule, reason);
+    } catch (error) {
+      console.error('[PolicyService] Failed to record policy violation:', error);
+    }
+    auditService.record({ source, user, serverId, command, result: { blocked: true, rule, reason } });
+  }
+
+  getViolations(serverId) {
+    return serverRepository.getPolicyViolations(serverId);
+  }
+
+  // Policy instructions for the AI system prompt, or '' if the server has no restrictions
+  describeForPrompt(serverId) {
+    return commandPolicy.describePolicy(this.getPolicy(serverId));
+  }
+}
+
+module.exports = new PolicyService();
+module.exports.POLICY_VIOLATION = POLICY_VIOLATION;
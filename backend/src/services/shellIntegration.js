@@ -0,0 +1,191 @@
+// Shell integration for the interactive terminal.
+//
+// Right after the shell starts we inject hooks (bash PROMPT_COMMAND + DEBUG trap, zsh
+// precmd/preexec) that print OSC 133 style markers around every command:
+//   ESC]133;A BEL           prompt is about to be drawn
+//   ESC]133;E;<cmd> BEL     exact command line about to run
+//   ESC]133;C BEL           command output starts
+//   ESC]133;D;<exit> BEL    command finished with this exit code
+//   ESC]7;file://host/cwd   working directory (standard OSC 7)
+// ShellIntegration parses those markers out of the shell output, strips the 133 ones
+// before they reach the browser and reports each finished command.
+
+const { OutputCapture } = require('../utils/outputCapture');
+
+// First token of the injected line, used to find and hide its echo
+const INIT_SENTINEL = '__sshfix_si=1';
+
+const BASH_HOOKS = [
+  '__sshfix_orig_pc=$PROMPT_COMMAND',
+  "__sshfix_last_hn=$(HISTTIMEFORMAT= builtin history 1 | awk '{print $1}')",
+  '__sshfix_prompt() { local s=$?; if [ "$__sshfix_state" = running ]; then printf \'\\033]133;D;%s\\007\' "$s"; fi; __sshfix_state=prompt; (exit $s); eval "$__sshfix_orig_pc"; printf \'\\033]7;file://%s%s\\007\\033]133;A\\007\' "$HOSTNAME" "$PWD"; }',
+  // history 1 has the full command line (pipes, multi-line); $BASH_COMMAND covers commands history skipped
+  '__sshfix_preexec() { [ "$__sshfix_state" = prompt ] || return; [ "$BASH_COMMAND" = __sshfix_prompt ] && return; __sshfix_state=running; local h n c; h=$(HISTTIMEFORMAT= builtin history 1); n=$(printf %s "$h" | awk \'NR==1{print $1}\'); if [ -n "$n" ] && [ "$n" != "$__sshfix_last_hn" ]; then c=$(printf %s "$h" | sed \'1s/^ *[0-9]*[* ] *//\'); else c=$BASH_COMMAND; fi; __sshfix_last_hn=$n; c=${c//$\'\\a\'/}; c=${c//$\'\\e\'/}; printf \'\\033]133;E;%s\\007\\033]133;C\\007\' "$c"; }',
+  "trap '__sshfix_preexec' DEBUG",
+  'PROMPT_COMMAND=__sshfix_prompt'
+].join('; ');
+
+const ZSH_HOOKS = [
+  '__sshfix_precmd() { local s=$?; if [[ $__sshfix_state == running ]]; then printf \'\\033]133;D;%s\\007\' $s; fi; __sshfix_state=prompt; printf \'\\033]7;file://%s%s\\007\\033]133;A\\007\' "$HOST" "$PWD"; }',
+  '__sshfix_preexec() { __sshfix_state=running; local c=${1//$\'\\a\'/}; c=${c//$\'\\e\'/}; printf \'\\033]133;E;%s\\007\\033]133;C\\007\' "$c"; }',
+  'precmd_functions=(__sshfix_precmd $precmd_functions)',
+  'preexec_functions+=(__sshfix_preexec)'
+].join('; ');
+
+// Leading space keeps it out of history where HISTCONTROL=ignorespace
+const INIT_COMMAND = ` ${INIT_SENTINEL}; if [ -n "$BASH_VERSION" ]; then ${BASH_HOOKS}; elif [ -n "$ZSH_VERSION" ]; then ${ZSH_HOOKS}; fi\n`;
+
+const MARKER_PATTERN = /\x1b\]133;([A-Z])(?:;([^\x07\x1b]*))?(?:\x07|\x1b\\)|\x1b\]7;([^\x07\x1b]*)(?:\x07|\x1b\\)/g;
+// An unterminated OSC longer than this is not one of ours; stop holding it back
+const MAX_MARKER_LENGTH = 8192;
+const MAX_CAPTURED_OUTPUT = 256 * 1024;
+
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n/g, '\n');
+}
+
+class ShellIntegration {
+  constructor({ onCommand }) {
+    this.onCommand = onCommand;
+    this.state = 'initializing'; // initializing -> active | unsupported
+    this.initBuffer = '';
+    this.pending = '';
+    this.cwd = null;
+    this.nextCommand = null;
+    this.current = null;
+  }
+
+  get initCommand() {
+    return INIT_COMMAND;
+  }
+
+  get active() {
+    return this.state === 'active';
+  }
+
+  // A command is running, so keystrokes go to it rather than to the shell prompt
+  get busy() {
+    return this.current !== null;
+  }
+
+  get runningCommand() {
+    return this.current ? this.current.command : null;
+  }
+
+  // Feed raw shell output; returns the text to show in the terminal
+  push(chunk) {
+    let data = this.pending + chunk;
+    this.pending = '';
+
+    // Hold back a marker that is split across chunks
+    const oscStart = data.lastIndexOf('\x1b]');
+    if (oscStart !== -1 && !/\x07|\x1b\\/.test(data.slice(oscStart)) && data.length - oscStart < MAX_MARKER_LENGTH) {
+      this.pending = data.slice(oscStart);
+      data = data.slice(0, oscStart);
+    } else if (data.endsWith('\x1b')) {
+      this.pending = '\x1b';
+      data = data.slice(0, -1);
+    }
+
+    let display = '';
+    let lastIndex = 0;
+    MARKER_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = MARKER_PATTERN.exec(data)) !== null) {
+      display += this._text(data.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      if (match[3] !== undefined) {
+        this.cwd = match[3].replace(/^file:\/\/[^/]*/, '') || this.cwd;
+        display += this._text(match[0]);
+      } else {
+        display += this._marker(match[1], match[2]);
+      }
+    }
+    display += this._text(data.slice(lastIndex));
+
+    return display;
+  }
+
+  // Called when the hooks did not report in time (sh, fish, Windows...). Returns the
+  // output seen before the injected line; the echo of the line and any errors are dropped.
+  abandon() {
+    if (this.state !== 'initializing') return '';
+    this.state = 'unsupported';
+    const kept = this._beforeInitLine(this.initBuffer);
+    this.initBuffer = '';
+    return kept;
+  }
+
+  _text(text) {
+    if (!text) return '';
+    if (this.state === 'initializing') {
+      this.initBuffer += text;
+      return '';
+    }
+    if (this.current) {
+      this.current.output.push(text);
+    }
+    return text;
+  }
+
+  _marker(type, payload) {
+    switch (type) {
+      case 'A': {
+        let display = '';
+        if (this.state === 'initializing') {
+          display = this._beforeInitLine(this.initBuffer);
+          this.initBuffer = '';
+          this.state = 'active';
+        }
+        // The shell came back to a prompt without reporting an exit code
+        if (this.current) this._finish(null);
+        return display;
+      }
+      case 'E':
+        this.nextCommand = normalizeLineEndings(payload || '').trim();
+        return '';
+      case 'C':
+        this.current = {
+          command: this.nextCommand || '',
+          output: new OutputCapture(MAX_CAPTURED_OUTPUT),
+          cwd: this.cwd,
+          startedAt: Date.now()
+        };
+        this.nextCommand = null;
+        return '';
+      case 'D': {
+        const exitCode = Number.parseInt(payload, 10);
+        if (this.current) this._finish(Number.isNaN(exitCode) ? null : exitCode);
+        return '';
+      }
+      default:
+        return '';
+    }
+  }
+
+  _finish(exitCode) {
+    const { command, output, cwd, startedAt } = this.current;
+    this.current = null;
+    if (!command) return;
+
+    this.onCommand({
+      command,
+      output: normalizeLineEndings(output.toString()).replace(/\s+$/, ''),
+      truncated: output.truncated,
+      exitCode,
+      cwd,
+      durationMs: Date.now() - startedAt
+    });
+  }
+
+  // Everything up to the start of the line where the injected command was echoed
+  _beforeInitLine(text) {
+    const sentinelIndex = text.indexOf(INIT_SENTINEL);
+    if (sentinelIndex === -1) return text;
+    const lineStart = text.lastIndexOf('\n', sentinelIndex);
+    return lineStart === -1 ? '' : text.slice(0, lineStart + 1);
+  }
+}
+
+module.exports = ShellIntegration;
@@ -1,134 +1,189 @@
-const { Client: SSHClient } = require('ssh2');
+const crypto = require('crypto');
 const serverRepository = require('../repositories/serverRepository');
+const connectionManager = require('./connectionManager');
+const policyService = require('./policyService');
+const auditService = require('./auditService');
+const { OutputCapture } = require('../utils/outputCapture');
+
+const OS_DETECT_COMMAND = 'uname -a || ver';
+const CONNECTION_TEST_TIMEOUT = 12000;
+// Signals a running command can be cancelled with (names as in the SSH "signal" request)
+const CANCEL_SIGNALS = ['INT', 'TERM', 'HUP', 'QUIT', 'KILL'];
+// Some servers ignore signal requests; the channel is closed if the command outlives this
+const CANCEL_GRACE_PERIOD = 3000;
+// Used when neither the request nor the server sets a command timeout
+const DEFAULT_COMMAND_TIMEOUT = 10 * 60 * 1000;
+const MAX_COMMAND_TIMEOUT = 24 * 60 * 60 * 1000;
 
 class SSHService {
-  async executeCommand(serverId, command) {
+  constructor() {
+    this.runningCommands = new Map(); // runId -> { serverId, command, stream, cancelled, timedOut, forceCloseTimer }
+  }
+
+  // options: { timeoutMs } overrides the server's command timeout; { source, user } are
+  // recorded in the audit log
+  async executeCommand(serverId, command, options = {}) {
+    const { done } = await this.startCommand(serverId, command, options);
+    return done;
+  }
+
+  // Starts a command and reports output as it arrives through onStdout/onStderr.
+  // Resolves with { runId, done } once the channel is open; `done` resolves with the
+  // final result (the same shape executeCommand returns) when the command exits.
+  // Commands still running after the timeout are killed; captured output is capped.
+  // Throws a POLICY_VIOLATION error if the server's command policy refuses the command.
+  async startCommand(serverId, command, { onStdout, onStderr, timeoutMs, source = 'api', user = null } = {}) {
     const server = serverRepository.getServer(serverId);
     if (!server) throw new Error('Server not found');
+    policyService.enforce(server.id, command, source, user);
 
-    return new Promise((resolve, reject) => {
-      const conn = new SSHClient();
-      let output = '';
+    const timeout = this.resolveCommandTimeout(server, timeoutMs);
+    const startedAt = Date.now();
+    let stream;
+    try {
+      stream = await connectionManager.exec(server.id, command);
+    } catch (error) {
+      auditService.record({ source, user, serverId: server.id, command, result: { error: error.message } });
+      throw error;
+    }
+    const runId = crypto.randomUUID();
+    const run = { serverId: server.id, command, stream, cancelled: false, timedOut: false, forceCloseTimer: null };
+    this.runningCommands.set(runId, run);
 
-      conn.on('ready', () => {
-        conn.exec(command, (err, stream) => {
-          if (err) {
-            conn.end();
-            reject(err);
-            return;
-          }
+    const timeoutTimer = setTimeout(() => {
+      run.timedOut = true;
+      console.warn(`[SSHService] "${command}" on server ${server.id} exceeded ${timeout} ms, terminating`);
+      this._terminate(run, 'TERM');
+    }, timeout);
+
+    const done = new Promise((resolve) => {
+      // `output` keeps stdout and stderr interleaved in arrival order, as before
+      const output = new OutputCapture();
+      const stdout = new OutputCapture();
+      const stderr = new OutputCapture();
 
-          stream.on('close', (code, signal) => {
-            conn.end();
-            serverRepository.addHistory(server.id, command, output);
-            resolve({ output });
-          }).on('data', (data) => {
-            output += data.toString();
-          }).stderr.on('data', (data) => {
-            output += data.toString();
-          });
+      stream.on('close', (code = null, signal = null) => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(run.forceCloseTimer);
+        this.runningCommands.delete(runId);
+
+        const result = {
+          output: output.toString(),
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          exitCode: code ?? null,
+          signal: signal ?? null,
+          durationMs: Date.now() - startedAt,
+          truncated: output.truncated,
+          timedOut: run.timedOut
+        };
+        let historyId = null;
+        try {
+          historyId = Number(serverRepository.addHistory(server.id, command, result.output, null, result));
+        } catch (error) {
+          console.error('[SSHService] Failed to record command history:', error);
+        }
+        auditService.record({
+          source,
+          user,
+          serverId: server.id,
+          command,
+          result: {
+            exitCode: result.exitCode,
+            signal: result.signal,
+            durationMs: result.durationMs,
+            timedOut: result.timedOut,
+            cancelled: run.cancelled,
+            historyId
+          }
         });
-      }).on('error', (err) => {
-        reject(err);
-      }).connect({
-        host: server.host,
-        port: server.port,
-        username: server.username,
-        password: server.password || undefined,
-        privateKey: server.privateKey || undefined,
+        resolve({ ...result, historyId, runId, cancelled: run.cancelled });
+      }).on('data', (data) => {
+        const text = data.toString();
+        stdout.push(text);
+        output.push(text);
+        onStdout?.(text);
+      }).stderr.on('data', (data) => {
+        const text = data.toString();
+        stderr.push(text);
+        output.push(text);
+        onStderr?.(text);
       });
     });
+
+    return { runId, done };
+  }
+
+  // Per-request timeout, else the server's, else the default. Throws on invalid values.
+  resolveCommandTimeout(server, timeoutMs) {
+    if (timeoutMs !== undefined && timeoutMs !== null) {
+      this.validateCommandTimeout(timeoutMs);
+      return timeoutMs;
+    }
+    return server.command_timeout_ms || DEFAULT_COMMAND_TIMEOUT;
+  }
+
+  validateCommandTimeout(timeoutMs) {
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_COMMAND_TIMEOUT) {
+      throw new Error(`Timeout must be a whole number of milliseconds between 1 and ${MAX_COMMAND_TIMEOUT}`);
+    }
+  }
+
+  // Sends a signal to a command started with startCommand. Returns false if no such
+  // command is running on this server (it may already have finished).
+  cancelCommand(serverId, runId, signal = 'INT') {
+    if (!CANCEL_SIGNALS.includes(signal)) {
+      throw new Error(`Unsupported signal: ${signal}. Use one of ${CANCEL_SIGNALS.join(', ')}.`);
+    }
+    const run = this.runningCommands.get(runId);
+    if (!run || run.serverId !== Number(serverId)) return false;
+
+    run.cancelled = true;
+    this._terminate(run, signal);
+    return true;
+  }
+
+  // Signal the command, and close its channel if it is still running after the grace period
+  _terminate(run, signal) {
+    try {
+      run.stream.signal(signal);
+    } catch (error) {
+      console.warn('[SSHService] Failed to send signal:', error.message);
+    }
+    if (!run.forceCloseTimer) {
+      run.forceCloseTimer = setTimeout(() => {
+        try { run.stream.close(); } catch {}
+      }, CANCEL_GRACE_PERIOD);
+    }
+    console.log(`[SSHService] Sent SIG${signal} to "${run.command}" on server ${run.serverId}`);
   }
 
   async testConnection(serverId) {
     const server = serverRepository.getServer(serverId);
     if (!server) throw new Error('Server not found');
 
-    return new Promise((resolve, reject) => {
-      const conn = new SSHClient();
-      let result = {
-        success: false,
-        error: null,
-        os: null,
-        tips: [],
-        raw: null
-      };
-      let timeout;
-
-      conn.on('ready', () => {
-        conn.exec('uname -a || ver', (err, stream) => {
-          if (err) {
-            result.success = true;
-            result.os = 'Unknown';
-            result.tips.push('Connected, but could not detect OS.');
-            conn.end();
-            clearTimeout(timeout);
-            resolve(result);
-            return;
-          }
-
-          let osOutput = '';
-          stream.on('data', (data) => {
-            osOutput += data.toString();
-          }).on('close', () => {
-            result.success = true;
-            result.os = osOutput.trim();
-            result.tips.push('SSH connection successful!');
-            if (/ubuntu|debian|centos|fedora|linux|unix/i.test(osOutput)) {
-              result.tips.push('Detected Linux/Unix server.');
-            } else if (/windows|microsoft/i.test(osOutput)) {
-              result.tips.push('Detected Windows server.');
-            } else {
-              result.tips.push('Could not confidently detect OS.');
-            }
-            conn.end();
-            clearTimeout(timeout);
-            resolve(result);
-          });
-        });
-      }).on('error', (err) => {
-        result.error = err.message;
-        if (/timed out|timeout/i.test(err.message)) {
-          result.tips.push('Connection timed out. Check network/firewall and server IP/port.');
-        } else if (/auth|password|key/i.test(err.message)) {
-          result.tips.push('Authentication failed. Verify username, password, or private key.');
-        } else if (/ECONNREFUSED|refused/i.test(err.message)) {
-          result.tips.push('Connection refused. Is the SSH service running and accessible?');
-        } else {
-          result.tips.push('Check server address, port, credentials, and network connectivity.');
-        }
-        clearTimeout(timeout);
-        resolve(result);
-      }).connect({
-        host: server.host,
-        port: server.port,
-        username: server.username,
-        password: server.password || undefined,
-        privateKey: server.privateKey || undefined,
-        readyTimeout: 10000
-      });
-
-      timeout = setTimeout(() => {
-        result.error = 'Connection timed out.';
-        result.tips.push('Check network/firewall and server IP/port.');
-        try { conn.end(); } catch {}
-        resolve(result);
-      }, 12000);
-    });
+    return this._runConnectionTest(
+      () => connectionManager.getConnection(server.id),
+      () => connectionManager.exec(server.id, OS_DETECT_COMMAND),
+      server
+    );
   }
 
-  async testNewConnection({ host, port, username, password, privateKey }) {
+  // serverId is set when re-testing a saved server with edited settings: secrets left
+  // undefined fall back to the stored ones, and the pinned host key still applies as long
+  // as the server keeps its host and port.
+  async testNewConnection({ serverId = null, name, host, port, username, password, privateKey, passphrase, jumpServerId }) {
     // Check if a server with the same host and username already exists
     try {
-      const exists = serverRepository.checkServerExists(host, username);
+      const exists = serverRepository.checkServerExists(host, username, serverId);
       if (exists) {
         return {
           success: false,
-          error: `A server with host ${host} and username ${username} already exists. Delete the existing server if you wish to update it.`,
+          error: `A server with host ${host} and username ${username} already exists. Edit the existing server instead of adding it again.`,
           tips: [
             'Each server must have a unique host and username combination.',
             'Check your existing servers to avoid duplicates.',
-            'Delete the existing server first if you wish to recreate it with new settings.'
+            'Open the existing server and use Edit to change its settings.'
           ]
         };
       }
@@ -136,78 +191,181 @@ class SSHService {
       console.error('[SSHService] Error checking server existence:', error);
     }
 
-    return new Promise((resolve, reject) => {
-      const conn = new SSHClient();
-      let result = {
+    const server = { name, host, port, username, password, privateKey, passphrase, jump_server_id: jumpServerId || null };
+    if (serverId !== null) {
+      const saved = serverRepository.getServerWithCredentials(serverId);
+      if (!saved) throw new Error('Server not found');
+      server.id = saved.id;
+      for (const field of ['password', 'privateKey', 'passphrase']) {
+        if (server[field] === undefined) server[field] = saved[field];
+      }
+      if (saved.host === host && (saved.port || 22) === (Number(port) || 22)) {
+        server.host_key_fingerprint = saved.host_key_fingerprint;
+      }
+    }
+    let client = null;
+    let finished = false;
+    try {
+      return await this._runConnectionTest(
+        async () => {
+          const opened = await connectionManager.openTransient(server);
+          // The test may have timed out while this connection was being made
+          if (finished) {
+            try { opened.end(); } catch {}
+            throw new Error('Connection timed out.');
+          }
+          client = opened;
+          return client;
+        },
+        () => connectionManager.execOnClient(client, OS_DETECT_COMMAND),
+        server
+      );
+    } finally {
+      finished = true;
+      try { client?.end(); } catch {}
+    }
+  }
+
+  // Checks that server ({ host, port, jump_server_id }) presents the host key the user
+  // reviewed. Resolves with { success, hostKey, error }; hostKey is the key it presents.
+  async verifyHostKey(server, fingerprint) {
+    const hostKey = await connectionManager.scanHostKey(server);
+    if (hostKey.fingerprint !== fingerprint) {
+      return {
         success: false,
-        error: null,
-        os: null,
-        tips: [],
-        raw: null
+        error: `The server now presents ${hostKey.fingerprint}, not the key you reviewed. Test the connection again before accepting.`,
+        hostKey
       };
-      let timeout;
-
-      conn.on('ready', () => {
-        conn.exec('uname -a || ver', (err, stream) => {
-          if (err) {
-            result.success = true;
-            result.os = 'Unknown';
-            result.tips.push('Connected, but could not detect OS.');
-            conn.end();
-            clearTimeout(timeout);
-            resolve(result);
-            return;
-          }
+    }
+    return { success: true, hostKey };
+  }
 
-          let osOutput = '';
-          stream.on('data', (data) => {
-            osOutput += data.toString();
-          }).on('close', () => {
-            result.success = true;
-            result.os = osOutput.trim();
-            result.tips.push('SSH connection successful!');
-            if (/ubuntu|debian|centos|fedora|linux|unix/i.test(osOutput)) {
-              result.tips.push('Detected Linux/Unix server.');
-            } else if (/windows|microsoft/i.test(osOutput)) {
-              result.tips.push('Detected Windows server.');
-            } else {
-              result.tips.push('Could not confidently detect OS.');
-            }
-            conn.end();
-            clearTimeout(timeout);
-            resolve(result);
-          });
-        });
-      }).on('error', (err) => {
-        result.error = err.message;
-        if (/timed out|timeout/i.test(err.message)) {
-          result.tips.push('Connection timed out. Check network/firewall and server IP/port.');
-        } else if (/auth|password|key/i.test(err.message)) {
-          result.tips.push('Authentication failed. Verify username, password, or private key.');
-        } else if (/ECONNREFUSED|refused/i.test(err.message)) {
-          result.tips.push('Connection refused. Is the SSH service running and accessible?');
-        } else {
-          result.tips.push('Check server address, port, credentials, and network connectivity.');
-        }
-        clearTimeout(timeout);
-        resolve(result);
-      }).connect({
-        host,
-        port: port || 22,
-        username,
-        password: password || undefined,
-        privateKey: privateKey || undefined,
-        readyTimeout: 10000
-      });
+  async acceptHostKey(serverId, fingerprint) {
+    const server = serverRepository.getServer(serverId);
+    if (!server) throw new Error('Server not found');
+
+    const check = await this.verifyHostKey(server, fingerprint);
+    if (!check.success) return check;
+    const { hostKey } = check;
 
-      timeout = setTimeout(() => {
-        result.error = 'Connection timed out.';
-        result.tips.push('Check network/firewall and server IP/port.');
-        try { conn.end(); } catch {}
-        resolve(result);
-      }, 12000);
+    serverRepository.setHostKey(server.id, hostKey.fingerprint, hostKey.type);
+    // Drop any pooled connection so the next one is verified against the new key
+    connectionManager.disconnect(server.id);
+    console.log(`[SSHService] Accepted new host key ${hostKey.fingerprint} for server ${server.id}`);
+    return { success: true, hostKey };
+  }
+
+  // Shared flow for connection tests: connect, then try to detect the remote OS.
+  // connect() must resolve with the authenticated ssh2 client.
+  async _runConnectionTest(connect, openOsStream, server) {
+    const result = {
+      success: false,
+      error: null,
+      os: null,
+      authMethod: null,
+      hostKey: null,
+      hostKeyMismatch: null,
+      route: null,
+      failedHop: null,
+      tips: [],
+      raw: null
+    };
+
+    try {
+      result.route = connectionManager.describeRoute(server);
+    } catch (err) {
+      result.error = err.message;
+      result.tips.push('Check the "connect via" setting of this server and its jump hosts.');
+      return result;
+    }
+
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('Connection timed out.')), CONNECTION_TEST_TIMEOUT);
+    });
+
+    try {
+      const client = await Promise.race([connect(), timeout]);
+      result.authMethod = connectionManager.getAuthMethod(client);
+      result.hostKey = connectionManager.getHostKey(client);
+    } catch (err) {
+      clearTimeout(timeoutId);
+      result.error = err.message;
+      // expected is null when no key is trusted yet. A jump host's key is accepted from its own page.
+      const jumpHostKey = err.hop && err.hop.serverId !== (server.id ?? null);
+      if ((err.code === connectionManager.HOST_KEY_MISMATCH || err.code === connectionManager.HOST_KEY_UNKNOWN) && !jumpHostKey) {
+        result.hostKeyMismatch = err.hostKey;
+        result.hostKey = err.hostKey.presented;
+      }
+      if (err.hop && result.route.length > 1) {
+        result.failedHop = this._describeFailedHop(err.hop, result.route);
+        result.tips.push(`Connection failed at hop ${result.failedHop.index + 1} of ${result.route.length}: ${result.failedHop.isJumpHost ? 'jump host' : 'target'} ${result.failedHop.name || result.failedHop.host} (${result.failedHop.host}:${result.failedHop.port}).`);
+      }
+      result.tips.push(this._connectionErrorTip(err));
+      return result;
+    }
+
+    try {
+      const osOutput = await Promise.race([
+        openOsStream().then(stream => this._collectOutput(stream)),
+        timeout
+      ]);
+      result.success = true;
+      result.os = osOutput.trim();
+      result.tips.push(result.authMethod
+        ? `SSH connection successful! Authenticated with ${result.authMethod}.`
+        : 'SSH connection successful!');
+      if (/ubuntu|debian|centos|fedora|linux|unix/i.test(osOutput)) {
+        result.tips.push('Detected Linux/Unix server.');
+      } else if (/windows|microsoft/i.test(osOutput)) {
+        result.tips.push('Detected Windows server.');
+      } else {
+        result.tips.push('Could not confidently detect OS.');
+      }
+    } catch {
+      result.success = true;
+      result.os = 'Unknown';
+      result.tips.push('Connected, but could not detect OS.');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    return result;
+  }
+
+  _describeFailedHop(hop, route) {
+    // Unsaved targets have no id, so fall back to the last hop
+    let index = route.findIndex(step => step.serverId !== null && step.serverId === hop.serverId);
+    if (index === -1) index = route.length - 1;
+    return { ...route[index], index, isJumpHost: index < route.length - 1 };
+  }
+
+  _collectOutput(stream) {
+    return new Promise((resolve) => {
+      let output = '';
+      stream.on('data', (data) => {
+        output += data.toString();
+      }).on('close', () => resolve(output));
     });
   }
+
+  _connectionErrorTip(err) {
+    if (err.code === connectionManager.HOST_KEY_MISMATCH) {
+      return 'The host key changed since it was first trusted. Only accept the new key if you know why it changed (e.g. the server was reinstalled).';
+    } else if (err.code === connectionManager.HOST_KEY_UNKNOWN) {
+      return 'No host key is trusted for this server yet. Compare the presented key with the one on the server (ssh-keygen -lf /etc/ssh/ssh_host_*_key.pub) before accepting it.';
+    } else if (/timed out|timeout/i.test(err.message)) {
+      return 'Connection timed out. Check network/firewall and server IP/port.';
+    } else if (/passphrase|encrypted/i.test(err.message)) {
+      return 'The private key is encrypted. Check the key passphrase.';
+    } else if (/auth|password|key/i.test(err.message)) {
+      return 'Authentication failed. Verify username, password, or private key.';
+    } else if (/ECONNREFUSED|refused/i.test(err.message)) {
+      return 'Connection refused. Is the SSH service running and accessible?';
+    }
+    return 'Check server address, port, credentials, and network connectivity.';
+  }
 }
 
-module.exports = new SSHService(); 
\ No newline at end of file
+module.exports = new SSHService();
+module.exports.CANCEL_SIGNALS = CANCEL_SIGNALS;
@@ -1,25 +1,77 @@
 const WebSocket = require('ws');
-const { Client: SSHClient } = require('ssh2');
 const serverRepository = require('../repositories/serverRepository');
+const connectionManager = require('./connectionManager');
+const terminalProtocol = require('../utils/terminalProtocol');
+const ShellIntegration = require('./shellIntegration');
+const policyService = require('./policyService');
+const auditService = require('./auditService');
+const authService = require('./authService');
+const accessService = require('./accessService');
+const userRepository = require('../repositories/userRepository');
+const { isAllowedOrigin } = require('../config/cors');
+const { analyzeCommand } = require('../utils/commandRisk');
+const InputLineTracker = require('../utils/inputLineTracker');
+
+const DEFAULT_COLS = 80;
+const DEFAULT_ROWS = 24;
+// Shell integration: wait for the banner/prompt to go quiet before injecting the hooks,
+// then give up and fall back to prompt detection if they never report
+const SHELL_INTEGRATION_QUIET_PERIOD = 200;
+const SHELL_INTEGRATION_FIRST_OUTPUT_WAIT = 1500;
+const SHELL_INTEGRATION_TIMEOUT = 3000;
+// UI commands remembered until the shell reports them, to attribute them in the audit log
+const MAX_PENDING_UI_COMMANDS = 20;
 
 class TerminalService {
   constructor() {
     // Global variable to track current chat session ID per server
     this.currentChatSessions = new Map(); // serverId -> sessionId
+    // Access check of every open terminal, run again when grants or roles change
+    this.openTerminals = new Set();
+  }
+
+  // Closes the terminals whose user no longer has the operator role on their server
+  recheckAccess() {
+    for (const checkAccess of this.openTerminals) checkAccess();
   }
 
   setupWebSocketServer(server) {
-    const wss = new WebSocket.Server({ server, path: '/ws/terminal' });
+    const wss = new WebSocket.Server({
+      server,
+      path: '/ws/terminal',
+      handleProtocols: terminalProtocol.selectProtocol,
+      verifyClient: (info, callback) => this.verifyClient(info, callback)
+    });
     
     wss.on('connection', (ws, req) => {
       this.handleConnection(ws, req);
     });
   }
 
+  // Browsers do not apply CORS to WebSockets, so the origin is checked here along with
+  // the session; the user is kept on the request for handleConnection
+  verifyClient({ origin, req }, callback) {
+    if (!isAllowedOrigin(origin, req.headers.host)) {
+      console.warn(`[TERMINAL] Rejected WebSocket from origin ${origin}`);
+      return callback(false, 403, 'Origin not allowed');
+    }
+    try {
+      req.user = authService.authenticateRequest(req);
+    } catch (error) {
+      console.error('[TERMINAL] Failed to check WebSocket session:', error);
+      return callback(false, 500, 'Internal Server Error');
+    }
+    if (!req.user) return callback(false, 401, 'Authentication required');
+    callback(true);
+  }
+
   async handleConnection(ws, req) {
-    // Parse serverId from query string: /ws/terminal?serverId=123
+    // Parse serverId (and optional initial size) from query string: /ws/terminal?serverId=123&cols=120&rows=40
     const url = new URL(req.url, `http://${req.headers.host}`);
     const serverId = url.searchParams.get('serverId');
+    const user = req.user ? req.user.username : null;
+    // Clients that negotiated the structured protocol get JSON frames; others get raw text
+    const structured = ws.protocol === terminalProtocol.TERMINAL_PROTOCOL;
     
     if (!serverId) {
       ws.close(1008, 'Missing serverId');
@@ -31,162 +83,380 @@ class TerminalService {
       ws.close(1008, 'Server not found');
       return;
     }
+    // Viewers can read history but not type into a shell
+    if (!accessService.canAccess(req.user, serverId, 'operator')) {
+      ws.close(1008, 'The terminal needs the operator role on this server');
+      return;
+    }
 
-    const conn = new SSHClient();
     let shellStream = null;
     let commandBuffer = '';
     let outputBuffer = '';
-    let currentCommand = '';
     let isShellReady = false;
+    let wsClosed = false;
+    let pendingAuthPrompt = null;
+    let integrationTimer = null;
+    let integrationInjected = false;
+    // Keystrokes typed while the shell integration is being set up
+    let queuedInput = '';
+    // { command, source } sent by quick actions and suggestion clicks
+    const pendingUiCommands = [];
+    const windowSize = {
+      cols: terminalProtocol.parseDimension(url.searchParams.get('cols'), DEFAULT_COLS),
+      rows: terminalProtocol.parseDimension(url.searchParams.get('rows'), DEFAULT_ROWS)
+    };
+
+    const sendOutput = (text) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      ws.send(structured ? terminalProtocol.encodeMessage('output', { data: text }) : text);
+    };
+
+    // Commands sent from the UI are attributed to it; everything else was typed
+    const takeCommandSource = (command) => {
+      const index = pendingUiCommands.findIndex(pending => pending.command === command);
+      if (index === -1) return 'terminal';
+      return pendingUiCommands.splice(index, 1)[0].source;
+    };
 
-    conn.on('ready', () => {
-      conn.shell({ 
-        term: 'xterm-color',
-        cols: 80,
-        rows: 24,
-        modes: {
-          ECHO: true        // Ensure terminal echo is on
+    const recordCommand = ({ command, output, exitCode = null, cwd = null, durationMs = null, truncated = false }) => {
+      const currentSessionId = this.currentChatSessions.get(Number(serverId));
+      const sessionIdToUse = currentSessionId !== undefined && !isNaN(currentSessionId) ? currentSessionId : null;
+      let historyId = null;
+
+      try {
+        historyId = Number(serverRepository.addHistory(serverId, command, output, sessionIdToUse, { exitCode, cwd, durationMs, truncated }));
+        console.log(`[TERMINAL] Logged command "${command}" (exit ${exitCode ?? 'unknown'}) with output length ${output.length}`);
+        if (structured && ws.readyState === WebSocket.OPEN) {
+          ws.send(terminalProtocol.encodeMessage('command', {
+            historyId,
+            command,
+            output,
+            exitCode,
+            cwd,
+            durationMs,
+            truncated
+          }));
         }
-      }, (err, stream) => {
-        if (err) {
-          ws.send(`Shell error: ${err.message}`);
-          ws.close();
-          conn.end();
-          return;
+      } catch (error) {
+        console.error('[TERMINAL] Failed to log command:', error);
+        sendOutput(`\r\n\x1b[31m[Error: Failed to log command - ${error.message}]\x1b[0m\r\n`);
+      }
+
+      auditService.record({
+        source: takeCommandSource(command),
+        user,
+        serverId,
+        command,
+        result: { exitCode, cwd, durationMs, historyId }
+      });
+    };
+
+    const integration = new ShellIntegration({ onCommand: recordCommand });
+    const inputLine = new InputLineTracker();
+
+    const flushQueuedInput = () => {
+      if (queuedInput && shellStream) {
+        shellStream.write(queuedInput);
+      }
+      queuedInput = '';
+    };
+
+    // Fallback for shells the integration hooks do not support: guess command
+    // boundaries from what looks like a prompt. No exit code, cwd or duration.
+    const detectPromptCommand = (text) => {
+      outputBuffer += text;
+
+      const lines = outputBuffer.split(/\r?\n/);
+      const lastLine = lines[lines.length - 1];
+      const promptPatterns = [
+        /[$#%>] ?$/,           // Common Unix/Linux prompts
+        />\s*$/,               // Windows prompt
+        /\]\$\s*$/,            // Bash with brackets
+        /\]#\s*$/,             // Root with brackets
+        /❯\s*$/,               // Modern shells (zsh, fish)
+        /➜\s*$/,               // Another modern prompt
+        /PS [^>]*>\s*$/        // Windows PowerShell prompt
+      ];
+
+      const hasPrompt = promptPatterns.some(pattern => pattern.test(lastLine));
+
+      if (hasPrompt && commandBuffer.trim()) {
+        // Get everything except the last line (prompt)
+        recordCommand({ command: commandBuffer.trim(), output: lines.slice(0, -1).join('\n').trim() });
+        commandBuffer = '';
+        outputBuffer = '';
+      }
+    };
+
+    const handleShellOutput = (text) => {
+      const wasInitializing = integration.state === 'initializing';
+      const display = integration.push(text);
+      if (display) sendOutput(display);
+
+      if (wasInitializing && integration.active) {
+        clearTimeout(integrationTimer);
+        flushQueuedInput();
+      } else if (integration.state === 'unsupported') {
+        detectPromptCommand(display);
+      }
+    };
+
+    const abandonIntegration = () => {
+      const display = integration.abandon();
+      if (display) sendOutput(display);
+      console.log('[TERMINAL] Shell integration unavailable, falling back to prompt detection');
+      // Redraw the prompt hidden together with the integration attempt
+      shellStream?.write('\r');
+      flushQueuedInput();
+    };
+
+    // Inject the hooks once the login banner and first prompt have settled
+    const scheduleIntegration = (delay) => {
+      clearTimeout(integrationTimer);
+      integrationTimer = setTimeout(() => {
+        if (!shellStream || integration.state !== 'initializing') return;
+        integrationInjected = true;
+        shellStream.write(integration.initCommand);
+        integrationTimer = setTimeout(abandonIntegration, SHELL_INTEGRATION_TIMEOUT);
+      }, delay);
+    };
+
+    // Keyboard-interactive prompts the stored credentials cannot answer (OTP codes etc.)
+    // are sent to the browser as a JSON control message and answered with one.
+    const relayKeyboardInteractive = ({ name, instructions, prompts }) => new Promise((resolve, reject) => {
+      if (wsClosed) {
+        reject(new Error('Terminal closed'));
+        return;
+      }
+      pendingAuthPrompt = { resolve, reject };
+      ws.send(terminalProtocol.encodeMessage('auth-prompt', { name, instructions, prompts }));
+    });
+
+    connectionManager.shell(serverRow.id, {
+      term: 'xterm-256color',
+      cols: windowSize.cols,
+      rows: windowSize.rows,
+      modes: {
+        ECHO: true        // Ensure terminal echo is on
+      }
+    }, {}, { onKeyboardInteractive: relayKeyboardInteractive }).then((stream) => {
+      // The browser went away while the shell channel was opening
+      if (wsClosed) {
+        stream.end();
+        return;
+      }
+      shellStream = stream;
+      isShellReady = true;
+      // The browser may have resized while the channel was opening
+      stream.setWindow(windowSize.rows, windowSize.cols, 0, 0);
+
+      scheduleIntegration(SHELL_INTEGRATION_FIRST_OUTPUT_WAIT);
+
+      // Handle data from shell
+      stream.on('data', (data) => {
+        try {
+          if (!integrationInjected) scheduleIntegration(SHELL_INTEGRATION_QUIET_PERIOD);
+          handleShellOutput(data.toString('utf8'));
+        } catch (error) {
+          console.error('[TERMINAL] Error processing shell data:', error);
         }
-        shellStream = stream;
-        isShellReady = true;
-
-        // Handle data from shell
-        stream.on('data', (data) => {
-          try {
-            const text = data.toString('utf8');
-            ws.send(text);
-            outputBuffer += text;
-            
-            // Detect command completion by prompt
-            const lines = outputBuffer.split(/\r?\n/);
-            const lastLine = lines[lines.length - 1];
-            const promptPatterns = [
-              /[$#%>] ?$/,           // Common Unix/Linux prompts
-              />\s*$/,               // Windows prompt
-              /\]\$\s*$/,            // Bash with brackets
-              /\]#\s*$/,             // Root with brackets
-              /❯\s*$/,               // Modern shells (zsh, fish)
-              /➜\s*$/,               // Another modern prompt
-              /PS [^>]*>\s*$/        // Windows PowerShell prompt
-            ];
-            
-            const hasPrompt = promptPatterns.some(pattern => pattern.test(lastLine));
-            
-            if (hasPrompt && commandBuffer.trim()) {
-              const cleanCommand = commandBuffer.trim();
-              // Get everything except the last line (prompt)
-              const commandOutput = lines.slice(0, -1).join('\n').trim();
-              
-              if (cleanCommand && cleanCommand.length > 0) {
-                const currentSessionId = this.currentChatSessions.get(Number(serverId));
-                const sessionIdToUse = currentSessionId !== undefined && !isNaN(currentSessionId) ? currentSessionId : null;
-                
-                try {
-                  serverRepository.addHistory(serverId, cleanCommand, commandOutput, sessionIdToUse);
-                  console.log(`[TERMINAL] Logged command "${cleanCommand}" with output length ${commandOutput.length}`);
-                } catch (error) {
-                  console.error('[TERMINAL] Failed to log command:', error);
-                  ws.send(`\r\n\x1b[31m[Error: Failed to log command - ${error.message}]\x1b[0m\r\n`);
-                }
-              }
-              
-              // Reset buffers after logging
-              commandBuffer = '';
-              outputBuffer = '';
-              currentCommand = '';
-            }
-          } catch (error) {
-            console.error('[TERMINAL] Error processing shell data:', error);
-          }
-        });
-
-        // Handle stderr separately
-        stream.stderr?.on('data', (data) => {
-          try {
-            const text = data.toString('utf8');
-            ws.send(text);
-            outputBuffer += text;
-          } catch (error) {
-            console.error('[TERMINAL] Error processing stderr:', error);
-          }
-        });
+      });
 
-        stream.on('close', () => {
-          ws.close();
-          conn.end();
-        });
+      // Handle stderr separately
+      stream.stderr?.on('data', (data) => {
+        try {
+          handleShellOutput(data.toString('utf8'));
+        } catch (error) {
+          console.error('[TERMINAL] Error processing stderr:', error);
+        }
+      });
 
-        stream.on('error', (err) => {
-          console.error('[TERMINAL] Shell stream error:', err);
-          ws.send(`\r\n\x1b[31m[Shell Error: ${err.message}]\x1b[0m\r\n`);
-        });
+      stream.on('close', () => {
+        ws.close();
       });
-    }).on('error', (err) => {
+
+      stream.on('error', (err) => {
+        console.error('[TERMINAL] Shell stream error:', err);
+        sendOutput(`\r\n\x1b[31m[Shell Error: ${err.message}]\x1b[0m\r\n`);
+      });
+    }).catch((err) => {
       console.error('[TERMINAL] SSH connection error:', err);
-      ws.send(`\r\n\x1b[31m[SSH Error: ${err.message}]\x1b[0m\r\n`);
-      ws.close();
+      if (!wsClosed) {
+        const viaJump = err.hop && err.hop.serverId !== serverRow.id;
+        const label = viaJump ? `SSH Error at jump host ${err.hop.name || err.hop.host}` : 'SSH Error';
+        sendOutput(`\r\n\x1b[31m[${label}: ${err.message}]\x1b[0m\r\n`);
+        ws.close();
+      }
     });
 
+    const answerAuthPrompt = (responses) => {
+      const { resolve } = pendingAuthPrompt;
+      pendingAuthPrompt = null;
+      resolve(responses);
+    };
+
+    const writeToShell = (text) => {
+      if (integration.state === 'initializing') {
+        queuedInput += text;
+        return;
+      }
+      shellStream.write(text);
+      if (integration.active) return;
+
+      commandBuffer += text;
+      // If this is a newline, we're starting a new command
+      if ((text === '\r' || text === '\n') && commandBuffer.trim()) {
+        outputBuffer = ''; // Reset output buffer for new command
+      }
+    };
+
+    // Returns the policy violation for a command line submitted at the prompt, or null
+    const checkPolicy = (line, verified, source) => {
+      if (!line.trim() && verified) return null;
+      const result = policyService.check(serverId, line, { verified, terminal: true });
+      if (result.allowed) return null;
+      policyService.recordViolation(serverId, line, source, result, user);
+      return result;
+    };
+
+    const handleInput = (text, source = 'terminal') => {
+      if (!isShellReady || !shellStream) {
+        console.warn('[TERMINAL] Received data before shell ready');
+        return;
+      }
+      // Keystrokes for a running program (password prompt, a command reading stdin) are not
+      // commands. Programs that would act on them are refused at the prompt on restricted
+      // servers (see commandPolicy.describeInteractive).
+      if (integration.busy) {
+        inputLine.reset();
+        writeToShell(text);
+        return;
+      }
+
+      for (const part of inputLine.push(text)) {
+        if (part.text) {
+          writeToShell(part.text);
+          continue;
+        }
+        const violation = checkPolicy(part.line, part.verified, source);
+        if (violation) {
+          // Abort the line instead of running it
+          writeToShell('\x03');
+          commandBuffer = '';
+          sendOutput(`\r\n\x1b[31m[Blocked by server policy: ${violation.reason}]\x1b[0m\r\n`);
+        } else {
+          writeToShell(part.submit);
+        }
+      }
+    };
+
+    // Commands picked in the UI (quick actions, AI suggestions) go through the server policy
+    // and the risk gate; keystrokes typed into the terminal only through the policy
+    const handleQuickCommand = ({ command, confirmed, source = 'quick-action' }) => {
+      const violation = checkPolicy(command, true, source);
+      if (violation) {
+        sendOutput(`\r\n\x1b[31m[Blocked by server policy: ${violation.reason}]\x1b[0m\r\n`);
+        return;
+      }
+      const risk = analyzeCommand(command);
+      if (risk.requiresConfirmation && confirmed !== true) {
+        console.warn(`[TERMINAL] Blocked unconfirmed high-risk quick command: ${command}`);
+        ws.send(terminalProtocol.encodeMessage('command-blocked', { command, risk }));
+        return;
+      }
+      if (risk.requiresConfirmation) {
+        console.warn(`[TERMINAL] Running confirmed high-risk quick command: ${command}`);
+      }
+      pendingUiCommands.push({ command: command.trim(), source });
+      if (pendingUiCommands.length > MAX_PENDING_UI_COMMANDS) pendingUiCommands.shift();
+      handleInput(command + '\n', source);
+    };
+
+    const handleResize = ({ cols, rows }) => {
+      windowSize.cols = cols;
+      windowSize.rows = rows;
+      if (shellStream) {
+        shellStream.setWindow(rows, cols, 0, 0);
+      }
+    };
+
+    // The role and grants checked at the handshake can be changed while the terminal is open:
+    // re-read the account before each message and whenever they are edited (recheckAccess)
+    const checkAccess = () => {
+      if (accessService.canAccess(userRepository.getUser(req.user.id), serverId, 'operator')) return true;
+      sendOutput('\r\n\x1b[31m[Access to this server was revoked]\x1b[0m\r\n');
+      ws.close(1008, 'Access to this server was revoked');
+      return false;
+    };
+    this.openTerminals.add(checkAccess);
+
     // Handle incoming data from client
     ws.on('message', (data) => {
+      if (!checkAccess()) return;
       try {
-        if (!isShellReady || !shellStream) {
-          console.warn('[TERMINAL] Received data before shell ready');
+        if (!structured) {
+          // Raw-text client: everything is keystrokes, except the answer to a relayed auth prompt
+          if (pendingAuthPrompt) {
+            const message = terminalProtocol.parseClientMessage(data);
+            if (message?.type === 'auth-response') {
+              answerAuthPrompt(message.responses);
+              return;
+            }
+          }
+          handleInput(data.toString('utf8'));
           return;
         }
-        const text = data.toString('utf8');
-        shellStream.write(text);
-        commandBuffer += text;
-        
-        // If this is a newline, we're starting a new command
-        if (text === '\r' || text === '\n') {
-          const newCommand = commandBuffer.trim();
-          if (newCommand) {
-            currentCommand = newCommand;
-            outputBuffer = ''; // Reset output buffer for new command
-          }
+
+        const message = terminalProtocol.parseClientMessage(data);
+        if (!message) {
+          console.warn('[TERMINAL] Ignoring malformed control message');
+          return;
+        }
+
+        switch (message.type) {
+          case 'input':
+            handleInput(message.data);
+            break;
+          case 'resize':
+            handleResize(message);
+            break;
+          case 'auth-response':
+            if (pendingAuthPrompt) answerAuthPrompt(message.responses);
+            break;
+          case 'quick-command':
+            handleQuickCommand(message);
+            break;
         }
       } catch (error) {
         console.error('[TERMINAL] Error processing client message:', error);
-        ws.send(`\r\n\x1b[31m[Internal Error: ${error.message}]\x1b[0m\r\n`);
+        sendOutput(`\r\n\x1b[31m[Internal Error: ${error.message}]\x1b[0m\r\n`);
       }
     });
 
-    // Handle WebSocket closure
+    // Handle WebSocket closure. Only the shell channel is closed; the SSH
+    // connection itself stays pooled in the connection manager.
     ws.on('close', () => {
+      wsClosed = true;
+      this.openTerminals.delete(checkAccess);
+      clearTimeout(integrationTimer);
+      // The shell will not report a command that is still running; audit it now
+      if (integration.runningCommand) {
+        const command = integration.runningCommand;
+        auditService.record({ source: takeCommandSource(command), user, serverId, command, result: { exitCode: null, unfinished: true } });
+      }
+      if (pendingAuthPrompt) {
+        pendingAuthPrompt.reject(new Error('Terminal closed'));
+        pendingAuthPrompt = null;
+      }
       try {
         if (shellStream) {
           shellStream.end();
           shellStream = null;
         }
-        if (conn) {
-          conn.end();
-        }
       } catch (error) {
         console.error('[TERMINAL] Error during cleanup:', error);
       }
     });
-
-    // Connect to the SSH server
-    try {
-      conn.connect({
-        host: serverRow.host,
-        port: serverRow.port || 22,
-        username: serverRow.username,
-        password: serverRow.password
-      });
-    } catch (error) {
-      console.error('[TERMINAL] Error initiating SSH connection:', error);
-      ws.send(`\r\n\x1b[31m[Connection Error: ${error.message}]\x1b[0m\r\n`);
-      ws.close();
-    }
   }
 }
 
@@ -1,5 +1,7 @@
 const axios = require('axios');
 const serverRepository = require('../repositories/serverRepository');
+const aiOutputService = require('./aiOutputService');
+const { TERMINAL_SUGGESTION, toGeminiSchema } = require('../utils/aiSchemas');
 
 // Cache for recent suggestions to avoid duplicate calls for the same input
 const suggestionCache = new Map();
@@ -54,7 +56,7 @@ class TerminalSuggestionService {
       let model = process.env.GEMINI_API_KEY ? 'gemini-1.5-flash' : 'local';
       
       if (model === 'gemini-1.5-flash') {
-        const result = await this._callGemini(prompt, cleanEntries, latestCommand);
+        const result = await this._callGemini(prompt, { serverId, sessionId });
         
         // Cache the result
         suggestionCache.set(cacheKey, result);
@@ -125,7 +127,9 @@ Your response must be valid JSON with these fields:
 `;
   }
 
-  async _callGemini(prompt, entries, latestCommand) {
+  // The response must match TERMINAL_SUGGESTION; Gemini is given its schema and asked to
+  // fix a response that still does not match (see aiOutputService.completeValid)
+  async _callGemini(prompt, { serverId, sessionId }) {
     try {
       console.log('[TerminalSuggestionService] Calling Gemini API');
       
@@ -133,38 +137,34 @@ Your response must be valid JSON with these fields:
       if (!apiKey) {
         throw new Error('GEMINI_API_KEY not set in environment variables');
       }
-      
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
-        {
-          contents: [
-            {
-              parts: [
-                { text: prompt }
-              ]
+
+      const complete = async messages => {
+        const response = await axios.post(
+          `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
+          {
+            contents: messages.map(m => ({
+              role: m.role === 'ai' ? 'model' : 'user',
+              parts: [{ text: m.content }]
+            })),
+            generationConfig: {
+              temperature: 0.2,
+              maxOutputTokens: 1024,
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(TERMINAL_SUGGESTION.schema)
             }
-          ],
-          generationConfig: {
-            temperature: 0.2,
-            maxOutputTokens: 1024
           }
-        }
+        );
+        return response.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      };
+
+      const { response: textResponse, json: jsonResponse } = await aiOutputService.completeValid(
+        TERMINAL_SUGGESTION,
+        [{ role: 'user', content: prompt }],
+        complete,
+        { source: 'terminal-suggestion', serverId, chatSessionId: sessionId, model: 'gemini-1.5-flash' }
       );
-      
-      const textResponse = response.data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
       console.log('[TerminalSuggestionService] Received Gemini response:', textResponse.substring(0, 100) + '...');
       
-      // Parse JSON from response
-      let jsonResponse = null;
-      try {
-        // Extract JSON if wrapped in backticks
-        const jsonMatch = textResponse.match(/```(?:json)?([\s\S]*?)```/);
-        const jsonText = jsonMatch ? jsonMatch[1].trim() : textResponse.trim();
-        jsonResponse = JSON.parse(jsonText);
-      } catch (parseError) {
-        console.error('[TerminalSuggestionService] Error parsing JSON from response:', parseError);
-      }
-      
       return {
         response: textResponse,
         json: jsonResponse,
@@ -1,3 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { uploadDir } = require('../config/multer');
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
 function cleanAIResponse(str) {
   if (!str) return str;
   // Remove code block markers
@@ -28,13 +36,22 @@ function extractImageUrlsFromMarkdown(text) {
   return urls;
 }
 
-async function fetchImagesAsBase64(urls, req) {
+// Images uploaded to this app (/uploads/<name>, also as an absolute URL) are read from the
+// uploads folder, since serving them needs a login; other URLs are downloaded. Images that
+// cannot be read are left out.
+async function fetchImagesAsBase64(urls) {
   const results = [];
   for (const url of urls) {
     try {
-      const absUrl = url.startsWith('/uploads/') ? `${req.protocol}://${req.get('host')}${url}` : url;
-      console.log('[fetchImagesAsBase64] Fetching:', absUrl);
-      const resp = await axios.get(absUrl, { responseType: 'arraybuffer' });
+      const upload = /^(?:https?:\/\/[^/]+)?\/uploads\/([^/?#]+)$/.exec(url);
+      if (upload) {
+        const name = path.basename(decodeURIComponent(upload[1]));
+        const data = await fs.promises.readFile(path.join(uploadDir, name));
+        results.push({ base64: data.toString('base64'), contentType: IMAGE_TYPES[path.extname(name).toLowerCase()] || 'image/png' });
+        continue;
+      }
+      console.log('[fetchImagesAsBase64] Fetching:', url);
+      const resp = await axios.get(url, { responseType: 'arraybuffer' });
       const contentType = resp.headers['content-type'] || 'image/png';
       const base64 = Buffer.from(resp.data, 'binary').toString('base64');
       results.push({ base64, contentType });
@@ -45,8 +62,96 @@ async function fetchImagesAsBase64(urls, req) {
   return results;
 }
 
+// Reads a Server-Sent Events body (a Node stream, as axios returns with responseType
+// 'stream') and calls onEvent({ event, data }) for each event. Resolves when the stream ends.
+async function readSSE(stream, onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  const dispatch = block => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length > 0) onEvent({ event, data: data.join('\n') });
+  };
+  for await (const chunk of stream) {
+    buffered += decoder.write(chunk);
+    const blocks = buffered.split(/\r?\n\r?\n/);
+    buffered = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  buffered += decoder.end();
+  if (buffered.trim()) dispatch(buffered);
+}
+
+// Reads a newline-delimited JSON body (as Ollama streams) and calls onEvent({ event, data })
+// with each line, like readSSE
+async function readNDJSON(stream, onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  for await (const chunk of stream) {
+    buffered += decoder.write(chunk);
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => onEvent({ event: 'message', data: line }));
+  }
+  buffered += decoder.end();
+  if (buffered.trim()) onEvent({ event: 'message', data: buffered });
+}
+
+// Collects a stream into a string, parsed as JSON when possible (error bodies of
+// streamed requests arrive this way)
+async function readStreamBody(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  const body = Buffer.concat(chunks).toString('utf8');
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+// The part of the "answer" field readable from a JSON response that is still arriving.
+// Text that does not look like JSON is returned as it is. Null until the answer starts;
+// after that every call returns what the previous one did plus more.
+function partialAnswer(text) {
+  const trimmed = String(text || '').trimStart();
+  if ('```'.startsWith(trimmed)) return null;
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('```')) return trimmed || null;
+  const start = trimmed.match(/"answer"\s*:\s*"/);
+  if (!start) return null;
+  let answer = '';
+  for (let i = start.index + start[0].length; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      answer += char;
+      continue;
+    }
+    const next = trimmed[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = trimmed.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      answer += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      answer += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[next] ?? next;
+      i++;
+    }
+  }
+  return answer;
+}
+
 module.exports = {
   cleanAIResponse,
   extractImageUrlsFromMarkdown,
-  fetchImagesAsBase64
+  fetchImagesAsBase64,
+  readSSE,
+  readNDJSON,
+  readStreamBody,
+  partialAnswer
 }; 
\ No newline at end of file
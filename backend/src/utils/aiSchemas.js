@@ -0,0 +1,149 @@
+// JSON schemas for what the AI models must answer with, and a validator for them.
+//
+// An output is { name, schema, check }. schema sticks to the subset of JSON Schema that
+// native structured-output modes accept (type, properties, required, additionalProperties,
+// items, enum; every property required), so it can be sent to the provider as is.
+// check(json) adds the rules a schema cannot express and returns their errors.
+// Outputs without a schema (AGENT_REPLY) are validated by check alone and only get JSON mode.
+const { LEVELS } = require('./commandRisk');
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const CHAT_ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string' },
+    commands: stringArray,
+    explanations: stringArray,
+    risks: { type: 'array', items: { type: 'string', enum: LEVELS } }
+  },
+  required: ['answer', 'commands', 'explanations', 'risks'],
+  additionalProperties: false
+};
+
+const TOOL_CALL_SCHEMA = {
+  type: 'object',
+  properties: {
+    tool: { type: 'string', enum: ['run_command'] },
+    command: { type: 'string' },
+    reason: { type: 'string' }
+  },
+  required: ['tool', 'command', 'reason'],
+  additionalProperties: false
+};
+
+const TERMINAL_SUGGESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    nextCommand: { type: 'string' },
+    explanation: { type: 'string' },
+    alternatives: stringArray
+  },
+  required: ['nextCommand', 'explanation', 'alternatives'],
+  additionalProperties: false
+};
+
+const TYPES = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: Array.isArray,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: Number.isInteger,
+  boolean: value => typeof value === 'boolean'
+};
+
+// Errors of value against schema, each naming where it is ("commands[2]: must be a string")
+function validateSchema(schema, value, path = 'response') {
+  if (schema.type && !TYPES[schema.type](value)) {
+    return [`${path}: must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+  const errors = [];
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path}: missing "${name}"`);
+    }
+    for (const [name, property] of Object.entries(value)) {
+      if (properties[name]) errors.push(...validateSchema(properties[name], property, `${path}.${name}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${name}"`);
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+const blank = value => !value.trim();
+
+const CHAT_ANSWER = {
+  name: 'chat_answer',
+  schema: CHAT_ANSWER_SCHEMA,
+  check(json) {
+    const errors = [];
+    if (blank(json.answer)) errors.push('response.answer: must not be empty');
+    json.commands.forEach((command, i) => {
+      if (blank(command)) errors.push(`response.commands[${i}]: must not be empty`);
+    });
+    if (json.explanations.length !== json.commands.length) {
+      errors.push(`response.explanations: must have one entry per command (${json.commands.length}), has ${json.explanations.length}`);
+    }
+    if (json.risks.length !== json.commands.length) {
+      errors.push(`response.risks: must have one entry per command (${json.commands.length}), has ${json.risks.length}`);
+    }
+    return errors;
+  }
+};
+
+const TERMINAL_SUGGESTION = {
+  name: 'terminal_suggestion',
+  schema: TERMINAL_SUGGESTION_SCHEMA,
+  check(json) {
+    const errors = [];
+    if (blank(json.nextCommand)) errors.push('response.nextCommand: must not be empty');
+    json.alternatives.forEach((command, i) => {
+      if (blank(command)) errors.push(`response.alternatives[${i}]: must not be empty`);
+    });
+    return errors;
+  }
+};
+
+// Either a run_command tool call or a chat answer, told apart by "tool"
+const AGENT_REPLY = {
+  name: 'agent_reply',
+  schema: null,
+  check(json) {
+    if (!TYPES.object(json)) return ['response: must be an object'];
+    if ('tool' in json) {
+      const errors = validateSchema(TOOL_CALL_SCHEMA, json);
+      if (errors.length === 0 && blank(json.command)) errors.push('response.command: must not be empty');
+      return errors;
+    }
+    const errors = validateSchema(CHAT_ANSWER_SCHEMA, json);
+    return errors.length > 0 ? errors : CHAT_ANSWER.check(json);
+  }
+};
+
+// Gemini's response schemas are an OpenAPI subset without additionalProperties
+function toGeminiSchema(schema) {
+  const { additionalProperties, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    ...(properties ? { properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, toGeminiSchema(property)])) } : {}),
+    ...(items ? { items: toGeminiSchema(items) } : {})
+  };
+}
+
+// Errors of json against an output; none means it can be used
+function validateOutput(output, json) {
+  if (output.schema) {
+    const errors = validateSchema(output.schema, json);
+    if (errors.length > 0) return errors;
+  }
+  return output.check ? output.check(json) : [];
+}
+
+module.exports = { CHAT_ANSWER, TERMINAL_SUGGESTION, AGENT_REPLY, validateSchema, validateOutput, toGeminiSchema };
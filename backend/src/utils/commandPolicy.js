@@ -0,0 +1,653 @@
+// Per-server command policy.
+//
+// A policy is { readOnly, forbidSudo, allowPatterns, denyPatterns, maintenanceWindows }:
+//   readOnly            only commands that inspect the server are allowed
+//   forbidSudo          sudo, su, doas and pkexec are refused
+//   allowPatterns       if not empty, every simple command must match one of these regexes
+//   denyPatterns        commands matching any of these regexes are refused
+//   maintenanceWindows  [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }] in UTC, 0 = Sunday.
+//                       If any are set, the server is read-only outside of them.
+// evaluatePolicy() returns { allowed: true } or { allowed: false, rule, reason }.
+const { listSimpleCommands } = require('./commandRisk');
+
+const DEFAULT_POLICY = {
+  readOnly: false,
+  forbidSudo: false,
+  allowPatterns: [],
+  denyPatterns: [],
+  maintenanceWindows: []
+};
+
+const MAX_PATTERN_LENGTH = 500;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const ELEVATION_COMMANDS = new Set(['sudo', 'su', 'doas', 'pkexec']);
+// `sh -c SCRIPT` is judged by its script, which listSimpleCommands returns separately
+const SCRIPT_SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Commands that only read state, whatever their arguments (CHANGE_CHECKS has the exceptions)
+const READ_ONLY_COMMANDS = new Set([
+  'ls', 'll', 'dir', 'cat', 'tac', 'less', 'more', 'head', 'tail', 'grep', 'egrep', 'fgrep', 'zgrep', 'rg', 'ag',
+  'awk', 'cut', 'sort', 'uniq', 'wc', 'tr', 'column', 'diff', 'cmp', 'comm', 'nl', 'fold', 'od', 'xxd', 'hexdump',
+  'strings', 'file', 'stat', 'du', 'df', 'free', 'uptime', 'w', 'who', 'whoami', 'id', 'groups', 'last', 'lastlog',
+  'ps', 'pgrep', 'pstree', 'top', 'htop', 'atop', 'vmstat', 'iostat', 'mpstat', 'sar', 'pidstat', 'lsof', 'fuser',
+  'uname', 'arch', 'nproc', 'lscpu', 'lsblk', 'blkid', 'lsmod', 'lspci', 'lsusb', 'dmesg', 'env', 'printenv',
+  'pwd', 'cd', 'echo', 'printf', 'true', 'false', 'test', '[', 'which', 'whereis', 'type', 'command', 'locate',
+  'realpath', 'readlink', 'basename', 'dirname', 'md5sum', 'sha1sum', 'sha256sum', 'sha512sum', 'cksum',
+  'netstat', 'ss', 'ping', 'ping6', 'traceroute', 'tracepath', 'mtr', 'dig', 'nslookup', 'host', 'getent',
+  'curl', 'wget', 'tree', 'jq', 'yq', 'zcat', 'bzcat', 'xzcat', 'history', 'cal',
+  'apt-cache', 'ulimit', 'sleep', 'iftop', 'nethogs', 'iotop', 'ethtool',
+  'journalctl', 'find', 'sed', 'sysctl', 'date', 'hostname', 'hostnamectl', 'timedatectl', 'mount', 'crontab',
+  'systemctl', 'service', 'docker', 'kubectl', 'git', 'apt', 'dnf', 'yum', 'ip', 'ufw', 'iptables', 'ip6tables',
+  'nft', 'dpkg', 'rpm', 'tee'
+]);
+
+// Programs that read commands of their own from the keyboard (shell escapes in pagers and
+// editors, kill in top...). Keystrokes sent to a running program are not checked, so the
+// terminal refuses these on restricted servers, unless run in one of their batch modes.
+const INTERACTIVE_PROGRAMS = new Set([
+  'less', 'more', 'most', 'pg', 'view', 'vi', 'vim', 'nvim', 'nano', 'pico', 'emacs', 'ed', 'man', 'info',
+  'top', 'htop', 'atop', 'btop', 'iftop', 'nethogs', 'iotop', 'mtr', 'screen', 'tmux', 'ssh', 'telnet', 'ftp', 'sftp',
+  'mysql', 'psql', 'sqlite3', 'nslookup', 'bc', 'python', 'python3', 'node', 'irb'
+]);
+const BATCH_OPTIONS = {
+  top: ['-b', '--batch'],
+  iotop: ['-b', '--batch'],
+  mtr: ['-r', '--report', '-w', '--report-wide', '-j', '--json', '-C', '--csv']
+};
+// Commands that open a pager on a terminal unless told not to
+const SYSTEMD_PAGED = new Set(['systemctl', 'journalctl', 'timedatectl', 'hostnamectl', 'loginctl', 'networkctl', 'coredumpctl', 'busctl']);
+
+// Variables that only change how output looks. Any other assignment may run code later
+// (PROMPT_COMMAND, LD_PRELOAD, LESSOPEN...) or stay in an interactive shell.
+const HARMLESS_VARIABLES = /^(LANG|LANGUAGE|LC_[A-Z]+|TZ|COLUMNS|LINES|TERM|NO_COLOR)$/;
+const PAGER_VARIABLES = /^(PAGER|SYSTEMD_PAGER|GIT_PAGER|MANPAGER)$/;
+
+// curl options that take a value, and those that neither write files nor send local data
+const CURL_VALUE_OPTIONS = [
+  '-o', '-D', '-c', '-T', '-d', '-F', '-H', '-A', '-e', '-u', '-x', '-X', '-m', '-w', '-r', '-b', '-K', '-E', '-U', '-y', '-Y', '-z', '-C', '-Q', '-t', '-P',
+  '--output', '--dump-header', '--cookie-jar', '--upload-file', '--data', '--data-raw', '--data-binary', '--data-urlencode', '--data-ascii',
+  '--json', '--form', '--form-string', '--header', '--user-agent', '--referer', '--user', '--proxy', '--request', '--max-time',
+  '--connect-timeout', '--write-out', '--range', '--cookie', '--config', '--resolve', '--retry', '--retry-delay', '--retry-max-time',
+  '--max-redirs', '--cacert', '--capath', '--output-dir', '--trace', '--trace-ascii', '--stderr', '--libcurl', '--url', '--noproxy',
+  '--connect-to', '--interface'
+];
+const CURL_READ_OPTIONS = new Set([
+  '-s', '--silent', '-S', '--show-error', '-L', '--location', '-I', '--head', '-i', '--include', '-v', '--verbose', '-k', '--insecure',
+  '-f', '--fail', '--fail-with-body', '-4', '-6', '-G', '--get', '-H', '--header', '-A', '--user-agent', '-e', '--referer', '-u', '--user',
+  '-x', '--proxy', '-m', '--max-time', '--connect-timeout', '-w', '--write-out', '-r', '--range', '--resolve', '--retry', '--retry-delay',
+  '--retry-max-time', '--max-redirs', '--compressed', '--cacert', '--capath', '--http1.0', '--http1.1', '--http2', '--url', '--noproxy',
+  '--connect-to', '--interface', '-#', '--progress-bar', '-N', '--no-buffer', '--no-progress-meter'
+]);
+// Allowed when they write to the terminal (-o -, -D /dev/stdout...)
+const CURL_OUTPUT_OPTIONS = new Set(['-o', '--output', '-D', '--dump-header', '--stderr', '--trace', '--trace-ascii']);
+
+const WGET_VALUE_OPTIONS = [
+  '-O', '-o', '-a', '-e', '-T', '-t', '-U', '-P', '-i', '-B', '-w', '-Q', '-l', '-A', '-R', '-D', '-I', '-X',
+  '--output-document', '--output-file', '--append-output', '--execute', '--timeout', '--tries', '--user-agent', '--header',
+  '--directory-prefix', '--input-file', '--post-data', '--post-file', '--body-data', '--body-file', '--method', '--user',
+  '--password', '--max-redirect'
+];
+const WGET_READ_OPTIONS = new Set([
+  '-q', '--quiet', '-n', '-v', '--verbose', '--no-verbose', '-S', '--server-response', '-T', '--timeout', '-t', '--tries',
+  '-U', '--user-agent', '--header', '--no-check-certificate', '-4', '-6', '--inet4-only', '--inet6-only', '--max-redirect',
+  '--user', '--password'
+]);
+
+const AWK_VALUE_OPTIONS = ['-F', '-v', '-f', '-i', '-l', '-E', '--field-separator', '--assign', '--file', '--include', '--load', '--exec'];
+const SED_VALUE_OPTIONS = ['-e', '-f', '-l', '--expression', '--file', '--line-length'];
+const LESS_VALUE_OPTIONS = ['-o', '-O', '-b', '-h', '-j', '-k', '-p', '-P', '-t', '-T', '-x', '-y', '-z', '-#', '--log-file', '--LOG-FILE'];
+
+// For the commands above that can also change things: returns why this use does, or null
+const CHANGE_CHECKS = {
+  curl: args => {
+    for (const { name, value } of parseOptions(args, CURL_VALUE_OPTIONS).options) {
+      if (CURL_OUTPUT_OPTIONS.has(name)) {
+        if (!isTerminalOutput(value)) return `curl ${name} writes ${value || 'a file'}`;
+      } else if (name === '-X' || name === '--request') {
+        if (!/^(GET|HEAD)$/i.test(value)) return `curl ${name} ${value} sends a ${value} request`;
+      } else if ((name === '-H' || name === '--header') && value.startsWith('@')) {
+        return 'curl -H @file sends the contents of a file';
+      } else if (!CURL_READ_OPTIONS.has(name)) {
+        return `curl ${name} writes files or sends data`;
+      }
+    }
+    return null;
+  },
+  wget: args => {
+    let toTerminal = false;
+    for (const { name, value } of parseOptions(args, WGET_VALUE_OPTIONS).options) {
+      if (name === '-O' || name === '--output-document') {
+        if (!isTerminalOutput(value)) return `wget ${name} writes ${value || 'a file'}`;
+        toTerminal = true;
+      } else if (name === '--spider') {
+        toTerminal = true;
+      } else if (!WGET_READ_OPTIONS.has(name)) {
+        return `wget ${name} writes files or sends data`;
+      }
+    }
+    return toTerminal ? null : 'wget downloads files';
+  },
+  awk: args => {
+    const { options, operands: [program = ''] } = parseOptions(args, AWK_VALUE_OPTIONS);
+    const other = options.find(({ name }) => !['-F', '-v', '--field-separator', '--assign'].includes(name));
+    if (other) return `awk ${other.name} loads code that cannot be checked`;
+    // system(), pipes to or from commands (not ||) and print > file
+    if (/\bsystem\s*\(|(^|[^|])\|(?!\|)|\bprintf?\b[^;{}]*>/.test(program)) {
+      return 'awk runs commands or writes files';
+    }
+    // gawk's @load, @include and indirect calls (f = "system"; @f("id"))
+    if (program.includes('@')) return 'awk @ calls functions that cannot be checked';
+    return null;
+  },
+  sed: args => {
+    const { options, operands: files } = parseOptions(args, SED_VALUE_OPTIONS);
+    const scripts = [];
+    for (const { name, value } of options) {
+      if (name === '-i' || name === '--in-place') return 'sed -i edits files in place';
+      if (name === '-f' || name === '--file') return 'sed -f runs a script that cannot be checked';
+      if (name === '-e' || name === '--expression') scripts.push(value);
+    }
+    if (scripts.length === 0 && files.length > 0) scripts.push(files[0]);
+    return scripts.some(sedScriptChanges) ? 'sed runs commands or writes files (e, w or W)' : null;
+  },
+  less: args => pagerChange('less', args),
+  more: args => pagerChange('more', args),
+  history: args => args.some(arg => arg.startsWith('-')) ? 'history changes the shell history' : null,
+  sort: args => parseOptions(args, ['-o', '-k', '-t', '-S', '-T', '--output', '--key', '--field-separator', '--buffer-size', '--temporary-directory'])
+    .options.some(({ name, value }) => ((name === '-o' || name === '--output') && !isTerminalOutput(value)) || name === '--compress-program')
+    ? 'sort writes a file or runs a program' : null,
+  uniq: args => parseOptions(args, ['-f', '-s', '-w', '--skip-fields', '--skip-chars', '--check-chars']).operands.length > 1 ? 'uniq writes its output file' : null,
+  xxd: args => parseOptions(args, ['-c', '-g', '-l', '-s', '-o', '-n', '-C']).operands.length > 1 ? 'xxd writes its output file' : null,
+  tree: args => parseOptions(args, ['-o', '-L', '-P', '-I', '-H', '-T', '--charset', '--filelimit', '--timefmt', '--sort'])
+    .options.some(({ name, value }) => name === '-o' && !isTerminalOutput(value)) ? 'tree -o writes a file' : null,
+  yq: args => parseOptions(args, ['-o', '-p', '-I', '--output-format', '--input-format', '--indent', '--from-file'])
+    .options.some(({ name }) => ['-i', '--inplace', '-s', '--split-exp'].includes(name)) ? 'yq writes files' : null,
+  rg: args => args.some(arg => /^--pre(=|$)/.test(arg)) ? 'rg --pre runs a program' : null,
+  dmesg: args => parseOptions(args, ['-n', '-f', '-l', '-F', '-s', '--console-level', '--facility', '--level', '--file', '--buffer-size', '--time-format'])
+    .options.some(({ name }) => ['-C', '--clear', '-c', '--read-clear', '-D', '--console-off', '-E', '--console-on', '-n', '--console-level'].includes(name))
+    ? 'dmesg clears the kernel log or changes console logging' : null,
+  ss: args => parseOptions(args, ['-f', '-A', '-F', '--family', '--query', '--filter']).options.some(({ name }) => name === '-K' || name === '--kill') ? 'ss -K closes sockets' : null,
+  fuser: args => parseOptions(args, ['-n', '--namespace']).options.some(({ name }) => name === '-k' || name === '--kill') ? 'fuser -k kills processes' : null,
+  sar: args => parseOptions(args, ['-o', '-f', '-s', '-e', '-i', '-P', '-I', '-n', '-m']).options.some(({ name }) => name === '-o') ? 'sar -o writes a file' : null,
+  ethtool: args => !args[0] || !args[0].startsWith('-') || /^(-i|-S|-k|-g|-a|-c|-l|-m|-T|-P|--driver|--statistics|--show-.+|--module-info)$/.test(args[0]) ? null : `ethtool ${args[0]} changes the network interface`,
+  journalctl: args => args.some(arg => /^--(vacuum-|rotate|flush|relinquish-var|setup-keys)/.test(arg)) ? 'journalctl changes the journal' : null,
+  find: args => args.some(arg => /^-(delete|exec|execdir|ok|okdir|fprint0?|fprintf|fls)$/.test(arg)) ? 'find deletes files or runs commands' : null,
+  sysctl: args => args.some(arg => arg === '-w' || arg === '--write' || arg === '-p' || arg === '--load' || arg === '--system' || arg.includes('=')) ? 'sysctl changes kernel settings' : null,
+  date: args => args.some(arg => arg === '-s' || arg.startsWith('--set')) || args.some(arg => /^\d{6,}/.test(arg)) ? 'date sets the clock' : null,
+  hostname: args => args.some(arg => !arg.startsWith('-')) ? 'hostname renames the server' : null,
+  hostnamectl: args => subcommand(args) && subcommand(args) !== 'status' ? 'hostnamectl changes the hostname' : null,
+  timedatectl: args => subcommand(args) && !['status', 'show', 'list-timezones', 'timesync-status', 'show-timesync'].includes(subcommand(args)) ? 'timedatectl changes time settings' : null,
+  mount: args => args.length > 0 && !(args.length === 1 && /^-[lt]/.test(args[0])) ? 'mount changes mounted filesystems' : null,
+  crontab: args => args.includes('-l') ? null : 'crontab changes scheduled jobs',
+  systemctl: args => !subcommand(args) || /^(status|show|cat|list-.+|is-.+|get-default|help)$/.test(subcommand(args)) ? null : `systemctl ${subcommand(args)} changes services`,
+  service: args => args.includes('--status-all') || operands(args)[1] === 'status' ? null : 'service changes services',
+  docker: args => {
+    const [first, second] = operands(args);
+    if (/^(ps|images|logs|inspect|stats|top|version|info|port|diff|history|events|search)$/.test(first || '')) return null;
+    if (/^(container|image|network|volume|node|service|context|system)$/.test(first || '') && /^(ls|list|inspect|logs|ps|df|stats|top|port|history)$/.test(second || '')) return null;
+    if (first === 'compose' && /^(ps|logs|config|ls|top|images)$/.test(second || '')) return null;
+    return `docker ${first || ''}`.trim() + ' changes containers';
+  },
+  kubectl: args => {
+    const [first, second] = operands(args);
+    if (/^(get|describe|logs|top|version|explain|api-resources|api-versions|cluster-info)$/.test(first || '')) return null;
+    if (first === 'config' && /^(view|get-contexts|current-context)$/.test(second || '')) return null;
+    return `kubectl ${first || ''}`.trim() + ' changes the cluster';
+  },
+  git: args => {
+    if (!/^(status|log|diff|show|blame|describe|ls-files|rev-parse|shortlog|grep)$/.test(subcommand(args) || '')) {
+      return `git ${subcommand(args) || ''}`.trim() + ' changes the repository';
+    }
+    // --output writes a file, grep -O opens the matches with a program
+    if (args.some(arg => /^--(output|open-files-in-pager)(=|$)/.test(arg)) || (subcommand(args) === 'grep' && args.some(arg => /^-O/.test(arg)))) {
+      return `git ${subcommand(args)} writes a file or runs a program`;
+    }
+    return null;
+  },
+  apt: args => /^(list|show|search|policy|depends|rdepends)$/.test(subcommand(args) || '') ? null : `apt ${subcommand(args) || ''}`.trim() + ' changes packages',
+  dnf: args => /^(list|info|search|repolist|check-update|provides|repoquery)$/.test(subcommand(args) || '') ? null : `dnf ${subcommand(args) || ''}`.trim() + ' changes packages',
+  yum: args => /^(list|info|search|repolist|check-update|provides)$/.test(subcommand(args) || '') ? null : `yum ${subcommand(args) || ''}`.trim() + ' changes packages',
+  dpkg: args => args.some(arg => /^(-l|-L|-s|-S|-p|--list|--listfiles|--status|--search|--print-avail|--get-selections|--print-architecture)$/.test(arg)) ? null : 'dpkg changes packages',
+  rpm: args => {
+    // --eval '%(cmd)', macros defined on the command line and --pipe run shell commands
+    const runs = parseOptions(args, ['-D', '-E', '--define', '--eval', '--macros', '--rcfile', '--pipe']).options
+      .find(({ name }) => ['-D', '-E', '--define', '--eval', '--macros', '--rcfile', '--pipe', '--load'].includes(name));
+    if (runs) return `rpm ${runs.name} runs commands`;
+    return args.some(arg => /^-q/.test(arg) || arg === '--query' || /^-V/.test(arg) || arg === '--verify') ? null : 'rpm changes packages';
+  },
+  // ip addr, ip route get 1.1.1.1, ip -s link show eth0. -batch runs the commands of a file
+  ip: args => {
+    const batch = args.find(arg => /^--?(b(a(t(ch?)?)?)?|force)(=|$)/.test(arg));
+    if (batch) return `ip ${batch} runs commands that cannot be checked`;
+    const [, action] = operands(args);
+    return !action || /^(s|sh|sho|show|ls|lst|list|get)$/.test(action) || !/^[a-z]+$/.test(action) ? null : `ip ${operands(args).slice(0, 2).join(' ')} changes networking`;
+  },
+  ufw: args => {
+    const [first, second] = operands(args);
+    if (first === 'status' || first === 'show') return null;
+    if (first === 'app' && (second === 'list' || second === 'info')) return null;
+    return 'ufw changes the firewall';
+  },
+  iptables: args => listsRules(args) ? null : 'iptables changes the firewall',
+  ip6tables: args => listsRules(args) ? null : 'ip6tables changes the firewall',
+  nft: args => subcommand(args) === 'list' ? null : 'nft changes the firewall',
+  tee: args => operands(args).some(arg => !isHarmlessTarget(arg)) ? 'tee writes files' : null,
+  // printf -v PROMPT_COMMAND '...' sets a variable the shell may run later
+  printf: args => args.some(arg => /^-v/.test(arg)) ? 'printf -v sets a variable' : null
+};
+
+// The only commands the AI agent runs without asking first, each with a check of its
+// arguments that returns why this use needs approval, or null. Everything else waits for a
+// user: awk and sed (they run programs of their own), shells and interpreters, anything
+// that reaches the network (curl, wget, nc, dig...) and shell keywords. CHANGE_CHECKS
+// applies on top of these.
+const readsOnly = () => null;
+const UNATTENDED_CHECKS = {
+  ...Object.fromEntries([
+    'ls', 'cat', 'tac', 'head', 'grep', 'egrep', 'fgrep', 'wc', 'cut', 'column', 'nl', 'sort', 'uniq', 'stat', 'du', 'df',
+    'free', 'uptime', 'uname', 'nproc', 'lscpu', 'lsblk', 'lsmod', 'lspci', 'lsusb', 'whoami', 'id', 'groups', 'w',
+    'who', 'last', 'ps', 'pgrep', 'pstree', 'lsof', 'netstat', 'ss', 'pwd', 'echo', 'date', 'hostname', 'which',
+    'whereis', 'realpath', 'readlink', 'basename', 'dirname', 'md5sum', 'sha1sum', 'sha256sum', 'sha512sum', 'find'
+  ].map(name => [name, readsOnly])),
+  // ip addr, ip -br link show: display options only (ip's long options take one dash), and
+  // an object shown or listed
+  ip: args => {
+    const other = args.find(arg => arg.startsWith('-') && !/^--?(s|stats?|statistics|d|details|br|brief|c|colou?r(=\w+)?|4|6|o|oneline|j|json|p|pretty|h|human)$/.test(arg));
+    if (other) return `ip ${other} needs approval`;
+    const [object, action] = operands(args);
+    return !object || !action || /^(s|sh|sho|show|ls|lst|list)$/.test(action) ? null : `ip ${object} ${action} needs approval`;
+  },
+  tail: args => parseOptions(args, ['-n', '-c', '-s', '--lines', '--bytes', '--pid', '--sleep-interval']).options
+    .some(({ name }) => ['-f', '-F', '--follow'].includes(name)) ? 'tail -f does not end by itself' : null,
+  file: args => parseOptions(args, ['-m', '-f', '-F', '-P', '--magic-file', '--files-from', '--separator', '--parameter']).options
+    .some(({ name }) => name === '-C' || name === '--compile') ? 'file -C writes a magic file' : null,
+  vmstat: args => sampleCount('vmstat', args, ['-S', '--unit']),
+  iostat: args => sampleCount('iostat', args, ['-p', '-j', '-o']),
+  mpstat: args => sampleCount('mpstat', args, ['-P', '-I', '-N', '-o']),
+  top: args => {
+    const names = parseOptions(args, ['-n', '-d', '-p', '-u', '-U', '-o', '-w']).options.map(({ name }) => name);
+    return names.includes('-b') && names.includes('-n') ? null : 'top only ends by itself with -b -n';
+  },
+  dmesg: args => parseOptions(args, ['-n', '-f', '-l', '-F', '-s', '--console-level', '--facility', '--level', '--file', '--buffer-size', '--time-format']).options
+    .some(({ name }) => ['-w', '-W', '--follow', '--follow-new'].includes(name)) ? 'dmesg -w does not end by itself' : null,
+  journalctl: args => parseOptions(args, [
+    '-u', '-n', '-p', '-b', '-t', '-S', '-U', '-o', '-D', '-M', '-g', '--unit', '--user-unit', '--lines', '--priority',
+    '--boot', '--identifier', '--since', '--until', '--output', '--directory', '--machine', '--grep'
+  ]).options.some(({ name }) => name === '-f' || name === '--follow') ? 'journalctl -f does not end by itself' : null,
+  systemctl: args => parseOptions(args, ['-H', '-M', '-t', '-p', '-n', '-o', '--host', '--machine', '--type', '--property', '--lines', '--output', '--state']).options
+    .some(({ name }) => name === '-H' || name === '--host') ? 'systemctl -H connects to another host' : null,
+  docker: args => {
+    if (/^(ps|images|inspect|version|info)$/.test(args[0] || '')) return null;
+    if (args[0] === 'logs' && !args.some(arg => arg === '--follow' || /^-[a-z]*f/.test(arg))) return null;
+    if (args[0] === 'stats' && args.includes('--no-stream')) return null;
+    return `docker ${args[0] || ''}`.trim() + ' needs approval';
+  }
+};
+
+function operands(args) {
+  return args.filter(arg => !arg.startsWith('-'));
+}
+
+// Splits args into options ({ name, value }) and operands. valueOptions lists the options
+// that take a value: a short one's may be attached (-o/tmp/x, -sSLo x), a long one's may
+// follow = (--output=x). Other long options given with = keep that value too.
+function parseOptions(args, valueOptions = []) {
+  const options = [];
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      rest.push(...args.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      if (equals !== -1) options.push({ name: arg.slice(0, equals), value: arg.slice(equals + 1) });
+      else options.push({ name: arg, value: valueOptions.includes(arg) ? (args[++i] ?? '') : null });
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      for (let j = 1; j < arg.length; j++) {
+        const name = '-' + arg[j];
+        if (valueOptions.includes(name)) {
+          options.push({ name, value: j + 1 < arg.length ? arg.slice(j + 1) : (args[++i] ?? '') });
+          break;
+        }
+        options.push({ name, value: null });
+      }
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { options, operands: rest };
+}
+
+function isTerminalOutput(value) {
+  return value === '-' || /^\/dev\/(null|stdout|stderr|tty)$/.test(value || '');
+}
+
+// less and more run the commands of +cmd arguments and can keep a log file
+function pagerChange(name, args) {
+  const { options, operands: files } = parseOptions(args, LESS_VALUE_OPTIONS);
+  if (options.some(({ name: option }) => ['-o', '-O', '--log-file', '--LOG-FILE'].includes(option))) return `${name} writes a log file`;
+  if (files.some(file => file.startsWith('+'))) return `${name} +command runs commands`;
+  return null;
+}
+
+// Whether a sed script runs commands or writes files: the e, w and W commands and the e and
+// w flags of s. Scans command by command so the text of addresses, s and y expressions and
+// a/i/c lines is not mistaken for commands; anything it does not know counts as a change.
+function sedScriptChanges(script) {
+  let i = 0;
+  // Up to the unescaped delimiter; returns the index after it
+  const skipDelimited = (start, delimiter) => {
+    let j = start;
+    while (j < script.length && script[j] !== delimiter) j += script[j] === '\\' ? 2 : 1;
+    return j + 1;
+  };
+  const skipLine = () => {
+    while (i < script.length && script[i] !== '\n') i++;
+  };
+  while (i < script.length) {
+    const ch = script[i];
+    if (/[\s;{}!,0-9$~+]/.test(ch)) {
+      i++;
+    } else if (ch === '/') {
+      i = skipDelimited(i + 1, '/');
+    } else if (ch === '\\') {
+      i = skipDelimited(i + 2, script[i + 1]);
+    } else if (ch === 's' || ch === 'y') {
+      const delimiter = script[i + 1];
+      if (!delimiter || delimiter === '\n' || delimiter === '\\') return true;
+      i = skipDelimited(skipDelimited(i + 2, delimiter), delimiter);
+      if (ch === 'y') continue;
+      const flags = /^[A-Za-z0-9]*/.exec(script.slice(i))[0];
+      if (/[ewW]/.test(flags)) return true;
+      i += flags.length;
+    } else if ('ewW'.includes(ch)) {
+      return true;
+    } else if ('aicrR#:btTvlqQL'.includes(ch)) {
+      // Text, file names to read, labels and numbers run to the end of the command
+      if (':btTvlqQL'.includes(ch)) {
+        while (i < script.length && !/[;\n}]/.test(script[i])) i++;
+      } else {
+        skipLine();
+      }
+    } else if ('dDgGhHnNpPxzF='.includes(ch)) {
+      i++;
+    } else {
+      return true;
+    }
+  }
+  return false;
+}
+
+// vmstat 5 samples until stopped; vmstat and vmstat 5 3 end by themselves
+function sampleCount(name, args, valueOptions) {
+  return parseOptions(args, valueOptions).operands.filter(arg => /^\d+$/.test(arg)).length === 1
+    ? `${name} with an interval and no count does not end by itself`
+    : null;
+}
+
+function subcommand(args) {
+  return operands(args)[0] || null;
+}
+
+function listsRules(args) {
+  return args.length > 0 && args.every(arg => /^-[LSnvxt]+$/.test(arg) || /^--(list|list-rules|numeric|verbose|line-numbers|table)$/.test(arg) || !arg.startsWith('-'))
+    && args.some(arg => /^-[nvxt]*[LS]/.test(arg) || arg === '--list' || arg === '--list-rules');
+}
+
+function isHarmlessTarget(target) {
+  return /^\/dev\/(null|stdout|stderr|tty)$/.test(target) || /^&?\d?$/.test(target);
+}
+
+// Why a simple command would take input the terminal cannot check, or null
+function describeInteractive({ name, args, wrappers, assignments = [] }) {
+  // sudo -i, sudo -s
+  if (!name) return wrappers.some(wrapper => ELEVATION_COMMANDS.has(wrapper)) ? `${wrappers[0]} without a command opens a shell` : null;
+  const { options, operands: rest } = parseOptions(args);
+  const optionNames = options.map(option => option.name);
+  const runsScript = args.some(arg => /^-[A-Za-z]*c$/.test(arg) || arg === '--command' || arg.startsWith('--command='));
+
+  // A shell started at the prompt has no shell integration, so all it is sent goes unchecked
+  if ((SCRIPT_SHELLS.has(name) || name === 'fish') && !runsScript && rest.length === 0) return `${name} opens a shell`;
+  if (name === 'su' && !runsScript) return 'su opens a shell';
+  const noPager = variable => assignments.some(assignment => new RegExp(`^(${variable}|PAGER)=(cat)?$`).test(assignment));
+
+  if (INTERACTIVE_PROGRAMS.has(name)) {
+    if (BATCH_OPTIONS[name]?.some(option => optionNames.includes(option))) return null;
+    if (name === 'nslookup' && rest.length > 0) return null;
+    const hint = BATCH_OPTIONS[name] ? ` (use ${name} ${BATCH_OPTIONS[name][0]})` : '';
+    return `${name} reads commands from the keyboard, which cannot be checked${hint}`;
+  }
+  if (SYSTEMD_PAGED.has(name) && !args.includes('--no-pager') && !noPager('SYSTEMD_PAGER')) {
+    return `${name} opens a pager (add --no-pager)`;
+  }
+  if (name === 'git' && !args.includes('--no-pager') && !args.includes('-P') && !noPager('GIT_PAGER')) {
+    return 'git opens a pager (use git --no-pager)';
+  }
+  if (name === 'dmesg' && (optionNames.includes('-H') || optionNames.includes('--human')) && !optionNames.includes('-P') && !args.includes('--nopager')) {
+    return 'dmesg -H opens a pager (add --nopager)';
+  }
+  return null;
+}
+
+// An assignment other than a locale, terminal size or pager=cat one, or null
+function riskyAssignment(assignments = []) {
+  return assignments.find(assignment => {
+    const [variable, value] = [assignment.slice(0, assignment.indexOf('=')), assignment.slice(assignment.indexOf('=') + 1)];
+    return !HARMLESS_VARIABLES.test(variable) && !(PAGER_VARIABLES.test(variable) && /^(cat|)$/.test(value));
+  }) || null;
+}
+
+// Why a simple command changes the server, or null if it only reads
+function describeChange({ name, args, targets, assignments }) {
+  const written = targets.find(target => !isHarmlessTarget(target));
+  if (written) return `writes to ${written}`;
+  const assignment = riskyAssignment(assignments);
+  if (assignment) return `sets ${assignment.slice(0, assignment.indexOf('='))}`;
+  if (!name) return null;
+  if (SCRIPT_SHELLS.has(name) && args.some(arg => /^-[A-Za-z]*c$/.test(arg))) return null;
+  if (!READ_ONLY_COMMANDS.has(name)) return `${name} can change the server`;
+  return CHANGE_CHECKS[name] ? CHANGE_CHECKS[name](args) : null;
+}
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function inWindow(window, now) {
+  const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  const days = window.days.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  if (start < end) {
+    return days.includes(now.getUTCDay()) && minutes >= start && minutes < end;
+  }
+  // Crosses midnight: the part after midnight belongs to the previous day's window
+  if (minutes >= start) return days.includes(now.getUTCDay());
+  return minutes < end && days.includes((now.getUTCDay() + 6) % 7);
+}
+
+function isInMaintenanceWindow(policy, now = new Date()) {
+  return policy.maintenanceWindows.some(window => inWindow(window, now));
+}
+
+function formatWindow(window) {
+  const days = window.days.length > 0 && window.days.length < 7
+    ? window.days.map(day => DAY_NAMES[day]).join(', ')
+    : 'Daily';
+  return `${days} ${window.start}-${window.end} UTC`;
+}
+
+function validatePatterns(value, field) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array of regular expressions`);
+  return value
+    .map(pattern => (typeof pattern === 'string' ? pattern.trim() : pattern))
+    .filter(pattern => pattern !== '')
+    .map(pattern => {
+      if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`${field} must contain regular expressions of at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Invalid regular expression in ${field}: ${error.message}`);
+      }
+      return pattern;
+    });
+}
+
+function validateWindows(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error('maintenanceWindows must be an array');
+  return value.map(window => {
+    const days = window?.days ?? [];
+    if (!Array.isArray(days) || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Maintenance window days must be numbers from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (parseTime(window.start) === null || parseTime(window.end) === null) {
+      throw new Error('Maintenance window start and end must be HH:MM (UTC)');
+    }
+    if (window.start === window.end) {
+      throw new Error('Maintenance window start and end must differ');
+    }
+    return { days: [...new Set(days)].sort(), start: window.start, end: window.end };
+  });
+}
+
+// Validates a policy sent by a client and returns it normalized. Throws on invalid input.
+function validatePolicy(input) {
+  if (!input || typeof input !== 'object') throw new Error('Policy must be an object');
+  return {
+    readOnly: input.readOnly === true,
+    forbidSudo: input.forbidSudo === true,
+    allowPatterns: validatePatterns(input.allowPatterns, 'allowPatterns'),
+    denyPatterns: validatePatterns(input.denyPatterns, 'denyPatterns'),
+    maintenanceWindows: validateWindows(input.maintenanceWindows)
+  };
+}
+
+function hasRestrictions(policy) {
+  return policy.readOnly || policy.forbidSudo || policy.allowPatterns.length > 0 ||
+    policy.denyPatterns.length > 0 || policy.maintenanceWindows.length > 0;
+}
+
+function violation(rule, reason) {
+  return { allowed: false, rule, reason };
+}
+
+// terminal: the command is typed into (or sent to) the web terminal, where whatever a
+// program started by it reads from the keyboard goes past this check
+function evaluatePolicy(policy, command, now = new Date(), { terminal = false } = {}) {
+  if (!hasRestrictions(policy)) return { allowed: true };
+  const simpleCommands = listSimpleCommands(command).filter(simple => simple.text);
+
+  if (terminal) {
+    for (const simple of simpleCommands) {
+      const interactive = describeInteractive(simple);
+      if (interactive) return violation('interactive', `${interactive}; interactive programs are not allowed in the terminal of a restricted server`);
+    }
+  }
+
+  for (const pattern of policy.denyPatterns) {
+    const regex = new RegExp(pattern);
+    if (regex.test(command) || simpleCommands.some(simple => regex.test(simple.text))) {
+      return violation('deny', `matches the deny pattern /${pattern}/`);
+    }
+  }
+
+  if (policy.forbidSudo) {
+    const elevated = simpleCommands.find(simple =>
+      simple.wrappers.some(wrapper => ELEVATION_COMMANDS.has(wrapper)) || ELEVATION_COMMANDS.has(simple.name));
+    if (elevated) return violation('sudo', 'sudo/su is not allowed on this server');
+  }
+
+  if (policy.allowPatterns.length > 0) {
+    const regexes = policy.allowPatterns.map(pattern => new RegExp(pattern));
+    const unlisted = simpleCommands.find(simple => !regexes.some(regex => regex.test(simple.text)));
+    if (unlisted) return violation('allow', `"${unlisted.text}" is not in the allow list`);
+  }
+
+  const outsideWindow = policy.maintenanceWindows.length > 0 && !isInMaintenanceWindow(policy, now);
+  if (policy.readOnly || outsideWindow) {
+    for (const simple of simpleCommands) {
+      const change = describeChange(simple);
+      if (!change) continue;
+      return policy.readOnly
+        ? violation('read-only', `the server is read-only and ${change}`)
+        : violation('maintenance-window', `changes are only allowed during maintenance windows (${policy.maintenanceWindows.map(formatWindow).join('; ')}) and ${change}`);
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Why a command line would change the server, or null if every part of it only reads.
+// The same classification read-only policies and maintenance windows use.
+function describeCommandChange(command) {
+  const simpleCommands = listSimpleCommands(command).filter(simple => simple.text);
+  if (simpleCommands.length === 0) return 'the command is empty';
+  for (const simple of simpleCommands) {
+    const change = describeChange(simple);
+    if (change) return change;
+  }
+  return null;
+}
+
+// Why a command the AI agent asked for must wait for a user's approval, or null if it may
+// run unattended: every part of it is in UNATTENDED_CHECKS and used in a way that only reads
+// and ends by itself, with no wrapper (sudo, env, xargs...) and no variable that runs code.
+function describeApprovalNeed(command) {
+  const change = describeCommandChange(command);
+  if (change) return change;
+  for (const simple of listSimpleCommands(command).filter(simple => simple.text)) {
+    if (simple.wrappers.length > 0) return `${simple.wrappers[0]} runs another command`;
+    if (!simple.name) return 'a bare assignment stays in the shell';
+    const check = UNATTENDED_CHECKS[simple.name];
+    if (!check) return `${simple.name} is not among the commands the agent runs unattended`;
+    const reason = check(simple.args);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// Instructions for the AI system prompt; empty when the policy restricts nothing
+function describePolicy(policy, now = new Date()) {
+  if (!hasRestrictions(policy)) return '';
+  const lines = ['Command policy for this server. It is enforced: commands that break it are refused, so never suggest them. If the user needs something the policy blocks, explain that the policy prevents it.'];
+  if (policy.readOnly) {
+    lines.push('- Read-only: only suggest commands that inspect the server. Nothing that changes files, packages, services, users, the firewall or configuration.');
+  }
+  if (policy.forbidSudo) {
+    lines.push('- Never use sudo, su, doas or pkexec.');
+  }
+  if (policy.allowPatterns.length > 0) {
+    lines.push(`- Only commands matching one of these regular expressions are allowed: ${policy.allowPatterns.map(pattern => `/${pattern}/`).join(', ')}`);
+  }
+  if (policy.denyPatterns.length > 0) {
+    lines.push(`- Commands matching any of these regular expressions are blocked: ${policy.denyPatterns.map(pattern => `/${pattern}/`).join(', ')}`);
+  }
+  lines.push('- In the terminal, interactive programs and pagers are refused: use cat or tail instead of less, top -b -n 1 instead of top, and --no-pager with systemctl, journalctl and git.');
+  if (policy.maintenanceWindows.length > 0 && !policy.readOnly) {
+    const current = isInMaintenanceWindow(policy, now)
+      ? 'It is currently inside a maintenance window, so changes are allowed.'
+      : 'It is currently outside the maintenance windows, so only read-only commands are allowed.';
+    lines.push(`- Changes are only allowed during maintenance windows (${policy.maintenanceWindows.map(formatWindow).join('; ')}). ${current}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  validatePolicy,
+  evaluatePolicy,
+  describePolicy,
+  describeCommandChange,
+  describeApprovalNeed,
+  hasRestrictions,
+  isInMaintenanceWindow
+};
@@ -0,0 +1,517 @@
+// Risk analysis for shell commands sent from the app (AI suggestions, quick actions, /ssh).
+//
+// analyzeCommand() splits a command line into simple commands (pipes, ;, &&, ||, &,
+// newlines, $(...) and backticks), looks through wrappers such as sudo/env/xargs, and
+// rates each one. The result is { level: 'low' | 'medium' | 'high', reasons, requiresConfirmation }.
+// High-risk commands need an explicit confirmation before they are run.
+const LEVELS = ['low', 'medium', 'high'];
+
+// Commands that run the rest of their arguments as another command
+const WRAPPERS = new Set(['sudo', 'doas', 'env', 'nohup', 'time', 'nice', 'ionice', 'xargs', 'exec', 'command', 'builtin', 'timeout', 'watch', 'stdbuf', 'chroot']);
+// Wrapper options that take a value (so the value is not mistaken for the command)
+const WRAPPER_VALUE_OPTIONS = {
+  sudo: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U'],
+  doas: ['-u', '-C'],
+  nice: ['-n'],
+  ionice: ['-c', '-n', '-p'],
+  xargs: ['-I', '-n', '-P', '-L', '-s', '-d', '-E', '-a'],
+  timeout: ['-s', '-k'],
+  watch: ['-n', '-d'],
+  stdbuf: ['-i', '-o', '-e']
+};
+
+const SYSTEM_PATHS = ['/', '/*', '~', '~/', '$HOME', '*', '.', '..', '/etc', '/usr', '/var', '/boot', '/bin', '/sbin', '/lib', '/lib64', '/opt', '/root', '/home', '/srv', '/dev', '/proc', '/sys'];
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'python', 'python3', 'perl', 'ruby', 'node']);
+const POSIX_SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+const CRITICAL_SERVICES = /^(sshd?|ssh\.service|sshd\.service|network(ing)?|NetworkManager|systemd-networkd|firewalld|docker|containerd|kubelet)(\.service)?$/;
+const CRITICAL_PACKAGES = /^(openssh-server|openssh|sudo|systemd|bash|coreutils|libc6|glibc|apt|dpkg|rpm|yum|dnf|kernel|linux-image.*|grub.*|python3)$/;
+
+function risk(level, reason) {
+  return { level, reason };
+}
+
+function maxLevel(a, b) {
+  return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+}
+
+// Split a command line into simple commands, honouring quotes. Command substitutions
+// are returned as separate command lines so they are analysed too.
+function splitCommands(commandLine) {
+  const commands = [];
+  const substitutions = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const ch = commandLine[i];
+    const next = commandLine[i + 1];
+
+    if (quote) {
+      if (ch === '\\' && quote === '"' && next !== undefined) {
+        current += ch + next;
+        i++;
+        continue;
+      }
+      if (ch === quote) quote = null;
+      // $(...) still expands inside double quotes
+      if (quote === '"' && ch === '$' && next === '(') {
+        const end = findClosingParen(commandLine, i + 2);
+        substitutions.push(commandLine.slice(i + 2, end));
+      }
+      current += ch;
+      continue;
+    }
+
+    if (ch === '\\' && next !== undefined) {
+      current += ch + next;
+      i++;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === '$' && next === '(') {
+      const end = findClosingParen(commandLine, i + 2);
+      substitutions.push(commandLine.slice(i + 2, end));
+      current += commandLine.slice(i, end + 1);
+      i = end;
+    } else if (ch === '`') {
+      const end = commandLine.indexOf('`', i + 1);
+      const stop = end === -1 ? commandLine.length : end;
+      substitutions.push(commandLine.slice(i + 1, stop));
+      current += commandLine.slice(i, stop + 1);
+      i = stop;
+    } else if (ch === ';' || ch === '\n' || ch === '&' || ch === '|' || ch === '(' || ch === ')') {
+      // `&>` and `>&` are redirections, not separators
+      if (ch === '&' && (next === '>' || current.endsWith('>'))) {
+        current += ch;
+        continue;
+      }
+      commands.push({ text: current, pipedInto: ch === '|' && next !== '|' });
+      current = '';
+      if ((ch === '&' || ch === '|') && next === ch) i++;
+    } else {
+      current += ch;
+    }
+  }
+  commands.push({ text: current, pipedInto: false });
+
+  return {
+    commands: commands.filter(command => command.text.trim()),
+    substitutions
+  };
+}
+
+function findClosingParen(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+// Split a simple command into words, dropping the quotes and the backslashes that escape a
+// character (\rm is rm). Adjacent quoted and unquoted parts form one word (--opt="a b"), and
+// a $(...) or `...` substitution stays inside the word it is part of (FOO=$(date) ls);
+// splitCommands hands its contents over separately.
+function tokenize(text) {
+  const tokens = [];
+  let token = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (token !== null) tokens.push(token);
+      token = null;
+      continue;
+    }
+    token = token ?? '';
+    if (ch === '\\' && i + 1 < text.length) {
+      // A backslash before a newline continues the line
+      if (text[++i] !== '\n') token += text[i];
+    } else if (ch === '\'') {
+      const end = text.indexOf('\'', i + 1);
+      const stop = end === -1 ? text.length : end;
+      token += text.slice(i + 1, stop);
+      i = stop;
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\') j++;
+        else if (text[j] === '$' && text[j + 1] === '(') j = findClosingParen(text, j + 2);
+        j++;
+      }
+      token += text.slice(i + 1, Math.min(j, text.length));
+      i = j;
+    } else if (ch === '$' && text[i + 1] === '(') {
+      const end = findClosingParen(text, i + 2);
+      token += text.slice(i, end + 1);
+      i = end;
+    } else if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      const stop = end === -1 ? text.length : end;
+      token += text.slice(i, stop + 1);
+      i = stop;
+    } else {
+      token += ch;
+    }
+  }
+  if (token !== null) tokens.push(token);
+  return tokens;
+}
+
+// Separate redirections (> file, 2>&1 ...) from the words of a command. Only &N and &-
+// duplicate or close a descriptor: >&file and >& file write to the file like &>file.
+function extractRedirections(tokens) {
+  const words = [];
+  const targets = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const match = /^(\d*|&)(>>?|<)(.*)$/.exec(tokens[i]);
+    if (!match) {
+      words.push(tokens[i]);
+      continue;
+    }
+    let target = match[3] || tokens[++i] || '';
+    if (target === '&') target += tokens[++i] || '';
+    if (match[2] === '<' || /^&(\d+|-)$/.test(target)) continue;
+    targets.push(target.replace(/^&/, ''));
+  }
+  return { words, targets };
+}
+
+// Drop env assignments and wrappers (sudo, env, xargs ...) in front of the real command
+function unwrap(words) {
+  const wrappers = [];
+  const assignments = [];
+  let i = 0;
+  while (i < words.length) {
+    const word = words[i];
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+      assignments.push(word);
+      i++;
+      continue;
+    }
+    const name = word.split('/').pop();
+    if (!WRAPPERS.has(name)) break;
+
+    wrappers.push(name);
+    i++;
+    const valueOptions = WRAPPER_VALUE_OPTIONS[name] || [];
+    while (i < words.length && words[i].startsWith('-')) {
+      const option = words[i++];
+      if (valueOptions.includes(option)) i++;
+    }
+    // timeout DURATION COMMAND, chroot DIR COMMAND
+    if ((name === 'timeout' || name === 'chroot') && i < words.length) i++;
+  }
+  return { wrappers, assignments, words: words.slice(i) };
+}
+
+// Writing to a disk device or a file the system depends on, by redirection or through tee
+function writeTargetRisk(target, append = false) {
+  if (/^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk|md|dm-)/.test(target)) {
+    return risk('high', `Writes directly to block device ${target}`);
+  }
+  if (/^\/(etc\/(passwd|shadow|sudoers|fstab|hosts)|boot\/)/.test(target)) {
+    return risk('high', `${append ? 'Appends to' : 'Overwrites'} system file ${target}`);
+  }
+  return null;
+}
+
+function hasFlag(args, shortFlag, longFlag) {
+  return args.some(arg =>
+    (longFlag && arg === longFlag) ||
+    (/^-[A-Za-z]+$/.test(arg) && arg.includes(shortFlag))
+  );
+}
+
+function isSystemPath(arg) {
+  const normalized = arg.length > 1 ? arg.replace(/\/+$/, '') : arg;
+  return SYSTEM_PATHS.includes(normalized) || SYSTEM_PATHS.includes(arg);
+}
+
+function operands(args) {
+  return args.filter(arg => !arg.startsWith('-'));
+}
+
+// Rules per command name. Each returns a list of { level, reason }.
+const RULES = {
+  rm(args) {
+    const recursive = hasFlag(args, 'r', '--recursive') || hasFlag(args, 'R');
+    const force = hasFlag(args, 'f', '--force');
+    const targets = operands(args);
+    const systemTargets = targets.filter(isSystemPath);
+    const findings = [];
+    if (args.includes('--no-preserve-root')) {
+      findings.push(risk('high', 'rm --no-preserve-root allows deleting the root filesystem'));
+    }
+    if (recursive && systemTargets.length > 0) {
+      findings.push(risk('high', `Recursively deletes ${systemTargets.join(', ')}`));
+    } else if (recursive && force) {
+      findings.push(risk('high', 'rm -rf deletes files recursively without confirmation'));
+    } else if (recursive) {
+      findings.push(risk('medium', 'Deletes directories recursively'));
+    } else {
+      findings.push(risk('medium', 'Deletes files'));
+    }
+    return findings;
+  },
+  dd(args) {
+    const output = args.find(arg => arg.startsWith('of='))?.slice(3);
+    if (!output || /^\/dev\/(null|stdout|stderr)$/.test(output)) return [];
+    return output.startsWith('/dev/')
+      ? [risk('high', `dd writes raw data to ${output}`)]
+      : [risk('medium', `dd overwrites ${output}`)];
+  },
+  find(args) {
+    const findings = args.includes('-delete') ? [risk('high', 'find -delete removes every matching file')] : [];
+    const execIndex = args.findIndex(arg => ['-exec', '-execdir', '-ok', '-okdir'].includes(arg));
+    if (execIndex !== -1) {
+      const end = args.findIndex((arg, i) => i > execIndex && [';', '+'].includes(arg));
+      const words = args.slice(execIndex + 1, end === -1 ? undefined : end);
+      if (unwrap(words).words[0]?.split('/').pop() === 'rm') {
+        findings.push(risk('high', `find ${args[execIndex]} rm deletes every matching file`));
+      }
+      findings.push(...analyzeWords(words));
+    }
+    return findings;
+  },
+  eval: args => [risk('high', 'eval runs its arguments as a command'), ...collectFindings(args.join(' '))],
+  shred: () => [risk('high', 'shred irreversibly overwrites files')],
+  wipefs: () => [risk('high', 'wipefs erases filesystem signatures')],
+  mkswap: () => [risk('high', 'mkswap formats a device as swap')],
+  fdisk: args => (args.includes('-l') ? [] : [risk('high', 'Edits the partition table')]),
+  sfdisk: () => [risk('high', 'Edits the partition table')],
+  gdisk: () => [risk('high', 'Edits the partition table')],
+  parted: () => [risk('high', 'Edits the partition table')],
+  chmod: args => permissionChange('chmod', args),
+  chown: args => permissionChange('chown', args),
+  chgrp: args => permissionChange('chgrp', args),
+  iptables: args => firewallChange('iptables', args),
+  ip6tables: args => firewallChange('ip6tables', args),
+  nft(args) {
+    if (args.includes('flush') || args.includes('delete')) return [risk('high', 'nft removes firewall rules; this can cut off SSH access')];
+    return args[0] === 'list' ? [] : [risk('medium', 'Changes nftables firewall rules')];
+  },
+  ufw(args) {
+    if (['disable', 'reset', 'deny', 'reject'].some(action => args.includes(action))) {
+      return [risk('high', `ufw ${args.join(' ')} can cut off SSH access`)];
+    }
+    return args[0] === 'status' ? [] : [risk('medium', 'Changes ufw firewall rules')];
+  },
+  'firewall-cmd': args => (args.some(arg => /^--(remove|panic-on|set-default-zone|reload)/.test(arg))
+    ? [risk('high', 'Changes firewalld rules; this can cut off SSH access')]
+    : []),
+  systemctl(args) {
+    const [action, ...units] = operands(args);
+    if (['reboot', 'poweroff', 'halt', 'kexec', 'rescue', 'emergency'].includes(action)) {
+      return [risk('high', `systemctl ${action} takes the server down`)];
+    }
+    return serviceChange(action, units);
+  },
+  service(args) {
+    const [unit, action] = operands(args);
+    return serviceChange(action, [unit]);
+  },
+  reboot: () => [risk('high', 'Reboots the server')],
+  shutdown: args => (args.includes('-c') ? [] : [risk('high', 'Shuts down or reboots the server')]),
+  poweroff: () => [risk('high', 'Powers off the server')],
+  halt: () => [risk('high', 'Halts the server')],
+  init: args => (['0', '6', '1'].includes(args[0]) ? [risk('high', `init ${args[0]} changes the runlevel`)] : []),
+  apt: args => packageRemoval(args, ['remove', 'purge', 'autoremove']),
+  'apt-get': args => packageRemoval(args, ['remove', 'purge', 'autoremove']),
+  yum: args => packageRemoval(args, ['remove', 'erase', 'autoremove']),
+  dnf: args => packageRemoval(args, ['remove', 'erase', 'autoremove']),
+  zypper: args => packageRemoval(args, ['remove', 'rm']),
+  apk: args => packageRemoval(args, ['del']),
+  snap: args => packageRemoval(args, ['remove']),
+  dpkg: args => (hasFlag(args, 'r', '--remove') || hasFlag(args, 'P', '--purge')
+    ? packageRemoval(['remove', ...operands(args)], ['remove'])
+    : []),
+  rpm: args => (hasFlag(args, 'e', '--erase') ? packageRemoval(['erase', ...operands(args)], ['erase']) : []),
+  pacman: args => (args.some(arg => /^-R/.test(arg)) ? packageRemoval(['remove', ...operands(args)], ['remove']) : []),
+  kill(args) {
+    // `kill -1 PID` is SIGHUP; -1 as a target (after the signal) means every process
+    if (operands(args).includes('1') || args.slice(1).includes('-1')) return [risk('high', 'Signals init or every process')];
+    return [risk('medium', 'Terminates processes')];
+  },
+  killall: () => [risk('medium', 'Terminates processes by name')],
+  pkill: () => [risk('medium', 'Terminates processes by pattern')],
+  crontab: args => (hasFlag(args, 'r') ? [risk('high', 'crontab -r deletes the whole crontab')] : []),
+  userdel: () => [risk('medium', 'Deletes a user account')],
+  passwd: () => [risk('medium', 'Changes a password')],
+  mv: args => (operands(args).some(isSystemPath) ? [risk('high', 'Moves a system directory')] : []),
+  truncate: () => [risk('medium', 'Truncates files')],
+  tee(args) {
+    const append = hasFlag(args, 'a', '--append');
+    return operands(args).map(target => writeTargetRisk(target, append)).filter(Boolean);
+  },
+  docker: args => (['rm', 'rmi', 'prune', 'kill', 'stop'].some(action => args.includes(action))
+    ? [risk('medium', `docker ${operands(args).slice(0, 2).join(' ')} removes or stops containers/images`)]
+    : [])
+};
+
+function permissionChange(name, args) {
+  const recursive = hasFlag(args, 'R', '--recursive');
+  const targets = operands(args).slice(1);
+  if (recursive && targets.some(isSystemPath)) {
+    return [risk('high', `${name} -R on ${targets.filter(isSystemPath).join(', ')} changes permissions of system files`)];
+  }
+  if (recursive) return [risk('medium', `${name} -R changes permissions recursively`)];
+  if (name === 'chmod' && /^0?777$/.test(operands(args)[0] || '')) {
+    return [risk('medium', 'chmod 777 makes files writable by everyone')];
+  }
+  return [];
+}
+
+function firewallChange(name, args) {
+  const destructive = args.some(arg => ['-F', '--flush', '-X', '--delete-chain', '-P', '--policy', '-Z'].includes(arg));
+  if (destructive) return [risk('high', `${name} ${args.join(' ')} changes firewall policy; this can cut off SSH access`)];
+  const modifying = args.some(arg => ['-A', '-I', '-D', '-R', '--append', '--insert', '--delete', '--replace'].includes(arg));
+  return modifying ? [risk('medium', `Changes ${name} firewall rules`)] : [];
+}
+
+function serviceChange(action, units) {
+  if (!['restart', 'stop', 'disable', 'mask', 'kill', 'isolate', 'reload', 'try-restart', 'force-reload'].includes(action)) return [];
+  const critical = units.filter(unit => unit && CRITICAL_SERVICES.test(unit));
+  if (critical.length > 0 && action !== 'reload') {
+    return [risk('high', `${action} ${critical.join(', ')} can drop SSH or network access`)];
+  }
+  if (action === 'isolate') return [risk('medium', 'Switches the systemd target')];
+  return [risk('medium', `systemctl/service ${action} ${units.filter(Boolean).join(', ')}`.trim())];
+}
+
+function packageRemoval(args, removeActions) {
+  const action = operands(args)[0];
+  if (!removeActions.includes(action)) return [];
+  const packages = operands(args).slice(1);
+  const critical = packages.filter(pkg => CRITICAL_PACKAGES.test(pkg));
+  if (critical.length > 0) {
+    return [risk('high', `Removes critical package(s) ${critical.join(', ')}`)];
+  }
+  return [risk('medium', packages.length > 0 ? `Removes package(s) ${packages.join(', ')}` : 'Removes packages')];
+}
+
+// Rate one command given as words (wrappers and env assignments included)
+function analyzeWords(rawWords, pipedFrom = null) {
+  const findings = [];
+  const { wrappers, words } = unwrap(rawWords);
+
+  if (wrappers.includes('sudo') || wrappers.includes('doas')) {
+    findings.push(risk('low', 'Runs with root privileges'));
+  }
+  if (words.length === 0) return findings;
+
+  const name = words[0].split('/').pop();
+  const args = words.slice(1);
+
+  // $x -rf /, $(echo rm) -rf /: what runs is only known on the server
+  if (/[$`]/.test(name)) {
+    findings.push(risk('high', `The command name ${name} is built from a variable or substitution`));
+  } else if (/^mkfs(\..+)?$/.test(name)) {
+    findings.push(risk('high', `${name} formats a filesystem`));
+  } else if (RULES[name]) {
+    findings.push(...RULES[name](args));
+  }
+
+  // sh -c '...', bash -lc '...'
+  const scriptIndex = args.findIndex(arg => /^-[A-Za-z]*c$/.test(arg));
+  if (POSIX_SHELLS.has(name) && scriptIndex !== -1 && args[scriptIndex + 1]) {
+    findings.push(...collectFindings(args[scriptIndex + 1]));
+  }
+
+  // A shell without -c or a script file runs what it reads: echo ... | base64 -d | sh
+  if (pipedFrom && SHELLS.has(name)) {
+    const readsScript = scriptIndex === -1 && (args.includes('-s') || operands(args).every(arg => arg === '-'));
+    const downloaded = /\b(curl|wget|fetch)\b/.test(pipedFrom);
+    if (readsScript) {
+      findings.push(risk('high', downloaded ? 'Pipes a downloaded script straight into a shell' : `Pipes a script into ${name}`));
+    } else {
+      findings.push(risk('medium', `Pipes input into ${name}`));
+    }
+  }
+  return findings;
+}
+
+function analyzeSimpleCommand(text, pipedFrom) {
+  const { words, targets } = extractRedirections(tokenize(text));
+  const findings = [];
+
+  for (const target of targets) {
+    const finding = writeTargetRisk(target);
+    if (finding) findings.push(finding);
+  }
+
+  findings.push(...analyzeWords(words, pipedFrom));
+  return findings;
+}
+
+function collectFindings(text) {
+  const findings = [];
+
+  // :(){ :|:& };:
+  if (/(\w+|:)\s*\(\)\s*\{[^}]*\1\s*\|\s*\1\s*&/.test(text)) {
+    findings.push(risk('high', 'Fork bomb'));
+  }
+
+  const pending = [text];
+  let depth = 0;
+  while (pending.length > 0 && depth++ < 20) {
+    const { commands, substitutions } = splitCommands(pending.shift());
+    let previous = null;
+    for (const { text: simpleCommand, pipedInto } of commands) {
+      findings.push(...analyzeSimpleCommand(simpleCommand, previous));
+      previous = pipedInto ? simpleCommand : null;
+    }
+    pending.push(...substitutions);
+  }
+  return findings;
+}
+
+function analyzeCommand(command) {
+  const text = typeof command === 'string' ? command : '';
+  const findings = collectFindings(text);
+
+  // Keep the first occurrence of each reason
+  const reasons = [];
+  let level = 'low';
+  for (const finding of findings) {
+    level = maxLevel(level, finding.level);
+    if (!reasons.some(reason => reason.text === finding.reason)) {
+      reasons.push({ level: finding.level, text: finding.reason });
+    }
+  }
+
+  return {
+    command: text,
+    level,
+    reasons,
+    requiresConfirmation: level === 'high'
+  };
+}
+
+// Every simple command in a command line, command substitutions and `sh -c` scripts
+// included, as { text, wrappers, assignments, name, args, targets }; assignments are the
+// VAR=value words in front of the command (or all of it). Used by the command policy.
+function listSimpleCommands(commandLine) {
+  const result = [];
+  const pending = [typeof commandLine === 'string' ? commandLine : ''];
+  let depth = 0;
+  while (pending.length > 0 && depth++ < 20) {
+    const { commands, substitutions } = splitCommands(pending.shift());
+    for (const { text } of commands) {
+      const { words: rawWords, targets } = extractRedirections(tokenize(text));
+      const { wrappers, assignments, words } = unwrap(rawWords);
+      const name = words.length > 0 ? words[0].split('/').pop() : null;
+      const args = words.slice(1);
+      result.push({ text: text.trim(), wrappers, assignments, name, args, targets });
+
+      const scriptIndex = args.findIndex(arg => /^-[A-Za-z]*c$/.test(arg));
+      if (POSIX_SHELLS.has(name) && scriptIndex !== -1 && args[scriptIndex + 1]) {
+        pending.push(args[scriptIndex + 1]);
+      }
+    }
+    pending.push(...substitutions);
+  }
+  return result;
+}
+
+module.exports = { analyzeCommand, listSimpleCommands, LEVELS };
@@ -0,0 +1,71 @@
+// Follows what the user types at the shell prompt so the command line can be checked
+// before Enter reaches the shell.
+//
+// push(data) splits keystrokes into { text } parts, to be forwarded as they are, and
+// { submit, line, verified } parts for each Enter. `verified` is false when the line was
+// edited in ways we cannot follow (history, tab completion, cursor movement), in which
+// case `line` is only what was typed.
+
+// ESC [ ... final byte, ESC O x, or a lone ESC + one character
+const ESCAPE_SEQUENCE = /^\x1b(\[[0-?]*[ -/]*[@-~]|O.|.)?/;
+const BRACKETED_PASTE = new Set(['\x1b[200~', '\x1b[201~']);
+
+class InputLineTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.line = '';
+    this.verified = true;
+  }
+
+  push(data) {
+    const parts = [];
+    let text = '';
+
+    for (let i = 0; i < data.length; i++) {
+      const ch = data[i];
+
+      if (ch === '\r' || ch === '\n') {
+        if (text) parts.push({ text });
+        text = '';
+        // \r\n from a paste is one Enter
+        const submit = ch === '\r' && data[i + 1] === '\n' ? '\r\n' : ch;
+        i += submit.length - 1;
+        parts.push({ submit, line: this.line, verified: this.verified });
+        this.reset();
+        continue;
+      }
+
+      if (ch === '\x1b') {
+        const sequence = ESCAPE_SEQUENCE.exec(data.slice(i))[0];
+        if (!BRACKETED_PASTE.has(sequence)) this.verified = false;
+        text += sequence;
+        i += sequence.length - 1;
+        continue;
+      }
+
+      text += ch;
+      if (ch === '\x7f' || ch === '\b') {
+        this.line = this.line.slice(0, -1);
+      } else if (ch === '\x03' || ch === '\x15') {
+        // Ctrl-C, Ctrl-U: the line is gone
+        this.reset();
+      } else if (ch === '\x17') {
+        // Ctrl-W: delete the previous word
+        this.line = this.line.replace(/\S*\s*$/, '');
+      } else if (ch < ' ') {
+        // Tab completion, Ctrl-R search, Ctrl-A/E cursor moves ...
+        this.verified = false;
+      } else {
+        this.line += ch;
+      }
+    }
+
+    if (text) parts.push({ text });
+    return parts;
+  }
+}
+
+module.exports = InputLineTracker;
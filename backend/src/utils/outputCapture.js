@@ -0,0 +1,41 @@
+// Bounded capture of command output. Keeps the first and last half of `limit`
+// characters and replaces everything in between with a truncation marker, so both
+// the start of the output and the final error messages survive.
+const DEFAULT_OUTPUT_LIMIT = 1024 * 1024;
+
+class OutputCapture {
+  constructor(limit = DEFAULT_OUTPUT_LIMIT) {
+    this.headLimit = Math.ceil(limit / 2);
+    this.tailLimit = Math.floor(limit / 2);
+    this.head = '';
+    this.tail = '';
+    this.droppedChars = 0;
+  }
+
+  get truncated() {
+    return this.droppedChars > 0;
+  }
+
+  push(text) {
+    if (this.head.length < this.headLimit) {
+      const room = this.headLimit - this.head.length;
+      this.head += text.slice(0, room);
+      text = text.slice(room);
+    }
+    if (!text) return;
+
+    this.tail += text;
+    if (this.tail.length > this.tailLimit) {
+      const excess = this.tail.length - this.tailLimit;
+      this.tail = this.tail.slice(excess);
+      this.droppedChars += excess;
+    }
+  }
+
+  toString() {
+    if (!this.truncated) return this.head + this.tail;
+    return `${this.head}\n... [${this.droppedChars} characters truncated] ...\n${this.tail}`;
+  }
+}
+
+module.exports = { OutputCapture, DEFAULT_OUTPUT_LIMIT };
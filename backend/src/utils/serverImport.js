@@ -0,0 +1,525 @@
+// Parsers for importing servers from other tools.
+//
+// Supported formats:
+//   ssh-config    OpenSSH client config (~/.ssh/config): Host, HostName, Port, User,
+//                 IdentityFile and ProxyJump
+//   csv           a header row naming the columns (host is required; name, port, username,
+//                 password, jump and tags are optional), then one server per row
+//   ansible-ini   Ansible INI inventory, with [group], [group:vars] and [group:children]
+//   ansible-yaml  Ansible YAML inventory (all: hosts/vars/children)
+//
+// Every parser returns { servers, warnings }. A server is
+//   { name, host, port, username, password, jump, identityFile, tags, warnings }
+// where username and password may be null, jump is the raw ProxyJump-style reference
+// ([user@]host[:port]) of the host to connect through, and identityFile is only reported:
+// the key file lives on the user's machine, so the key has to be supplied with the import.
+
+const { MAX_TAGS } = require('./serverTags');
+
+const MAX_IMPORT_SERVERS = 500;
+const PARSE_ERROR = 'IMPORT_PARSE_ERROR';
+const FORMATS = ['ssh-config', 'csv', 'ansible-ini', 'ansible-yaml'];
+
+// Errors about the imported content carry code PARSE_ERROR
+function parseError(message, lineNumber = null) {
+  const error = new Error(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+  error.code = PARSE_ERROR;
+  return error;
+}
+
+function unquote(value) {
+  const match = value.match(/^"(.*)"$|^'(.*)'$/s);
+  return match ? (match[1] ?? match[2]) : value;
+}
+
+function parsePort(value, warnings) {
+  if (value === undefined || value === null || value === '') return 22;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    warnings.push(`Invalid port "${value}", using 22`);
+    return 22;
+  }
+  return port;
+}
+
+// Group names and other labels become tags; see utils/serverTags.js for the allowed characters
+function toTag(label) {
+  return String(label).trim().toLowerCase().replace(/[^a-z0-9_./:-]+/g, '-').replace(/^[^a-z0-9]+/, '').slice(0, 64);
+}
+
+function makeServer({ name, host, port, username = null, password = null, jump = null, identityFile = null, tags = [] }, warnings = []) {
+  let labels = [...new Set(tags.map(toTag).filter(Boolean))];
+  if (labels.length > MAX_TAGS) {
+    warnings.push(`Only the first ${MAX_TAGS} of ${labels.length} tags are kept`);
+    labels = labels.slice(0, MAX_TAGS);
+  }
+  return {
+    name: String(name || host).trim(),
+    host: String(host).trim(),
+    port: parsePort(port, warnings),
+    username: username ? String(username).trim() : null,
+    password: password ? String(password) : null,
+    jump: jump ? String(jump).trim() : null,
+    identityFile: identityFile ? String(identityFile).trim() : null,
+    tags: labels,
+    warnings
+  };
+}
+
+// OpenSSH Host patterns: * and ? wildcards, ! negates
+function hostMatches(patterns, alias) {
+  let matched = false;
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    const glob = negated ? pattern.slice(1) : pattern;
+    const regex = new RegExp('^' + glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i');
+    if (regex.test(alias)) {
+      if (negated) return false;
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+// ProxyJump may list several hops; only the one closest to the target is kept, the hops
+// before it have to be configured on that jump host
+function lastHop(value, warnings) {
+  const hops = value.split(',').map(hop => hop.trim()).filter(Boolean);
+  if (hops.length > 1) {
+    warnings.push(`ProxyJump lists ${hops.length} hops; connecting via ${hops[hops.length - 1]} only. Set that server to connect via ${hops[hops.length - 2]}.`);
+  }
+  return hops[hops.length - 1] || null;
+}
+
+// Every concrete alias of a Host line becomes a server. As in ssh, the first value found
+// for an option wins, so `Host *` defaults at the end of the file fill in what is missing.
+function parseSshConfig(text) {
+  // Options before the first Host line apply to every host
+  let block = { patterns: ['*'], options: {} };
+  const blocks = [block];
+  const warnings = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = line.match(/^(\S+?)(?:\s*=\s*|\s+)(.+)$/);
+    if (!match) return;
+    const keyword = match[1].toLowerCase();
+    const value = unquote(match[2].trim());
+
+    if (keyword === 'host') {
+      block = { patterns: value.split(/\s+/).map(unquote), options: {} };
+      blocks.push(block);
+    } else if (keyword === 'match') {
+      warnings.push(`Line ${index + 1}: Match blocks are not supported and were skipped`);
+      block = { patterns: [], options: {} };
+    } else if (keyword === 'include') {
+      warnings.push(`Line ${index + 1}: Include ${value} was not followed; import that file separately`);
+    } else if (!(keyword in block.options)) {
+      block.options[keyword] = value;
+    }
+  });
+
+  const aliases = [...new Set(blocks.flatMap(entry => entry.patterns.filter(pattern => !/[*?!]/.test(pattern))))];
+  const servers = aliases.map(alias => {
+    const options = {};
+    for (const entry of blocks) {
+      if (!hostMatches(entry.patterns, alias)) continue;
+      for (const [keyword, value] of Object.entries(entry.options)) {
+        if (!(keyword in options)) options[keyword] = value;
+      }
+    }
+    const serverWarnings = [];
+    if (options.proxycommand) serverWarnings.push('ProxyCommand is not supported; use ProxyJump or set a jump host after importing');
+    const jump = options.proxyjump && options.proxyjump.toLowerCase() !== 'none' ? lastHop(options.proxyjump, serverWarnings) : null;
+    const identityFile = options.identityfile && options.identityfile.toLowerCase() !== 'none' ? options.identityfile : null;
+    return makeServer({
+      name: alias,
+      host: (options.hostname || alias).replace(/%h/g, alias),
+      port: options.port,
+      username: options.user,
+      jump,
+      identityFile
+    }, serverWarnings);
+  });
+  return { servers, warnings };
+}
+
+// RFC 4180 style: fields separated by commas, optionally quoted with "" as an escaped quote
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw parseError('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const CSV_COLUMNS = {
+  name: ['name', 'label', 'alias'],
+  host: ['host', 'hostname', 'address', 'ip', 'ip_address'],
+  port: ['port'],
+  username: ['username', 'user', 'login'],
+  password: ['password'],
+  jump: ['jump', 'jump_host', 'jumphost', 'proxyjump', 'proxy_jump', 'via'],
+  tags: ['tags', 'tag', 'groups']
+};
+
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw parseError('The CSV file is empty');
+  const names = header.map(cell => cell.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  if (columns.host === undefined) {
+    throw parseError(`The header row needs a host column (one of: ${CSV_COLUMNS.host.join(', ')})`);
+  }
+  const warnings = [];
+  const ignored = header.filter((cell, index) => cell.trim() && !Object.values(columns).includes(index));
+  if (ignored.length > 0) warnings.push(`Ignored columns: ${ignored.join(', ')}`);
+
+  const servers = [];
+  rows.forEach((cells, index) => {
+    const value = field => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+    if (!value('host')) {
+      warnings.push(`Row ${index + 2}: no host, skipped`);
+      return;
+    }
+    servers.push(makeServer({
+      name: value('name'),
+      host: value('host'),
+      port: value('port'),
+      username: value('username'),
+      password: columns.password === undefined ? null : cells[columns.password],
+      jump: value('jump'),
+      tags: value('tags').split(/[;|,\s]+/).filter(Boolean)
+    }, []));
+  });
+  return { servers, warnings };
+}
+
+// Ansible host patterns may contain ranges: web[01:03].example.com, db-[a:c]
+function expandHostPattern(pattern) {
+  const match = pattern.match(/^(.*?)\[([a-z0-9]+):([a-z0-9]+)(?::(\d+))?\](.*)$/i);
+  if (!match) return [pattern];
+  const [, prefix, start, end, step = '1', suffix] = match;
+  const values = [];
+  if (/^\d+$/.test(start) && /^\d+$/.test(end)) {
+    const width = start.length;
+    for (let i = Number(start); i <= Number(end); i += Number(step) || 1) {
+      values.push(String(i).padStart(width, '0'));
+    }
+  } else if (/^[a-z]$/i.test(start) && /^[a-z]$/i.test(end)) {
+    for (let code = start.charCodeAt(0); code <= end.charCodeAt(0); code += Number(step) || 1) {
+      values.push(String.fromCharCode(code));
+    }
+  } else {
+    throw parseError(`Invalid host range in ${pattern}`);
+  }
+  if (values.length > MAX_IMPORT_SERVERS) throw parseError(`Host range in ${pattern} is too large`);
+  return values.flatMap(value => expandHostPattern(prefix + value + suffix));
+}
+
+// Inventory as a tree of groups: { groups: Map(name -> { hosts, vars, children }), hostVars }
+function createInventory() {
+  return { groups: new Map(), hostVars: new Map() };
+}
+
+function inventoryGroup(inventory, name) {
+  if (!inventory.groups.has(name)) inventory.groups.set(name, { hosts: new Set(), vars: {}, children: new Set() });
+  return inventory.groups.get(name);
+}
+
+function addInventoryHost(inventory, groupName, host, vars) {
+  inventoryGroup(inventory, groupName).hosts.add(host);
+  inventory.hostVars.set(host, { ...(inventory.hostVars.get(host) || {}), ...vars });
+}
+
+// Pulls the jump host out of ansible_ssh_common_args / ansible_ssh_extra_args
+function jumpFromSshArgs(args) {
+  const match = String(args || '').match(/(?:-J\s*|ProxyJump[=\s]+)([^\s'"]+)/i);
+  return match ? match[1] : null;
+}
+
+// Resolves the variables of every host as Ansible does: the "all" group first, then the
+// other groups from the least to the most specific, then the host's own variables. Group
+// membership (including parent groups) becomes the server's tags.
+function inventoryServers(inventory, warnings) {
+  const parents = new Map();
+  for (const [name, group] of inventory.groups) {
+    for (const child of group.children) {
+      if (!parents.has(child)) parents.set(child, new Set());
+      parents.get(child).add(name);
+    }
+  }
+  const depths = new Map();
+  const depth = (name, seen = new Set()) => {
+    if (name === 'all') return 0;
+    if (depths.has(name)) return depths.get(name);
+    if (seen.has(name)) throw parseError(`Group ${name} is its own child`);
+    seen.add(name);
+    const value = 1 + Math.max(0, ...[...(parents.get(name) || [])].map(parent => depth(parent, seen)));
+    depths.set(name, value);
+    return value;
+  };
+
+  const servers = [];
+  for (const [host, ownVars] of inventory.hostVars) {
+    const groups = new Set(['all']);
+    const pending = [...inventory.groups].filter(([, group]) => group.hosts.has(host)).map(([name]) => name);
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (groups.has(name)) continue;
+      groups.add(name);
+      pending.push(...(parents.get(name) || []));
+    }
+    const ordered = [...groups].sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+    const vars = Object.assign({}, ...ordered.map(name => inventory.groups.get(name)?.vars || {}), ownVars);
+
+    const connection = vars.ansible_connection;
+    if (connection && !['ssh', 'paramiko', 'smart'].includes(String(connection))) {
+      warnings.push(`${host} uses ansible_connection=${connection}, skipped`);
+      continue;
+    }
+    servers.push(makeServer({
+      name: host,
+      host: vars.ansible_host || vars.ansible_ssh_host || host,
+      port: vars.ansible_port || vars.ansible_ssh_port,
+      username: vars.ansible_user || vars.ansible_ssh_user,
+      password: vars.ansible_password || vars.ansible_ssh_pass,
+      jump: jumpFromSshArgs(vars.ansible_ssh_common_args) || jumpFromSshArgs(vars.ansible_ssh_extra_args),
+      identityFile: vars.ansible_ssh_private_key_file || vars.ansible_private_key_file,
+      tags: ordered.filter(name => name !== 'all' && name !== 'ungrouped')
+    }, []));
+  }
+  return servers;
+}
+
+// key=value pairs; values may be quoted and contain spaces
+function parseIniVars(text) {
+  const vars = {};
+  for (const match of text.matchAll(/([\w.-]+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)) {
+    vars[match[1]] = unquote(match[2]);
+  }
+  return vars;
+}
+
+function parseAnsibleIni(text) {
+  const inventory = createInventory();
+  const warnings = [];
+  let section = { group: 'ungrouped', kind: 'hosts' };
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) return;
+    const header = line.match(/^\[([^\]:]+)(?::(vars|children))?\]$/);
+    if (header) {
+      section = { group: header[1].trim(), kind: header[2] || 'hosts' };
+      inventoryGroup(inventory, section.group);
+      return;
+    }
+    if (line.startsWith('[')) throw parseError(`Invalid section header ${line}`, index + 1);
+
+    if (section.kind === 'vars') {
+      const [key, ...rest] = line.split('=');
+      if (rest.length === 0) throw parseError(`Expected key=value in [${section.group}:vars]`, index + 1);
+      inventoryGroup(inventory, section.group).vars[key.trim()] = unquote(rest.join('=').trim());
+    } else if (section.kind === 'children') {
+      inventoryGroup(inventory, section.group).children.add(line.split(/\s+/)[0]);
+      inventoryGroup(inventory, line.split(/\s+/)[0]);
+    } else {
+      const [pattern, ...rest] = line.split(/\s+/);
+      const vars = parseIniVars(rest.join(' '));
+      // host:port shorthand (but not a bare IPv6 address)
+      const hostPort = pattern.match(/^([^:]+):(\d+)$/);
+      if (hostPort) vars.ansible_port = vars.ansible_port || hostPort[2];
+      for (const host of expandHostPattern(hostPort ? hostPort[1] : pattern)) {
+        addInventoryHost(inventory, section.group, host, vars);
+      }
+    }
+  });
+  for (const [name, group] of inventory.groups) {
+    if (name !== 'all' && group.hosts.size === 0 && group.children.size === 0 && Object.keys(group.vars).length === 0) {
+      warnings.push(`Group ${name} is empty`);
+    }
+  }
+  return { servers: inventoryServers(inventory, warnings), warnings };
+}
+
+function parseYamlScalar(value, lineNumber) {
+  if (/^["']/.test(value)) {
+    const quoted = value.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*(#.*)?$/);
+    if (!quoted) throw parseError('Unterminated quoted string', lineNumber);
+    if (quoted[1].startsWith("'")) return quoted[1].slice(1, -1).replace(/''/g, "'");
+    try {
+      return JSON.parse(quoted[1]);
+    } catch {
+      throw parseError(`Invalid escape sequence in ${quoted[1]}`, lineNumber);
+    }
+  }
+  const plain = value.replace(/\s+#.*$/, '').trim();
+  if (plain === '{}') return {};
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (/^[[{&*|>!]/.test(plain)) {
+    throw parseError(`Unsupported YAML value "${plain}" (only nested mappings and plain values are read)`, lineNumber);
+  }
+  if (/^-?\d+$/.test(plain)) return Number(plain);
+  if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+  return plain;
+}
+
+// The subset of YAML Ansible inventories use: nested mappings with scalar values. Lists,
+// anchors, flow collections and multi-line strings are rejected with the line number.
+function parseYamlMapping(text) {
+  const root = {};
+  const stack = [{ indent: -1, childIndent: null, value: root }];
+  let previous = null;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    if (!raw.trim() || raw.trim().startsWith('#') || /^(---|\.\.\.)\s*$/.test(raw.trim())) return;
+    if (/^\s*\t/.test(raw)) throw parseError('Tabs cannot be used for indentation', lineNumber);
+    const indent = raw.match(/^ */)[0].length;
+    const content = raw.trim();
+    if (content.startsWith('- ') || content === '-') {
+      throw parseError('Lists are not supported in inventories; use a mapping (host: or group:)', lineNumber);
+    }
+    const match = content.match(/^("(?:[^"\\]|\\.)*"|'[^']*'|(?:[^#:]|:(?=\S))+?)\s*:(?:\s+(.*))?$/);
+    if (!match) throw parseError(`Expected "key: value", got "${content}"`, lineNumber);
+
+    while (indent <= stack[stack.length - 1].indent) stack.pop();
+    const parent = stack[stack.length - 1];
+    if (previous && indent > previous.indent && previous.value === undefined) {
+      throw parseError('Unexpected indentation', lineNumber);
+    }
+    if (parent.childIndent === null) parent.childIndent = indent;
+    if (indent !== parent.childIndent) throw parseError('Inconsistent indentation', lineNumber);
+
+    const key = unquote(match[1]);
+    const value = match[2] === undefined ? {} : parseYamlScalar(match[2], lineNumber);
+    parent.value[key] = value;
+    if (value !== null && typeof value === 'object') {
+      stack.push({ indent, childIndent: null, value });
+      previous = { indent, value };
+    } else {
+      previous = { indent, value: undefined };
+    }
+  });
+  return root;
+}
+
+function parseAnsibleYaml(text) {
+  const data = parseYamlMapping(text);
+  const inventory = createInventory();
+  const warnings = [];
+  const isMapping = value => value !== null && typeof value === 'object';
+
+  const walk = (name, node, parent) => {
+    const group = inventoryGroup(inventory, name);
+    if (parent) inventoryGroup(inventory, parent).children.add(name);
+    if (!isMapping(node)) return;
+    for (const key of Object.keys(node)) {
+      if (!['hosts', 'vars', 'children'].includes(key)) warnings.push(`Group ${name}: unknown key "${key}" ignored`);
+    }
+    if (isMapping(node.vars)) Object.assign(group.vars, node.vars);
+    if (isMapping(node.hosts)) {
+      for (const [pattern, vars] of Object.entries(node.hosts)) {
+        for (const host of expandHostPattern(pattern)) {
+          addInventoryHost(inventory, name, host, isMapping(vars) ? vars : {});
+        }
+      }
+    }
+    if (isMapping(node.children)) {
+      for (const [child, childNode] of Object.entries(node.children)) walk(child, childNode, name);
+    }
+  };
+  for (const [name, node] of Object.entries(data)) walk(name, node, name === 'all' ? null : 'all');
+  return { servers: inventoryServers(inventory, warnings), warnings };
+}
+
+// Guesses the format from the file name, then from the content
+function detectFormat(content, filename = '') {
+  const extension = (filename.match(/\.([a-z]+)$/i)?.[1] || '').toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'yml' || extension === 'yaml') return 'ansible-yaml';
+  if (extension === 'ini' || extension === 'cfg') return 'ansible-ini';
+
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  if (lines.some(line => /^(host|match)(\s+|\s*=)\S/i.test(line))) return 'ssh-config';
+  if (lines.some(line => /^\[[^\]]+\]$/.test(line))) return 'ansible-ini';
+  if (lines[0] && /^(---|[\w.-]+:\s*$)/.test(lines[0])) return 'ansible-yaml';
+  if (lines[0] && lines[0].includes(',')) return 'csv';
+  if (filename && /(^|\/)(hosts|inventory)$/i.test(filename)) return 'ansible-ini';
+  throw parseError('Could not tell the format of this file; choose it explicitly');
+}
+
+// Parses content in the given format ('auto' detects it). Returns { format, servers, warnings };
+// throws with a message suitable for the user when the content cannot be parsed.
+function parseServers(content, format = 'auto', filename = '') {
+  if (typeof content !== 'string' || !content.trim()) throw parseError('Nothing to import');
+  content = content.replace(/^\uFEFF/, '');
+  const resolved = format === 'auto' || !format ? detectFormat(content, filename) : format;
+  if (!FORMATS.includes(resolved)) throw parseError(`Unknown format ${resolved}`);
+
+  const parser = {
+    'ssh-config': parseSshConfig,
+    csv: parseCsv,
+    'ansible-ini': parseAnsibleIni,
+    'ansible-yaml': parseAnsibleYaml
+  }[resolved];
+  const { servers, warnings } = parser(content);
+  if (servers.length > MAX_IMPORT_SERVERS) {
+    throw parseError(`Found ${servers.length} servers; at most ${MAX_IMPORT_SERVERS} can be imported at once`);
+  }
+  for (const server of servers) {
+    if (server.identityFile) {
+      server.warnings.push(`Uses the key file ${server.identityFile}; paste that key below to import it`);
+    }
+  }
+  return { format: resolved, servers, warnings };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_IMPORT_SERVERS,
+  PARSE_ERROR,
+  detectFormat,
+  parseServers,
+  parseSshConfig,
+  parseCsv,
+  parseAnsibleIni,
+  parseAnsibleYaml
+};
@@ -0,0 +1,45 @@
+// Server tags.
+//
+// Tags are short labels stored per server (servers.tags, a JSON array). A tag is either a plain
+// label (`database`) or a `group:value` pair such as `env:prod`, `role:web` or `region:eu-west`;
+// the server list can group servers by the part before the colon. Tags are lowercase and
+// may contain letters, digits and `_ . / -`.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_./-]*(:[a-z0-9][a-z0-9_./-]*)?$/;
+
+// Returns the tags trimmed, lowercased and without duplicates; throws on anything invalid
+function validateTags(input) {
+  if (!Array.isArray(input)) throw new Error('Tags must be an array of strings');
+  const tags = [];
+  for (const raw of input) {
+    if (typeof raw !== 'string') throw new Error('Tags must be an array of strings');
+    const tag = raw.trim().toLowerCase().replace(/\s*:\s*/, ':');
+    if (!tag) continue;
+    if (tag.length > MAX_TAG_LENGTH) throw new Error(`Tag "${tag.slice(0, 20)}..." is longer than ${MAX_TAG_LENGTH} characters`);
+    if (!TAG_PATTERN.test(tag)) {
+      throw new Error(`Invalid tag "${tag}": use letters, digits and _ . / -, optionally as group:value (e.g. env:prod)`);
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) throw new Error(`A server can have at most ${MAX_TAGS} tags`);
+  return tags;
+}
+
+// Tags as stored in the database; rows written before tags existed have none
+function parseTags(value) {
+  if (!value) return [];
+  try {
+    const tags = JSON.parse(value);
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_TAGS,
+  validateTags,
+  parseTags
+};
@@ -0,0 +1,70 @@
+// Structured WebSocket protocol for /ws/terminal.
+//
+// Clients opt in by requesting the TERMINAL_PROTOCOL subprotocol. Every frame is then a
+// JSON object with a `type`:
+//   client -> server: { type: 'input', data }            keystrokes for the shell
+//                     { type: 'resize', cols, rows }      terminal size changed
+//                     { type: 'auth-response', responses } answers to an auth-prompt
+//                     { type: 'quick-command', command, confirmed, source } run a command picked in the UI;
+//                       source is 'quick-action' (default) or 'suggestion' for the audit log
+//   server -> client: { type: 'output', data }           shell output
+//                     { type: 'auth-prompt', name, instructions, prompts }
+//                     { type: 'command', historyId, command, output, exitCode, cwd, durationMs, truncated }
+//                       a command finished (needs shell integration for exitCode/cwd/durationMs)
+//                     { type: 'command-blocked', command, risk }  quick-command needs confirmation
+// Clients that do not request the subprotocol keep the original raw-text behaviour.
+const TERMINAL_PROTOCOL = 'sshfix.terminal.v1';
+
+const MAX_DIMENSION = 1000;
+
+function isDimension(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_DIMENSION;
+}
+
+// For sizes passed as query parameters
+function parseDimension(value, fallback) {
+  const number = Number(value);
+  return isDimension(number) ? number : fallback;
+}
+
+const QUICK_COMMAND_SOURCES = ['quick-action', 'suggestion'];
+
+// Validators for each client message type; add new control messages here
+const CLIENT_MESSAGES = {
+  input: message => typeof message.data === 'string',
+  resize: message => isDimension(message.cols) && isDimension(message.rows),
+  'auth-response': message => Array.isArray(message.responses),
+  'quick-command': message => typeof message.command === 'string' && message.command.trim() !== '' &&
+    (message.source === undefined || QUICK_COMMAND_SOURCES.includes(message.source))
+};
+
+// Returns the message if it is a known, well-formed client message, otherwise null
+function parseClientMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!message || typeof message !== 'object') return null;
+
+  const validate = CLIENT_MESSAGES[message.type];
+  return validate && validate(message) ? message : null;
+}
+
+function encodeMessage(type, payload = {}) {
+  return JSON.stringify({ type, ...payload });
+}
+
+// ws handleProtocols hook: only ever agree to our protocol
+function selectProtocol(protocols) {
+  return protocols.has(TERMINAL_PROTOCOL) ? TERMINAL_PROTOCOL : false;
+}
+
+module.exports = {
+  TERMINAL_PROTOCOL,
+  parseClientMessage,
+  encodeMessage,
+  parseDimension,
+  selectProtocol
+};
@@ -0,0 +1,44 @@
+// Token estimates for what is sent to the AI models.
+//
+// Providers use different tokenizers and none is bundled here, so this approximates a BPE
+// tokenizer (cl100k and similar): a short word with its leading space is one token, long
+// words split into pieces, numbers into groups of three digits, and each other symbol or
+// non-ASCII character counts on its own. It errs towards too many tokens rather than too few.
+const WORD_CHARS_PER_TOKEN = 6;
+// Per-message framing (role markers and separators)
+const MESSAGE_OVERHEAD = 4;
+// What a provider charges for an image, roughly (OpenAI's 512px tile is 170 + 85)
+const IMAGE_TOKENS = 765;
+
+const PIECES = / ?[A-Za-z]+| ?\d{1,3}|\s+|[^\sA-Za-z\d]/gu;
+const IMAGE_MARKDOWN = /!\[image\]\([^)]+\)/g;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECES)) {
+    const letters = piece.trimStart().length;
+    tokens += /[A-Za-z]/.test(piece) ? Math.ceil(letters / WORD_CHARS_PER_TOKEN) : 1;
+  }
+  return tokens;
+}
+
+// A chat message ({ role, content }); images in it (![image](url) markdown) only count
+// when the model is sent them
+function estimateMessageTokens(message, { vision = false } = {}) {
+  const content = String(message.content || '');
+  const images = vision ? (content.match(IMAGE_MARKDOWN) || []).length : 0;
+  return MESSAGE_OVERHEAD + estimateTokens(content.replace(IMAGE_MARKDOWN, '')) + images * IMAGE_TOKENS;
+}
+
+// Cuts text to about maxTokens tokens, marking the cut
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+  let cut = String(text).slice(0, Math.max(0, maxTokens) * WORD_CHARS_PER_TOKEN);
+  while (cut.length > 0 && estimateTokens(cut) > maxTokens) {
+    cut = cut.slice(0, Math.floor(cut.length * 0.9));
+  }
+  return cut + '... [cut to fit the context window]';
+}
+
+module.exports = { estimateTokens, estimateMessageTokens, truncateToTokens, IMAGE_TOKENS };
@@ -0,0 +1,64 @@
+// Checks that images uploaded to the app reach the AI: they are served only to logged-in
+// users, so the request to the model must carry them read from the uploads folder.
+// Run with: node test-ai-images.js (no request leaves this machine)
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { uploadDir } = require('./src/config/multer');
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+const aiProviders = require('./src/services/aiProviders');
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+let checks = 0;
+let failures = 0;
+const check = (label, ok) => {
+  checks++;
+  if (!ok) failures++;
+  console.log(`${ok ? 'PASS' : 'FAIL'}  ${label}`);
+};
+
+async function main() {
+  const name = `test-ai-image-${Date.now()}.png`;
+  fs.writeFileSync(path.join(uploadDir, name), PNG);
+  const expected = `data:image/png;base64,${PNG.toString('base64')}`;
+
+  // Capture what would be sent to the model instead of sending it
+  const payloads = [];
+  axios.post = async (url, payload) => {
+    payloads.push(payload);
+    return { data: { choices: [{ message: { content: 'ok' } }] } };
+  };
+  const imageParts = payload => payload.messages
+    .filter(message => Array.isArray(message.content))
+    .flatMap(message => message.content.filter(part => part.type === 'image_url').map(part => part.image_url.url));
+
+  try {
+    const { provider, model } = await aiProviders.resolve('openai');
+
+    // An image pasted with the prompt
+    await provider.complete([{ role: 'user', content: 'What does this show?' }], { model, imageUrls: [`/uploads/${name}`] });
+    check('image sent with the prompt is included', imageParts(payloads.at(-1)).includes(expected));
+
+    // An image earlier in the chat, linked with an absolute URL
+    await provider.complete([
+      { role: 'user', content: `Look at this ![image](http://localhost:4000/uploads/${name})` },
+      { role: 'ai', content: 'A tiny image.' },
+      { role: 'user', content: 'And now?' }
+    ], { model });
+    check('image from the chat history is included', imageParts(payloads.at(-1)).includes(expected));
+
+    // Names cannot leave the uploads folder
+    await provider.complete([{ role: 'user', content: 'x' }], { model, imageUrls: ['/uploads/..%2Fpackage.json'] });
+    check('paths outside the uploads folder are not read', imageParts(payloads.at(-1)).length === 0);
+  } finally {
+    fs.unlinkSync(path.join(uploadDir, name));
+  }
+
+  console.log(`\n${checks - failures} passed, ${failures} failed`);
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,61 @@
+// Checks the risk rating of commands: the dangerous ones must be rated high (and so need a
+// typed confirmation), everyday ones must not.
+// Run with: node test-command-risk.js
+const { analyzeCommand } = require('./src/utils/commandRisk');
+
+// Each of these must be rated high
+const HIGH = [
+  // Redirections to a file, whatever their spelling
+  'echo x > /etc/passwd',
+  'echo x >> /etc/sudoers',
+  'echo x &>/etc/hosts',
+  'echo x >&/etc/passwd',
+  'echo x >& /etc/passwd',
+  // Quoting, eval and names from variables hide the command
+  '\\rm -rf /',
+  `'rm' -rf /`,
+  'eval "rm -rf /"',
+  'x=rm; $x -rf /',
+  '"$cmd" -rf /',
+  '$(echo rm) -rf /',
+  // Scripts piped into a shell
+  'echo cm0gLXJmIC8= | base64 -d | sh',
+  'cat /tmp/script | bash',
+  'curl -s https://example.com/install | sh -s -- --yes',
+  // find deleting what it matches
+  'find / -delete',
+  'find /var/log -name "*.log" -exec rm {} \\;',
+  'find . -type f -exec /bin/rm -f {} +'
+];
+
+// These must not be
+const NOT_HIGH = [
+  'ls -la 2>&1',
+  'ls >&2',
+  'ls >& 2',
+  'ls 2>&-',
+  'ls > /dev/null 2>&1',
+  'echo hello > /tmp/out',
+  'grep a\\|b /var/log/syslog',
+  'echo $HOME',
+  'cat /tmp/data | python3 script.py',
+  'find /var/log -name "*.gz" -exec ls -l {} \\;'
+];
+
+let checks = 0;
+let failures = 0;
+const check = (command, expectHigh) => {
+  const { level, reasons } = analyzeCommand(command);
+  const ok = (level === 'high') === expectHigh;
+  checks++;
+  if (!ok) failures++;
+  console.log(`${ok ? 'PASS' : 'FAIL'}  ${level.padEnd(6)}  ${command}${reasons.length > 0 ? `  (${reasons.map(reason => reason.text).join('; ')})` : ''}`);
+};
+
+console.log('\n=== HIGH RISK ===');
+HIGH.forEach(command => check(command, true));
+console.log('\n=== NOT HIGH RISK ===');
+NOT_HIGH.forEach(command => check(command, false));
+
+console.log(`\n${checks - failures} passed, ${failures} failed`);
+process.exit(failures > 0 ? 1 : 0);
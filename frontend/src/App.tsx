@@ -1,19 +1,24 @@
-import React, { useState } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link, useParams } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useLocation, useParams } from 'react-router-dom';
 import AddServerForm from './components/AddServerForm';
+import Login from './components/Login';
+import UserManager from './components/UserManager';
+import BackupManager from './components/BackupManager';
+import { getSession, hasRole, logout, onUnauthorized } from './api/auth';
+import type { AuthUser } from './api/auth';
 import './styles/shared.css';
 
 const ServerList = React.lazy(() => import('./components/ServerList'));
 const ServerDetail = React.lazy(() => import('./components/ServerDetail'));
 const Chat = React.lazy(() => import('./components/Chat'));
 const ServerDBView = React.lazy(() => import('./components/ServerDBView'));
-
-type ModelType = 'gemini' | 'openai' | 'gemini-pro' | 'claude';
+const FanoutView = React.lazy(() => import('./components/FanoutView'));
+const ImportServers = React.lazy(() => import('./components/ImportServers'));
 
 // Wrapper component to provide Chat props
 const ChatWrapper = () => {
   const { id } = useParams();
-  const [model, setModel] = useState<ModelType>('gemini-pro');
+  const [model, setModel] = useState('gemini-pro');
   const [geminiSuggestions, setGeminiSuggestions] = useState<any[]>([]);
   
   if (!id) return <div>Invalid server ID</div>;
@@ -29,7 +34,75 @@ const ChatWrapper = () => {
   );
 };
 
+// Sends signed-out visitors to the login screen, remembering where they were going
+const RequireAuth: React.FC<{ user: AuthUser | null; children: React.ReactElement }> = ({ user, children }) => {
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  return children;
+};
+
+const LoginRoute: React.FC<{ user: AuthUser | null; setupRequired: boolean; onLogin: (user: AuthUser) => void }> = ({ user, setupRequired, onLogin }) => {
+  const location = useLocation();
+  const from = (location.state as { from?: string } | null)?.from || '/';
+  if (user) return <Navigate to={from} replace />;
+  return <Login setupRequired={setupRequired} onLogin={onLogin} />;
+};
+
 function App() {
+  // undefined while the session is being checked
+  const [user, setUser] = useState<AuthUser | null | undefined>(undefined);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [sessionError, setSessionError] = useState<string | null>(null);
+  const [userManagerOpen, setUserManagerOpen] = useState(false);
+  const [backupManagerOpen, setBackupManagerOpen] = useState(false);
+
+  useEffect(() => {
+    getSession()
+      .then(session => {
+        setUser(session.user);
+        setSetupRequired(session.setupRequired);
+      })
+      .catch(err => setSessionError('Could not reach the backend: ' + err.message));
+    // Any API call refused with 401 means the session is gone
+    return onUnauthorized(() => setUser(null));
+  }, []);
+
+  const handleLogin = (loggedIn: AuthUser) => {
+    setUser(loggedIn);
+    setSetupRequired(false);
+  };
+
+  // The admin may have changed their own role
+  const handleUserManagerClose = () => {
+    setUserManagerOpen(false);
+    getSession().then(session => setUser(session.user)).catch(err => console.error('Failed to refresh session:', err));
+  };
+
+  // A restore can change every server, so start over from a fresh page
+  const handleBackupManagerClose = (restored: boolean) => {
+    setBackupManagerOpen(false);
+    if (restored) window.location.reload();
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
+    setUser(null);
+  };
+
+  if (user === undefined) {
+    return (
+      <div className="container">
+        <div className="card text-center">
+          <div className={sessionError ? 'text-danger' : 'heading-3'}>{sessionError || 'Loading...'}</div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <Router>
       <div className="container">
@@ -39,7 +112,8 @@ function App() {
             <h1 className="heading-1">SSHFix</h1>
             <p className="text-secondary mb-4">AI-Powered Server Management & Troubleshooting</p>
           </div>
-          <nav>
+          {user && <nav className="flex items-center gap-4">
+            <span className="text-secondary">{user.username}</span>
             <Link to="/" className="btn btn-secondary">
               <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                 <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"></path>
@@ -47,7 +121,11 @@ function App() {
               </svg>
               Servers
             </Link>
-          </nav>
+            <Link to="/fanout" className="btn btn-outline">Run on Many</Link>
+            {user.role === 'admin' && <button onClick={() => setUserManagerOpen(true)} className="btn btn-outline">Users</button>}
+            {user.role === 'admin' && <button onClick={() => setBackupManagerOpen(true)} className="btn btn-outline">Backup</button>}
+            <button onClick={handleLogout} className="btn btn-outline">Log Out</button>
+          </nav>}
         </header>
 
         {/* Main Content */}
@@ -58,56 +136,65 @@ function App() {
             </div>
           }>
             <Routes>
+              <Route path="/login" element={<LoginRoute user={user} setupRequired={setupRequired} onLogin={handleLogin} />} />
               <Route path="/" element={
-                <>
-                  {/* Project Info Card */}
-                  <div className="card mb-8">
-                    <h2 className="heading-2">Welcome to SSHFix</h2>
-                    <p className="mb-4">
-                      SSHFix is your AI-powered assistant for server management and troubleshooting. 
-                      Connect your servers, run commands, and get intelligent suggestions for common issues.
-                    </p>
-                    <div className="grid grid-cols-2 mb-8">
-                      <div>
-                        <h3 className="heading-3">Key Features</h3>
-                        <ul className="list">
-                          <li className="list-item">🤖 AI-powered command suggestions</li>
-                          <li className="list-item">🔒 Secure SSH connections</li>
-                          <li className="list-item">📊 Real-time server monitoring</li>
-                          <li className="list-item">💬 Interactive chat interface</li>
-                        </ul>
-                      </div>
-                      <div>
-                        <h3 className="heading-3">Supported AI Models</h3>
-                        <ul className="list">
-                          <li className="list-item">✨ Gemini Pro</li>
-                          <li className="list-item">🚀 OpenAI GPT-4</li>
-                          <li className="list-item">⚡ Gemini Flash</li>
-                          <li className="list-item">🔮 Claude Sonnet</li>
-                        </ul>
+                <RequireAuth user={user}>
+                  <>
+                    {/* Project Info Card */}
+                    <div className="card mb-8">
+                      <h2 className="heading-2">Welcome to SSHFix</h2>
+                      <p className="mb-4">
+                        SSHFix is your AI-powered assistant for server management and troubleshooting. 
+                        Connect your servers, run commands, and get intelligent suggestions for common issues.
+                      </p>
+                      <div className="grid grid-cols-2 mb-8">
+                        <div>
+                          <h3 className="heading-3">Key Features</h3>
+                          <ul className="list">
+                            <li className="list-item">🤖 AI-powered command suggestions</li>
+                            <li className="list-item">🔒 Secure SSH connections</li>
+                            <li className="list-item">📊 Real-time server monitoring</li>
+                            <li className="list-item">💬 Interactive chat interface</li>
+                          </ul>
+                        </div>
+                        <div>
+                          <h3 className="heading-3">Supported AI Models</h3>
+                          <ul className="list">
+                            <li className="list-item">✨ Gemini Pro</li>
+                            <li className="list-item">🚀 OpenAI GPT-4</li>
+                            <li className="list-item">⚡ Gemini Flash</li>
+                            <li className="list-item">🔮 Claude Sonnet</li>
+                          </ul>
+                        </div>
                       </div>
+                      {hasRole(user?.role, 'operator') && <Link to="/server/new" className="btn btn-primary">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                          <line x1="12" y1="5" x2="12" y2="19"></line>
+                          <line x1="5" y1="12" x2="19" y2="12"></line>
+                        </svg>
+                        Add Your First Server
+                      </Link>}
                     </div>
-                    <Link to="/server/new" className="btn btn-primary">
-                      <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                        <line x1="12" y1="5" x2="12" y2="19"></line>
-                        <line x1="5" y1="12" x2="19" y2="12"></line>
-                      </svg>
-                      Add Your First Server
-                    </Link>
-                  </div>
                   
-                  {/* Server List */}
-                  <ServerList />
-                </>
+                    {/* Server List */}
+                    <ServerList canAddServers={hasRole(user?.role, 'operator')} />
+                  </>
+                </RequireAuth>
               } />
-              <Route path="/server/new" element={<AddServerForm />} />
-              <Route path="/server/:id" element={<ServerDetail />} />
-              <Route path="/server/:id/chat" element={<ChatWrapper />} />
-              <Route path="/server/:id/db" element={<ServerDBView />} />
+              <Route path="/fanout" element={<RequireAuth user={user}><FanoutView /></RequireAuth>} />
+              <Route path="/server/new" element={<RequireAuth user={user}><AddServerForm /></RequireAuth>} />
+              <Route path="/server/import" element={<RequireAuth user={user}><ImportServers /></RequireAuth>} />
+              <Route path="/server/:id/edit" element={<RequireAuth user={user}><AddServerForm /></RequireAuth>} />
+              <Route path="/server/:id" element={<RequireAuth user={user}><ServerDetail /></RequireAuth>} />
+              <Route path="/server/:id/chat" element={<RequireAuth user={user}><ChatWrapper /></RequireAuth>} />
+              <Route path="/server/:id/db" element={<RequireAuth user={user}><ServerDBView /></RequireAuth>} />
             </Routes>
           </React.Suspense>
         </main>
 
+        {userManagerOpen && user && <UserManager currentUserId={user.id} onClose={handleUserManagerClose} />}
+        {backupManagerOpen && user && <BackupManager onClose={handleBackupManagerClose} />}
+
         {/* Footer */}
         <footer className="text-center text-secondary mt-8 pt-8 border-t border-border-color">
           <p>SSHFix &copy; 2025 - AI-Powered Server Management</p>
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import type { CommandRiskLevel } from './ssh';
 
 // In development, use localhost. In production, use relative path
 const API_BASE = window.location.hostname === 'localhost' ? 'http://localhost:4000' : '';
@@ -28,7 +29,273 @@ export const getAISuggestion = async (
   return response.data;
 };
 
-export const getAIAvailability = async () => {
+export interface AIStreamRequest {
+  prompt: string;
+  model: string;
+  serverId: number;
+  chatSessionId: string | number | null;
+  withTerminalContext?: boolean;
+  imageUrls?: string[];
+}
+
+// Token breakdown of a request, as the backend fitted it to the model's context window
+export interface ContextUsage {
+  model: string;
+  contextWindow: number;
+  budget: number; // the window less room for the reply
+  total: number;
+  system: number;
+  summary: number; // the rolling summary of older messages
+  terminal: number;
+  history: number;
+  prompt: number; // the new message (and an agent run's commands)
+  messages: { sent: number; summarized: number; omitted: number };
+  commands: { sent: number; failed: number; omitted: number };
+}
+
+export interface AIResult {
+  response: string;
+  // risks has one entry per command, at least what the backend's risk analysis finds
+  json: { answer?: string; commands?: string[]; explanations?: string[]; risks?: CommandRiskLevel[] } | null;
+  context?: ContextUsage;
+  chatSessionId: string;
+}
+
+interface StreamError {
+  error: string;
+  details?: string;
+}
+
+const streamError = ({ error, details }: StreamError) => new Error(details ? `${error}: ${details}` : error);
+
+// POSTs to an endpoint that answers with Server-Sent Events and returns the stream.
+// Rejects with the { error } of a response that is not a stream.
+const postEventStream = async (path: string, body: unknown, abortSignal?: AbortSignal) => {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    credentials: 'include',
+    signal: abortSignal
+  });
+  if (!res.ok || !res.body) {
+    const error = await res.json().catch(() => null);
+    throw new Error(error?.error || `Request failed with status ${res.status}`);
+  }
+  return res.body;
+};
+
+// Calls onEvent(event, data) for each Server-Sent Event in body, data parsed as JSON
+const readEventStream = async (body: ReadableStream<Uint8Array>, onEvent: (event: string, data: unknown) => void) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  const handleEvent = (block: string) => {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (data) onEvent(event, JSON.parse(data));
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const blocks = buffered.split('\n\n');
+    buffered = blocks.pop() ?? '';
+    blocks.forEach(handleEvent);
+  }
+  handleEvent(buffered);
+};
+
+// Streams the AI response from /api/ai/stream (Server-Sent Events). onAnswer receives each
+// new piece of the answer; resolves with the complete response once it has been saved.
+// Aborting the signal cancels the request and nothing is saved.
+export const streamAISuggestion = async (
+  request: AIStreamRequest,
+  { onAnswer, abortSignal }: { onAnswer?: (text: string) => void; abortSignal?: AbortSignal } = {}
+): Promise<AIResult> => {
+  const body = await postEventStream('/api/ai/stream', {
+    ...request,
+    chatSessionId: request.chatSessionId?.toString() || Date.now().toString(),
+    withTerminalContext: !!request.withTerminalContext
+  }, abortSignal);
+
+  let result: AIResult | null = null;
+  await readEventStream(body, (event, data) => {
+    switch (event) {
+      case 'answer':
+        onAnswer?.((data as { text: string }).text);
+        break;
+      case 'done':
+        result = data as AIResult;
+        break;
+      case 'error':
+        throw streamError(data as StreamError);
+    }
+  });
+  if (!result) throw new Error('Connection closed before the response was complete');
+  return result;
+};
+
+// Agent mode: the AI runs read-only commands on the server itself and asks before anything
+// that changes it. A run ends completed, stopped, failed or at its step limit, or waits in
+// awaiting_approval for a decision on its pending step.
+export type AgentRunStatus = 'running' | 'awaiting_approval' | 'completed' | 'step_limit' | 'stopped' | 'failed';
+export type AgentStepStatus = 'pending' | 'running' | 'completed' | 'blocked' | 'rejected' | 'failed';
+
+export interface AgentRun {
+  id: number;
+  server_id: number;
+  chat_session_id: string | number;
+  user_message_id: number | null; // the chat message with the prompt
+  model: string;
+  prompt: string;
+  with_terminal_context: number;
+  status: AgentRunStatus;
+  max_steps: number;
+  step_timeout_ms: number;
+  step_count: number;
+  final_response: string | null;
+  error: string | null;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// One command the AI asked to run
+export interface AgentStep {
+  id: number;
+  run_id: number;
+  step: number;
+  response: string; // the AI reply that asked for it
+  command: string;
+  reason: string | null;
+  change_reason: string | null; // why it changes the server, when it does
+  risk_level: 'low' | 'medium' | 'high' | null;
+  status: AgentStepStatus;
+  decided_by: string | null;
+  exit_code: number | null;
+  signal: string | null;
+  output: string | null;
+  output_truncated: number;
+  timed_out: number;
+  duration_ms: number | null;
+  history_id: number | null;
+  error: string | null;
+  created_at: string;
+  finished_at: string | null;
+}
+
+export interface AgentRunWithSteps extends AgentRun {
+  steps: AgentStep[];
+}
+
+export interface AgentRunRequest {
+  prompt: string;
+  model: string;
+  serverId: number;
+  chatSessionId: string | number | null;
+  withTerminalContext?: boolean;
+  maxSteps?: number;
+  stepTimeoutMs?: number;
+}
+
+// response and json are set once the run has completed
+export interface AgentRunResult {
+  run: AgentRun;
+  response?: string;
+  json?: AIResult['json'];
+  context?: ContextUsage;
+}
+
+export interface AgentStreamHandlers {
+  onRun?: (run: AgentRun) => void;
+  onStep?: (step: AgentStep) => void;
+  abortSignal?: AbortSignal; // aborting stops the run
+}
+
+const readAgentStream = async (body: ReadableStream<Uint8Array>, { onRun, onStep }: AgentStreamHandlers) => {
+  let result: AgentRunResult | null = null;
+  await readEventStream(body, (event, data) => {
+    switch (event) {
+      case 'run':
+        onRun?.(data as AgentRun);
+        break;
+      case 'step':
+        onStep?.(data as AgentStep);
+        break;
+      case 'done':
+        result = data as AgentRunResult;
+        break;
+      case 'error':
+        throw streamError(data as StreamError);
+    }
+  });
+  if (!result) throw new Error('Connection closed before the agent run ended');
+  return result;
+};
+
+// Starts an agent run; resolves once it has ended or waits for approval
+export const startAgentRun = async (request: AgentRunRequest, handlers: AgentStreamHandlers = {}): Promise<AgentRunResult> => {
+  const body = await postEventStream('/api/ai/agent', {
+    ...request,
+    chatSessionId: request.chatSessionId?.toString() || Date.now().toString(),
+    withTerminalContext: !!request.withTerminalContext
+  }, handlers.abortSignal);
+  return readAgentStream(body, handlers);
+};
+
+// Runs (approve) or declines the step a run waits on, then continues the run. High-risk
+// steps are refused with 428 unless confirmed is set.
+export const decideAgentStep = async (runId: number, stepId: number, approve: boolean, handlers: AgentStreamHandlers = {}, confirmed = false): Promise<AgentRunResult> => {
+  const body = await postEventStream(`/api/ai/agent/${runId}/steps/${stepId}/decision`, { approve, confirmed }, handlers.abortSignal);
+  return readAgentStream(body, handlers);
+};
+
+// Ends a run that waits for approval
+export const stopAgentRun = async (runId: number): Promise<AgentRun> => {
+  const response = await axios.post(`${API_BASE}/api/ai/agent/${runId}/stop`);
+  return response.data;
+};
+
+export const getAgentRuns = async (serverId: number, chatSessionId: string | number): Promise<AgentRunWithSteps[]> => {
+  const response = await axios.get(`${API_BASE}/api/ai/agent/runs`, { params: { serverId, chatSessionId } });
+  return response.data;
+};
+
+// What a model supports, as declared by its provider adapter on the backend
+export interface AICapabilities {
+  vision: boolean;
+  jsonMode: boolean;
+  structuredOutput: boolean; // can be held to a JSON schema
+  streaming: boolean;
+  contextWindow: number; // tokens
+}
+
+export interface AIModel {
+  id: string; // sent as `model`
+  label: string;
+  provider: string;
+  providerLabel: string;
+  available: boolean; // false while its provider is not configured
+  capabilities: AICapabilities;
+}
+
+export interface AIProvider {
+  id: string;
+  label: string;
+  configured: boolean;
+  error: string | null; // a local backend that could not be reached
+}
+
+export interface AIAvailability {
+  providers: AIProvider[];
+  models: AIModel[];
+}
+
+export const getAIAvailability = async (): Promise<AIAvailability> => {
   const response = await axios.get(`${API_BASE}/api/ai/available`);
   return response.data;
 };
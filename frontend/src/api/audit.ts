@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+const API_BASE = window.location.origin.includes('localhost')
+  ? 'http://localhost:4000/api'
+  : '/api';
+
+export type AuditSource = 'api' | 'terminal' | 'quick-action' | 'suggestion' | 'fanout' | 'agent';
+
+export interface AuditEntry {
+  id: number;
+  created_at: string;
+  source: AuditSource;
+  user: string | null;
+  server_id: number | null;
+  server_snapshot: { id: number; name: string; host: string; port: number; username: string } | null;
+  command: string;
+  result: Record<string, unknown> | null;
+  prev_hash: string;
+  hash: string;
+}
+
+export interface AuditVerification {
+  valid: boolean;
+  entries: number;
+  headHash: string;   // note it down elsewhere: only a known head reveals entries cut off the end
+  problems: { id: number; problem: string }[];
+}
+
+export const getAuditLog = async (params: { serverId?: number; beforeId?: number; limit?: number } = {}): Promise<AuditEntry[]> => {
+  const res = await axios.get(`${API_BASE}/audit`, { params });
+  return res.data;
+};
+
+export const verifyAuditLog = async (): Promise<AuditVerification> => {
+  const res = await axios.get(`${API_BASE}/audit/verify`);
+  return res.data;
+};
+
+// Plain download link; the backend sets Content-Disposition
+export const auditExportUrl = (format: 'jsonl' | 'csv', serverId?: number) =>
+  `${API_BASE}/audit/export?format=${format}${serverId ? `&serverId=${serverId}` : ''}`;
@@ -0,0 +1,59 @@
+import axios from 'axios';
+
+const API_BASE = window.location.origin.includes('localhost')
+  ? 'http://localhost:4000/api'
+  : '/api';
+
+// The session is an HttpOnly cookie set by the backend; send it on every API call
+axios.defaults.withCredentials = true;
+
+// Account role, and the role a user has on a server; each includes the ones before it:
+// viewer reads, operator runs commands, admin manages credentials and sharing
+export type Role = 'viewer' | 'operator' | 'admin';
+export const ROLES: Role[] = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (role: Role | null | undefined, required: Role) =>
+  !!role && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+export interface AuthUser {
+  id: number;
+  username: string;
+  role: Role;
+}
+
+export interface SessionInfo {
+  user: AuthUser | null;
+  // No account exists yet; the login screen creates the first one
+  setupRequired: boolean;
+}
+
+export const getSession = async (): Promise<SessionInfo> => {
+  const res = await axios.get(`${API_BASE}/auth/session`);
+  return res.data;
+};
+
+export const login = async (username: string, password: string): Promise<AuthUser> => {
+  const res = await axios.post(`${API_BASE}/auth/login`, { username, password });
+  return res.data.user;
+};
+
+export const setupFirstAccount = async (username: string, password: string): Promise<AuthUser> => {
+  const res = await axios.post(`${API_BASE}/auth/setup`, { username, password });
+  return res.data.user;
+};
+
+export const logout = async () => {
+  await axios.post(`${API_BASE}/auth/logout`);
+};
+
+// Calls handler whenever an API request is refused because the session expired or
+// was ended elsewhere. Returns a function that stops listening.
+export const onUnauthorized = (handler: () => void) => {
+  const interceptor = axios.interceptors.response.use(undefined, error => {
+    if (axios.isAxiosError(error) && error.response?.status === 401 && !error.config?.url?.includes('/auth/')) {
+      handler();
+    }
+    return Promise.reject(error);
+  });
+  return () => axios.interceptors.response.eject(interceptor);
+};
@@ -0,0 +1,74 @@
+import axios from 'axios';
+
+const API_BASE = window.location.origin.includes('localhost')
+  ? 'http://localhost:4000/api'
+  : '/api';
+
+// merge keeps existing servers and adds what is missing; replace deletes every server first
+export type RestoreMode = 'merge' | 'replace';
+
+export interface BackupCounts {
+  servers: number;
+  policies: number;
+  context: number;
+  history: number;
+  chatMessages: number;
+  chatSessions: number;
+  uploads: number;
+}
+
+export interface BackupInfo {
+  createdAt: string | null;
+  createdBy: string | null;
+  schemaVersion: number;
+  currentSchemaVersion: number;
+  servers: { name: string; host: string; username: string }[];
+  counts: BackupCounts;
+}
+
+export interface RestoreResult {
+  mode: RestoreMode;
+  counts: {
+    serversAdded: number;
+    serversMerged: number;
+    policies: number;
+    context: number;
+    history: number;
+    chatMessages: number;
+    uploads: number;
+  };
+  warnings: string[];
+}
+
+// Admins only. Resolves with the archive and the file name the server suggested.
+export const exportBackup = async (passphrase: string): Promise<{ blob: Blob; filename: string }> => {
+  const res = await axios.post(`${API_BASE}/backup/export`, { passphrase }, { responseType: 'blob' }).catch(async err => {
+    // Error responses arrive as a Blob too; unwrap the { error } body for the caller
+    if (axios.isAxiosError(err) && err.response?.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // Not JSON; leave it as it is
+      }
+    }
+    throw err;
+  });
+  const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+  return { blob: res.data, filename: match ? match[1] : 'sshfix-backup.json.gz' };
+};
+
+export const inspectBackup = async (archive: File): Promise<BackupInfo> => {
+  const form = new FormData();
+  form.append('archive', archive);
+  const res = await axios.post(`${API_BASE}/backup/inspect`, form);
+  return res.data;
+};
+
+export const restoreBackup = async (archive: File, passphrase: string, mode: RestoreMode): Promise<RestoreResult> => {
+  const form = new FormData();
+  form.append('archive', archive);
+  form.append('passphrase', passphrase);
+  form.append('mode', mode);
+  const res = await axios.post(`${API_BASE}/backup/restore`, form);
+  return res.data;
+};
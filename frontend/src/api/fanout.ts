@@ -0,0 +1,115 @@
+import type { CommandRisk } from './ssh';
+
+const API_BASE = window.location.origin.includes('localhost')
+  ? 'http://localhost:4000/api'
+  : '/api';
+
+// How a server's run ended (see backend/src/services/fanoutService.js)
+export type FanoutStatus = 'ok' | 'failed' | 'blocked' | 'error' | 'skipped';
+
+export interface FanoutResult {
+  serverId: number;
+  name: string;
+  status: FanoutStatus;
+  exitCode: number | null;
+  signal: string | null;
+  durationMs: number | null;
+  timedOut: boolean;
+  truncated: boolean;
+  output: string;
+  error: string | null;
+}
+
+// Servers whose runs ended the same way with identical output
+export interface FanoutGroup {
+  status: FanoutStatus;
+  exitCode: number | null;
+  output: string;
+  error: string | null;
+  serverIds: number[];
+}
+
+export interface FanoutSummary {
+  groups: FanoutGroup[];
+  counts: Record<FanoutStatus, number>;
+  stopped: boolean;   // servers were skipped because one failed or the client left
+}
+
+export interface FanoutRequest {
+  serverIds: number[];
+  command: string;
+  concurrency?: number;
+  timeoutMs?: number | null;   // per server; null uses each server's own timeout
+  stopOnFailure?: boolean;
+  confirmed?: boolean;         // set once the user has confirmed a high-risk command
+}
+
+export interface FanoutHandlers {
+  onStart?: (servers: { serverId: number; name: string }[]) => void;
+  onServerStarted?: (serverId: number) => void;
+  onResult?: (result: FanoutResult) => void;
+  // Aborting skips the servers that have not started yet
+  abortSignal?: AbortSignal;
+}
+
+type FanoutEvent =
+  | { type: 'start'; servers: { serverId: number; name: string }[] }
+  | { type: 'started'; serverId: number }
+  | ({ type: 'result' } & FanoutResult)
+  | ({ type: 'summary' } & FanoutSummary)
+  | { type: 'error'; error: string };
+
+// Runs a command on several servers, reporting progress as NDJSON events arrive. Resolves
+// with the summary once every server is done. An unconfirmed high-risk command rejects
+// with an error carrying the risk analysis in `risk`.
+export const streamFanout = async (request: FanoutRequest, { onStart, onServerStarted, onResult, abortSignal }: FanoutHandlers = {}): Promise<FanoutSummary> => {
+  const res = await fetch(`${API_BASE}/servers/fanout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+    credentials: 'include',
+    signal: abortSignal
+  });
+  if (!res.ok || !res.body) {
+    const body = await res.json().catch(() => null);
+    throw Object.assign(new Error(body?.error || `Request failed with status ${res.status}`), { risk: body?.risk as CommandRisk | undefined });
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  let summary: FanoutSummary | null = null;
+
+  const handleLine = (line: string) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line) as FanoutEvent;
+    switch (event.type) {
+      case 'start':
+        onStart?.(event.servers);
+        break;
+      case 'started':
+        onServerStarted?.(event.serverId);
+        break;
+      case 'result':
+        onResult?.(event);
+        break;
+      case 'summary':
+        summary = { groups: event.groups, counts: event.counts, stopped: event.stopped };
+        break;
+      case 'error':
+        throw new Error(event.error);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop() ?? '';
+    lines.forEach(handleLine);
+  }
+  handleLine(buffered);
+
+  if (!summary) throw new Error('Connection closed before the run finished');
+  return summary;
+};
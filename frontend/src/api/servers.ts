@@ -1,4 +1,5 @@
 import axios from 'axios';
+import type { Role } from './auth';
 
 // Fix API base URL to handle both dev and prod environments
 const API_BASE = window.location.origin.includes('localhost') 
@@ -15,6 +16,26 @@ export const addServer = async (server: any) => {
   return res.data;
 };
 
+// Fields left out keep their value; secrets are only replaced when sent (null removes them)
+export interface ServerChanges {
+  name?: string;
+  host?: string;
+  port?: number;
+  username?: string;
+  password?: string | null;
+  privateKey?: string | null;
+  passphrase?: string | null;
+  jumpServerId?: number | null;
+  commandTimeoutMs?: number | null;
+  // Only pinned if the server still presents it; the type is read from the server
+  hostKeyFingerprint?: string;
+}
+
+export const updateServer = async (id: number, changes: ServerChanges) => {
+  const res = await axios.put(`${API_BASE}/servers/${id}`, changes);
+  return res.data;
+};
+
 export const deleteServer = async (id: number) => {
   const res = await axios.delete(`${API_BASE}/servers/${id}`);
   return res.data;
@@ -67,6 +88,11 @@ export const testServerConnection = async (id: number) => {
   return res.data;
 };
 
+export const acceptHostKey = async (id: number, fingerprint: string) => {
+  const res = await axios.post(`${API_BASE}/servers/${id}/host-key/accept`, { fingerprint });
+  return res.data;
+};
+
 export const getChatSessions = async (serverId: number) => {
   const response = await axios.get(`${API_BASE}/servers/${serverId}/chat-sessions`);
   return response.data;
@@ -80,4 +106,123 @@ export const setChatSession = async (serverId: number, sessionId: string) => {
 export const testNewServerConnection = async (server: any) => {
   const res = await axios.post(`${API_BASE}/servers/test-connection`, server);
   return res.data;
-}; 
\ No newline at end of file
+};
+
+// Import from OpenSSH config, CSV or Ansible inventories (see backend/src/utils/serverImport.js)
+export type ImportFormat = 'auto' | 'ssh-config' | 'csv' | 'ansible-ini' | 'ansible-yaml';
+
+export interface ImportedServer {
+  name: string;
+  host: string;
+  port: number;
+  username: string | null;
+  password: string | null;
+  jump: string | null;           // ProxyJump-style reference: [user@]host[:port]
+  identityFile: string | null;   // key file named in the source; its key must be supplied
+  tags: string[];
+  warnings: string[];
+  conflict: boolean;             // a server with the same host and username is already saved
+  duplicate: boolean;            // listed earlier in the same import
+  jumpTarget: { serverId: number; name: string } | { importName: string } | null;
+  errors: string[];
+}
+
+export interface ImportPreview {
+  format: Exclude<ImportFormat, 'auto'>;
+  servers: ImportedServer[];
+  warnings: string[];
+}
+
+// Filled in for servers that lack them
+export interface ImportDefaults {
+  username?: string;
+  password?: string;
+  privateKey?: string;
+  passphrase?: string;
+}
+
+export type ImportStatus = 'added' | 'conflict' | 'invalid' | 'failed' | 'skipped' | 'error';
+
+export interface ImportResult {
+  name: string;
+  host: string;
+  status: ImportStatus;
+  serverId: number | null;
+  error: string | null;
+  tips: string[];
+  hostKey: { fingerprint: string; type?: string } | null;
+}
+
+export const previewImport = async (content: string, format: ImportFormat, filename = ''): Promise<ImportPreview> => {
+  const res = await axios.post(`${API_BASE}/servers/import/preview`, { content, format, filename });
+  return res.data;
+};
+
+// With test, only the servers that connect are saved
+export const importServers = async (servers: ImportedServer[], defaults: ImportDefaults, test: boolean): Promise<{ results: ImportResult[]; counts: Record<ImportStatus, number> }> => {
+  const res = await axios.post(`${API_BASE}/servers/import`, { servers, defaults, test });
+  return res.data;
+};
+
+// Per-server command policy (see backend/src/utils/commandPolicy.js)
+export interface MaintenanceWindow {
+  days: number[];   // 0 = Sunday; empty means every day
+  start: string;    // HH:MM, UTC
+  end: string;
+}
+
+export interface ServerPolicy {
+  readOnly: boolean;
+  forbidSudo: boolean;
+  allowPatterns: string[];
+  denyPatterns: string[];
+  maintenanceWindows: MaintenanceWindow[];
+}
+
+export interface PolicyViolation {
+  id: number;
+  command: string;
+  source: string;
+  rule: string;
+  reason: string;
+  created_at: string;
+}
+
+export const getServerPolicy = async (id: number): Promise<ServerPolicy> => {
+  const res = await axios.get(`${API_BASE}/servers/${id}/policy`);
+  return res.data;
+};
+
+export const updateServerPolicy = async (id: number, policy: ServerPolicy): Promise<ServerPolicy> => {
+  const res = await axios.put(`${API_BASE}/servers/${id}/policy`, policy);
+  return res.data;
+};
+
+export const getPolicyViolations = async (id: number): Promise<PolicyViolation[]> => {
+  const res = await axios.get(`${API_BASE}/servers/${id}/policy/violations`);
+  return res.data;
+};
+
+export interface ServerGrant {
+  user_id: number;
+  username: string;
+  account_role: Role;
+  role: Role;
+  created_at: string;
+}
+
+export const getServerGrants = async (id: number): Promise<ServerGrant[]> => {
+  const res = await axios.get(`${API_BASE}/servers/${id}/grants`);
+  return res.data;
+};
+
+// Shares the server with a user, or changes their role on it
+export const shareServer = async (id: number, userId: number, role: Role): Promise<ServerGrant[]> => {
+  const res = await axios.put(`${API_BASE}/servers/${id}/grants/${userId}`, { role });
+  return res.data;
+};
+
+export const unshareServer = async (id: number, userId: number): Promise<ServerGrant[]> => {
+  const res = await axios.delete(`${API_BASE}/servers/${id}/grants/${userId}`);
+  return res.data;
+};
@@ -2,7 +2,128 @@ import axios from 'axios';
 
 const API_BASE = 'http://localhost:4000/api';
 
-export const runSSHCommand = async (serverId: number, command: string) => {
-  const res = await axios.post(`${API_BASE}/servers/${serverId}/ssh`, { command });
+export interface SSHCommandResult {
+  output: string;   // stdout and stderr interleaved
+  stdout: string;
+  stderr: string;
+  exitCode: number | null;
+  signal: string | null;
+  durationMs: number;
+  truncated: boolean;   // the middle of the output was cut to stay under the capture limit
+  timedOut: boolean;    // the command was terminated after the timeout
+  historyId: number;
+}
+
+export type CommandRiskLevel = 'low' | 'medium' | 'high';
+
+// Result of the backend risk classifier (backend/src/utils/commandRisk.js)
+export interface CommandRisk {
+  command: string;
+  level: CommandRiskLevel;
+  reasons: { level: CommandRiskLevel; text: string }[];
+  requiresConfirmation: boolean;
+}
+
+export const analyzeCommand = async (serverId: number, command: string): Promise<CommandRisk> => {
+  const res = await axios.post(`${API_BASE}/servers/${serverId}/ssh/analyze`, { command });
+  return res.data;
+};
+
+// timeoutMs overrides the server's command timeout for this request. High-risk commands
+// are refused with 428 and the risk analysis unless confirmed is set.
+export const runSSHCommand = async (serverId: number, command: string, timeoutMs?: number, confirmed = false): Promise<SSHCommandResult> => {
+  const res = await axios.post(`${API_BASE}/servers/${serverId}/ssh`, { command, timeoutMs, confirmed });
+  return res.data;
+}; 
+export type SSHStreamEvent =
+  | { type: 'start'; runId: string }
+  | { type: 'stdout' | 'stderr'; data: string }
+  | {
+      type: 'exit';
+      exitCode: number | null;
+      signal: string | null;
+      durationMs: number;
+      truncated: boolean;
+      timedOut: boolean;
+      historyId: number | null;
+      runId: string;
+      cancelled: boolean;
+    }
+  | { type: 'error'; error: string };
+
+export type SSHStreamExit = Extract<SSHStreamEvent, { type: 'exit' }>;
+
+export interface SSHStreamHandlers {
+  onStart?: (runId: string) => void;
+  onStdout?: (data: string) => void;
+  onStderr?: (data: string) => void;
+  timeoutMs?: number;
+  // Set once the user has confirmed a high-risk command
+  confirmed?: boolean;
+  // Aborting drops the connection, which also interrupts the command on the server
+  abortSignal?: AbortSignal;
+}
+
+// Runs a command through the NDJSON streaming endpoint, reporting output as it arrives.
+// Resolves with the exit event once the command has finished. An unconfirmed high-risk
+// command rejects with an error carrying the risk analysis in `risk`.
+export const streamSSHCommand = async (
+  serverId: number,
+  command: string,
+  { onStart, onStdout, onStderr, timeoutMs, confirmed = false, abortSignal }: SSHStreamHandlers = {}
+): Promise<SSHStreamExit> => {
+  const res = await fetch(`${API_BASE}/servers/${serverId}/ssh/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ command, timeoutMs, confirmed }),
+    credentials: 'include',
+    signal: abortSignal
+  });
+  if (!res.ok || !res.body) {
+    const body = await res.json().catch(() => null);
+    throw Object.assign(new Error(body?.error || `Request failed with status ${res.status}`), { risk: body?.risk as CommandRisk | undefined });
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  let exit: SSHStreamExit | null = null;
+
+  const handleLine = (line: string) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line) as SSHStreamEvent;
+    switch (event.type) {
+      case 'start':
+        onStart?.(event.runId);
+        break;
+      case 'stdout':
+        onStdout?.(event.data);
+        break;
+      case 'stderr':
+        onStderr?.(event.data);
+        break;
+      case 'exit':
+        exit = event;
+        break;
+      case 'error':
+        throw new Error(event.error);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop() ?? '';
+    lines.forEach(handleLine);
+  }
+  handleLine(buffered);
+
+  if (!exit) throw new Error('Connection closed before the command finished');
+  return exit;
+};
+
+export const cancelSSHCommand = async (serverId: number, runId: string, signal: 'INT' | 'TERM' | 'HUP' | 'QUIT' | 'KILL' = 'INT') => {
+  const res = await axios.post(`${API_BASE}/servers/${serverId}/ssh/${runId}/cancel`, { signal });
   return res.data;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,34 @@
+import axios from 'axios';
+import type { Role } from './auth';
+
+const API_BASE = window.location.origin.includes('localhost')
+  ? 'http://localhost:4000/api'
+  : '/api';
+
+export interface User {
+  id: number;
+  username: string;
+  role: Role;
+  created_at: string;
+  last_login_at: string | null;
+}
+
+export const listUsers = async (): Promise<User[]> => {
+  const res = await axios.get(`${API_BASE}/users`);
+  return res.data;
+};
+
+// The rest is for admins only
+export const createUser = async (username: string, password: string, role: Role): Promise<User> => {
+  const res = await axios.post(`${API_BASE}/users`, { username, password, role });
+  return res.data;
+};
+
+export const updateUserRole = async (id: number, role: Role): Promise<User> => {
+  const res = await axios.put(`${API_BASE}/users/${id}`, { role });
+  return res.data;
+};
+
+export const deleteUser = async (id: number) => {
+  await axios.delete(`${API_BASE}/users/${id}`);
+};
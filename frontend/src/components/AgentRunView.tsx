@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import type { AgentRunStatus, AgentRunWithSteps, AgentStep } from '../api/ai';
+import { analyzeCommand } from '../api/ssh';
+import type { CommandRisk } from '../api/ssh';
+import CommandConfirmDialog from './CommandConfirmDialog';
+
+const RUN_STATUS: Record<AgentRunStatus, { label: string; color: string }> = {
+  running: { label: 'Investigating...', color: '#2563eb' },
+  awaiting_approval: { label: 'Waiting for your approval', color: '#b7791f' },
+  completed: { label: 'Diagnosis ready', color: '#2f855a' },
+  step_limit: { label: 'Step limit reached', color: '#b7791f' },
+  stopped: { label: 'Stopped', color: '#888' },
+  failed: { label: 'Failed', color: '#e53e3e' }
+};
+
+const RISK_COLORS = { low: '#2f855a', medium: '#b7791f', high: '#e53e3e' };
+
+const buttonStyle = (background: string, disabled: boolean): React.CSSProperties => ({
+  borderRadius: 6, background, color: '#fff', fontWeight: 600, border: 'none', padding: '4px 12px',
+  cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.7 : 1
+});
+
+function describeStep(step: AgentStep): { text: string; color: string } {
+  switch (step.status) {
+    case 'pending':
+      return { text: 'Needs approval', color: '#b7791f' };
+    case 'running':
+      return { text: step.decided_by ? `Approved by ${step.decided_by}, running...` : 'Running...', color: '#2563eb' };
+    case 'blocked':
+      return { text: step.error || 'Blocked by the server policy', color: '#e53e3e' };
+    case 'rejected':
+      return { text: step.decided_by ? `Declined by ${step.decided_by}` : 'Declined', color: '#888' };
+    case 'failed':
+      return { text: step.error || 'Could not be run', color: '#e53e3e' };
+    default: {
+      const how = step.decided_by ? `approved by ${step.decided_by}` : 'ran automatically';
+      const duration = step.duration_ms !== null ? `, ${(step.duration_ms / 1000).toFixed(1)}s` : '';
+      if (step.timed_out) return { text: `Timed out (${how}${duration})`, color: '#e53e3e' };
+      if (step.signal) return { text: `Killed by ${step.signal} (${how}${duration})`, color: '#e53e3e' };
+      const ok = step.exit_code === 0 || step.exit_code === null;
+      return { text: `${step.exit_code === null ? 'Finished' : `Exit code ${step.exit_code}`} (${how}${duration})`, color: ok ? '#2f855a' : '#e53e3e' };
+    }
+  }
+}
+
+interface AgentRunViewProps {
+  run: AgentRunWithSteps;
+  // Another request for this chat is in progress
+  busy: boolean;
+  readOnly: boolean;
+  // What the user types to approve a high-risk step, e.g. the server name
+  confirmationText: string;
+  onDecide: (run: AgentRunWithSteps, step: AgentStep, approve: boolean, confirmed?: boolean) => void;
+  onStop: (run: AgentRunWithSteps) => void;
+}
+
+// The commands an agent run asked for, with their results; pending ones can be approved
+// or declined here, high-risk ones only after typing the confirmation text. The diagnosis
+// itself is a regular chat message.
+const AgentRunView: React.FC<AgentRunViewProps> = ({ run, busy, readOnly, confirmationText, onDecide, onStop }) => {
+  const [confirming, setConfirming] = useState<{ step: AgentStep; risk: CommandRisk } | null>(null);
+  const status = RUN_STATUS[run.status];
+  const canDecide = !busy && !readOnly && run.status === 'awaiting_approval';
+
+  const approve = async (step: AgentStep) => {
+    if (step.risk_level !== 'high') return onDecide(run, step, true);
+    try {
+      setConfirming({ step, risk: await analyzeCommand(run.server_id, step.command) });
+    } catch {
+      alert('Could not check the risk of this command');
+    }
+  };
+
+  return (
+    <div style={{ margin: '0 0 10px', padding: '8px 12px', borderRadius: 12, border: '1px solid #e0e7ff', background: '#f8faff', maxWidth: '85%' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, marginBottom: run.steps.length > 0 ? 6 : 0 }}>
+        <span style={{ fontWeight: 700, color: '#4f46e5' }}>Agent</span>
+        <span style={{ color: status.color, fontWeight: 600 }}>{status.label}</span>
+        <span style={{ color: '#888' }}>
+          {run.step_count}/{run.max_steps} commands, {Math.round(run.step_timeout_ms / 1000)}s each at most
+        </span>
+        {run.status === 'awaiting_approval' && !readOnly && (
+          <button onClick={() => onStop(run)} disabled={!canDecide} style={{ ...buttonStyle('#fff', !canDecide), color: '#e53e3e', border: '1px solid #e53e3e', marginLeft: 'auto' }}>Stop run</button>
+        )}
+      </div>
+      {run.steps.map(step => {
+        const outcome = describeStep(step);
+        return (
+          <div key={step.id} style={{ borderTop: '1px solid #e0e7ff', padding: '6px 0', fontSize: 13 }}>
+            <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+              <span style={{ color: '#888' }}>{step.step}. $ </span>{step.command}
+            </div>
+            {step.reason && <div style={{ color: '#555' }}>{step.reason}</div>}
+            <div style={{ color: outcome.color }}>{outcome.text}</div>
+            {step.status === 'pending' && (
+              <div style={{ marginTop: 4 }}>
+                <div style={{ color: '#555' }}>
+                  {step.change_reason ? `This command changes the server: ${step.change_reason}.` : 'This command needs approval.'}
+                  {step.risk_level && <> Risk: <span style={{ color: RISK_COLORS[step.risk_level], fontWeight: 600 }}>{step.risk_level}</span></>}
+                </div>
+                {!readOnly && (
+                  <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
+                    <button onClick={() => approve(step)} disabled={!canDecide} style={buttonStyle(step.risk_level === 'high' ? '#e53e3e' : '#6cf', !canDecide)}>Approve &amp; Run</button>
+                    <button onClick={() => onDecide(run, step, false)} disabled={!canDecide} style={buttonStyle('#888', !canDecide)}>Decline</button>
+                  </div>
+                )}
+              </div>
+            )}
+            {step.output && (
+              <details style={{ marginTop: 2 }}>
+                <summary style={{ cursor: 'pointer', color: '#2563eb' }}>Output{step.output_truncated ? ' (shortened)' : ''}</summary>
+                <pre style={{ margin: '4px 0 0', padding: 8, background: '#1e1e1e', color: '#eee', borderRadius: 6, maxHeight: 200, overflow: 'auto', fontSize: 12, whiteSpace: 'pre-wrap' }}>{step.output}</pre>
+              </details>
+            )}
+          </div>
+        );
+      })}
+      {run.error && <div style={{ color: run.status === 'failed' ? '#e53e3e' : '#b7791f', fontSize: 13, marginTop: 4 }}>{run.error}</div>}
+      {confirming && (
+        <CommandConfirmDialog
+          command={confirming.step.command}
+          risk={confirming.risk}
+          confirmationText={confirmationText}
+          onConfirm={() => { setConfirming(null); onDecide(run, confirming.step, true, true); }}
+          onCancel={() => setConfirming(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AgentRunView;
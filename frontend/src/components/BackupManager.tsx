@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { exportBackup, inspectBackup, restoreBackup } from '../api/backup';
+import type { BackupInfo, RestoreMode, RestoreResult } from '../api/backup';
+
+const inputStyle: React.CSSProperties = { borderRadius: 6, border: '1px solid #ccc', padding: '4px 6px' };
+const buttonStyle = (disabled: boolean, background = '#6cf'): React.CSSProperties => ({
+  borderRadius: 8, background, color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px',
+  cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.7 : 1
+});
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : fallback;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+interface BackupManagerProps {
+  // restored is true once a backup was restored, so the caller can reload what it shows
+  onClose: (restored: boolean) => void;
+}
+
+// Export and restore of every server with its credentials, context, history, chats and
+// chat images. Admins only. Credentials in the archive are sealed with a passphrase.
+const BackupManager: React.FC<BackupManagerProps> = ({ onClose }) => {
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportConfirm, setExportConfirm] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [archive, setArchive] = useState<File | null>(null);
+  const [info, setInfo] = useState<BackupInfo | null>(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [mode, setMode] = useState<RestoreMode>('merge');
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState<RestoreResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleExport = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    if (exportPassphrase !== exportConfirm) {
+      setError('The passphrases do not match');
+      return;
+    }
+    setExporting(true);
+    try {
+      const { blob, filename } = await exportBackup(exportPassphrase);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setExportPassphrase('');
+      setExportConfirm('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create backup'));
+    }
+    setExporting(false);
+  };
+
+  const handleFile = async (file: File | null) => {
+    setArchive(file);
+    setInfo(null);
+    setResult(null);
+    setError(null);
+    if (!file) return;
+    setBusy(true);
+    try {
+      setInfo(await inspectBackup(file));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to read backup'));
+    }
+    setBusy(false);
+  };
+
+  const handleRestore = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!archive || !info) return;
+    if (mode === 'replace' && !window.confirm('Replace deletes every current server, with its history, chats and sharing, before restoring. Continue?')) return;
+    setError(null);
+    setBusy(true);
+    try {
+      setResult(await restoreBackup(archive, restorePassphrase, mode));
+      setRestorePassphrase('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to restore backup'));
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: '#fff', borderRadius: 16, boxShadow: '0 8px 32px #0004', padding: 32, minWidth: 340, maxWidth: 560, width: '100%', maxHeight: '90vh', overflowY: 'auto', position: 'relative' }}>
+        <button onClick={() => onClose(result !== null)} style={{ position: 'absolute', top: 12, right: 16, background: 'none', border: 'none', fontSize: 22, color: '#888', cursor: 'pointer' }}>&times;</button>
+        <h2 style={{ marginTop: 0, color: '#213547' }}>Backup &amp; Restore</h2>
+
+        <h3 style={{ color: '#213547', marginBottom: 4 }}>Export</h3>
+        <div style={{ color: '#888', fontSize: 13, marginBottom: 12 }}>
+          Downloads every server with its context, history, chat sessions and chat images. Server credentials are encrypted with the passphrase; it is needed to restore the backup.
+        </div>
+        <form onSubmit={handleExport} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8 }}>
+          <input type="password" value={exportPassphrase} onChange={e => setExportPassphrase(e.target.value)} placeholder={`Passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)`} autoComplete="new-password" minLength={MIN_PASSPHRASE_LENGTH} required style={{ ...inputStyle, flex: 1, minWidth: 120 }} />
+          <input type="password" value={exportConfirm} onChange={e => setExportConfirm(e.target.value)} placeholder="Repeat passphrase" autoComplete="new-password" required style={{ ...inputStyle, flex: 1, minWidth: 120 }} />
+          <button type="submit" disabled={exporting} style={buttonStyle(exporting)}>
+            {exporting ? 'Exporting...' : 'Download Backup'}
+          </button>
+        </form>
+
+        <h3 style={{ color: '#213547', marginBottom: 4, marginTop: 24, paddingTop: 16, borderTop: '1px solid #eee' }}>Restore</h3>
+        <input type="file" accept=".gz,application/gzip" onChange={e => handleFile(e.target.files?.[0] || null)} style={{ marginBottom: 12 }} />
+        {info && (
+          <div style={{ background: '#f7fafc', borderRadius: 8, padding: 12, fontSize: 13, marginBottom: 12 }}>
+            <div>
+              Made {info.createdAt ? new Date(info.createdAt).toLocaleString() : 'at an unknown time'}
+              {info.createdBy && <> by {info.createdBy}</>}
+            </div>
+            <div>
+              {info.counts.servers} servers, {info.counts.chatSessions} chat sessions ({info.counts.chatMessages} messages), {info.counts.history} history entries, {info.counts.context} context entries, {info.counts.policies} policies, {info.counts.uploads} images
+            </div>
+            {info.schemaVersion < info.currentSchemaVersion && (
+              <div style={{ color: '#888' }}>Made with an older database schema; it is upgraded while restoring.</div>
+            )}
+            {info.servers.length > 0 && (
+              <div style={{ color: '#888', marginTop: 4 }}>
+                {info.servers.map(server => `${server.name} (${server.username}@${server.host})`).join(', ')}
+              </div>
+            )}
+          </div>
+        )}
+        {info && !result && (
+          <form onSubmit={handleRestore}>
+            <label style={{ display: 'block', marginBottom: 4 }}>
+              <input type="radio" name="mode" checked={mode === 'merge'} onChange={() => setMode('merge')} /> Merge: keep current servers, add the missing ones and their history and chats
+            </label>
+            <label style={{ display: 'block', marginBottom: 12 }}>
+              <input type="radio" name="mode" checked={mode === 'replace'} onChange={() => setMode('replace')} /> Replace: delete every current server, then restore the backup
+            </label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <input type="password" value={restorePassphrase} onChange={e => setRestorePassphrase(e.target.value)} placeholder="Backup passphrase" autoComplete="off" required style={{ ...inputStyle, flex: 1 }} />
+              <button type="submit" disabled={busy} style={buttonStyle(busy, mode === 'replace' ? '#e53e3e' : '#6cf')}>
+                {busy ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          </form>
+        )}
+        {busy && !info && <div style={{ color: '#888' }}>Reading backup...</div>}
+        {result && (
+          <div style={{ background: '#f0fff4', borderRadius: 8, padding: 12, fontSize: 13 }}>
+            <div style={{ fontWeight: 600 }}>Backup restored ({result.mode})</div>
+            <div>
+              {result.counts.serversAdded} servers added, {result.counts.serversMerged} already present; {result.counts.chatMessages} chat messages, {result.counts.history} history entries, {result.counts.context} context entries, {result.counts.policies} policies and {result.counts.uploads} images restored
+            </div>
+            {result.warnings.map((warning, i) => <div key={i} style={{ color: '#b7791f' }}>{warning}</div>)}
+          </div>
+        )}
+        {error && <div style={{ color: '#e53e3e', marginTop: 12 }}>{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default BackupManager;
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { testServerConnection } from '../api/servers';
+import { streamFanout } from '../api/fanout';
+import type { CommandRisk } from '../api/ssh';
+import CommandConfirmDialog from './CommandConfirmDialog';
+
+// How many connections are tested at the same time
+const CONCURRENCY = 4;
+
+export interface BulkTarget {
+  id: number;
+  name: string;
+}
+
+interface BulkResult {
+  serverId: number;
+  name: string;
+  status: 'pending' | 'running' | 'ok' | 'failed';
+  summary: string;
+  output: string;
+}
+
+const STATUS_COLORS: Record<BulkResult['status'], string> = {
+  pending: '#888',
+  running: '#2563eb',
+  ok: '#22bb55',
+  failed: '#e53e3e'
+};
+
+const errorMessage = (err: unknown) =>
+  axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : (err as Error).message;
+
+// Calls worker for every item, at most CONCURRENCY at a time
+const runAll = async <T,>(items: T[], worker: (item: T) => Promise<void>) => {
+  const queue = [...items];
+  const next = async (): Promise<void> => {
+    const item = queue.shift();
+    if (item === undefined) return;
+    await worker(item);
+    return next();
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, next));
+};
+
+interface BulkActionsProps {
+  targets: BulkTarget[];
+  onClear: () => void;
+}
+
+// Action bar for the servers selected in ServerList: test their connections or run one
+// command on all of them, with the results shown side by side
+const BulkActions: React.FC<BulkActionsProps> = ({ targets, onClear }) => {
+  const [command, setCommand] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [results, setResults] = useState<BulkResult[]>([]);
+  const [pendingRisk, setPendingRisk] = useState<CommandRisk | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const update = (serverId: number, changes: Partial<BulkResult>) =>
+    setResults(prev => prev.map(result => (result.serverId === serverId ? { ...result, ...changes } : result)));
+
+  const start = async (worker: (target: BulkTarget) => Promise<Partial<BulkResult>>) => {
+    setBusy(true);
+    setError(null);
+    setResults(targets.map(target => ({ serverId: target.id, name: target.name, status: 'pending', summary: 'Waiting...', output: '' })));
+    await runAll(targets, async target => {
+      update(target.id, { status: 'running', summary: 'Running...' });
+      try {
+        update(target.id, await worker(target));
+      } catch (err) {
+        update(target.id, { status: 'failed', summary: errorMessage(err) });
+      }
+    });
+    setBusy(false);
+  };
+
+  const handleTest = () => start(async target => {
+    const result = await testServerConnection(target.id);
+    return result.success
+      ? { status: 'ok', summary: `Connected (${result.os || 'OS not detected'})` }
+      : { status: 'failed', summary: result.error || 'Connection failed' };
+  });
+
+  // Runs through the fan-out endpoint, which reports each server as it finishes
+  const runCommand = async (confirmed: boolean) => {
+    if (!command.trim() || targets.length === 0) return;
+    setBusy(true);
+    setError(null);
+    setResults(targets.map(target => ({ serverId: target.id, name: target.name, status: 'pending', summary: 'Waiting...', output: '' })));
+    try {
+      await streamFanout({ serverIds: targets.map(target => target.id), command, confirmed }, {
+        onServerStarted: serverId => update(serverId, { status: 'running', summary: 'Running...' }),
+        onResult: result => {
+          const exit = result.timedOut ? 'timed out' : result.signal ? `killed by ${result.signal}` : `exit ${result.exitCode}`;
+          update(result.serverId, result.error
+            ? { status: 'failed', summary: result.error }
+            : {
+                status: result.status === 'ok' ? 'ok' : 'failed',
+                summary: `${exit} in ${((result.durationMs ?? 0) / 1000).toFixed(1)}s${result.truncated ? ', output truncated' : ''}`,
+                output: result.output
+              });
+        }
+      });
+    } catch (err) {
+      const risk = (err as { risk?: CommandRisk }).risk;
+      if (risk) {
+        setResults([]);
+        setPendingRisk(risk);
+      } else {
+        setError((err as Error).message);
+      }
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: 16, background: '#f0f4ff', border: '1px solid #b6d0ff' }}>
+      <div className="flex items-center gap-4" style={{ flexWrap: 'wrap' }}>
+        <b>{targets.length} selected</b>
+        <button onClick={handleTest} disabled={busy} className="btn btn-secondary">Test Connections</button>
+        <input
+          value={command}
+          onChange={e => setCommand(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && !busy) runCommand(false); }}
+          placeholder="Command to run on every selected server, e.g. df -h"
+          className="form-input"
+          style={{ flex: 1, minWidth: 240, fontFamily: 'monospace' }}
+        />
+        <button onClick={() => runCommand(false)} disabled={busy || !command.trim()} className="btn btn-primary">Run</button>
+        <Link to={`/fanout?servers=${targets.map(target => target.id).join(',')}&command=${encodeURIComponent(command)}`} className="btn btn-outline" title="Concurrency, timeouts, stop on failure and grouped output">More Options</Link>
+        <button onClick={() => { setResults([]); onClear(); }} disabled={busy} className="btn btn-outline">Clear Selection</button>
+      </div>
+      {error && <div className="text-danger" style={{ marginTop: 8 }}>{error}</div>}
+      {results.length > 0 && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))', gap: 12, marginTop: 16 }}>
+          {results.map(result => (
+            <div key={result.serverId} style={{ background: '#fff', borderRadius: 8, border: '1px solid #e5e7eb', padding: 12, minWidth: 0 }}>
+              <div className="flex items-center justify-between" style={{ marginBottom: 6 }}>
+                <b>{result.name}</b>
+                <span style={{ color: STATUS_COLORS[result.status], fontSize: 12, fontWeight: 600 }}>{result.status}</span>
+              </div>
+              <div style={{ fontSize: 13, color: '#555', wordBreak: 'break-word' }}>{result.summary}</div>
+              {result.output && (
+                <pre style={{ background: '#181818', color: '#e0e0e0', borderRadius: 6, padding: 8, margin: '8px 0 0 0', maxHeight: 240, overflow: 'auto', fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{result.output}</pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {pendingRisk && (
+        <CommandConfirmDialog
+          command={command}
+          risk={pendingRisk}
+          confirmationText={`${targets.length} servers`}
+          onConfirm={() => { setPendingRisk(null); runCommand(true); }}
+          onCancel={() => setPendingRisk(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default BulkActions;
@@ -1,10 +1,13 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useParams } from 'react-router-dom';
-import { getAISuggestion, getAIAvailability, uploadImages, editAISuggestion } from '../api/ai';
+import { streamAISuggestion, getAIAvailability, uploadImages, editAISuggestion, startAgentRun, decideAgentStep, stopAgentRun, getAgentRuns } from '../api/ai';
+import type { AIAvailability, AgentRun, AgentRunResult, AgentRunWithSteps, AgentStep, AgentStreamHandlers, ContextUsage } from '../api/ai';
+import type { CommandRiskLevel } from '../api/ssh';
 import { getChatHistory, addChatMessage, getChatSessions } from '../api/servers';
 import axios from 'axios';
 import ReactMarkdown from 'react-markdown';
 import type { Components } from 'react-markdown';
+import AgentRunView from './AgentRunView';
 
 // Define ChatMessage interface including ai_request_context
 interface ChatMessage {
@@ -17,8 +20,32 @@ interface ChatMessage {
   json?: any; // Parsed JSON from AI response
   ai_request_context?: string; // Full context sent to AI
   imageUrls?: string[]; // URLs of images associated with the user message for easier re-edit
+  streaming?: boolean; // The AI answer is still arriving
+  context_usage?: string | null; // Token breakdown of the request (ContextUsage JSON)
 }
 
+const RISK_COLORS: Record<CommandRiskLevel, string> = { low: '#2f855a', medium: '#b7791f', high: '#e53e3e' };
+
+// The token breakdown of the latest AI answer in history, if it has one
+const lastContextUsage = (history: ChatMessage[]): ContextUsage | null => {
+  const message = [...history].reverse().find(m => m.role === 'ai' && m.context_usage);
+  if (!message?.context_usage) return null;
+  try {
+    return JSON.parse(message.context_usage) as ContextUsage;
+  } catch {
+    return null;
+  }
+};
+
+const describeContextUsage = (usage: ContextUsage) => [
+  `${usage.total} of ${usage.budget} tokens available to ${usage.model} (${usage.contextWindow} token window, the rest is kept for the answer)`,
+  `System prompt: ${usage.system}`,
+  `Summary of ${usage.messages.summarized} earlier messages: ${usage.summary}`,
+  `Terminal context: ${usage.terminal} (${usage.commands.sent} commands, ${usage.commands.failed} failed; ${usage.commands.omitted} left out)`,
+  `Chat history: ${usage.history} (${usage.messages.sent} messages; ${usage.messages.omitted} left out)`,
+  `New message: ${usage.prompt}`
+].join('\n');
+
 const quickActions = [
   { label: 'List all files', value: 'ls -al' },
   { label: 'Find root folder', value: 'cd / && ls' },
@@ -30,23 +57,26 @@ interface ChatProps {
   onQuickCommand?: (command: string) => void;
   panelHeight?: number;
   serverId: number;
-  model: 'openai' | 'gemini' | 'gemini-pro' | 'claude';
-  setModel: (m: 'openai' | 'gemini' | 'gemini-pro' | 'claude') => void;
+  model: string; // a model id from /api/ai/available
+  setModel: (m: string) => void;
   sendToTerminal?: (cmd: string) => void;
   geminiSuggestions?: any[];
   getLastTerminalEntries?: () => any[];
   setGeminiSuggestions: (s: any[]) => void;
   currentChatSessionId?: string | null;
   onStartNewSession?: () => void;
+  // Viewers read the conversation but cannot send messages
+  readOnly?: boolean;
+  // Typed to confirm a high-risk command of an agent run
+  serverName?: string;
 }
 
-const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId, model, setModel, sendToTerminal, geminiSuggestions = [], getLastTerminalEntries, setGeminiSuggestions, currentChatSessionId, onStartNewSession }) => {
+const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId, model, setModel, sendToTerminal, geminiSuggestions = [], getLastTerminalEntries, setGeminiSuggestions, currentChatSessionId, onStartNewSession, readOnly = false, serverName = 'confirm' }) => {
   const [prompt, setPrompt] = useState('');
   const [history, setHistory] = useState<ChatMessage[]>([]);
   const [loading, setLoading] = useState(false);
-  const [aiAvailable, setAIAvailable] = useState<{openai: boolean, gemini: boolean, claude: boolean} | null>(null);
+  const [aiAvailable, setAIAvailable] = useState<AIAvailability | null>(null);
   const [withTerminalContext, setWithTerminalContext] = useState(true);
-  const [estimatedTokens, setEstimatedTokens] = useState<number | null>(null);
   const [newSession, setNewSession] = useState(false);
   const chatEndRef = useRef<HTMLDivElement>(null);
   const [images, setImages] = useState<File[]>([]);
@@ -67,11 +97,28 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
   const [explanationToShow, setExplanationToShow] = useState('');
   const [explanationTitle, setExplanationTitle] = useState('');
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  // Aborts the AI response being streamed
+  const abortRef = useRef<AbortController | null>(null);
+  const [streaming, setStreaming] = useState(false);
+  // Agent mode: the AI runs read-only commands itself before answering
+  const [agentMode, setAgentMode] = useState(false);
+  const [agentMaxSteps, setAgentMaxSteps] = useState(8);
+  const [agentStepTimeout, setAgentStepTimeout] = useState(60); // seconds
+  const [agentRuns, setAgentRuns] = useState<AgentRunWithSteps[]>([]);
 
   useEffect(() => {
     getAIAvailability().then(setAIAvailable);
   }, []);
 
+  // Fall back to the first usable model when the chosen one is not available here
+  useEffect(() => {
+    const usable = aiAvailable?.models.filter(m => m.available) ?? [];
+    if (usable.length > 0 && !usable.some(m => m.id === model)) setModel(usable[0].id);
+  }, [aiAvailable, model, setModel]);
+
+  const selectedModel = aiAvailable?.models.find(m => m.id === model);
+  const contextUsage = lastContextUsage(history);
+
   useEffect(() => {
     if (serverId && currentChatSessionId) {
       setLoading(true);
@@ -86,11 +133,19 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
           setHistory([]); // Ensure history is clear on error
           setLoading(false);
         });
+      setAgentRuns([]);
+      getAgentRuns(serverId, currentChatSessionId)
+        .then(setAgentRuns)
+        .catch(err => console.error(`Failed to load agent runs for session ${currentChatSessionId}:`, err));
     } else {
       setHistory([]); // Clear history if no serverId or sessionId, or if session ID is null
+      setAgentRuns([]);
     }
   }, [serverId, currentChatSessionId]);
 
+  // A response still streaming belongs to the session being left
+  useEffect(() => () => abortRef.current?.abort(), [serverId, currentChatSessionId]);
+
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [history]);
@@ -143,6 +198,7 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
   const ensureUploadUrl = (url: string) => url.startsWith('/uploads/') ? url : `/uploads/${url.replace(/^.*[\\/]/, '')}`;
 
   const handleSend = async () => {
+    if (agentMode) return handleAgentSend();
     if ((!prompt.trim() && images.length === 0) || !serverId || !currentChatSessionId) return;
     setLoading(true);
     
@@ -172,19 +228,34 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     setPrompt('');
     setImages([]);
     setImagePreviews([]);
-    
+
+    // The answer is shown in a placeholder AI message as it arrives
+    setHistory(prev => [...prev, { role: 'ai', message: '', json: { answer: '' }, created_at: new Date().toISOString(), streaming: true }]);
+    let streamedAnswer = '';
+    const updateStreamingMessage = (changes: Partial<ChatMessage>) =>
+      setHistory(prev => prev.map(m => m.streaming ? { ...m, ...changes } : m));
+    const abort = new AbortController();
+    abortRef.current = abort;
+    setStreaming(true);
+
     try {
       // Backend will save the user message and AI response with the chatSessionId
-      const res = await getAISuggestion(
-        userMessageContent, 
-        model,
-        serverId, 
-        currentChatSessionId, // Pass currentChatSessionId
-        withTerminalContext, 
-        false, // newSession flag is deprecated here, session is managed by ID
-        uploadedImageUrls, 
-        false, // edit flag
-        undefined // messageId for edit
+      await streamAISuggestion(
+        {
+          prompt: userMessageContent,
+          model,
+          serverId,
+          chatSessionId: currentChatSessionId,
+          withTerminalContext,
+          imageUrls: uploadedImageUrls
+        },
+        {
+          onAnswer: text => {
+            streamedAnswer += text;
+            updateStreamingMessage({ message: streamedAnswer, json: { answer: streamedAnswer } });
+          },
+          abortSignal: abort.signal
+        }
       );
 
       // After AI response, refresh the entire chat history for the current session
@@ -192,30 +263,104 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
       if (serverId && currentChatSessionId) {
         const updatedHistory = await getChatHistory(serverId, currentChatSessionId);
         setHistory(updatedHistory || []);
-        // Try to find the estimatedTokens from the last AI message if backend provides it
-        const lastAiMsg = updatedHistory.findLast((m: ChatMessage) => m.role === 'ai');
-        if (lastAiMsg && typeof (lastAiMsg as any).estimatedTokens === 'number') {
-          setEstimatedTokens((lastAiMsg as any).estimatedTokens);
-        } else {
-          setEstimatedTokens(null);
-        }
       }
-    } catch (e: any) {
-      let errorMsg = e?.response?.data?.error || e.message || 'Unknown error';
-      const tip = e?.response?.status === 500 ? '\nAI service failed. Check API keys, backend logs, network.' : '';
-      const aiErrorResponse: ChatMessage = {
-        role: 'ai',
-        message: errorMsg + tip,
-        created_at: new Date().toISOString(),
-      };
-      // If AI call fails, ensure the optimistic user message is still in history, then add error.
-      // This replaces the optimistic message with itself if it's still the last one, then adds error.
-      setHistory(prev => prev.map(m => m === optimisticUserMessage ? optimisticUserMessage : m).concat([aiErrorResponse]));
-      setEstimatedTokens(null);
+    } catch (e) {
+      if (abort.signal.aborted) {
+        // Keep what arrived so far; the backend saves nothing for a stopped response
+        const stopped = (streamedAnswer ? streamedAnswer + '\n\n' : '') + '(Stopped. This exchange was not saved.)';
+        updateStreamingMessage({ message: stopped, json: { answer: stopped }, streaming: false });
+      } else {
+        const errorMsg = e instanceof Error ? e.message : 'Unknown error';
+        const tip = errorMsg.startsWith('Failed to process AI request') ? '\nAI service failed. Check API keys, backend logs, network.' : '';
+        const aiErrorResponse: ChatMessage = {
+          role: 'ai',
+          message: errorMsg + tip,
+          created_at: new Date().toISOString(),
+        };
+        // Keep the optimistic user message and replace the partial answer with the error
+        setHistory(prev => prev.filter(m => !m.streaming).concat([aiErrorResponse]));
+      }
+    }
+    if (abortRef.current === abort) abortRef.current = null;
+    setStreaming(false);
+    setLoading(false);
+  };
+
+  const upsertAgentRun = (run: AgentRun) =>
+    setAgentRuns(prev => prev.some(r => r.id === run.id)
+      ? prev.map(r => r.id === run.id ? { ...r, ...run } : r)
+      : [...prev, { ...run, steps: [] }]);
+
+  const upsertAgentStep = (step: AgentStep) =>
+    setAgentRuns(prev => prev.map(r => r.id !== step.run_id ? r : {
+      ...r,
+      steps: r.steps.some(s => s.id === step.id) ? r.steps.map(s => s.id === step.id ? step : s) : [...r.steps, step]
+    }));
+
+  // Reloads the session's messages and agent runs, so they carry their ids
+  const reloadAgentSession = async () => {
+    if (!serverId || !currentChatSessionId) return;
+    const [updatedHistory, runs] = await Promise.all([
+      getChatHistory(serverId, currentChatSessionId),
+      getAgentRuns(serverId, currentChatSessionId)
+    ]);
+    setHistory(updatedHistory || []);
+    setAgentRuns(runs);
+  };
+
+  // Streams an agent run (started or continued) into agentRuns; Stop aborts it
+  const streamAgent = async (request: (handlers: AgentStreamHandlers) => Promise<AgentRunResult>) => {
+    setLoading(true);
+    const abort = new AbortController();
+    abortRef.current = abort;
+    setStreaming(true);
+    try {
+      await request({ onRun: upsertAgentRun, onStep: upsertAgentStep, abortSignal: abort.signal });
+      await reloadAgentSession();
+    } catch (e) {
+      if (abort.signal.aborted) {
+        // The backend stops the run once the connection closes
+        setAgentRuns(prev => prev.map(r => r.status === 'running' ? { ...r, status: 'stopped' } : r));
+      } else {
+        setHistory(prev => [...prev, { role: 'ai', message: e instanceof Error ? e.message : 'Unknown error', created_at: new Date().toISOString() }]);
+      }
     }
+    if (abortRef.current === abort) abortRef.current = null;
+    setStreaming(false);
     setLoading(false);
   };
 
+  const handleAgentSend = async () => {
+    if (!prompt.trim() || !serverId || !currentChatSessionId) return;
+    const userMessageContent = prompt;
+    setHistory(prev => [...prev, { role: 'user', message: userMessageContent, created_at: new Date().toISOString() }]);
+    setPrompt('');
+    // Agent runs do not take images
+    setImages([]);
+    setImagePreviews([]);
+    await streamAgent(handlers => startAgentRun({
+      prompt: userMessageContent,
+      model,
+      serverId,
+      chatSessionId: currentChatSessionId,
+      withTerminalContext,
+      maxSteps: agentMaxSteps,
+      stepTimeoutMs: agentStepTimeout * 1000
+    }, handlers));
+  };
+
+  const handleAgentDecision = (run: AgentRunWithSteps, step: AgentStep, approve: boolean, confirmed = false) =>
+    streamAgent(handlers => decideAgentStep(run.id, step.id, approve, handlers, confirmed));
+
+  const handleAgentStop = async (run: AgentRunWithSteps) => {
+    try {
+      upsertAgentRun(await stopAgentRun(run.id));
+      await reloadAgentSession();
+    } catch (err) {
+      alert(axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : 'Failed to stop the agent run');
+    }
+  };
+
   const handleQuickAction = (value: string) => {
     setPrompt(value);
     if (onQuickCommand) {
@@ -228,7 +373,6 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     if (onStartNewSession) {
       onStartNewSession(); // This will trigger a change in currentChatSessionId prop
       // The useEffect for [serverId, currentChatSessionId] will then clear and fetch history.
-      setEstimatedTokens(null);
       setGeminiSuggestions([]); 
       setPrompt('');
       setImages([]);
@@ -236,7 +380,7 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     }
   };
 
-  const noAIConfigured = aiAvailable && !aiAvailable.openai && !aiAvailable.gemini && !aiAvailable.claude;
+  const noAIConfigured = aiAvailable && !aiAvailable.models.some(m => m.available);
 
   const startEdit = (msg: any, idx: number) => {
     setEditingMsgId(msg.id);
@@ -319,12 +463,6 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
       if (serverId && currentChatSessionId) {
         const updatedHistory = await getChatHistory(serverId, currentChatSessionId);
         setHistory(updatedHistory || []);
-        const lastAiMsg = updatedHistory.findLast((m: ChatMessage) => m.role === 'ai');
-        if (lastAiMsg && typeof (lastAiMsg as any).estimatedTokens === 'number') {
-          setEstimatedTokens((lastAiMsg as any).estimatedTokens);
-        } else {
-          setEstimatedTokens(null);
-        }
       }
     } catch (err: any) {
       let errorMsg = err?.response?.data?.error || err.message || 'Unknown error';
@@ -388,7 +526,8 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     const res = await fetch(baseUrl + '/api/terminal/suggest-alt', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ entries, previousSuggestion: lastSuggestion })
+      body: JSON.stringify({ entries, previousSuggestion: lastSuggestion }),
+      credentials: 'include'
     });
     const data = await res.json();
     setGeminiSuggestions(geminiSuggestions.map((s, i) => i === geminiSuggestions.length - 1 ? { ...s, altSuggestion: data.json || { answer: data.response, commands: [] } } : s));
@@ -411,7 +550,6 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     const hist = await getChatHistory(serverId, session.date);
     setHistory(hist);
     setPrompt('');
-    setEstimatedTokens(null);
     setGeminiSuggestions([]);
     setLoading(false);
   };
@@ -477,15 +615,15 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
     >
       {noAIConfigured && (
         <div style={{ background: '#fff3cd', color: '#856404', borderRadius: 8, padding: 12, marginBottom: 12, border: '1px solid #ffeeba', fontWeight: 500 }}>
-          ⚠️ No AI API keys configured on the backend. AI features will not work.
+          ⚠️ No AI provider is configured on the backend (API keys, or a local OpenAI-compatible or Ollama server). AI features will not work.
         </div>
       )}
       <div style={{ display: 'flex', alignItems: 'center', gap: 16, marginBottom: 12 }}>
-        <button onClick={handleNewSessionClick} style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '6px 16px', fontSize: 14, boxShadow: '0 1px 4px #0001' }} disabled={loading}>New Chat Session</button>
+        <button onClick={handleNewSessionClick} style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '6px 16px', fontSize: 14, boxShadow: '0 1px 4px #0001' }} disabled={loading || readOnly}>New Chat Session</button>
         <button onClick={handleOpenHistoryModal} style={{ borderRadius: 8, background: '#fff', color: '#2563eb', fontWeight: 700, border: '1px solid #2563eb', padding: '6px 16px', fontSize: 14, boxShadow: '0 1px 4px #0001' }} disabled={loading}>Load Chat History</button>
-        {estimatedTokens !== null && (
-          <div style={{ position: 'absolute', top: 16, right: 24, color: '#888', fontSize: 13, fontWeight: 500, zIndex: 2 }}>
-            <span>Estimated tokens: {typeof estimatedTokens === 'number' ? estimatedTokens : 0}</span>
+        {contextUsage && (
+          <div style={{ position: 'absolute', top: 16, right: 24, color: '#888', fontSize: 13, fontWeight: 500, zIndex: 2 }} title={describeContextUsage(contextUsage)}>
+            <span>Context tokens: {contextUsage.total} / {contextUsage.budget}</span>
           </div>
         )}
       </div>
@@ -635,18 +773,21 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
           let answer = msg.message;
           let commands: string[] = [];
           let explanations: string[] = [];
+          let risks: CommandRiskLevel[] = [];
           
           if (isAI && msg.json !== undefined) {
             // If we store json in history, use it
             answer = msg.json.answer || msg.message;
             commands = msg.json.commands || [];
             explanations = msg.json.explanations || [];
+            risks = msg.json.risks || [];
           } else if (isAI) {
             try {
               const parsed = JSON.parse(msg.message);
               answer = parsed.answer || msg.message;
               commands = parsed.commands || [];
               explanations = parsed.explanations || [];
+              risks = parsed.risks || [];
             } catch {
               answer = msg.message;
               commands = [];
@@ -655,101 +796,116 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
           }
 
           return (
-            <div key={msg.id || i} style={{ display: 'flex', flexDirection: 'column', alignItems: msg.role === 'user' ? 'flex-end' : 'flex-start', marginBottom: 10, opacity: msg.isGeminiSuggestion ? 0.95 : 1 }}>
-              <div style={{ 
-                maxWidth: '85%', 
-                padding: '8px 12px', 
-                borderRadius: 12,
-                background: msg.role === 'user' ? '#6366f1' : '#f3f4f6',
-                color: msg.role === 'user' ? '#fff' : '#111',
-                whiteSpace: 'pre-wrap',
-                wordBreak: 'break-word'
-              }}>
-                {answer}
-                {isAI && commands.length > 0 && (
-                  <div style={{ marginTop: 8 }}>
-                    {commands.map((cmd, idx) => (
-                      <div key={idx} style={{ display: 'flex', alignItems: 'center', marginBottom: 4 }}>
-                        <button
-                          onClick={() => handleCommandClick(cmd)}
-                          style={{
-                            background: '#fff',
-                            border: '1px solid #e5e7eb',
-                            borderRadius: 6,
-                            padding: '4px 8px',
-                            cursor: 'pointer',
-                            color: '#111',
-                            fontFamily: 'monospace',
-                            fontSize: '0.9em',
-                            marginRight: 8,
-                            flex: 1
-                          }}
-                        >
-                          {cmd}
-                        </button>
-                        {explanations[idx] && (
-                          <span
-                            style={{ cursor: 'pointer', color: '#6366f1', marginLeft: 4, fontSize: 18 }}
-                            title="View command explanation"
-                            onClick={() => {
-                              setExplanationTitle(cmd);
-                              setExplanationToShow(explanations[idx]);
-                              setShowExplanationModal(true);
+            <React.Fragment key={msg.id || i}>
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: msg.role === 'user' ? 'flex-end' : 'flex-start', marginBottom: 10, opacity: msg.isGeminiSuggestion ? 0.95 : 1 }}>
+                <div style={{ 
+                  maxWidth: '85%', 
+                  padding: '8px 12px', 
+                  borderRadius: 12,
+                  background: msg.role === 'user' ? '#6366f1' : '#f3f4f6',
+                  color: msg.role === 'user' ? '#fff' : '#111',
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word'
+                }}>
+                  {answer}
+                  {msg.streaming && <span style={{ color: '#888' }}>{answer ? ' ▍' : 'Thinking...'}</span>}
+                  {isAI && commands.length > 0 && (
+                    <div style={{ marginTop: 8 }}>
+                      {commands.map((cmd, idx) => (
+                        <div key={idx} style={{ display: 'flex', alignItems: 'center', marginBottom: 4 }}>
+                          <button
+                            onClick={() => handleCommandClick(cmd)}
+                            style={{
+                              background: '#fff',
+                              border: '1px solid #e5e7eb',
+                              borderRadius: 6,
+                              padding: '4px 8px',
+                              cursor: 'pointer',
+                              color: '#111',
+                              fontFamily: 'monospace',
+                              fontSize: '0.9em',
+                              marginRight: 8,
+                              flex: 1
                             }}
                           >
-                            ?
-                          </span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
-              <div style={{ fontSize: 10, color: '#888', marginTop: 2 }}>
-                {msg.role === 'user'
-                  ? 'You'
-                  : msg.model === 'gemini' || msg.isGeminiSuggestion
-                    ? 'Gemini AI'
-                    : `${model === 'openai' ? 'OpenAI' : model === 'gemini' ? 'Gemini' : model === 'gemini-pro' ? 'Gemini Pro' : model === 'claude' ? 'Claude' : 'AI'} AI`}
-                {' • ' + new Date(msg.created_at).toLocaleString()}
-                {msg.role === 'ai' && msg.ai_request_context && (
-                  <span 
-                    onClick={() => showAiContext(msg.ai_request_context)}
-                    style={{ cursor: 'pointer', marginLeft: 8, fontWeight: 'bold', color: '#007bff' }} 
-                    title="View AI Prompt Context"
-                  >
-                    (i)
-                  </span>
+                            {cmd}
+                          </button>
+                          {RISK_COLORS[risks[idx]] && (
+                            <span style={{ color: RISK_COLORS[risks[idx]], fontSize: 12, fontWeight: 600, marginRight: 4 }} title="Risk of this command">
+                              {risks[idx]}
+                            </span>
+                          )}
+                          {explanations[idx] && (
+                            <span
+                              style={{ cursor: 'pointer', color: '#6366f1', marginLeft: 4, fontSize: 18 }}
+                              title="View command explanation"
+                              onClick={() => {
+                                setExplanationTitle(cmd);
+                                setExplanationToShow(explanations[idx]);
+                                setShowExplanationModal(true);
+                              }}
+                            >
+                              ?
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div style={{ fontSize: 10, color: '#888', marginTop: 2 }}>
+                  {msg.role === 'user'
+                    ? 'You'
+                    : msg.model === 'gemini' || msg.isGeminiSuggestion
+                      ? 'Gemini AI'
+                      : selectedModel?.label || 'AI'}
+                  {' • ' + new Date(msg.created_at).toLocaleString()}
+                  {msg.role === 'ai' && msg.ai_request_context && (
+                    <span 
+                      onClick={() => showAiContext(msg.ai_request_context)}
+                      style={{ cursor: 'pointer', marginLeft: 8, fontWeight: 'bold', color: '#007bff' }} 
+                      title="View AI Prompt Context"
+                    >
+                      (i)
+                    </span>
+                  )}
+                </div>
+                {editingMsgId === msg.id && (
+                  <form onSubmit={handleEditSubmit} style={{ marginTop: 8, background: '#f0f4ff', borderRadius: 8, padding: 12, boxShadow: '0 1px 4px #0001' }}>
+                    <textarea value={editPrompt} onChange={e => setEditPrompt(e.target.value)} rows={2} style={{ width: '100%', borderRadius: 8, border: '1px solid #ccc', padding: 8, fontFamily: 'inherit', resize: 'none' }} placeholder="Edit your message..." title="Edit your message" />
+                    <div style={{ display: 'flex', gap: 8, margin: '8px 0' }}>
+                      {editImageUrls.map((url, idx) => (
+                        <div key={url} style={{ position: 'relative' }}>
+                          <img src={ensureUploadUrl(url)} alt="old attachment" style={{ width: 48, height: 48, objectFit: 'cover', borderRadius: 8, border: '1px solid #ccc', cursor: 'pointer' }} onClick={() => setModalImage(url)} />
+                          <button type="button" onClick={() => handleRemoveEditImage(idx, true)} style={{ position: 'absolute', top: -8, right: -8, background: '#fff', border: '1px solid #e53e3e', color: '#e53e3e', borderRadius: '50%', width: 18, height: 18, fontSize: 10, cursor: 'pointer' }}>×</button>
+                        </div>
+                      ))}
+                      {editImagePreviews.map((src, idx) => (
+                        <div key={src} style={{ position: 'relative' }}>
+                          <img src={src} alt="preview" style={{ width: 48, height: 48, objectFit: 'cover', borderRadius: 8, border: '1px solid #ccc', cursor: 'pointer' }} onClick={() => setModalImage(src)} />
+                          <button type="button" onClick={() => handleRemoveEditImage(idx, false)} style={{ position: 'absolute', top: -8, right: -8, background: '#fff', border: '1px solid #e53e3e', color: '#e53e3e', borderRadius: '50%', width: 18, height: 18, fontSize: 10, cursor: 'pointer' }}>×</button>
+                        </div>
+                      ))}
+                    </div>
+                    <input type="file" accept="image/*" multiple style={{ display: 'none' }} id="edit-attach" onChange={e => e.target.files && handleEditFiles(e.target.files)} title="Attach images for edit" />
+                    <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+                      <button type="button" onClick={() => document.getElementById('edit-attach')?.click()} style={{ borderRadius: 8, background: '#e0e7ff', color: '#222', fontWeight: 700, padding: '6px 12px', minWidth: 0 }}>📎</button>
+                      <button type="submit" style={{ borderRadius: 8, background: '#6cf', color: '#222', fontWeight: 700, padding: '6px 16px', minWidth: 80 }}>Save</button>
+                      <button type="button" onClick={cancelEdit} style={{ borderRadius: 8, background: '#fff', color: '#e53e3e', fontWeight: 700, border: '1px solid #e53e3e', padding: '6px 16px', minWidth: 80 }}>Cancel</button>
+                    </div>
+                  </form>
                 )}
               </div>
-              {editingMsgId === msg.id && (
-                <form onSubmit={handleEditSubmit} style={{ marginTop: 8, background: '#f0f4ff', borderRadius: 8, padding: 12, boxShadow: '0 1px 4px #0001' }}>
-                  <textarea value={editPrompt} onChange={e => setEditPrompt(e.target.value)} rows={2} style={{ width: '100%', borderRadius: 8, border: '1px solid #ccc', padding: 8, fontFamily: 'inherit', resize: 'none' }} placeholder="Edit your message..." title="Edit your message" />
-                  <div style={{ display: 'flex', gap: 8, margin: '8px 0' }}>
-                    {editImageUrls.map((url, idx) => (
-                      <div key={url} style={{ position: 'relative' }}>
-                        <img src={ensureUploadUrl(url)} alt="old attachment" style={{ width: 48, height: 48, objectFit: 'cover', borderRadius: 8, border: '1px solid #ccc', cursor: 'pointer' }} onClick={() => setModalImage(url)} />
-                        <button type="button" onClick={() => handleRemoveEditImage(idx, true)} style={{ position: 'absolute', top: -8, right: -8, background: '#fff', border: '1px solid #e53e3e', color: '#e53e3e', borderRadius: '50%', width: 18, height: 18, fontSize: 10, cursor: 'pointer' }}>×</button>
-                      </div>
-                    ))}
-                    {editImagePreviews.map((src, idx) => (
-                      <div key={src} style={{ position: 'relative' }}>
-                        <img src={src} alt="preview" style={{ width: 48, height: 48, objectFit: 'cover', borderRadius: 8, border: '1px solid #ccc', cursor: 'pointer' }} onClick={() => setModalImage(src)} />
-                        <button type="button" onClick={() => handleRemoveEditImage(idx, false)} style={{ position: 'absolute', top: -8, right: -8, background: '#fff', border: '1px solid #e53e3e', color: '#e53e3e', borderRadius: '50%', width: 18, height: 18, fontSize: 10, cursor: 'pointer' }}>×</button>
-                      </div>
-                    ))}
-                  </div>
-                  <input type="file" accept="image/*" multiple style={{ display: 'none' }} id="edit-attach" onChange={e => e.target.files && handleEditFiles(e.target.files)} title="Attach images for edit" />
-                  <div style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
-                    <button type="button" onClick={() => document.getElementById('edit-attach')?.click()} style={{ borderRadius: 8, background: '#e0e7ff', color: '#222', fontWeight: 700, padding: '6px 12px', minWidth: 0 }}>📎</button>
-                    <button type="submit" style={{ borderRadius: 8, background: '#6cf', color: '#222', fontWeight: 700, padding: '6px 16px', minWidth: 80 }}>Save</button>
-                    <button type="button" onClick={cancelEdit} style={{ borderRadius: 8, background: '#fff', color: '#e53e3e', fontWeight: 700, border: '1px solid #e53e3e', padding: '6px 16px', minWidth: 80 }}>Cancel</button>
-                  </div>
-                </form>
-              )}
-            </div>
+              {msg.id !== undefined && agentRuns.filter(run => run.user_message_id === msg.id).map(run => (
+                <AgentRunView key={`agent-${run.id}`} run={run} busy={loading} readOnly={readOnly} confirmationText={serverName} onDecide={handleAgentDecision} onStop={handleAgentStop} />
+              ))}
+            </React.Fragment>
           );
         })}
+        {/* Runs whose prompt is not loaded yet */}
+        {agentRuns.filter(run => !history.some(msg => msg.id !== undefined && msg.id === run.user_message_id)).map(run => (
+          <AgentRunView key={`agent-${run.id}`} run={run} busy={loading} readOnly={readOnly} confirmationText={serverName} onDecide={handleAgentDecision} onStop={handleAgentStop} />
+        ))}
         <div ref={messagesEndRef} />
       </div>
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
@@ -758,18 +914,41 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
           <select
             id="model-select"
             value={model}
-            onChange={e => setModel(e.target.value as 'openai' | 'gemini' | 'gemini-pro' | 'claude')}
+            onChange={e => setModel(e.target.value)}
             style={{ marginRight: 8 }}
             title="AI Model"
           >
-            <option value="openai" disabled={aiAvailable ? !aiAvailable.openai : false}>OpenAI GPT-4o</option>
-            <option value="gemini" disabled={aiAvailable ? !aiAvailable.gemini : false}>Gemini Flash 2.5</option>
-            <option value="gemini-pro" disabled={aiAvailable ? !aiAvailable.gemini : false}>Gemini 2.5 Pro</option>
-            <option value="claude" disabled={aiAvailable ? !aiAvailable.claude : false}>Claude Sonnet 4</option>
+            {!selectedModel && <option value={model}>{aiAvailable ? model : 'Loading models...'}</option>}
+            {aiAvailable?.providers.filter(provider => aiAvailable.models.some(m => m.provider === provider.id)).map(provider => (
+              <optgroup key={provider.id} label={provider.configured ? provider.label : `${provider.label} (not configured)`}>
+                {aiAvailable.models.filter(m => m.provider === provider.id).map(m => (
+                  <option key={m.id} value={m.id} disabled={!m.available}>{m.label}</option>
+                ))}
+              </optgroup>
+            ))}
           </select>
+          {aiAvailable?.providers.filter(provider => provider.error).map(provider => (
+            <span key={provider.id} style={{ fontSize: 12, color: '#b7791f', marginRight: 8 }} title={provider.error ?? undefined}>{provider.label} unreachable</span>
+          ))}
+          {selectedModel && !selectedModel.capabilities.vision && images.length > 0 && !agentMode && (
+            <span style={{ fontSize: 12, color: '#b7791f' }}>This model cannot see images; they are not sent to it.</span>
+          )}
+          {!readOnly && (
+            <label style={{ fontSize: 13, marginLeft: 8 }} title="The AI runs read-only commands on the server itself and asks before running anything that changes it">
+              <input type="checkbox" checked={agentMode} onChange={e => setAgentMode(e.target.checked)} disabled={streaming} /> Agent mode
+            </label>
+          )}
+          {agentMode && !readOnly && (
+            <span style={{ fontSize: 13, color: '#555', marginLeft: 8 }}>
+              at most <input type="number" min={1} max={25} value={agentMaxSteps} onChange={e => setAgentMaxSteps(Number(e.target.value))} style={{ width: 44 }} title="Most commands the AI may run" /> commands,{' '}
+              <input type="number" min={1} max={600} value={agentStepTimeout} onChange={e => setAgentStepTimeout(Number(e.target.value))} style={{ width: 52 }} title="Seconds each command may run" /> s each
+              {images.length > 0 && <span style={{ color: '#b7791f' }}> (images are not sent in agent mode)</span>}
+            </span>
+          )}
         </div>
-        <span style={{ fontSize: 13, color: '#888', background: '#f8fafc', borderRadius: 6, padding: '2px 10px', zIndex: 2 }}>
-          Estimated tokens: {typeof estimatedTokens === 'number' ? estimatedTokens : 0}
+        <span style={{ fontSize: 13, color: '#888', background: '#f8fafc', borderRadius: 6, padding: '2px 10px', zIndex: 2 }} title={contextUsage ? describeContextUsage(contextUsage) : undefined}>
+          Context tokens: {contextUsage ? `${contextUsage.total} / ${contextUsage.budget}` : 0}
+          {contextUsage && contextUsage.messages.summarized > 0 && ` (${contextUsage.messages.summarized} older messages summarised)`}
         </span>
       </div>
       {imagePreviews.length > 0 && (
@@ -791,18 +970,26 @@ const Chat: React.FC<ChatProps> = ({ onQuickCommand, panelHeight = 400, serverId
         onChange={e => e.target.files && handleFiles(e.target.files)}
         title="Attach images"
       />
-      <div style={{ display: 'flex', gap: 8 }}>
-        <textarea
-          value={prompt}
-          onChange={e => setPrompt(e.target.value)}
-          placeholder="Ask the AI..."
-          rows={2}
-          style={{ flex: 1, borderRadius: 8, border: '1px solid #ccc', padding: 8, fontFamily: 'inherit', resize: 'none' }}
-          disabled={loading || !!noAIConfigured}
-        />
-        <button onClick={handleSend} disabled={loading || (!prompt && images.length === 0) || !!noAIConfigured} style={{ borderRadius: 8, background: '#6cf', color: '#222', fontWeight: 700, padding: '8px 16px', minWidth: 80 }}>{loading ? '...' : 'Send'}</button>
-        <button type="button" onClick={() => fileInputRef.current?.click()} style={{ borderRadius: 8, background: '#e0e7ff', color: '#222', fontWeight: 700, padding: '8px 12px', minWidth: 0 }}>📎</button>
-      </div>
+      {readOnly ? (
+        <div style={{ color: '#888', fontSize: 14, padding: 8 }}>You have view-only access to this server. Ask one of its admins for the operator role to chat with the AI.</div>
+      ) : (
+        <div style={{ display: 'flex', gap: 8 }}>
+          <textarea
+            value={prompt}
+            onChange={e => setPrompt(e.target.value)}
+            placeholder={agentMode ? 'Describe the problem; the AI investigates on the server...' : 'Ask the AI...'}
+            rows={2}
+            style={{ flex: 1, borderRadius: 8, border: '1px solid #ccc', padding: 8, fontFamily: 'inherit', resize: 'none' }}
+            disabled={loading || !!noAIConfigured}
+          />
+          {streaming ? (
+            <button onClick={() => abortRef.current?.abort()} title="Stop the response" style={{ borderRadius: 8, background: '#fff', color: '#e53e3e', fontWeight: 700, border: '1px solid #e53e3e', padding: '8px 16px', minWidth: 80 }}>Stop</button>
+          ) : (
+            <button onClick={handleSend} disabled={loading || (agentMode ? !prompt.trim() : !prompt && images.length === 0) || !!noAIConfigured} style={{ borderRadius: 8, background: '#6cf', color: '#222', fontWeight: 700, padding: '8px 16px', minWidth: 80 }}>{loading ? '...' : 'Send'}</button>
+          )}
+          <button type="button" onClick={() => fileInputRef.current?.click()} style={{ borderRadius: 8, background: '#e0e7ff', color: '#222', fontWeight: 700, padding: '8px 12px', minWidth: 0 }}>📎</button>
+        </div>
+      )}
       {modalImage && (
         <div onClick={() => setModalImage(null)} style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.7)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
           <div style={{ position: 'relative', maxWidth: '90vw', maxHeight: '90vh' }} onClick={e => e.stopPropagation()}>
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import type { CommandRisk, CommandRiskLevel } from '../api/ssh';
+
+const LEVEL_COLORS: Record<CommandRiskLevel, string> = {
+  low: '#22bb55',
+  medium: '#d97706',
+  high: '#e53e3e'
+};
+
+interface CommandConfirmDialogProps {
+  command: string;
+  risk: CommandRisk;
+  // What the user has to type to run the command, e.g. the server name
+  confirmationText: string;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+// Shown when the backend refuses a high-risk command until the user confirms it
+const CommandConfirmDialog: React.FC<CommandConfirmDialogProps> = ({ command, risk, confirmationText, onConfirm, onCancel }) => {
+  const [typed, setTyped] = useState('');
+  const matches = typed.trim() === confirmationText;
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: '#fff', borderRadius: 16, boxShadow: '0 8px 32px #0004', padding: 32, minWidth: 340, maxWidth: 480, position: 'relative' }}>
+        <button onClick={onCancel} style={{ position: 'absolute', top: 12, right: 16, background: 'none', border: 'none', fontSize: 22, color: '#888', cursor: 'pointer' }}>&times;</button>
+        <h2 style={{ marginTop: 0, color: LEVEL_COLORS[risk.level] }}>⚠ Confirm {risk.level}-risk command</h2>
+        <pre style={{ background: '#181818', color: '#e0e0e0', borderRadius: 8, padding: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-all', margin: '0 0 12px 0' }}>{command}</pre>
+        <ul style={{ margin: '0 0 16px 18px', padding: 0, color: '#213547' }}>
+          {risk.reasons.map((reason, i) => (
+            <li key={i} style={{ marginBottom: 4 }}>
+              <span style={{ color: LEVEL_COLORS[reason.level], fontWeight: 600 }}>{reason.level}:</span> {reason.text}
+            </li>
+          ))}
+        </ul>
+        <label style={{ display: 'block', marginBottom: 6, color: '#213547' }}>
+          Type <b>{confirmationText}</b> to run this command:
+        </label>
+        <input
+          autoFocus
+          value={typed}
+          onChange={e => setTyped(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && matches) onConfirm(); }}
+          style={{ width: '100%', boxSizing: 'border-box', padding: 8, borderRadius: 8, border: '1px solid #ccc', marginBottom: 16 }}
+        />
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button onClick={onCancel} style={{ borderRadius: 8, background: '#eee', color: '#213547', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: 'pointer' }}>
+            Cancel
+          </button>
+          <button onClick={onConfirm} disabled={!matches} style={{ borderRadius: 8, background: '#e53e3e', color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: matches ? 'pointer' : 'not-allowed', opacity: matches ? 1 : 0.6 }}>
+            Run command
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandConfirmDialog;
@@ -0,0 +1,228 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getServers } from '../api/servers';
+import { streamFanout } from '../api/fanout';
+import type { FanoutResult, FanoutStatus, FanoutSummary } from '../api/fanout';
+import type { CommandRisk } from '../api/ssh';
+import { hasRole } from '../api/auth';
+import type { Role } from '../api/auth';
+import CommandConfirmDialog from './CommandConfirmDialog';
+
+interface TargetServer {
+  id: number;
+  name: string;
+  host: string;
+  access: Role;
+  tags: string[];
+}
+
+// Progress of one server while the run is going: queued, running or its result
+type ServerProgress = { state: 'queued' } | { state: 'running' } | { state: 'done'; result: FanoutResult };
+
+const STATUS_COLORS: Record<FanoutStatus | 'queued' | 'running', string> = {
+  queued: '#888',
+  running: '#2563eb',
+  ok: '#22bb55',
+  failed: '#e53e3e',
+  blocked: '#d97706',
+  error: '#e53e3e',
+  skipped: '#888'
+};
+
+const inputStyle: React.CSSProperties = { borderRadius: 6, border: '1px solid #ccc', padding: '6px 8px' };
+
+const chipStyle = (active: boolean): React.CSSProperties => ({
+  fontSize: 12,
+  borderRadius: 10,
+  padding: '2px 8px',
+  cursor: 'pointer',
+  border: active ? '1px solid #2563eb' : '1px solid #d1d5db',
+  background: active ? '#2563eb' : '#fff',
+  color: active ? '#fff' : '#374151'
+});
+
+const describeOutcome = (status: FanoutStatus, exitCode: number | null) =>
+  status === 'ok' || status === 'failed' ? `${status}, exit ${exitCode ?? '-'}` : status;
+
+// Runs one command on many servers (POST /api/servers/fanout) and shows the progress as it
+// streams in. Once every server is done, identical outputs are grouped. The selection and
+// command can be passed in the URL: /fanout?servers=1,2,3&command=uptime
+const FanoutView: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const [servers, setServers] = useState<TargetServer[]>([]);
+  const [selectedIds, setSelectedIds] = useState<number[]>(() =>
+    (searchParams.get('servers') || '').split(',').map(Number).filter(id => Number.isInteger(id) && id > 0)
+  );
+  const [command, setCommand] = useState(searchParams.get('command') || '');
+  const [concurrency, setConcurrency] = useState(5);
+  const [timeoutSeconds, setTimeoutSeconds] = useState<number | ''>('');
+  const [stopOnFailure, setStopOnFailure] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState<Map<number, ServerProgress>>(new Map());
+  const [summary, setSummary] = useState<FanoutSummary | null>(null);
+  const [pendingRisk, setPendingRisk] = useState<CommandRisk | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  useEffect(() => {
+    getServers()
+      .then((data: TargetServer[]) => setServers(data.filter(server => hasRole(server.access, 'operator'))))
+      .catch(err => setError('Failed to load servers: ' + err.message));
+    // Leaving the page skips the servers that have not started yet
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const serverName = (id: number) => servers.find(server => server.id === id)?.name || `Server ${id}`;
+  const tags = [...new Set(servers.flatMap(server => server.tags))].sort();
+  const toggleServer = (id: number) =>
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  const selectTag = (tag: string) =>
+    setSelectedIds(prev => [...new Set([...prev, ...servers.filter(server => server.tags.includes(tag)).map(server => server.id)])]);
+
+  const setServerProgress = (serverId: number, entry: ServerProgress) =>
+    setProgress(prev => new Map(prev).set(serverId, entry));
+
+  const run = async (confirmed: boolean) => {
+    const targets = selectedIds.filter(id => servers.some(server => server.id === id));
+    if (!command.trim() || targets.length === 0) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setError(null);
+    setSummary(null);
+    setProgress(new Map(targets.map(id => [id, { state: 'queued' }])));
+    try {
+      const result = await streamFanout(
+        {
+          serverIds: targets,
+          command,
+          concurrency,
+          timeoutMs: timeoutSeconds === '' ? null : timeoutSeconds * 1000,
+          stopOnFailure,
+          confirmed
+        },
+        {
+          onServerStarted: serverId => setServerProgress(serverId, { state: 'running' }),
+          onResult: result => setServerProgress(result.serverId, { state: 'done', result }),
+          abortSignal: controller.signal
+        }
+      );
+      setSummary(result);
+    } catch (err) {
+      const risk = (err as { risk?: CommandRisk }).risk;
+      if (risk) {
+        setPendingRisk(risk);
+      } else if (controller.signal.aborted) {
+        setError('Stopped. Commands that had already started ran to completion; the other servers were skipped.');
+      } else {
+        setError((err as Error).message);
+      }
+    }
+    abortRef.current = null;
+    setRunning(false);
+  };
+
+  const entries = [...progress.entries()];
+  const finished = entries.filter(([, entry]) => entry.state === 'done').length;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="heading-2">Run on Multiple Servers</h2>
+        <Link to="/" className="link">← Back to Servers</Link>
+      </div>
+
+      <div className="mb-4">
+        <div className="flex items-center gap-4 mb-4" style={{ flexWrap: 'wrap' }}>
+          <b>Servers ({selectedIds.length} selected)</b>
+          <button onClick={() => setSelectedIds(servers.map(server => server.id))} disabled={running} className="btn btn-outline">Select All</button>
+          <button onClick={() => setSelectedIds([])} disabled={running} className="btn btn-outline">Select None</button>
+          {tags.length > 0 && <span className="text-secondary">Add by tag:</span>}
+          {tags.map(tag => <button key={tag} onClick={() => selectTag(tag)} disabled={running} style={chipStyle(false)}>{tag}</button>)}
+        </div>
+        {servers.length === 0 && !error && <p className="text-secondary">No servers you can run commands on.</p>}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 6 }}>
+          {servers.map(server => (
+            <label key={server.id} style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+              <input type="checkbox" checked={selectedIds.includes(server.id)} onChange={() => toggleServer(server.id)} disabled={running} />
+              {server.name} <span className="text-secondary" style={{ fontSize: 12 }}>{server.host}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-4 mb-4" style={{ flexWrap: 'wrap' }}>
+        <input
+          value={command}
+          onChange={e => setCommand(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && !running) run(false); }}
+          placeholder="Command, e.g. systemctl status nginx"
+          disabled={running}
+          style={{ ...inputStyle, flex: 1, minWidth: 240, fontFamily: 'monospace' }}
+        />
+        <label className="flex items-center" style={{ gap: 6 }}>
+          Parallel
+          <input type="number" min={1} max={20} value={concurrency} onChange={e => setConcurrency(Math.max(1, Math.min(20, Number(e.target.value) || 1)))} disabled={running} style={{ ...inputStyle, width: 60 }} />
+        </label>
+        <label className="flex items-center" style={{ gap: 6 }} title="Per server; leave empty for each server's own timeout">
+          Timeout (s)
+          <input type="number" min={1} max={86400} value={timeoutSeconds} onChange={e => setTimeoutSeconds(e.target.value === '' ? '' : Number(e.target.value))} placeholder="default" disabled={running} style={{ ...inputStyle, width: 80 }} />
+        </label>
+        <label className="flex items-center" style={{ gap: 6 }}>
+          <input type="checkbox" checked={stopOnFailure} onChange={e => setStopOnFailure(e.target.checked)} disabled={running} />
+          Stop on first failure
+        </label>
+        {running
+          ? <button onClick={() => abortRef.current?.abort()} className="btn btn-outline">Stop</button>
+          : <button onClick={() => run(false)} disabled={!command.trim() || selectedIds.length === 0} className="btn btn-primary">Run</button>}
+      </div>
+
+      {error && <div className="text-danger mb-4">{error}</div>}
+
+      {entries.length > 0 && (
+        <div className="mb-4">
+          <div className="text-secondary" style={{ marginBottom: 6 }}>{finished} of {entries.length} done{summary?.stopped ? ' (stopped early)' : ''}</div>
+          <div style={{ height: 6, background: '#e5e7eb', borderRadius: 3, overflow: 'hidden', marginBottom: 12 }}>
+            <div style={{ width: `${(finished / entries.length) * 100}%`, height: '100%', background: '#2563eb', transition: 'width 0.3s' }} />
+          </div>
+          <div className="flex" style={{ flexWrap: 'wrap', gap: 6 }}>
+            {entries.map(([serverId, entry]) => {
+              const state = entry.state === 'done' ? entry.result.status : entry.state;
+              return (
+                <span key={serverId} title={entry.state === 'done' ? entry.result.error || describeOutcome(entry.result.status, entry.result.exitCode) : state} style={{ fontSize: 12, borderRadius: 6, padding: '2px 8px', border: `1px solid ${STATUS_COLORS[state]}`, color: STATUS_COLORS[state] }}>
+                  {serverName(serverId)}: {state}
+                </span>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {summary && summary.groups.map((group, i) => (
+        <div key={i} style={{ border: '1px solid #e5e7eb', borderLeft: `4px solid ${STATUS_COLORS[group.status]}`, borderRadius: 8, padding: 12, marginBottom: 12 }}>
+          <div style={{ marginBottom: 6 }}>
+            <b>{group.serverIds.length} server{group.serverIds.length === 1 ? '' : 's'}</b>
+            <span style={{ color: STATUS_COLORS[group.status], marginLeft: 8, fontSize: 13 }}>{describeOutcome(group.status, group.exitCode)}</span>
+            <div className="text-secondary" style={{ fontSize: 13 }}>{group.serverIds.map(serverName).join(', ')}</div>
+          </div>
+          {group.error && <div className="text-danger" style={{ fontSize: 13 }}>{group.error}</div>}
+          {group.output && (
+            <pre style={{ background: '#181818', color: '#e0e0e0', borderRadius: 6, padding: 8, margin: 0, maxHeight: 320, overflow: 'auto', fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{group.output}</pre>
+          )}
+        </div>
+      ))}
+
+      {pendingRisk && (
+        <CommandConfirmDialog
+          command={command}
+          risk={pendingRisk}
+          confirmationText={`${selectedIds.length} servers`}
+          onConfirm={() => { setPendingRisk(null); run(true); }}
+          onCancel={() => setPendingRisk(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default FanoutView;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { login, setupFirstAccount } from '../api/auth';
+import type { AuthUser } from '../api/auth';
+
+interface LoginProps {
+  // No account exists yet: create the first one instead of logging in
+  setupRequired: boolean;
+  onLogin: (user: AuthUser) => void;
+}
+
+const Login: React.FC<LoginProps> = ({ setupRequired, onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (setupRequired && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = setupRequired
+        ? await setupFirstAccount(username.trim(), password)
+        : await login(username.trim(), password);
+      onLogin(user);
+    } catch (err) {
+      setError(axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : 'Could not reach the server');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ maxWidth: 400, margin: '0 auto' }}>
+      <h2 className="heading-2">{setupRequired ? 'Create Your Account' : 'Log In'}</h2>
+      {setupRequired && (
+        <p className="text-secondary mb-4">No accounts exist yet. The account you create here is an admin that can add the others.</p>
+      )}
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <div className="form-label">Username</div>
+          <input
+            className="form-input"
+            style={{ width: '100%', boxSizing: 'border-box' }}
+            value={username}
+            onChange={e => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+          />
+        </div>
+        <div className="form-group">
+          <div className="form-label">Password</div>
+          <input
+            className="form-input"
+            style={{ width: '100%', boxSizing: 'border-box' }}
+            type="password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            autoComplete={setupRequired ? 'new-password' : 'current-password'}
+            required
+          />
+        </div>
+        {setupRequired && (
+          <div className="form-group">
+            <div className="form-label">Confirm password</div>
+            <input
+              className="form-input"
+              style={{ width: '100%', boxSizing: 'border-box' }}
+              type="password"
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+        )}
+        {error && <div className="text-danger mb-4">{error}</div>}
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Please wait...' : setupRequired ? 'Create Account' : 'Log In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
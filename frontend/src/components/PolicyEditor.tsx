@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { getServerPolicy, updateServerPolicy, getPolicyViolations } from '../api/servers';
+import type { MaintenanceWindow, PolicyViolation } from '../api/servers';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const textareaStyle: React.CSSProperties = { width: '100%', boxSizing: 'border-box', minHeight: 64, padding: 8, borderRadius: 8, border: '1px solid #ccc', fontFamily: 'Consolas, monospace', fontSize: 13 };
+
+const toLines = (patterns: string[]) => patterns.join('\n');
+const fromLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+interface PolicyEditorProps {
+  serverId: number;
+  onClose: () => void;
+}
+
+// Edits the server's command policy; the backend enforces it for /ssh, the terminal and quick actions
+const PolicyEditor: React.FC<PolicyEditorProps> = ({ serverId, onClose }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+  const [readOnly, setReadOnly] = useState(false);
+  const [forbidSudo, setForbidSudo] = useState(false);
+  const [allowText, setAllowText] = useState('');
+  const [denyText, setDenyText] = useState('');
+  const [windows, setWindows] = useState<MaintenanceWindow[]>([]);
+  const [violations, setViolations] = useState<PolicyViolation[]>([]);
+
+  useEffect(() => {
+    Promise.all([getServerPolicy(serverId), getPolicyViolations(serverId)])
+      .then(([policy, recentViolations]) => {
+        setReadOnly(policy.readOnly);
+        setForbidSudo(policy.forbidSudo);
+        setAllowText(toLines(policy.allowPatterns));
+        setDenyText(toLines(policy.denyPatterns));
+        setWindows(policy.maintenanceWindows);
+        setViolations(recentViolations.slice(0, 10));
+      })
+      .catch(err => setError('Failed to load policy: ' + err.message))
+      .finally(() => setLoading(false));
+  }, [serverId]);
+
+  const updateWindow = (index: number, changes: Partial<MaintenanceWindow>) => {
+    setWindows(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+    setSaved(false);
+  };
+
+  const toggleDay = (index: number, day: number) => {
+    const days = windows[index].days;
+    updateWindow(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort() });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const policy = await updateServerPolicy(serverId, {
+        readOnly,
+        forbidSudo,
+        allowPatterns: fromLines(allowText),
+        denyPatterns: fromLines(denyText),
+        maintenanceWindows: windows
+      });
+      setAllowText(toLines(policy.allowPatterns));
+      setDenyText(toLines(policy.denyPatterns));
+      setWindows(policy.maintenanceWindows);
+      setSaved(true);
+    } catch (err) {
+      setError(axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : 'Failed to save policy');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: '#fff', borderRadius: 16, boxShadow: '0 8px 32px #0004', padding: 32, minWidth: 340, maxWidth: 560, width: '100%', maxHeight: '90vh', overflowY: 'auto', position: 'relative' }}>
+        <button onClick={onClose} style={{ position: 'absolute', top: 12, right: 16, background: 'none', border: 'none', fontSize: 22, color: '#888', cursor: 'pointer' }}>&times;</button>
+        <h2 style={{ marginTop: 0, color: '#213547' }}>Command Policy</h2>
+        {loading ? (
+          <div style={{ color: '#888' }}>Loading...</div>
+        ) : (
+          <>
+            <label style={{ display: 'block', marginBottom: 8 }}>
+              <input type="checkbox" checked={readOnly} onChange={e => { setReadOnly(e.target.checked); setSaved(false); }} /> <b>Read-only</b>: only commands that inspect the server
+            </label>
+            <label style={{ display: 'block', marginBottom: 16 }}>
+              <input type="checkbox" checked={forbidSudo} onChange={e => { setForbidSudo(e.target.checked); setSaved(false); }} /> <b>Forbid sudo</b> (also su, doas, pkexec)
+            </label>
+            <div style={{ marginBottom: 4 }}><b>Allow list</b> <span style={{ color: '#888', fontSize: 13 }}>regular expressions, one per line; if set, every command must match one</span></div>
+            <textarea value={allowText} onChange={e => { setAllowText(e.target.value); setSaved(false); }} style={{ ...textareaStyle, marginBottom: 12 }} placeholder="^(ls|cat|tail|grep)\b" />
+            <div style={{ marginBottom: 4 }}><b>Deny list</b> <span style={{ color: '#888', fontSize: 13 }}>regular expressions, one per line</span></div>
+            <textarea value={denyText} onChange={e => { setDenyText(e.target.value); setSaved(false); }} style={{ ...textareaStyle, marginBottom: 16 }} placeholder="\bshutdown\b" />
+            <div style={{ marginBottom: 4 }}><b>Maintenance windows</b> <span style={{ color: '#888', fontSize: 13 }}>UTC; outside them the server is read-only</span></div>
+            {windows.map((entry, index) => (
+              <div key={index} style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center', marginBottom: 8 }}>
+                {DAY_NAMES.map((name, day) => (
+                  <button
+                    key={day}
+                    onClick={() => toggleDay(index, day)}
+                    style={{ borderRadius: 6, border: '1px solid #6cf', padding: '2px 6px', fontSize: 12, cursor: 'pointer', background: entry.days.includes(day) ? '#6cf' : '#fff', color: entry.days.includes(day) ? '#fff' : '#213547' }}
+                  >
+                    {name}
+                  </button>
+                ))}
+                <input type="time" value={entry.start} onChange={e => updateWindow(index, { start: e.target.value })} />
+                –
+                <input type="time" value={entry.end} onChange={e => updateWindow(index, { end: e.target.value })} />
+                <button onClick={() => { setWindows(prev => prev.filter((_, i) => i !== index)); setSaved(false); }} style={{ background: 'none', border: 'none', color: '#e53e3e', cursor: 'pointer', fontSize: 16 }}>&times;</button>
+              </div>
+            ))}
+            <button
+              onClick={() => { setWindows(prev => [...prev, { days: [], start: '02:00', end: '04:00' }]); setSaved(false); }}
+              style={{ borderRadius: 8, background: '#f0f4ff', color: '#2563eb', border: '1px solid #b6d0ff', padding: '4px 12px', cursor: 'pointer', marginBottom: 16 }}
+            >
+              + Add window
+            </button>
+            {windows.length > 0 && <div style={{ color: '#888', fontSize: 12, marginTop: -12, marginBottom: 16 }}>No days selected means every day.</div>}
+            {error && <div style={{ color: '#e53e3e', marginBottom: 12 }}>{error}</div>}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 12 }}>
+              {saved && <span style={{ color: '#22bb55' }}>Saved</span>}
+              <button onClick={handleSave} disabled={saving} style={{ borderRadius: 8, background: '#6cf', color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: saving ? 'not-allowed' : 'pointer', opacity: saving ? 0.7 : 1 }}>
+                {saving ? 'Saving...' : 'Save Policy'}
+              </button>
+            </div>
+            {violations.length > 0 && (
+              <div style={{ marginTop: 20 }}>
+                <b>Recently blocked</b>
+                <ul style={{ margin: '8px 0 0 18px', padding: 0, fontSize: 13, color: '#213547' }}>
+                  {violations.map(violation => (
+                    <li key={violation.id} style={{ marginBottom: 4 }}>
+                      <code>{violation.command || '(edited line)'}</code> <span style={{ color: '#888' }}>({violation.source}, {new Date(violation.created_at).toLocaleString()})</span>: {violation.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PolicyEditor;
@@ -1,12 +1,20 @@
 import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import axios from 'axios';
+import { verifyAuditLog, auditExportUrl } from '../api/audit';
+import type { AuditVerification } from '../api/audit';
 
 interface Entry {
   id: number;
   server_id: number;
   command?: string;
   output?: string;
+  exit_code?: number | null;
+  signal?: string | null;
+  cwd?: string | null;
+  duration_ms?: number | null;
+  output_truncated?: number;
+  timed_out?: number;
   role?: string;
   message?: string;
   chat_session_id?: string;
@@ -22,6 +30,18 @@ const ServerDBView: React.FC = () => {
   const [sortField, setSortField] = useState<keyof Entry>('created_at');
   const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('desc');
   const [expandedRows, setExpandedRows] = useState<Set<number>>(new Set());
+  const [auditCheck, setAuditCheck] = useState<AuditVerification | null>(null);
+  const [auditError, setAuditError] = useState<string | null>(null);
+
+  const handleVerifyAudit = async () => {
+    setAuditError(null);
+    try {
+      setAuditCheck(await verifyAuditLog());
+    } catch (error) {
+      // Only admins can verify the whole chain
+      setAuditError(axios.isAxiosError(error) && error.response?.data?.error ? error.response.data.error : 'Verification failed');
+    }
+  };
 
   useEffect(() => {
     const fetchData = async () => {
@@ -51,7 +71,7 @@ const ServerDBView: React.FC = () => {
   const sortedEntries = [...filteredEntries].sort((a, b) => {
     const aVal = a[sortField];
     const bVal = b[sortField];
-    if (aVal === undefined || bVal === undefined) return 0;
+    if (aVal === undefined || bVal === undefined || aVal === null || bVal === null) return 0;
     const comparison = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
     return sortDirection === 'asc' ? comparison : -comparison;
   });
@@ -77,6 +97,10 @@ const ServerDBView: React.FC = () => {
     });
   };
 
+  const formatDuration = (ms: number): string => {
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  };
+
   const formatContent = (content: string | undefined, isExpanded: boolean): string => {
     if (!content) return '';
     
@@ -118,6 +142,21 @@ const ServerDBView: React.FC = () => {
         />
       </div>
 
+      <div style={{ marginBottom: 16, display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', fontSize: 14 }}>
+        <b>Audit log:</b>
+        <a href={auditExportUrl('jsonl', Number(id))} style={{ color: '#2563eb' }}>Export JSONL</a>
+        <a href={auditExportUrl('csv', Number(id))} style={{ color: '#2563eb' }}>Export CSV</a>
+        <button onClick={handleVerifyAudit} style={{ padding: '4px 12px', borderRadius: 8, border: '1px solid #ccc', background: '#fff', cursor: 'pointer' }}>
+          Verify chain
+        </button>
+        {auditCheck && (
+          auditCheck.valid
+            ? <span style={{ color: '#22bb55' }}>✓ {auditCheck.entries} entries intact (head <code>{auditCheck.headHash.slice(0, 12)}</code>)</span>
+            : <span style={{ color: '#e53e3e' }}>✗ Tampering detected: {auditCheck.problems.map(p => `#${p.id} ${p.problem}`).join('; ')}</span>
+        )}
+        {auditError && <span style={{ color: '#e53e3e' }}>{auditError}</span>}
+      </div>
+
       {loading ? (
         <div>Loading...</div>
       ) : (
@@ -136,6 +175,15 @@ const ServerDBView: React.FC = () => {
                     <th style={{ padding: 12, textAlign: 'left', borderBottom: '2px solid #eee', cursor: 'pointer' }} onClick={() => handleSort('output')}>
                       Output {sortField === 'output' && (sortDirection === 'asc' ? '↑' : '↓')}
                     </th>
+                    <th style={{ padding: 12, textAlign: 'left', borderBottom: '2px solid #eee', cursor: 'pointer' }} onClick={() => handleSort('exit_code')}>
+                      Exit {sortField === 'exit_code' && (sortDirection === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th style={{ padding: 12, textAlign: 'left', borderBottom: '2px solid #eee', cursor: 'pointer' }} onClick={() => handleSort('cwd')}>
+                      Directory {sortField === 'cwd' && (sortDirection === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th style={{ padding: 12, textAlign: 'left', borderBottom: '2px solid #eee', cursor: 'pointer' }} onClick={() => handleSort('duration_ms')}>
+                      Duration {sortField === 'duration_ms' && (sortDirection === 'asc' ? '↑' : '↓')}
+                    </th>
                   </>
                 ) : (
                   <>
@@ -189,6 +237,17 @@ const ServerDBView: React.FC = () => {
                           fontFamily: 'monospace'
                         }}>
                           {formatContent(entry.output, isExpanded)}
+                          {entry.output_truncated ? <div style={{ fontSize: 12, color: '#b45309', fontFamily: 'inherit' }}>Output truncated</div> : null}
+                        </td>
+                        <td style={{ padding: 12, maxWidth: 80, color: entry.exit_code || entry.signal ? '#dc2626' : 'inherit' }}>
+                          {entry.exit_code ?? entry.signal ?? '-'}
+                          {entry.timed_out ? <div style={{ fontSize: 12 }}>timed out</div> : null}
+                        </td>
+                        <td style={{ padding: 12, maxWidth: 200, fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                          {entry.cwd ?? '-'}
+                        </td>
+                        <td style={{ padding: 12, maxWidth: 100 }}>
+                          {entry.duration_ms != null ? formatDuration(entry.duration_ms) : '-'}
                         </td>
                       </>
                     ) : (
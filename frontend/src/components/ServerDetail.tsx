@@ -1,8 +1,14 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { getServer, getHistory, testServerConnection, getChatSessions } from '../api/servers';
+import { getServer, getHistory, testServerConnection, getChatSessions, acceptHostKey } from '../api/servers';
 import Chat from './Chat';
 import InteractiveTerminal from './Terminal';
+import type { QuickCommandSource } from './Terminal';
+import CommandConfirmDialog from './CommandConfirmDialog';
+import PolicyEditor from './PolicyEditor';
+import ShareDialog from './ShareDialog';
+import type { CommandRisk } from '../api/ssh';
+import { hasRole } from '../api/auth';
 import axios from 'axios';
 
 // Constants
@@ -46,9 +52,14 @@ const ServerDetail: React.FC = () => {
   const [testModal, setTestModal] = useState(false);
   const [testResult, setTestResult] = useState<any>(null);
   const [testing, setTesting] = useState(false);
+  const [acceptingHostKey, setAcceptingHostKey] = useState(false);
   const [quickCommand, setQuickCommand] = useState<string | null>(null);
-  const [model, setModel] = useState<'openai' | 'gemini' | 'gemini-pro' | 'claude'>('openai');
-  const [pendingTerminalCommand, setPendingTerminalCommand] = useState<string | null>(null);
+  const [model, setModel] = useState('openai');
+  const [quickCommandConfirmed, setQuickCommandConfirmed] = useState(false);
+  const [quickCommandSource, setQuickCommandSource] = useState<QuickCommandSource>('quick-action');
+  const [policyEditorOpen, setPolicyEditorOpen] = useState(false);
+  const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [blockedCommand, setBlockedCommand] = useState<{ command: string; risk: CommandRisk; source: QuickCommandSource } | null>(null);
   const [geminiSuggestions, setGeminiSuggestions] = useState<any[]>([]);
   const [terminalClearSignal, setTerminalClearSignal] = useState(0);
   const timeoutIdRef = useRef<number | null>(null); // For managing the timeout (browser uses number)
@@ -161,6 +172,25 @@ const ServerDetail: React.FC = () => {
     }
   };
 
+  // Only reachable from a failed test that reported a changed or not yet trusted host key
+  const handleAcceptHostKey = async () => {
+    if (!id || !testResult?.hostKeyMismatch) return;
+    const { expected, presented } = testResult.hostKeyMismatch;
+    const warning = expected ? 'Only continue if you know why the key changed.' : 'Only continue if it matches the key on the server.';
+    if (!window.confirm(`Trust the ${expected ? 'new ' : ''}host key ${presented.fingerprint} for ${server?.name || 'this server'}?\n\n${warning}`)) return;
+    setAcceptingHostKey(true);
+    try {
+      const result = await acceptHostKey(Number(id), presented.fingerprint);
+      setServer({ ...server, host_key_fingerprint: result.hostKey.fingerprint, host_key_type: result.hostKey.type });
+      setAcceptingHostKey(false);
+      await handleTestConnection();
+    } catch (e) {
+      const error = e as { response?: { data?: { error?: string } }; message?: string };
+      setTestResult({ ...testResult, error: error.response?.data?.error || error.message || 'Failed to accept the new host key.' });
+      setAcceptingHostKey(false);
+    }
+  };
+
   const handleTestConnection = async () => {
     if (!id) return;
     setTesting(true);
@@ -193,11 +223,23 @@ const ServerDetail: React.FC = () => {
     setTesting(false);
   };
 
-  // Pass quickCommand to Terminal, then clear it after use
-  const handleQuickCommand = (cmd: string) => {
+  // Pass quickCommand to Terminal, then clear it after use. Clicks on AI suggestions are
+  // sent with source 'suggestion' so the audit log can tell them from quick actions.
+  const handleQuickCommand = (cmd: string, source: QuickCommandSource = 'quick-action') => {
+    setQuickCommandConfirmed(false);
+    setQuickCommandSource(source);
     setQuickCommand(cmd);
   };
 
+  // The terminal refused a high-risk command; send it again once the user confirms
+  const handleConfirmBlockedCommand = () => {
+    if (!blockedCommand) return;
+    setQuickCommandConfirmed(true);
+    setQuickCommandSource(blockedCommand.source);
+    setQuickCommand(blockedCommand.command);
+    setBlockedCommand(null);
+  };
+
   // Handler to add Gemini suggestion as a chat message
   const handleGeminiSuggestion = (suggestion: any) => {
     setGeminiSuggestions(prev => [...prev, suggestion]);
@@ -377,7 +419,8 @@ const ServerDetail: React.FC = () => {
   useEffect(() => {
     // Ensure we have a session ID for this server
     const ensureSessionId = async () => {
-      if (!server?.id) return;
+      // Viewers cannot change the server's session
+      if (!server?.id || !hasRole(server.access, 'operator')) return;
       
       // Create a timestamp-based session ID if none exists
       const sessionId = server.chat_session_id || Date.now().toString();
@@ -398,17 +441,24 @@ const ServerDetail: React.FC = () => {
     };
     
     ensureSessionId();
-  }, [server?.id]);
+  }, [server?.id, server?.access]);
 
   if (loading || !server) return <div>Loading...</div>;
 
+  // The user's role on this server: viewers only read, operators run commands, admins manage it
+  const canOperate = hasRole(server.access, 'operator');
+  const canManage = hasRole(server.access, 'admin');
+
   return (
     <div style={{ maxWidth: 1200, margin: '32px auto', background: '#fff', borderRadius: 16, boxShadow: '0 4px 24px #0002', padding: 0 }}>
       {/* Top Bar */}
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '24px 32px 16px 32px', borderBottom: '1px solid #eee', borderTopLeftRadius: 16, borderTopRightRadius: 16, background: 'linear-gradient(90deg, #6cf 0%, #e0e7ff 100%)' }}>
         <div style={{ fontSize: 24, fontWeight: 700, color: '#213547' }}>Server: {server.name}</div>
         <div style={{ display: 'flex', gap: 16, alignItems: 'center' }}>
-          <button style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '8px 20px', fontSize: 16, boxShadow: '0 1px 4px #0001' }} onClick={handleTestConnection}>Test Connection</button>
+          {canOperate && <button style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '8px 20px', fontSize: 16, boxShadow: '0 1px 4px #0001' }} onClick={handleTestConnection}>Test Connection</button>}
+          {canManage && <Link to={`/server/${id}/edit`} style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '8px 20px', fontSize: 16, boxShadow: '0 1px 4px #0001', textDecoration: 'none' }}>Edit</Link>}
+          {canManage && <button style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '8px 20px', fontSize: 16, boxShadow: '0 1px 4px #0001' }} onClick={() => setPolicyEditorOpen(true)}>Command Policy</button>}
+          {canManage && <button style={{ borderRadius: 8, background: '#fff', color: '#6cf', fontWeight: 700, border: '1px solid #6cf', padding: '8px 20px', fontSize: 16, boxShadow: '0 1px 4px #0001' }} onClick={() => setShareDialogOpen(true)}>Share</button>}
           <Link to="/" style={{ color: '#213547', textDecoration: 'underline', fontWeight: 500 }}>← Back to Servers</Link>
         </div>
       </div>
@@ -417,6 +467,8 @@ const ServerDetail: React.FC = () => {
         <div><b>Host:</b> {server.host}</div>
         <div><b>Username:</b> {server.username}</div>
         <div><b>Port:</b> {server.port}</div>
+        <div><b>Your role:</b> {server.access}</div>
+        {server.tags?.length > 0 && <div><b>Tags:</b> {server.tags.join(', ')}</div>}
         <Link 
           to={`/server/${id}/db`} 
           target="_blank"
@@ -443,36 +495,65 @@ const ServerDetail: React.FC = () => {
       <div style={{ display: 'flex', gap: 0, flexWrap: 'wrap', minHeight: PANEL_HEIGHT, height: PANEL_HEIGHT }}>
         {/* Terminal (Left) */}
         <div style={{ flex: 1, minWidth: 340, borderRight: '1px solid #2a2a2a', padding: '16px 0', background: '#181818', borderBottomLeftRadius: 16, height: '100%', boxSizing: 'border-box', display: 'flex', flexDirection: 'column' }}>
-          <InteractiveTerminal
-            serverId={Number(id)}
-            panelHeight={PANEL_HEIGHT}
-            quickCommand={pendingTerminalCommand || quickCommand}
-            onQuickCommandUsed={() => {
-              setPendingTerminalCommand(null);
-              setQuickCommand(null);
-            }}
-            onHistoryUpdate={handleHistoryUpdate}
-            clearSignal={terminalClearSignal}
-            sessionId={server?.chat_session_id}
-          />
+          {canOperate ? (
+            <InteractiveTerminal
+              serverId={Number(id)}
+              panelHeight={PANEL_HEIGHT}
+              quickCommand={quickCommand}
+              quickCommandConfirmed={quickCommandConfirmed}
+              quickCommandSource={quickCommandSource}
+              onQuickCommandUsed={() => {
+                setQuickCommand(null);
+                setQuickCommandConfirmed(false);
+              }}
+              onCommandBlocked={(command, risk) => setBlockedCommand({ command, risk, source: quickCommandSource })}
+              onHistoryUpdate={handleHistoryUpdate}
+              clearSignal={terminalClearSignal}
+              sessionId={server?.chat_session_id}
+            />
+          ) : (
+            <div style={{ color: '#ccc', padding: '0 16px', overflowY: 'auto', fontFamily: 'Consolas, monospace', fontSize: 13 }}>
+              <div style={{ color: '#888', marginBottom: 12, fontFamily: 'inherit' }}>View-only access: the terminal needs the operator role. Recent commands:</div>
+              {history.length === 0 && <div style={{ color: '#888' }}>No commands yet.</div>}
+              {history.slice(-50).map((entry, index) => (
+                <div key={entry.id ?? index} style={{ marginBottom: 8 }}>
+                  <div style={{ color: '#6cf' }}>$ {entry.command}</div>
+                  {entry.output && <pre style={{ margin: 0, whiteSpace: 'pre-wrap', color: '#ccc' }}>{entry.output}</pre>}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
         {/* Chat (Right) */}
         <div style={{ flex: 1, minWidth: 340, padding: 32, background: '#f5f7fa', borderBottomRightRadius: 16, height: '100%', boxSizing: 'border-box', display: 'flex', flexDirection: 'column' }}>
           <Chat
-            onQuickCommand={handleQuickCommand}
+            onQuickCommand={canOperate ? cmd => handleQuickCommand(cmd) : undefined}
             panelHeight={PANEL_HEIGHT}
             serverId={Number(id)}
             model={model}
             setModel={setModel}
-            sendToTerminal={setPendingTerminalCommand}
+            sendToTerminal={canOperate ? cmd => handleQuickCommand(cmd, 'suggestion') : undefined}
             geminiSuggestions={geminiSuggestions}
             getLastTerminalEntries={getLastTerminalEntries}
             setGeminiSuggestions={setGeminiSuggestions}
             currentChatSessionId={currentChatSessionId?.toString() || null}
             onStartNewSession={handleStartNewChatSession}
+            readOnly={!canOperate}
+            serverName={server?.name || server?.host}
           />
         </div>
       </div>
+      {policyEditorOpen && <PolicyEditor serverId={Number(id)} onClose={() => setPolicyEditorOpen(false)} />}
+      {shareDialogOpen && <ShareDialog serverId={Number(id)} serverName={server.name} onClose={() => setShareDialogOpen(false)} />}
+      {blockedCommand && (
+        <CommandConfirmDialog
+          command={blockedCommand.command}
+          risk={blockedCommand.risk}
+          confirmationText={server?.name || server?.host || 'confirm'}
+          onConfirm={handleConfirmBlockedCommand}
+          onCancel={() => setBlockedCommand(null)}
+        />
+      )}
       {/* Test Connection Modal */}
       {testModal && (
         <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -484,7 +565,21 @@ const ServerDetail: React.FC = () => {
             {testResult && (
               <>
                 <div style={{ marginBottom: 8 }}><b>Server Type/OS:</b> <span style={{ color: '#213547' }}>{testResult.os || 'Unknown'}</span></div>
+                {testResult.authMethod && <div style={{ marginBottom: 8 }}><b>Auth Method:</b> <span style={{ color: '#213547' }}>{testResult.authMethod}</span></div>}
+                {testResult.hostKey && !testResult.hostKeyMismatch && <div style={{ marginBottom: 8, wordBreak: 'break-all' }}><b>Host Key:</b> <code style={{ color: '#213547' }}>{testResult.hostKey.fingerprint}</code></div>}
+                {testResult.route?.length > 1 && <div style={{ marginBottom: 8 }}><b>Route:</b> <span style={{ color: '#213547' }}>{testResult.route.map((hop: { name: string | null; host: string }) => hop.name || hop.host).join(' → ')}</span></div>}
+                {testResult.failedHop && <div style={{ color: '#e53e3e', marginBottom: 8 }}><b>Failed at:</b> {testResult.failedHop.isJumpHost ? 'jump host' : 'target'} {testResult.failedHop.name || testResult.failedHop.host} ({testResult.failedHop.host}:{testResult.failedHop.port})</div>}
                 {testResult.error && <div style={{ color: '#e53e3e', marginBottom: 8 }}><b>Error:</b> {testResult.error}</div>}
+                {testResult.hostKeyMismatch && (
+                  <div style={{ background: '#fff5f5', border: '1px solid #e53e3e', borderRadius: 8, padding: 12, marginBottom: 8, wordBreak: 'break-all' }}>
+                    <div style={{ fontWeight: 700, color: '#e53e3e', marginBottom: 6 }}>⚠ {testResult.hostKeyMismatch.expected ? 'Host key changed' : 'Host key not trusted yet'}</div>
+                    {testResult.hostKeyMismatch.expected && <div style={{ fontSize: 13 }}><b>Trusted:</b> <code>{testResult.hostKeyMismatch.expected}</code></div>}
+                    <div style={{ fontSize: 13, marginBottom: 8 }}><b>Presented:</b> <code>{testResult.hostKeyMismatch.presented.fingerprint}</code> {testResult.hostKeyMismatch.presented.type}</div>
+                    <button onClick={handleAcceptHostKey} disabled={acceptingHostKey} style={{ borderRadius: 8, background: '#e53e3e', color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: acceptingHostKey ? 'not-allowed' : 'pointer', opacity: acceptingHostKey ? 0.7 : 1 }}>
+                      {acceptingHostKey ? 'Accepting...' : testResult.hostKeyMismatch.expected ? 'Accept new key' : 'Accept key'}
+                    </button>
+                  </div>
+                )}
                 <div style={{ marginBottom: 8 }}><b>Tips:</b>
                   <ul style={{ margin: '8px 0 0 18px', color: '#213547' }}>
                     {testResult.tips?.map((tip: string, i: number) => <li key={i}>{tip}</li>)}
@@ -567,7 +662,7 @@ const ServerDetail: React.FC = () => {
                         border: '1px solid #e9d5ff',
                         marginBottom: 8
                       }}
-                      onClick={() => handleQuickCommand(nextCommand)}
+                      onClick={() => handleQuickCommand(nextCommand, 'suggestion')}
                     >
                       {nextCommand || 'No command suggestion available'}
                     </div>
@@ -595,7 +690,7 @@ const ServerDetail: React.FC = () => {
                                 cursor: 'pointer',
                                 color: '#4338ca'
                               }}
-                              onClick={() => handleQuickCommand(alt)}
+                              onClick={() => handleQuickCommand(alt, 'suggestion')}
                             >
                               {alt}
                             </div>
@@ -1,6 +1,10 @@
 import React, { useEffect, useState } from 'react';
 import { getServers, deleteServer } from '../api/servers';
 import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { hasRole } from '../api/auth';
+import type { Role } from '../api/auth';
+import BulkActions from './BulkActions';
 
 interface Server {
   id: number;
@@ -8,16 +12,57 @@ interface Server {
   host: string;
   port: number;
   username: string;
+  // The current user's role on this server
+  access: Role;
+  // Labels such as "database" or group:value pairs such as "env:prod"
+  tags: string[];
 }
 
-const ServerList: React.FC = () => {
+interface ServerGroup {
+  label: string | null;
+  servers: Server[];
+}
+
+// The group of a tag written as group:value
+const tagGroup = (tag: string) => (tag.includes(':') ? tag.slice(0, tag.indexOf(':')) : null);
+
+const matchesSearch = (server: Server, query: string) => {
+  const q = query.trim().toLowerCase();
+  return !q || [server.name, server.host, server.username, ...server.tags].some(value => value.toLowerCase().includes(q));
+};
+
+const tagChipStyle = (active: boolean): React.CSSProperties => ({
+  fontSize: 12,
+  borderRadius: 10,
+  padding: '2px 8px',
+  cursor: 'pointer',
+  border: active ? '1px solid #2563eb' : '1px solid #d1d5db',
+  background: active ? '#2563eb' : '#fff',
+  color: active ? '#fff' : '#374151'
+});
+
+// Bulk actions run commands, so only servers the user operates can be selected
+const isSelectable = (server: Server) => hasRole(server.access, 'operator');
+
+interface ServerListProps {
+  // Viewer accounts cannot add servers
+  canAddServers: boolean;
+}
+
+const ServerList: React.FC<ServerListProps> = ({ canAddServers }) => {
   const [servers, setServers] = useState<Server[]>([]);
   const [loading, setLoading] = useState(true);
   const [deleteConfirmId, setDeleteConfirmId] = useState<number | null>(null);
+  const [search, setSearch] = useState('');
+  const [tagFilter, setTagFilter] = useState<string[]>([]);
+  const [groupBy, setGroupBy] = useState('');
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
 
   const loadServers = () => {
-    getServers().then(data => {
+    getServers().then((data: Server[]) => {
       setServers(data);
+      // Forget selected servers that are gone
+      setSelectedIds(prev => prev.filter(id => data.some(server => server.id === id)));
       setLoading(false);
     });
   };
@@ -38,7 +83,8 @@ const ServerList: React.FC = () => {
       setDeleteConfirmId(null);
     } catch (error) {
       console.error('Error deleting server:', error);
-      alert('Failed to delete server. Please try again.');
+      const message = axios.isAxiosError(error) ? error.response?.data?.error : null;
+      alert(message || 'Failed to delete server. Please try again.');
     }
   };
 
@@ -46,6 +92,96 @@ const ServerList: React.FC = () => {
     setDeleteConfirmId(null);
   };
 
+  const toggleTagFilter = (tag: string) =>
+    setTagFilter(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+
+  const setSelection = (list: Server[], selected: boolean) => {
+    const ids = list.filter(isSelectable).map(server => server.id);
+    setSelectedIds(prev => (selected ? [...new Set([...prev, ...ids])] : prev.filter(id => !ids.includes(id))));
+  };
+
+  const allTags = [...new Set(servers.flatMap(server => server.tags))].sort();
+  const groups = [...new Set(allTags.map(tagGroup).filter((group): group is string => group !== null))];
+  const filteredServers = servers.filter(server => matchesSearch(server, search) && tagFilter.every(tag => server.tags.includes(tag)));
+  const selectedServers = servers.filter(server => selectedIds.includes(server.id));
+
+  // With a group chosen, a server appears under each of its values for that group
+  const groupedServers: ServerGroup[] = groupBy
+    ? [
+        ...[...new Set(filteredServers.flatMap(server => server.tags.filter(tag => tagGroup(tag) === groupBy)))].sort().map(tag => ({
+          label: tag.replace(':', ': '),
+          servers: filteredServers.filter(server => server.tags.includes(tag))
+        })),
+        { label: `No ${groupBy}`, servers: filteredServers.filter(server => !server.tags.some(tag => tagGroup(tag) === groupBy)) }
+      ].filter(group => group.servers.length > 0)
+    : [{ label: null, servers: filteredServers }];
+
+  const renderServer = (server: Server) => (
+    <div key={server.id} className="card" style={{ marginBottom: 0, background: 'var(--background-color)' }}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          {isSelectable(server) && (
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(server.id)}
+              onChange={e => setSelection([server], e.target.checked)}
+              aria-label={`Select ${server.name}`}
+            />
+          )}
+          <div>
+            <h3 className="heading-3" style={{ marginBottom: '0.5rem' }}>
+              {server.name}
+              {server.access !== 'admin' && (
+                <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 500, color: '#2563eb', background: '#f0f4ff', border: '1px solid #b6d0ff', borderRadius: 6, padding: '1px 6px' }}>{server.access}</span>
+              )}
+            </h3>
+            <div className="text-secondary">
+              <span>{server.username}@{server.host}:{server.port}</span>
+            </div>
+            {server.tags.length > 0 && (
+              <div className="flex" style={{ flexWrap: 'wrap', gap: 4, marginTop: 6 }}>
+                {server.tags.map(tag => (
+                  <button key={tag} onClick={() => toggleTagFilter(tag)} title="Filter by this tag" style={tagChipStyle(tagFilter.includes(tag))}>{tag}</button>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="flex gap-4">
+          <Link to={`/server/${server.id}`} className="btn btn-secondary">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+              <line x1="3" y1="9" x2="21" y2="9"></line>
+              <line x1="9" y1="21" x2="9" y2="9"></line>
+            </svg>
+            Terminal
+          </Link>
+          {server.access === 'admin' && <button 
+            onClick={() => handleDeleteClick(server.id)} 
+            className="btn btn-danger"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <polyline points="3 6 5 6 21 6"></polyline>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+              <line x1="10" y1="11" x2="10" y2="17"></line>
+              <line x1="14" y1="11" x2="14" y2="17"></line>
+            </svg>
+            Delete
+          </button>}
+        </div>
+      </div>
+      {deleteConfirmId === server.id && (
+        <div className="mt-4 p-3 border border-danger rounded bg-danger-light">
+          <p className="mb-2">Are you sure you want to delete this server? This action cannot be undone.</p>
+          <div className="flex gap-2 justify-end">
+            <button onClick={handleDeleteCancel} className="btn btn-secondary">Cancel</button>
+            <button onClick={() => handleDeleteConfirm(server.id)} className="btn btn-danger">Confirm Delete</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="card text-center">
@@ -58,14 +194,15 @@ const ServerList: React.FC = () => {
     return (
       <div className="card text-center">
         <h2 className="heading-2">No Servers Found</h2>
-        <p className="mb-4">Get started by adding your first server.</p>
-        <Link to="/server/new" className="btn btn-primary">
+        <p className="mb-4">{canAddServers ? 'Get started by adding your first server.' : 'No servers have been shared with you yet.'}</p>
+        {canAddServers && <Link to="/server/new" className="btn btn-primary">
           <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <line x1="12" y1="5" x2="12" y2="19"></line>
             <line x1="5" y1="12" x2="19" y2="12"></line>
           </svg>
           Add Server
-        </Link>
+        </Link>}
+        {canAddServers && <Link to="/server/import" className="btn btn-outline" style={{ marginLeft: 8 }}>Import</Link>}
       </div>
     );
   }
@@ -74,60 +211,69 @@ const ServerList: React.FC = () => {
     <div className="card">
       <div className="flex items-center justify-between mb-4">
         <h2 className="heading-2">Your Servers</h2>
-        <Link to="/server/new" className="btn btn-primary">
-          <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-            <line x1="12" y1="5" x2="12" y2="19"></line>
-            <line x1="5" y1="12" x2="19" y2="12"></line>
-          </svg>
-          Add Server
-        </Link>
+        {canAddServers && <div className="flex items-center" style={{ gap: 8 }}>
+          <Link to="/server/import" className="btn btn-outline">Import</Link>
+          <Link to="/server/new" className="btn btn-primary">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="12" y1="5" x2="12" y2="19"></line>
+              <line x1="5" y1="12" x2="19" y2="12"></line>
+            </svg>
+            Add Server
+          </Link>
+        </div>}
       </div>
       
-      <div className="grid gap-4">
-        {servers.map(server => (
-          <div key={server.id} className="card" style={{ marginBottom: 0, background: 'var(--background-color)' }}>
-            <div className="flex items-center justify-between">
-              <div>
-                <h3 className="heading-3" style={{ marginBottom: '0.5rem' }}>{server.name}</h3>
-                <div className="text-secondary">
-                  <span>{server.username}@{server.host}:{server.port}</span>
-                </div>
-              </div>
-              <div className="flex gap-4">
-                <Link to={`/server/${server.id}`} className="btn btn-secondary">
-                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
-                    <line x1="3" y1="9" x2="21" y2="9"></line>
-                    <line x1="9" y1="21" x2="9" y2="9"></line>
-                  </svg>
-                  Terminal
-                </Link>
-                <button 
-                  onClick={() => handleDeleteClick(server.id)} 
-                  className="btn btn-danger"
-                >
-                  <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                    <polyline points="3 6 5 6 21 6"></polyline>
-                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                    <line x1="10" y1="11" x2="10" y2="17"></line>
-                    <line x1="14" y1="11" x2="14" y2="17"></line>
-                  </svg>
-                  Delete
-                </button>
-              </div>
-            </div>
-            {deleteConfirmId === server.id && (
-              <div className="mt-4 p-3 border border-danger rounded bg-danger-light">
-                <p className="mb-2">Are you sure you want to delete this server? This action cannot be undone.</p>
-                <div className="flex gap-2 justify-end">
-                  <button onClick={handleDeleteCancel} className="btn btn-secondary">Cancel</button>
-                  <button onClick={() => handleDeleteConfirm(server.id)} className="btn btn-danger">Confirm Delete</button>
-                </div>
-              </div>
-            )}
-          </div>
-        ))}
+      <div className="flex items-center gap-4 mb-4" style={{ flexWrap: 'wrap' }}>
+        <input
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          placeholder="Search by name, host, user or tag"
+          className="form-input"
+          style={{ flex: 1, minWidth: 200 }}
+        />
+        {groups.length > 0 && (
+          <label className="flex items-center gap-4">
+            Group by
+            <select value={groupBy} onChange={e => setGroupBy(e.target.value)} className="form-input" style={{ width: 'auto' }}>
+              <option value="">None</option>
+              {groups.map(group => <option key={group} value={group}>{group}</option>)}
+            </select>
+          </label>
+        )}
+        <button onClick={() => setSelection(filteredServers, true)} disabled={!filteredServers.some(isSelectable)} className="btn btn-outline">Select Shown</button>
       </div>
+      {allTags.length > 0 && (
+        <div className="flex items-center mb-4" style={{ flexWrap: 'wrap', gap: 6 }}>
+          {allTags.map(tag => (
+            <button key={tag} onClick={() => toggleTagFilter(tag)} style={tagChipStyle(tagFilter.includes(tag))}>{tag}</button>
+          ))}
+          {tagFilter.length > 0 && <button onClick={() => setTagFilter([])} className="link" style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 13 }}>Clear filter</button>}
+        </div>
+      )}
+
+      {selectedServers.length > 0 && (
+        <BulkActions targets={selectedServers.map(server => ({ id: server.id, name: server.name }))} onClear={() => setSelectedIds([])} />
+      )}
+
+      {filteredServers.length === 0 && <p className="text-secondary">No servers match the search or tag filter.</p>}
+      {groupedServers.map(group => (
+        <div key={group.label ?? ''} className="mb-4">
+          {group.label !== null && (
+            <label className="flex items-center heading-3" style={{ gap: 8, marginBottom: '0.5rem', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={group.servers.some(isSelectable) && group.servers.filter(isSelectable).every(server => selectedIds.includes(server.id))}
+                disabled={!group.servers.some(isSelectable)}
+                onChange={e => setSelection(group.servers, e.target.checked)}
+              />
+              {group.label} <span className="text-secondary" style={{ fontSize: 14, fontWeight: 400 }}>({group.servers.length})</span>
+            </label>
+          )}
+          <div className="grid gap-4">
+            {group.servers.map(renderServer)}
+          </div>
+        </div>
+      ))}
     </div>
   );
 };
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { getServerGrants, shareServer, unshareServer } from '../api/servers';
+import type { ServerGrant } from '../api/servers';
+import { listUsers } from '../api/users';
+import type { User } from '../api/users';
+import { ROLES } from '../api/auth';
+import type { Role } from '../api/auth';
+
+const ROLE_DESCRIPTIONS: Record<Role, string> = {
+  viewer: 'reads history and chats',
+  operator: 'also runs commands and chats with the AI',
+  admin: 'also manages credentials, policy and sharing'
+};
+
+const selectStyle: React.CSSProperties = { borderRadius: 6, border: '1px solid #ccc', padding: '4px 6px' };
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : fallback;
+
+interface ShareDialogProps {
+  serverId: number;
+  serverName: string;
+  onClose: () => void;
+}
+
+// Who the server is shared with; account admins can reach every server and are not listed
+const ShareDialog: React.FC<ShareDialogProps> = ({ serverId, serverName, onClose }) => {
+  const [grants, setGrants] = useState<ServerGrant[]>([]);
+  const [users, setUsers] = useState<User[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [newUserId, setNewUserId] = useState<number | ''>('');
+  const [newRole, setNewRole] = useState<Role>('viewer');
+
+  useEffect(() => {
+    Promise.all([getServerGrants(serverId), listUsers()])
+      .then(([serverGrants, allUsers]) => {
+        setGrants(serverGrants);
+        setUsers(allUsers);
+      })
+      .catch(err => setError(errorMessage(err, 'Failed to load sharing settings')))
+      .finally(() => setLoading(false));
+  }, [serverId]);
+
+  const update = async (request: Promise<ServerGrant[]>) => {
+    setError(null);
+    try {
+      setGrants(await request);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update sharing'));
+    }
+  };
+
+  const handleShare = async () => {
+    if (newUserId === '') return;
+    await update(shareServer(serverId, newUserId, newRole));
+    setNewUserId('');
+  };
+
+  const candidates = users.filter(user => user.role !== 'admin' && !grants.some(grant => grant.user_id === user.id));
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: '#fff', borderRadius: 16, boxShadow: '0 8px 32px #0004', padding: 32, minWidth: 340, maxWidth: 520, width: '100%', maxHeight: '90vh', overflowY: 'auto', position: 'relative' }}>
+        <button onClick={onClose} style={{ position: 'absolute', top: 12, right: 16, background: 'none', border: 'none', fontSize: 22, color: '#888', cursor: 'pointer' }}>&times;</button>
+        <h2 style={{ marginTop: 0, color: '#213547' }}>Share {serverName}</h2>
+        <ul style={{ margin: '0 0 16px 18px', padding: 0, fontSize: 13, color: '#888' }}>
+          {ROLES.map(role => <li key={role}><b>{role}</b>: {ROLE_DESCRIPTIONS[role]}</li>)}
+        </ul>
+        {loading ? (
+          <div style={{ color: '#888' }}>Loading...</div>
+        ) : (
+          <>
+            {grants.length === 0 && <div style={{ color: '#888', marginBottom: 12 }}>Only admins can reach this server.</div>}
+            {grants.map(grant => (
+              <div key={grant.user_id} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+                <span style={{ flex: 1 }}>
+                  {grant.username}
+                  {grant.account_role === 'admin' && <span style={{ color: '#888', fontSize: 12 }}> (account admin: full access anyway)</span>}
+                </span>
+                <select value={grant.role} onChange={e => update(shareServer(serverId, grant.user_id, e.target.value as Role))} style={selectStyle}>
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+                <button onClick={() => update(unshareServer(serverId, grant.user_id))} title="Stop sharing" style={{ background: 'none', border: 'none', color: '#e53e3e', cursor: 'pointer', fontSize: 16 }}>&times;</button>
+              </div>
+            ))}
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+              <select value={newUserId} onChange={e => setNewUserId(e.target.value ? Number(e.target.value) : '')} style={{ ...selectStyle, flex: 1 }}>
+                <option value="">{candidates.length > 0 ? 'Choose a user...' : 'No other users to share with'}</option>
+                {candidates.map(user => <option key={user.id} value={user.id}>{user.username}</option>)}
+              </select>
+              <select value={newRole} onChange={e => setNewRole(e.target.value as Role)} style={selectStyle}>
+                {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+              </select>
+              <button onClick={handleShare} disabled={newUserId === ''} style={{ borderRadius: 8, background: '#6cf', color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: newUserId === '' ? 'not-allowed' : 'pointer', opacity: newUserId === '' ? 0.7 : 1 }}>
+                Share
+              </button>
+            </div>
+          </>
+        )}
+        {error && <div style={{ color: '#e53e3e', marginTop: 12 }}>{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
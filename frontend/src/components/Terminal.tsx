@@ -1,5 +1,6 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { runSSHCommand } from '../api/ssh';
+import type { CommandRisk } from '../api/ssh';
 import axios from 'axios';
 import { Terminal as XTerm } from 'xterm';
 import { FitAddon } from '@xterm/addon-fit';
@@ -13,15 +14,98 @@ const API_BASE = window.location.origin.includes('localhost')
 interface TerminalEntry {
   command: string;
   output: string;
+  exit_code?: number | null;
+  cwd?: string | null;
+  duration_ms?: number | null;
   created_at: string;
   chat_session_id?: string | null;
 }
 
+// Structured WebSocket protocol (see backend/src/utils/terminalProtocol.js). If the
+// backend does not agree to it, the socket falls back to raw text frames.
+const TERMINAL_PROTOCOL = 'sshfix.terminal.v1';
+
+const isStructured = (ws: WebSocket) => ws.protocol === TERMINAL_PROTOCOL;
+
+const sendInput = (ws: WebSocket, data: string) => {
+  ws.send(isStructured(ws) ? JSON.stringify({ type: 'input', data }) : data);
+};
+
+// Where a UI command came from, for the audit log
+export type QuickCommandSource = 'quick-action' | 'suggestion';
+
+// Commands picked in the UI go through the backend risk gate; raw-text backends just get the keystrokes
+const sendQuickCommand = (ws: WebSocket, command: string, confirmed: boolean, source: QuickCommandSource) => {
+  if (isStructured(ws)) {
+    ws.send(JSON.stringify({ type: 'quick-command', command, confirmed, source }));
+  } else {
+    ws.send(command + '\n');
+  }
+};
+
+const sendResize = (ws: WebSocket, cols: number, rows: number) => {
+  // Raw-text backends have no way to receive a resize
+  if (ws.readyState === WebSocket.OPEN && isStructured(ws)) {
+    ws.send(JSON.stringify({ type: 'resize', cols, rows }));
+  }
+};
+
+interface AuthPrompt {
+  prompt: string;
+  echo: boolean;
+}
+
+// Keyboard-interactive prompt relayed by the backend while it authenticates
+interface AuthPromptState {
+  prompts: AuthPrompt[];
+  index: number;
+  answers: string[];
+  current: string;
+}
+
+// A finished command, already recorded in the server history by the backend
+interface CommandMessage {
+  type: 'command';
+  historyId: number;
+  command: string;
+  output: string;
+  exitCode: number | null;
+  cwd: string | null;
+  durationMs: number | null;
+}
+
+type ServerMessage =
+  | { type: 'output'; data: string }
+  | { type: 'auth-prompt'; name?: string; instructions?: string; prompts: AuthPrompt[] }
+  | { type: 'command-blocked'; command: string; risk: CommandRisk }
+  | CommandMessage;
+
+const parseServerMessage = (data: unknown, structured: boolean): ServerMessage | null => {
+  if (typeof data !== 'string') return null;
+  // Raw-text frames are plain output, apart from the JSON auth prompt
+  if (!structured && !data.startsWith('{"type":"auth-prompt"')) return { type: 'output', data };
+  try {
+    const message = JSON.parse(data);
+    if (message?.type === 'output' && typeof message.data === 'string') return message;
+    if (message?.type === 'auth-prompt' && Array.isArray(message.prompts)) return message;
+    if (message?.type === 'command' && typeof message.command === 'string') return message;
+    if (message?.type === 'command-blocked' && message.risk) return message;
+  } catch {
+    // fall through
+  }
+  return structured ? null : { type: 'output', data };
+};
+
 interface TerminalProps {
   serverId: number;
   initialHistory?: TerminalEntry[];
   quickCommand?: string | null;
+  // The user already confirmed quickCommand in the risk dialog
+  quickCommandConfirmed?: boolean;
+  quickCommandSource?: QuickCommandSource;
   onQuickCommandUsed?: () => void;
+  // The backend refused an unconfirmed high-risk quick command
+  onCommandBlocked?: (command: string, risk: CommandRisk) => void;
   panelHeight?: number;
   onGeminiSuggestion?: (suggestion: any) => void;
   onHistoryUpdate?: (history: TerminalEntry[]) => void;
@@ -29,13 +113,24 @@ interface TerminalProps {
   sessionId?: string | null;
 }
 
-const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand, onQuickCommandUsed, panelHeight = 400, onHistoryUpdate, clearSignal, sessionId }) => {
+const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand, quickCommandConfirmed = false, quickCommandSource = 'quick-action', onQuickCommandUsed, onCommandBlocked, panelHeight = 400, onHistoryUpdate, clearSignal, sessionId }) => {
   const xtermRef = useRef<any>(null);
   const wsRef = useRef<WebSocket | null>(null);
   const historyRef = useRef<TerminalEntry[]>([]);
   const containerRef = useRef<HTMLDivElement>(null);
   const lastQuickCommandRef = useRef<string | null>(null);
   const pendingCommandRef = useRef<string | null>(null);
+  const pendingConfirmedRef = useRef(false);
+  const pendingSourceRef = useRef<QuickCommandSource>('quick-action');
+  // The socket handlers are created once per server; keep the latest callbacks and session
+  const onCommandBlockedRef = useRef(onCommandBlocked);
+  onCommandBlockedRef.current = onCommandBlocked;
+  const onHistoryUpdateRef = useRef(onHistoryUpdate);
+  onHistoryUpdateRef.current = onHistoryUpdate;
+  const onQuickCommandUsedRef = useRef(onQuickCommandUsed);
+  onQuickCommandUsedRef.current = onQuickCommandUsed;
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
   const wsReadyRef = useRef(false);
   const lastForcedHistoryCommandRef = useRef<string | null>(null);
 
@@ -89,8 +184,9 @@ const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand,
     term.loadAddon(fitAddon);
     xtermRef.current = term;
     let resizeObserver: ResizeObserver | null = null;
-    if (containerRef.current) {
-      term.open(containerRef.current);
+    const container = containerRef.current;
+    if (container) {
+      term.open(container);
       fitAddon.fit();
       term.focus();
       resizeObserver = new window.ResizeObserver(() => {
@@ -103,138 +199,154 @@ const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand,
           }
         }
       });
-      resizeObserver.observe(containerRef.current);
+      resizeObserver.observe(container);
     }
 
     term.write('\x1b[33m[Connecting to SSH...]\x1b[0m\r\n');
     
-    // Fix WebSocket URL for dev/prod
+    // Fix WebSocket URL for dev/prod. The fitted size is passed so the remote PTY starts out right.
+    const wsQuery = `serverId=${serverId}&cols=${term.cols}&rows=${term.rows}`;
     const wsUrl = import.meta.env.MODE === 'development'
-      ? `ws://localhost:4000/ws/terminal?serverId=${serverId}`
-      : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws/terminal?serverId=${serverId}`;
+      ? `ws://localhost:4000/ws/terminal?${wsQuery}`
+      : `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/ws/terminal?${wsQuery}`;
     
-    const ws = new WebSocket(wsUrl);
+    const ws = new WebSocket(wsUrl, TERMINAL_PROTOCOL);
     wsRef.current = ws;
     wsReadyRef.current = false;
-    let commandBuffer = '';
-    let outputBuffer = '';
-    const outputMap = new Map<string, string>();
-    const currentCommand = { value: '' };
+    let authPrompt: AuthPromptState | null = null;
+
+    const showAuthPrompt = () => {
+      if (authPrompt) term.write(authPrompt.prompts[authPrompt.index].prompt);
+    };
+
+    // Answers are typed into the terminal itself; hidden prompts (passwords, codes) are not echoed
+    const handleAuthInput = (data: string) => {
+      if (!authPrompt) return;
+      const prompt = authPrompt.prompts[authPrompt.index];
+      for (const ch of data) {
+        if (ch === '\r' || ch === '\n') {
+          term.write('\r\n');
+          authPrompt.answers.push(authPrompt.current);
+          authPrompt.current = '';
+          authPrompt.index++;
+          if (authPrompt.index >= authPrompt.prompts.length) {
+            ws.send(JSON.stringify({ type: 'auth-response', responses: authPrompt.answers }));
+            authPrompt = null;
+            return;
+          }
+          showAuthPrompt();
+        } else if (ch === '\x7f' || ch === '\b') {
+          if (authPrompt.current) {
+            authPrompt.current = authPrompt.current.slice(0, -1);
+            if (prompt.echo) term.write('\b \b');
+          }
+        } else if (ch >= ' ') {
+          authPrompt.current += ch;
+          if (prompt.echo) term.write(ch);
+        }
+      }
+    };
+
+    // The backend detects finished commands (shell integration markers, or prompt
+    // detection on shells without it) and records them; ask for a suggestion here
+    const handleCommand = (message: CommandMessage) => {
+      const newEntry = {
+        command: message.command,
+        output: message.output,
+        exit_code: message.exitCode,
+        cwd: message.cwd,
+        duration_ms: message.durationMs,
+        created_at: new Date().toISOString(),
+        chat_session_id: sessionIdRef.current
+      };
+      historyRef.current = [...historyRef.current, newEntry];
+
+      axios.post(`${API_BASE}/terminal/history-with-suggestion`, {
+        serverId,
+        historyId: message.historyId,
+        command: message.command,
+        output: message.output,
+        sessionId: sessionIdRef.current || Date.now().toString()
+      })
+        .then(response => {
+          console.log('[Terminal.tsx] Got response from history-with-suggestion:', {
+            historyLength: response.data.history?.length,
+            hasSuggestion: !!response.data.suggestion
+          });
+
+          if (typeof onHistoryUpdateRef.current === 'function') {
+            onHistoryUpdateRef.current(response.data);
+          } else {
+            console.error('[Terminal.tsx] onHistoryUpdate function is not defined!');
+          }
+        })
+        .catch(error => {
+          console.error('[Terminal.tsx] Error in history-with-suggestion:', error);
+
+          // The command is recorded already; still refresh the history without a suggestion
+          axios.get(`${API_BASE}/servers/${serverId}/history`)
+            .then(response => {
+              if (typeof onHistoryUpdateRef.current === 'function') {
+                onHistoryUpdateRef.current(response.data);
+              }
+            })
+            .catch(err => console.error('[Terminal.tsx] Fallback history update failed:', err));
+        });
+    };
+
+    // FitAddon changes the xterm size; forward every change to the remote PTY
+    const resizeListener = term.onResize(({ cols, rows }) => sendResize(ws, cols, rows));
 
     ws.onopen = () => {
       wsReadyRef.current = true;
       term.write('\x1b[32m[Connected to SSH]\x1b[0m\r\n');
       term.scrollToBottom();
+      // The terminal may have been resized while the socket was connecting
+      sendResize(ws, term.cols, term.rows);
       
       // If there is a pending quick command, send it now
       if (pendingCommandRef.current) {
         const cmd = pendingCommandRef.current;
         term.write(cmd);
         term.write('\r\n');
-        ws.send(cmd + '\n');
+        sendQuickCommand(ws, cmd, pendingConfirmedRef.current, pendingSourceRef.current);
         lastQuickCommandRef.current = cmd;
-        if (typeof onQuickCommandUsed === 'function') onQuickCommandUsed();
+        onQuickCommandUsedRef.current?.();
         pendingCommandRef.current = null;
       }
     };
 
     ws.onmessage = (event) => {
-      const data = event.data;
-      term.write(data);
-      outputBuffer += data;
-      
-      // Update output map for current command
-      if (currentCommand.value) {
-        outputMap.set(currentCommand.value, (outputMap.get(currentCommand.value) || '') + data);
-      }
-      
-      const lines = outputBuffer.split(/\r?\n/);
-      const lastLine = lines[lines.length - 1];
-      
-      const promptPatterns = [
-        /[$#%>] ?$/,
-        />\s*$/,
-        /\]\$\s*$/,
-        /\]#\s*$/,
-        /❯\s*$/,
-        /➜\s*$/,
-        /PS [^>]*>\s*$/,  // Windows PowerShell prompt
-        /^[A-Z]:\\.*>\s*$/  // Windows cmd.exe prompt
-      ];
-      
-      const hasPrompt = promptPatterns.some(pattern => pattern.test(lastLine));
-      
-      if (hasPrompt && commandBuffer.trim()) {
-        const cleanCommand = commandBuffer.trim().replace(/[\r\n]+$/, '');
-        
-        if (cleanCommand && cleanCommand.length > 0) {
-          const commandOutput = outputMap.get(cleanCommand) || outputBuffer;
-          
-          // Create new history entry with session ID
-          const newEntry = { 
-            command: cleanCommand, 
-            output: commandOutput, 
-            created_at: new Date().toISOString(),
-            chat_session_id: sessionId
-          };
-          
-          historyRef.current = [...historyRef.current, newEntry];
-          
-          // Log command to backend
-          console.log('[Terminal.tsx] Sending history with session ID:', sessionId);
-          
-          axios.post(`${API_BASE}/terminal/history-with-suggestion`, {
-            serverId,
-            command: cleanCommand, 
-            output: commandOutput,
-            sessionId: sessionId || Date.now().toString()
-          })
-            .then(response => {
-              console.log('[Terminal.tsx] Got response from history-with-suggestion:', {
-                historyLength: response.data.history?.length,
-                hasSuggestion: !!response.data.suggestion,
-                suggestionJson: response.data.suggestion?.json ? 
-                  Object.keys(response.data.suggestion.json) : [],
-                suggestionResponse: response.data.suggestion?.response ? 
-                  response.data.suggestion.response.substring(0, 100) : null
-              });
-              
-              if (typeof onHistoryUpdate === 'function') {
-                console.log('[Terminal.tsx] Calling onHistoryUpdate with history+suggestion data');
-                onHistoryUpdate(response.data);
-              } else {
-                console.error('[Terminal.tsx] onHistoryUpdate function is not defined!');
-              }
-            })
-            .catch(error => {
-              console.error('[Terminal.tsx] Error in history-with-suggestion:', error);
-              
-              // Fallback to original history endpoint if new endpoint fails
-              axios.post(`${API_BASE}/servers/${serverId}/history`, {
-                ...newEntry,
-                chat_session_id: sessionId
-              })
-                .then(() => axios.get(`${API_BASE}/servers/${serverId}/history`))
-                .then(response => {
-                  if (typeof onHistoryUpdate === 'function') {
-                    console.log('[Terminal.tsx] Calling onHistoryUpdate with fallback history data');
-                    onHistoryUpdate(response.data);
-                  } else {
-                    console.error('[Terminal.tsx] onHistoryUpdate function is not defined in fallback!');
-                  }
-                })
-                .catch(err => console.error('[Terminal.tsx] Fallback history update failed:', err));
-            });
-          
-          // Clear command from output map
-          outputMap.delete(cleanCommand);
+      const message = parseServerMessage(event.data, isStructured(ws));
+      if (!message) return;
+
+      if (message.type === 'auth-prompt') {
+        if (message.name) term.write(`\r\n\x1b[33m${message.name}\x1b[0m\r\n`);
+        if (message.instructions) term.write(`${message.instructions}\r\n`);
+        authPrompt = { prompts: message.prompts, index: 0, answers: [], current: '' };
+        if (authPrompt.prompts.length === 0) {
+          ws.send(JSON.stringify({ type: 'auth-response', responses: [] }));
+          authPrompt = null;
+        } else {
+          showAuthPrompt();
         }
-        
-        // Reset buffers
-        commandBuffer = '';
-        outputBuffer = '';
-        currentCommand.value = '';
+        return;
+      }
+
+      if (message.type === 'command') {
+        handleCommand(message);
+        return;
       }
+
+      if (message.type === 'command-blocked') {
+        term.write(`\x1b[31m[Not run: ${message.risk.level}-risk command needs confirmation]\x1b[0m\r\n`);
+        // Let the same command be sent again once it has been confirmed
+        lastQuickCommandRef.current = null;
+        onCommandBlockedRef.current?.(message.command, message.risk);
+        return;
+      }
+
+      term.write(message.data);
     };
 
     ws.onclose = () => {
@@ -248,28 +360,24 @@ const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand,
     };
 
     term.onData((data) => {
+      if (authPrompt && ws.readyState === WebSocket.OPEN) {
+        handleAuthInput(data);
+        return;
+      }
       if (ws.readyState === WebSocket.OPEN) {
-        ws.send(data);
-        commandBuffer += data;
-        
-        if (data === '\r' || data === '\n') {
-          const newCommand = commandBuffer.trim();
-          if (newCommand) {
-            currentCommand.value = newCommand;
-            outputMap.set(newCommand, '');
-          }
-        }
+        sendInput(ws, data);
       } else {
         console.warn('WebSocket not ready, command not sent:', data);
       }
     });
 
     return () => {
+      resizeListener.dispose();
       if (ws.readyState === WebSocket.OPEN) {
         ws.close();
       }
       term.dispose();
-      if (resizeObserver && containerRef.current) {
+      if (resizeObserver && container) {
         resizeObserver.disconnect();
       }
     };
@@ -279,25 +387,17 @@ const InteractiveTerminal: React.FC<TerminalProps> = ({ serverId, quickCommand,
   useEffect(() => {
     if (quickCommand && quickCommand !== lastQuickCommandRef.current) {
       if (wsRef.current?.readyState === WebSocket.OPEN && xtermRef.current) {
-        const cmd = quickCommand + '\n';
-        xtermRef.current.write(cmd);
-        wsRef.current.send(cmd);
+        xtermRef.current.write(quickCommand + '\n');
+        sendQuickCommand(wsRef.current, quickCommand, quickCommandConfirmed, quickCommandSource);
         lastQuickCommandRef.current = quickCommand;
-        if (typeof onQuickCommandUsed === 'function') onQuickCommandUsed();
-        
-        // Log command immediately
-        axios.post(`${API_BASE}/servers/${serverId}/history`, { 
-          command: quickCommand, 
-          output: '',
-          chat_session_id: sessionId 
-        }).catch(err => {
-          console.error('[Terminal.tsx] Error logging quick command:', err);
-        });
+        onQuickCommandUsedRef.current?.();
       } else {
         pendingCommandRef.current = quickCommand;
+        pendingConfirmedRef.current = quickCommandConfirmed;
+        pendingSourceRef.current = quickCommandSource;
       }
     }
-  }, [quickCommand, serverId, sessionId]);
+  }, [quickCommand, quickCommandConfirmed, quickCommandSource, serverId, sessionId]);
 
   return (
     <div 
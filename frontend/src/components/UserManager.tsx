@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { listUsers, createUser, updateUserRole, deleteUser } from '../api/users';
+import type { User } from '../api/users';
+import { ROLES } from '../api/auth';
+import type { Role } from '../api/auth';
+
+const inputStyle: React.CSSProperties = { borderRadius: 6, border: '1px solid #ccc', padding: '4px 6px' };
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) && err.response?.data?.error ? err.response.data.error : fallback;
+
+interface UserManagerProps {
+  currentUserId: number;
+  onClose: () => void;
+}
+
+// Account management for admins. The account role decides what a user can do everywhere:
+// admins reach every server, operators may add servers, viewers only see what is shared.
+const UserManager: React.FC<UserManagerProps> = ({ currentUserId, onClose }) => {
+  const [users, setUsers] = useState<User[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState<Role>('viewer');
+  const [creating, setCreating] = useState(false);
+
+  const loadUsers = () => listUsers().then(setUsers);
+
+  useEffect(() => {
+    loadUsers()
+      .catch(err => setError(errorMessage(err, 'Failed to load users')))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const run = async (action: () => Promise<unknown>, fallback: string) => {
+    setError(null);
+    try {
+      await action();
+      await loadUsers();
+      return true;
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+      return false;
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setCreating(true);
+    if (await run(() => createUser(username.trim(), password, role), 'Failed to create user')) {
+      setUsername('');
+      setPassword('');
+      setRole('viewer');
+    }
+    setCreating(false);
+  };
+
+  const handleDelete = (user: User) => {
+    if (!window.confirm(`Delete ${user.username}? Their sessions end and their server shares are removed.`)) return;
+    run(() => deleteUser(user.id), 'Failed to delete user');
+  };
+
+  return (
+    <div style={{ position: 'fixed', top: 0, left: 0, width: '100vw', height: '100vh', background: 'rgba(0,0,0,0.25)', zIndex: 1000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: '#fff', borderRadius: 16, boxShadow: '0 8px 32px #0004', padding: 32, minWidth: 340, maxWidth: 560, width: '100%', maxHeight: '90vh', overflowY: 'auto', position: 'relative' }}>
+        <button onClick={onClose} style={{ position: 'absolute', top: 12, right: 16, background: 'none', border: 'none', fontSize: 22, color: '#888', cursor: 'pointer' }}>&times;</button>
+        <h2 style={{ marginTop: 0, color: '#213547' }}>Users</h2>
+        <div style={{ color: '#888', fontSize: 13, marginBottom: 16 }}>
+          Admins can reach every server and manage users. Operators can add servers. Everyone else only sees the servers shared with them.
+        </div>
+        {loading ? (
+          <div style={{ color: '#888' }}>Loading...</div>
+        ) : (
+          users.map(user => (
+            <div key={user.id} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+              <span style={{ flex: 1 }}>
+                {user.username}
+                {user.id === currentUserId && <span style={{ color: '#888', fontSize: 12 }}> (you)</span>}
+              </span>
+              <select value={user.role} onChange={e => run(() => updateUserRole(user.id, e.target.value as Role), 'Failed to change role')} style={inputStyle}>
+                {ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+              <button
+                onClick={() => handleDelete(user)}
+                disabled={user.id === currentUserId}
+                title={user.id === currentUserId ? 'You cannot delete your own account' : 'Delete user'}
+                style={{ background: 'none', border: 'none', color: user.id === currentUserId ? '#ccc' : '#e53e3e', cursor: user.id === currentUserId ? 'not-allowed' : 'pointer', fontSize: 16 }}
+              >
+                &times;
+              </button>
+            </div>
+          ))
+        )}
+        <form onSubmit={handleCreate} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 16, paddingTop: 16, borderTop: '1px solid #eee' }}>
+          <input value={username} onChange={e => setUsername(e.target.value)} placeholder="Username" autoComplete="off" required style={{ ...inputStyle, flex: 1, minWidth: 120 }} />
+          <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password (8+ characters)" autoComplete="new-password" required style={{ ...inputStyle, flex: 1, minWidth: 120 }} />
+          <select value={role} onChange={e => setRole(e.target.value as Role)} style={inputStyle}>
+            {ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+          <button type="submit" disabled={creating} style={{ borderRadius: 8, background: '#6cf', color: '#fff', fontWeight: 600, border: 'none', padding: '6px 14px', cursor: creating ? 'not-allowed' : 'pointer', opacity: creating ? 0.7 : 1 }}>
+            Add User
+          </button>
+        </form>
+        {error && <div style={{ color: '#e53e3e', marginTop: 12 }}>{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default UserManager;